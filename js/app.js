@@ -16,15 +16,36 @@ class TuneLearnApp {
         this.chordDetector = null;
         this.practiceTools = null;
         this.exerciseEngine = null;
+        this.presetManager = null;
+        this.takeLibrary = null;
+        this.pianoRoll = null;
         
         // Current state
         this.currentScale = null;
+        this.searchedChord = null;
         this.currentRootNote = 'C';
         this.currentChord = null;
         this.activeNotes = new Set();
         this.scaleLockEnabled = false;
+        this.tapMidiLearning = false;
         this.currentMode = 'free-play'; // 'free-play' or 'training'
         this.userPerformanceInput = [];
+        
+        // Sampled instruments: { name, url, instrument } with instrument null until loaded
+        this.sampleInstruments = [];
+        
+        // Events of the last finished recording (or imported MIDI file)
+        this.lastRecording = null;
+        this.isRenderingWav = false;
+        this.playbackNotes = new Set(); // Keys lit by playback
+        this.isCountingIn = false;
+        this.handSplit = 60; // Muting a hand splits recordings at middle C
+        
+        // Take library: the take being played or exported, and the two checked for comparison
+        this.currentTakeId = null;
+        this.compareTakeIds = [];
+        this.editingTakeId = null; // Take open in the piano roll
+        this.pianoRollEdited = false;
     }
 
     async init() {
@@ -38,9 +59,30 @@ class TuneLearnApp {
             this.audioEngine = new AudioEngine();
             await this.audioEngine.init();
             
+            // Synth preset, then any edits made since it was chosen
+            this.presetManager = new PresetManager();
+            this.applySynthPreset(this.settings.instrument || 'piano');
+            if (this.settings.synth) {
+                Object.entries(this.settings.synth).forEach(([name, value]) => this.audioEngine.setSynthParameter(name, value));
+            }
+            if (this.settings.effects) {
+                this.audioEngine.applyEffectSettings(this.settings.effects);
+            }
+            this.audioEngine.setMaxPolyphony(this.settings.maxPolyphony || 32);
+            this.audioEngine.setVoiceStealing(this.settings.voiceStealing || 'oldest');
+            this.audioEngine.setPitchBendRange(this.settings.pitchBendRange || 2);
+            if (this.settings.tuning) {
+                this.audioEngine.setTuning(this.settings.tuning);
+            }
+            this.audioEngine.voices.onVoiceCountChange = (counts) => this.updateVoiceCount(counts);
+            
             // Initialize MIDI handler
             this.midiHandler = new MIDIHandler();
+            this.midiHandler.audioEngine = this.audioEngine;
+            this.midiHandler.onProgramChange = (program) => this.selectInstrument(this.presetManager.getProgramValue(program));
+            this.midiHandler.onOutputsChange = () => this.updateMidiOutputList();
             await this.midiHandler.init();
+            this.applyMidiOutputSettings();
             
             // Initialize piano keyboard
             this.piano = new PianoKeyboard('piano-keyboard', {
@@ -50,13 +92,55 @@ class TuneLearnApp {
                 onNoteOn: (note, velocity) => this.handleNoteOn(note, velocity),
                 onNoteOff: (note) => this.handleNoteOff(note)
             });
+            this.midiHandler.pianoKeyboard = this.piano;
+            this.audioEngine.onSustainedNotesChange = (notes) => this.piano.setSustainedKeys(notes);
+            this.audioEngine.onPlaybackEvent = (event) => this.showPlaybackEvent(event);
+            this.audioEngine.onPlaybackLoop = (pass, speed) => {
+                if (this.audioEngine.isPlayingBack) this.updatePlaybackSpeedDisplay(speed, pass);
+            };
+            this.audioEngine.onPlaybackEnd = () => {
+                this.updatePlaybackSpeedDisplay();
+                this.updateRecordingButtons();
+            };
             
             // Initialize chord detector
             this.chordDetector = new ChordDetector();
             
+            // Initialize key detector
+            this.keyDetector = new KeyDetector();
+            this.keyDetector.onKeyChange = (key) => this.handleKeyChange(key);
+            
+            // Initialize harmonic analyzer
+            this.harmonicAnalyzer = new HarmonicAnalyzer();
+            
+            // Initialize next-chord suggestions
+            this.chordSuggester = new ChordSuggester(this.harmonicAnalyzer);
+            this.chordSuggester.updateSettings({
+                includeSecondaryDominants: !!this.settings.suggestSecondaryDominants,
+                includeBorrowedChords: !!this.settings.suggestBorrowedChords
+            });
+            
             // Initialize practice tools
             this.practiceTools = new PracticeTools();
             
+            // Initialize metronome
+            this.metronome = new Metronome(this.audioEngine);
+            this.metronome.updateSettings(this.settings.metronome || {});
+            this.metronome.onBeat = (beatIndex) => this.showBeat(beatIndex);
+            this.audioEngine.effects.setTempo(this.metronome.settings.bpm);
+            this.metronome.onTempoChange = (bpm) => {
+                this.audioEngine.effects.setTempo(bpm);
+                this.updateTempoDisplay(bpm);
+                this.saveMetronomeSettings();
+            };
+            
+            // Saved recordings and the piano roll that edits them
+            this.takeLibrary = new TakeLibrary();
+            this.pianoRoll = new PianoRoll('piano-roll', {
+                onChange: () => this.handlePianoRollChange(),
+                onSelectionChange: (notes) => this.updatePianoRollSelection(notes)
+            });
+            
             // Initialize exercise engine
             this.exerciseEngine = new ExerciseEngine(this.audioEngine, this.piano);
             
@@ -65,11 +149,13 @@ class TuneLearnApp {
             
             // Connect MIDI to piano
             this.midiHandler.onNoteOn = (note, velocity) => {
+                if (this.handleTapNote(note)) return;
                 this.piano.pressKey(note);
                 this.handleNoteOn(note, velocity);
             };
             
             this.midiHandler.onNoteOff = (note) => {
+                if (note === this.settings.tapMidiNote) return;
                 this.piano.releaseKey(note);
                 this.handleNoteOff(note);
             };
@@ -82,6 +168,10 @@ class TuneLearnApp {
             // Restore user settings
             this.restoreSettings();
             
+            // Bundled sample instruments and saved takes load in the background
+            this.loadBundledInstruments();
+            this.renderTakeList();
+            
             // Initialize UI mode
             this.updateModeUI();
             
@@ -124,12 +214,199 @@ class TuneLearnApp {
             });
         }
 
+        // Auto key toggle
+        const autoKeyToggle = document.getElementById('auto-key');
+        if (autoKeyToggle) {
+            autoKeyToggle.addEventListener('click', () => {
+                this.settings.autoKeyDetection = !this.settings.autoKeyDetection;
+                this.saveSettings();
+                this.updateAutoKeyToggle();
+                
+                const key = this.keyDetector.getCurrentKey();
+                if (this.settings.autoKeyDetection && key) {
+                    this.applyDetectedKey(key);
+                }
+            });
+        }
+
+        // Next-chord suggestion options
+        const suggestSecondary = document.getElementById('suggest-secondary');
+        if (suggestSecondary) {
+            suggestSecondary.addEventListener('change', (e) => {
+                this.settings.suggestSecondaryDominants = e.target.checked;
+                this.chordSuggester.updateSettings({ includeSecondaryDominants: e.target.checked });
+                this.saveSettings();
+                this.updateChordSuggestions();
+            });
+        }
+
+        const suggestBorrowed = document.getElementById('suggest-borrowed');
+        if (suggestBorrowed) {
+            suggestBorrowed.addEventListener('change', (e) => {
+                this.settings.suggestBorrowedChords = e.target.checked;
+                this.chordSuggester.updateSettings({ includeBorrowedChords: e.target.checked });
+                this.saveSettings();
+                this.updateChordSuggestions();
+            });
+        }
+
+        // Harmonic analysis strip
+        const analysisClear = document.getElementById('analysis-clear');
+        if (analysisClear) {
+            analysisClear.addEventListener('click', () => {
+                this.chordDetector.clearHistory();
+                this.updateHarmonicAnalysis(null);
+            });
+        }
+
         // MIDI device selector
         const midiDevices = document.getElementById('midi-devices');
         if (midiDevices) {
             midiDevices.addEventListener('change', (e) => this.selectMidiDevice(e.target.value));
         }
 
+        // MIDI output, routing and thru
+        const midiOutput = document.getElementById('midi-output');
+        if (midiOutput) {
+            midiOutput.addEventListener('change', (e) => this.selectMidiOutput(e.target.value));
+        }
+
+        const midiOutputChannel = document.getElementById('midi-output-channel');
+        if (midiOutputChannel) {
+            midiOutputChannel.addEventListener('change', (e) => {
+                this.midiHandler.setOutputChannel(parseInt(e.target.value));
+                this.saveMidiOutputSettings();
+            });
+        }
+
+        const midiOutputLatency = document.getElementById('midi-output-latency');
+        if (midiOutputLatency) {
+            this.isolateTextInput(midiOutputLatency);
+            midiOutputLatency.addEventListener('change', (e) => {
+                this.midiHandler.setOutputLatency(parseInt(e.target.value));
+                e.target.value = this.midiHandler.getOutputLatency();
+                this.saveMidiOutputSettings();
+            });
+        }
+
+        ['route-prompts', 'route-playback'].forEach(id => {
+            const checkbox = document.getElementById(id);
+            if (checkbox) checkbox.addEventListener('change', () => this.updateMidiRouting());
+        });
+
+        ['midi-thru', 'midi-thru-transpose'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', () => this.updateMidiThru());
+        });
+
+        // Instrument selector
+        const instrumentSelect = document.getElementById('instrument-select');
+        if (instrumentSelect) {
+            instrumentSelect.addEventListener('change', (e) => this.selectInstrument(e.target.value));
+        }
+
+        const instrumentFile = document.getElementById('instrument-file');
+        if (instrumentFile) {
+            instrumentFile.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) this.loadInstrumentFiles([...e.target.files]);
+                e.target.value = '';
+            });
+        }
+
+        // Synth presets
+        const presetName = document.getElementById('preset-name');
+        if (presetName) {
+            this.isolateTextInput(presetName);
+        }
+
+        const presetActions = {
+            'preset-save': () => this.saveCurrentPreset(),
+            'preset-save-new': () => this.saveCurrentPresetAsNew(),
+            'preset-rename': () => this.renameCurrentPreset(),
+            'preset-duplicate': () => this.duplicateCurrentPreset(),
+            'preset-delete': () => this.deleteCurrentPreset(),
+            'preset-export': () => this.exportPresets()
+        };
+        Object.entries(presetActions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', () => this.runPresetAction(action));
+        });
+
+        const presetImport = document.getElementById('preset-import');
+        if (presetImport) {
+            presetImport.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) {
+                    const text = await file.text();
+                    this.runPresetAction(() => this.importPresets(text));
+                }
+            });
+        }
+
+        // Polyphony
+        const polyphonySelect = document.getElementById('polyphony-select');
+        if (polyphonySelect) {
+            polyphonySelect.addEventListener('change', (e) => {
+                this.settings.maxPolyphony = parseInt(e.target.value);
+                this.audioEngine.setMaxPolyphony(this.settings.maxPolyphony);
+                this.saveSettings();
+            });
+        }
+
+        const voiceStealing = document.getElementById('voice-stealing');
+        if (voiceStealing) {
+            voiceStealing.addEventListener('change', (e) => {
+                this.settings.voiceStealing = e.target.value;
+                this.audioEngine.setVoiceStealing(e.target.value);
+                this.saveSettings();
+            });
+        }
+
+        // Tuning
+        const temperamentSelect = document.getElementById('temperament-select');
+        if (temperamentSelect) {
+            temperamentSelect.addEventListener('change', (e) => {
+                // Picking a temperament leaves the Scala tuning
+                this.audioEngine.setTuning({ temperament: e.target.value, scl: null });
+                this.saveTuningSettings();
+            });
+        }
+
+        const tuningTonic = document.getElementById('tuning-tonic');
+        if (tuningTonic) {
+            tuningTonic.addEventListener('change', (e) => {
+                this.audioEngine.setTuning({ tonic: parseInt(e.target.value) });
+                this.saveTuningSettings();
+            });
+        }
+
+        const referencePitch = document.getElementById('reference-pitch');
+        if (referencePitch) {
+            referencePitch.addEventListener('change', (e) => {
+                this.audioEngine.setTuning({ referencePitch: parseFloat(e.target.value) });
+                this.saveTuningSettings();
+            });
+        }
+
+        const scalaFile = document.getElementById('scala-file');
+        if (scalaFile) {
+            scalaFile.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) this.loadScalaFiles([...e.target.files]);
+                e.target.value = '';
+            });
+        }
+
+        // Pitch wheel range
+        const pitchBendRange = document.getElementById('pitch-bend-range');
+        if (pitchBendRange) {
+            pitchBendRange.addEventListener('change', (e) => {
+                this.settings.pitchBendRange = parseInt(e.target.value);
+                this.audioEngine.setPitchBendRange(this.settings.pitchBendRange);
+                this.saveSettings();
+            });
+        }
+
         // Octave range selector
         const octaveRange = document.getElementById('octave-range');
         if (octaveRange) {
@@ -147,6 +424,172 @@ class TuneLearnApp {
             metronomeToggle.addEventListener('click', () => this.toggleMetronome());
         }
 
+        const recordToggle = document.getElementById('record-toggle');
+        if (recordToggle) {
+            recordToggle.addEventListener('click', () => this.toggleRecording());
+        }
+
+        const playbackBtn = document.getElementById('playback-btn');
+        if (playbackBtn) {
+            playbackBtn.addEventListener('click', () => {
+                if (this.audioEngine.isPlayingBack) {
+                    this.stopRecordingPlayback();
+                } else {
+                    this.playRecording(this.lastRecording);
+                }
+            });
+        }
+
+        // Practice playback: speed, A-B loop, speed-up and muted part
+        const playbackSpeed = document.getElementById('playback-speed');
+        if (playbackSpeed) {
+            playbackSpeed.addEventListener('input', (e) => {
+                const speed = parseInt(e.target.value) / 100;
+                this.audioEngine.setPlaybackSpeed(speed, this.getPlaybackOptions().maxSpeed);
+                this.updatePlaybackSpeedDisplay();
+                this.savePlaybackSettings();
+            });
+        }
+
+        ['speed-step', 'speed-target'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener('change', () => this.savePlaybackSettings());
+        });
+
+        const speedTarget = document.getElementById('speed-target');
+        if (speedTarget) this.isolateTextInput(speedTarget);
+
+        ['loop-toggle', 'loop-start', 'loop-end'].forEach(id => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            if (element.type === 'number') this.isolateTextInput(element);
+            element.addEventListener('change', () => this.updateLoopRegion());
+        });
+
+        const loopSetStart = document.getElementById('loop-set-start');
+        if (loopSetStart) loopSetStart.addEventListener('click', () => this.setLoopPoint('loop-start'));
+        const loopSetEnd = document.getElementById('loop-set-end');
+        if (loopSetEnd) loopSetEnd.addEventListener('click', () => this.setLoopPoint('loop-end'));
+
+        const takeCompare = document.getElementById('take-compare');
+        if (takeCompare) {
+            takeCompare.addEventListener('click', () => this.compareTakes());
+        }
+
+        // Piano roll editor
+        const pianoRollGrid = document.getElementById('piano-roll-grid');
+        if (pianoRollGrid) {
+            pianoRollGrid.addEventListener('change', () => this.updatePianoRollGrid());
+        }
+
+        const pianoRollSnap = document.getElementById('piano-roll-snap');
+        if (pianoRollSnap) {
+            pianoRollSnap.addEventListener('change', (e) => {
+                this.pianoRoll.snap = e.target.checked;
+            });
+        }
+
+        const pianoRollVelocity = document.getElementById('piano-roll-velocity');
+        if (pianoRollVelocity) {
+            this.isolateTextInput(pianoRollVelocity);
+            pianoRollVelocity.addEventListener('change', (e) => {
+                const velocity = parseInt(e.target.value);
+                if (!isNaN(velocity)) this.pianoRoll.setSelectedVelocity(velocity / 127);
+            });
+        }
+
+        const pianoRollActions = {
+            'piano-roll-quantize': () => this.pianoRoll.quantize(),
+            'piano-roll-delete': () => this.pianoRoll.deleteSelected(),
+            'piano-roll-undo': () => this.pianoRoll.undo(),
+            'piano-roll-play': () => this.playPianoRoll(),
+            'piano-roll-save': () => this.savePianoRoll(),
+            'piano-roll-close': () => this.closePianoRoll()
+        };
+        Object.entries(pianoRollActions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', action);
+        });
+
+        const exportWav = document.getElementById('export-wav');
+        if (exportWav) {
+            exportWav.addEventListener('click', () => this.exportRecordingWav());
+        }
+
+        const exportMidi = document.getElementById('export-midi');
+        if (exportMidi) {
+            exportMidi.addEventListener('click', () => this.exportRecordingMidi());
+        }
+
+        const midiFile = document.getElementById('midi-file');
+        if (midiFile) {
+            midiFile.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) this.importMidiFile(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        // Metronome settings
+        const bpmSlider = document.getElementById('bpm');
+        if (bpmSlider) {
+            bpmSlider.addEventListener('input', (e) => this.metronome.setTempo(parseInt(e.target.value)));
+        }
+
+        const tapTempo = document.getElementById('tap-tempo');
+        if (tapTempo) {
+            tapTempo.addEventListener('click', () => this.metronome.tap());
+        }
+
+        const tapMidiLearn = document.getElementById('tap-midi-learn');
+        if (tapMidiLearn) {
+            tapMidiLearn.addEventListener('click', () => {
+                // Clicking again clears the tap note (or cancels learning)
+                if (this.tapMidiLearning || this.settings.tapMidiNote) {
+                    this.tapMidiLearning = false;
+                    this.settings.tapMidiNote = null;
+                    this.saveSettings();
+                } else {
+                    this.tapMidiLearning = true;
+                }
+                this.updateTapMidiButton();
+            });
+        }
+
+        const timeSignature = document.getElementById('time-signature');
+        if (timeSignature) {
+            timeSignature.addEventListener('change', (e) => {
+                const [beats, unit] = e.target.value.split('/').map(Number);
+                this.metronome.setTimeSignature(beats, unit);
+                this.renderBeatIndicator();
+                this.saveMetronomeSettings();
+            });
+        }
+
+        const subdivision = document.getElementById('subdivision');
+        if (subdivision) {
+            subdivision.addEventListener('change', (e) => {
+                this.metronome.setSubdivision(parseInt(e.target.value));
+                this.saveMetronomeSettings();
+            });
+        }
+
+        const swing = document.getElementById('swing');
+        if (swing) {
+            swing.addEventListener('input', (e) => {
+                this.metronome.setSwing(parseInt(e.target.value));
+                this.updateSwingDisplay();
+                this.saveMetronomeSettings();
+            });
+        }
+
+        const countIn = document.getElementById('count-in');
+        if (countIn) {
+            countIn.addEventListener('change', (e) => {
+                this.metronome.updateSettings({ countInBars: parseInt(e.target.value) });
+                this.saveMetronomeSettings();
+            });
+        }
+
         // Computer keyboard support
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         document.addEventListener('keyup', (e) => this.handleKeyUp(e));
@@ -157,6 +600,37 @@ class TuneLearnApp {
             btn.addEventListener('click', (e) => this.selectChordCategory(e.target.dataset.category));
         });
 
+        // Chord symbol search
+        const chordSearch = document.getElementById('chord-search');
+        if (chordSearch) {
+            this.isolateTextInput(chordSearch);
+            chordSearch.addEventListener('input', (e) => this.searchChord(e.target.value));
+            chordSearch.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && this.searchedChord) {
+                    this.playChordSymbol(this.searchedChord);
+                }
+            });
+        }
+
+        // Lead sheet import
+        const leadSheetInput = document.getElementById('lead-sheet-input');
+        if (leadSheetInput) {
+            this.isolateTextInput(leadSheetInput);
+        }
+
+        const leadSheetImportBtn = document.getElementById('lead-sheet-import');
+        if (leadSheetImportBtn && leadSheetInput) {
+            leadSheetImportBtn.addEventListener('click', () => this.importLeadSheet(leadSheetInput.value));
+        }
+
+        const leadSheetFile = document.getElementById('lead-sheet-file');
+        if (leadSheetFile) {
+            leadSheetFile.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.loadLeadSheetFile(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
         // Mode switching
         const freePlayBtn = document.getElementById('free-play-mode');
         const trainingBtn = document.getElementById('exercise-mode');
@@ -196,6 +670,7 @@ class TuneLearnApp {
         }
 
         this.activeNotes.add(note);
+        this.keyDetector.noteOn(note);
         
         // Capture performance input if in training mode and relevant exercise is active
         if (this.currentMode === 'training' && 
@@ -220,235 +695,1780 @@ class TuneLearnApp {
         this.updateInfoPanel();
     }
 
-    handleNoteOff(note) {
-        this.activeNotes.delete(note);
-        this.audioEngine.stopNote(note);
-        this.updateChordDetection();
-        this.updateInfoPanel();
+    handleNoteOff(note) {
+        this.activeNotes.delete(note);
+        this.keyDetector.noteOff(note);
+        this.audioEngine.stopNote(note);
+        this.updateChordDetection();
+        this.updateInfoPanel();
+    }
+
+    updateChordDetection() {
+        const noteArray = Array.from(this.activeNotes);
+        let detectedChord = null;
+        if (noteArray.length >= 2) {
+            detectedChord = this.chordDetector.analyzeChord(noteArray);
+            if (detectedChord) {
+                this.displayChordInfo(detectedChord);
+            } else {
+                this.clearChordInfo();
+            }
+        } else {
+            this.clearChordInfo();
+        }
+        this.updateKeyDetection(detectedChord);
+    }
+
+    // Re-estimate the key from recent notes and chords
+    updateKeyDetection(chord) {
+        const key = this.keyDetector.estimateKey(this.chordDetector.getHistory());
+        this.displayKeyInfo(key);
+        this.updateHarmonicAnalysis(chord);
+    }
+
+    displayKeyInfo(key) {
+        const keyDisplay = document.getElementById('key-display');
+        if (!keyDisplay) return;
+
+        if (!key) {
+            keyDisplay.textContent = 'Keep playing...';
+            keyDisplay.title = '';
+            return;
+        }
+
+        keyDisplay.textContent = key.name;
+        const confidenceEl = document.createElement('span');
+        confidenceEl.className = 'key-confidence';
+        confidenceEl.textContent = `${Math.round(key.confidence * 100)}%`;
+        keyDisplay.appendChild(confidenceEl);
+        keyDisplay.title = key.alternatives
+            .map(alternative => `${alternative.name} (${Math.round(alternative.confidence * 100)}%)`)
+            .join('\n');
+    }
+
+    // The key to analyze in: the selected scale, otherwise the detected key
+    getAnalysisKey() {
+        if (this.currentScale) {
+            return { root: this.currentScale.root, scaleType: this.currentScale.name };
+        }
+        return this.keyDetector.getCurrentKey();
+    }
+
+    // Roman numeral for the current chord and the analysis strip for the chord history
+    updateHarmonicAnalysis(chord) {
+        const key = this.getAnalysisKey();
+        const romanNumeral = document.getElementById('roman-numeral');
+        if (romanNumeral) {
+            const analysis = chord && key ? this.harmonicAnalyzer.analyzeChord(chord, key.root, key.scaleType) : null;
+            romanNumeral.textContent = analysis ? analysis.numeral : '';
+            romanNumeral.title = analysis ? analysis.description : '';
+        }
+
+        const history = this.chordDetector.getHistory();
+        this.renderAnalysisStrip(key && history.length > 0
+            ? this.harmonicAnalyzer.analyzeProgression(history, key.root, key.scaleType)
+            : null);
+        this.updateChordSuggestions();
+    }
+
+    // Suggest next chords for the last chord played and ghost the first one on the keyboard
+    updateChordSuggestions() {
+        const container = document.getElementById('chord-suggestions');
+        if (!container) return;
+
+        const key = this.getAnalysisKey();
+        const history = this.chordDetector.getHistory();
+        const lastChord = history[history.length - 1];
+
+        // Keep voicings on the keys we're showing
+        const range = [this.piano.config.startNote, this.piano.config.endNote].map(note => {
+            const parsed = MusicTheory.parseNoteName(note);
+            return MusicTheory.noteToMidi(parsed.name, parsed.octave);
+        });
+        this.chordSuggester.updateSettings({ range: range });
+
+        this.chordSuggestions = key && lastChord && lastChord.type !== 'unknown'
+            ? this.chordSuggester.suggest(lastChord.notes, key.root, key.scaleType, lastChord)
+            : [];
+
+        container.innerHTML = '';
+        if (this.chordSuggestions.length === 0) {
+            container.textContent = 'Play a chord...';
+            this.piano.clearGhostNotes();
+            return;
+        }
+
+        this.chordSuggestions.forEach(suggestion => {
+            const spelledNotes = suggestion.notes.map(note => {
+                const parsed = MusicTheory.parseNoteName(note);
+                return MusicTheory.spellMidiNote(
+                    MusicTheory.noteToMidi(parsed.name, parsed.octave),
+                    MusicTheory.spellInKey(note, key.root, key.scaleType)
+                );
+            });
+
+            const button = document.createElement('button');
+            button.className = `suggestion-chip kind-${suggestion.kind}`;
+            button.title = `${spelledNotes.join(' ')}: ${suggestion.commonTones} common tone${suggestion.commonTones === 1 ? '' : 's'}, ` +
+                `${suggestion.movement} semitone${suggestion.movement === 1 ? '' : 's'} of movement`;
+
+            const numeralEl = document.createElement('span');
+            numeralEl.className = 'suggestion-numeral';
+            numeralEl.textContent = suggestion.numeral;
+
+            const nameEl = document.createElement('span');
+            nameEl.className = 'suggestion-name';
+            nameEl.textContent = suggestion.name;
+
+            button.appendChild(numeralEl);
+            button.appendChild(nameEl);
+            button.addEventListener('mouseenter', () => this.piano.showGhostNotes(suggestion.notes));
+            button.addEventListener('mouseleave', () => this.piano.showGhostNotes(this.chordSuggestions[0].notes));
+            button.addEventListener('click', () => this.playChordNotes(suggestion.notes));
+            container.appendChild(button);
+        });
+
+        this.piano.showGhostNotes(this.chordSuggestions[0].notes);
+    }
+
+    renderAnalysisStrip(progression) {
+        const strip = document.getElementById('analysis-strip');
+        if (!strip) return;
+
+        strip.innerHTML = '';
+        if (!progression) {
+            strip.textContent = 'Play a progression...';
+            return;
+        }
+
+        progression.chords.forEach((analysis, index) => {
+            if (!analysis) return;
+
+            const chordEl = document.createElement('div');
+            chordEl.className = `analysis-chord function-${analysis.function}`;
+            chordEl.classList.toggle('borrowed', analysis.borrowed);
+            chordEl.title = `${analysis.chord} in ${progression.key} ${progression.scaleType}: ${analysis.description}`;
+
+            const numeralEl = document.createElement('span');
+            numeralEl.className = 'analysis-numeral';
+            numeralEl.textContent = analysis.numeral;
+
+            const nameEl = document.createElement('span');
+            nameEl.className = 'analysis-chord-name';
+            nameEl.textContent = analysis.chord;
+
+            chordEl.appendChild(numeralEl);
+            chordEl.appendChild(nameEl);
+            strip.appendChild(chordEl);
+
+            progression.cadences
+                .filter(cadence => cadence.index === index)
+                .forEach(cadence => {
+                    const cadenceEl = document.createElement('span');
+                    cadenceEl.className = 'analysis-cadence';
+                    cadenceEl.textContent = cadence.label;
+                    cadenceEl.title = `${cadence.name}: ${cadence.from} → ${cadence.to}`;
+                    strip.appendChild(cadenceEl);
+                });
+        });
+
+        // Keep the latest chords in view
+        strip.scrollLeft = strip.scrollWidth;
+    }
+
+    handleKeyChange(key) {
+        if (this.settings.autoKeyDetection) {
+            this.applyDetectedKey(key);
+        }
+    }
+
+    // Point the root note and scale selectors at the detected key
+    applyDetectedKey(key) {
+        const rootNoteSelector = document.getElementById('root-note');
+        const scaleSelector = document.getElementById('scale-select');
+
+        if (rootNoteSelector) {
+            const option = Array.from(rootNoteSelector.options)
+                .find(opt => MusicTheory.getPitchClass(opt.value) === key.tonic);
+            if (option) rootNoteSelector.value = option.value;
+        }
+        if (scaleSelector) {
+            scaleSelector.value = key.scaleType;
+        }
+
+        this.currentRootNote = key.root;
+        this.selectScale(key.scaleType);
+    }
+
+    updateAutoKeyToggle() {
+        const autoKeyToggle = document.getElementById('auto-key');
+        if (autoKeyToggle) {
+            autoKeyToggle.textContent = `Auto Key: ${this.settings.autoKeyDetection ? 'ON' : 'OFF'}`;
+            autoKeyToggle.classList.toggle('active', !!this.settings.autoKeyDetection);
+        }
+    }
+
+    displayChordInfo(chord) {
+        const chordDisplay = document.getElementById('chord-display');
+        if (chordDisplay) {
+            chordDisplay.textContent = chord.name || 'Unknown Chord';
+            chordDisplay.title = chord.reasons ? chord.reasons.join('\n') : '';
+
+            // Other readings of an ambiguous voicing, e.g. "C6  also: Am7/C"
+            if (chord.alternatives && chord.alternatives.length > 0) {
+                const alternativesEl = document.createElement('span');
+                alternativesEl.className = 'chord-alternatives';
+                alternativesEl.textContent = `also: ${chord.alternatives.map(alternative => alternative.name).join(', ')}`;
+                alternativesEl.title = chord.alternatives
+                    .map(alternative => `${alternative.name} (${Math.round(alternative.score * 100)}%): ${alternative.reasons.join(', ')}`)
+                    .join('\n');
+                chordDisplay.appendChild(alternativesEl);
+            }
+        }
+    }
+
+    clearChordInfo() {
+        const chordDisplay = document.getElementById('chord-display');
+        if (chordDisplay) {
+            chordDisplay.textContent = 'Play some notes...';
+            chordDisplay.title = '';
+        }
+    }
+
+    selectScale(scaleName) {
+        if (!scaleName) {
+            this.currentScale = null;
+            this.clearScaleHighlight();
+            this.updateHarmonicAnalysis(this.chordDetector.getCurrentChord());
+            return;
+        }
+
+        this.currentScale = this.buildScale(this.currentRootNote, scaleName);
+
+        this.updateScaleHighlight();
+        this.updateScaleNotesDisplay();
+        this.updateHarmonicAnalysis(this.chordDetector.getCurrentChord());
+    }
+
+    selectRootNote(rootNote) {
+        this.currentRootNote = rootNote;
+        if (this.currentScale) {
+            this.currentScale = this.buildScale(rootNote, this.currentScale.name);
+            this.updateScaleHighlight();
+            this.updateScaleNotesDisplay();
+            this.updateHarmonicAnalysis(this.chordDetector.getCurrentChord());
+        }
+    }
+
+    // Spell the scale from the conventional tonic (e.g. Bb rather than A#)
+    buildScale(rootNote, scaleName) {
+        const root = MusicTheory.getKeySpelling(rootNote, scaleName);
+        return {
+            name: scaleName,
+            root: root,
+            notes: MusicTheory.getScaleNotes(root, scaleName)
+        };
+    }
+
+    updateScaleHighlight() {
+        if (this.currentScale && this.piano) {
+            this.piano.highlightScale(this.currentScale.notes);
+            this.piano.setNoteSpelling(MusicTheory.getChromaticSpelling(this.currentScale.root, this.currentScale.name));
+            if (this.chordDetector) {
+                this.chordDetector.setKeyContext(this.currentScale.root, this.currentScale.name);
+            }
+            if (this.scaleLockEnabled) {
+                this.piano.setScaleLock(this.currentScale.notes);
+            }
+        } else {
+            this.clearScaleHighlight();
+        }
+    }
+
+    clearScaleHighlight() {
+        if (this.piano) {
+            this.piano.clearHighlight();
+            this.piano.setScaleLock(null);
+            this.piano.setNoteSpelling(null);
+        }
+        if (this.chordDetector) {
+            this.chordDetector.setKeyContext(null);
+        }
+    }
+
+    updateScaleNotesDisplay() {
+        const scaleNotesEl = document.getElementById('scale-notes');
+        if (scaleNotesEl && this.currentScale) {
+            scaleNotesEl.textContent = this.currentScale.notes.join(', ');
+        } else if (scaleNotesEl) {
+            scaleNotesEl.textContent = 'Select a scale...';
+        }
+    }
+
+    isNoteInCurrentScale(noteClass) {
+        if (!this.currentScale) return true;
+        return MusicTheory.isNoteInScale(noteClass, this.currentScale.root, this.currentScale.name);
+    }
+
+    populateScaleSelector() {
+        const scaleSelector = document.getElementById('scale-select');
+        if (!scaleSelector) return;
+
+        // Keep the "No Scale" option, rebuild everything else from SCALES
+        scaleSelector.querySelectorAll('optgroup').forEach(group => group.remove());
+
+        MusicTheory.getScalesByCategory().forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+
+            group.scales.forEach(scale => {
+                const option = document.createElement('option');
+                option.value = scale.key;
+                option.textContent = scale.name;
+                option.title = this.getScaleDescription(scale);
+                optgroup.appendChild(option);
+            });
+
+            scaleSelector.appendChild(optgroup);
+        });
+    }
+
+    // Tooltip text for a scale option: formula, parent mode and alternative names
+    getScaleDescription(scale) {
+        const parts = [scale.formula];
+
+        if (scale.parent && scale.parent !== scale.key && SCALES[scale.parent]) {
+            parts.push(`Mode ${scale.mode} of ${SCALES[scale.parent].name}`);
+        }
+        if (scale.aliases && scale.aliases.length > 0) {
+            parts.push(`Also: ${scale.aliases.join(', ')}`);
+        }
+
+        return parts.join(' · ');
+    }
+
+    populateChordLibrary() {
+        const chordButtons = document.getElementById('chord-buttons');
+        if (!chordButtons) return;
+
+        this.selectChordCategory('triads'); // Default to triads
+    }
+
+    selectChordCategory(category) {
+        // Update active category button
+        document.querySelectorAll('.chord-category').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        const categoryBtn = document.querySelector(`[data-category="${category}"]`);
+        if (categoryBtn) {
+            categoryBtn.classList.add('active');
+        }
+
+        // Update chord buttons
+        const chordButtons = document.getElementById('chord-buttons');
+        chordButtons.innerHTML = '';
+
+        const chords = this.getChordsByCategory(category);
+        chords.forEach(chord => {
+            const button = document.createElement('button');
+            button.className = 'chord-btn';
+            button.textContent = chord.name;
+            button.addEventListener('click', () => this.playChord(chord));
+            chordButtons.appendChild(button);
+        });
+    }
+
+    getChordsByCategory(category) {
+        const chordLibrary = {
+            triads: [
+                { name: 'Major', formula: [0, 4, 7] },
+                { name: 'Minor', formula: [0, 3, 7] },
+                { name: 'Diminished', formula: [0, 3, 6] },
+                { name: 'Augmented', formula: [0, 4, 8] }
+            ],
+            sevenths: [
+                { name: 'Major 7th', formula: [0, 4, 7, 11] },
+                { name: 'Minor 7th', formula: [0, 3, 7, 10] },
+                { name: 'Dominant 7th', formula: [0, 4, 7, 10] },
+                { name: 'Half-Dim 7th', formula: [0, 3, 6, 10] }
+            ],
+            extended: [
+                { name: 'Major 9th', formula: [0, 4, 7, 11, 14] },
+                { name: 'Minor 9th', formula: [0, 3, 7, 10, 14] },
+                { name: 'Major 6th', formula: [0, 4, 7, 9] },
+                { name: 'Minor 6th', formula: [0, 3, 7, 9] }
+            ],
+            sus: [
+                { name: 'Sus2', formula: [0, 2, 7] },
+                { name: 'Sus4', formula: [0, 5, 7] },
+                { name: '7sus2', formula: [0, 2, 7, 10] },
+                { name: '7sus4', formula: [0, 5, 7, 10] }
+            ]
+        };
+
+        return chordLibrary[category] || [];
+    }
+
+    playChord(chord) {
+        // Get root note and build chord
+        const rootNote = this.currentRootNote + '4'; // Default octave
+        this.playChordNotes(this.buildChordNotes(rootNote, chord.formula));
+    }
+
+    // Play full note names together with a slight stagger, showing them on the keyboard
+    playChordNotes(chordNotes) {
+        const transport = this.audioEngine.transport;
+        const start = this.audioEngine.audioContext.currentTime;
+        
+        chordNotes.forEach((note, index) => {
+            const parsed = MusicTheory.parseNoteName(note);
+            const time = start + index * 0.05; // Slight stagger
+            
+            transport.scheduleAt(time, (when) => {
+                this.audioEngine.playNote(parsed.name, parsed.octave, 0.7, null, when);
+                transport.runAt(when, () => this.piano.pressKey(note));
+                
+                // Release after a short time
+                transport.runAt(when + 1, () => this.piano.releaseKey(note));
+            });
+        });
+    }
+
+    // Parse the chord search box and show the chord's notes
+    searchChord(text) {
+        const resultEl = document.getElementById('chord-search-result');
+        this.searchedChord = text.trim() ? MusicTheory.parseChordSymbol(text) : null;
+        if (!resultEl) return;
+
+        resultEl.innerHTML = '';
+        resultEl.classList.toggle('invalid', Boolean(text.trim()) && !this.searchedChord);
+
+        if (!text.trim()) return;
+        if (!this.searchedChord) {
+            resultEl.textContent = `Can't read "${text.trim()}" as a chord symbol`;
+            return;
+        }
+
+        const symbolEl = document.createElement('span');
+        symbolEl.className = 'chord-symbol';
+        symbolEl.textContent = this.searchedChord.symbol;
+
+        const notesEl = document.createElement('span');
+        notesEl.textContent = this.searchedChord.notes.join(' - ') +
+            (this.searchedChord.bass ? ` (bass ${this.searchedChord.bass})` : '');
+
+        const playBtn = document.createElement('button');
+        playBtn.className = 'chord-btn';
+        playBtn.textContent = '▶ Play';
+        const chord = this.searchedChord;
+        playBtn.addEventListener('click', () => this.playChordSymbol(chord));
+
+        resultEl.append(symbolEl, notesEl, playBtn);
+    }
+
+    // Play a parsed chord symbol (see MusicTheory.parseChordSymbol)
+    playChordSymbol(chord) {
+        const voicing = MusicTheory.getChordSymbolVoicing(chord, 4)
+            .map(note => this.midiToNote(this.noteToMidi(note)));
+        this.playChordNotes(voicing);
+
+        const chordDisplay = document.getElementById('chord-display');
+        if (chordDisplay) {
+            chordDisplay.textContent = chord.symbol;
+        }
+    }
+
+    // Show a pasted lead sheet as bars of playable chord buttons
+    importLeadSheet(text) {
+        const barsEl = document.getElementById('lead-sheet-bars');
+        if (!barsEl) return;
+
+        const bars = MusicTheory.parseLeadSheet(text);
+        barsEl.innerHTML = '';
+
+        bars.forEach(bar => {
+            const barEl = document.createElement('div');
+            barEl.className = 'lead-sheet-bar';
+
+            bar.forEach(entry => {
+                const button = document.createElement('button');
+                button.className = 'chord-btn';
+                button.textContent = entry.symbol;
+
+                if (entry.chord) {
+                    button.title = entry.chord.notes.join(' - ');
+                    button.addEventListener('click', () => this.playChordSymbol(entry.chord));
+                } else if (entry.noChord) {
+                    button.disabled = true;
+                } else {
+                    button.classList.add('invalid');
+                    button.title = 'Unrecognized chord symbol';
+                    button.disabled = true;
+                }
+                barEl.appendChild(button);
+            });
+
+            barsEl.appendChild(barEl);
+        });
+    }
+
+    // Load a plain-text lead sheet file into the import box
+    loadLeadSheetFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const leadSheetInput = document.getElementById('lead-sheet-input');
+            if (leadSheetInput) {
+                leadSheetInput.value = reader.result;
+            }
+            this.importLeadSheet(reader.result);
+        };
+        reader.onerror = () => this.showError('Failed to read lead sheet file');
+        reader.readAsText(file);
+    }
+
+    // Switch between the synth presets and sampled instruments
+    async selectInstrument(value) {
+        const match = /^sample:(\d+)$/.exec(value);
+        if (!match) {
+            // Synth presets bring their own effects (and maybe tuning)
+            try {
+                this.applySynthPreset(value);
+            } catch (error) {
+                console.error('Failed to load preset:', error);
+                this.showError(`Failed to load preset: ${error.message}`);
+            }
+            this.settings.instrument = this.getPresetValue();
+            this.settings.synth = null;
+            this.settings.effects = this.audioEngine.getEffectSettings();
+            this.saveTuningSettings();
+            this.renderEffectsControls();
+            this.renderSynthControls();
+            this.updateInstrumentSelector();
+            return;
+        }
+
+        const entry = this.sampleInstruments[parseInt(match[1])];
+        if (!entry) return;
+
+        try {
+            if (!entry.instrument) {
+                entry.instrument = await SampleInstrument.fromUrl(entry.url, this.audioEngine.audioContext, { name: entry.name });
+            }
+            this.audioEngine.useSampleInstrument(entry.instrument);
+
+            // Only bundled instruments can be reloaded next time
+            if (entry.url) {
+                this.settings.instrument = value;
+                this.saveSettings();
+            }
+        } catch (error) {
+            console.error('Failed to load instrument:', error);
+            this.showError(`Failed to load ${entry.name}`);
+            this.updateInstrumentSelector();
+        }
+    }
+
+    // Load a SoundFont, an SFZ with its samples, or a single sample picked by the user
+    async loadInstrumentFiles(files) {
+        try {
+            const instrument = await this.audioEngine.loadSampleInstrumentFiles(files);
+            this.sampleInstruments.push({ name: instrument.name, url: null, instrument });
+            this.updateInstrumentSelector();
+        } catch (error) {
+            console.error('Failed to load instrument files:', error);
+            this.showError(error.message || 'Failed to load instrument files');
+            this.updateInstrumentSelector();
+        }
+    }
+
+    // Read the list of instruments shipped in assets/instruments
+    async loadBundledInstruments() {
+        try {
+            const response = await fetch('assets/instruments/instruments.json');
+            if (!response.ok) return;
+
+            // The app ships an empty list; entries need at least a file to load
+            const manifest = await response.json();
+            if (!Array.isArray(manifest)) return;
+            manifest.filter(item => item && item.file).forEach(item => {
+                this.sampleInstruments.push({
+                    name: item.name || item.file,
+                    url: `assets/instruments/${item.file}`,
+                    instrument: null
+                });
+            });
+            this.updateInstrumentSelector();
+
+            // Reload a bundled instrument chosen in a previous session
+            if (/^sample:/.test(this.settings.instrument || '')) {
+                this.selectInstrument(this.settings.instrument);
+            }
+        } catch (error) {
+            // Bundled instruments are optional (and unavailable from file://)
+            console.warn('No bundled instruments available');
+        }
+    }
+
+    // Apply a built-in preset by name or a user preset as 'preset:<id>'; unknown ones fall back to piano
+    applySynthPreset(value) {
+        const match = /^preset:(.+)$/.exec(value || '');
+        const preset = match ? this.presetManager.get(match[1]) : null;
+        const factory = AudioEngine.getFactoryPresets();
+
+        if (preset) {
+            this.currentPreset = `preset:${preset.id}`;
+            this.audioEngine.applyPreset(preset.settings);
+        } else {
+            this.currentPreset = factory[value] ? value : 'piano';
+            this.audioEngine.loadPreset(this.currentPreset);
+        }
+    }
+
+    // Selector value of the synth preset in use
+    getPresetValue() {
+        return this.currentPreset || 'piano';
+    }
+
+    // The user preset in use, or null for a built-in one
+    getCurrentUserPreset() {
+        const match = /^preset:(.+)$/.exec(this.getPresetValue());
+        return match ? this.presetManager.get(match[1]) : null;
+    }
+
+    getCurrentPresetName() {
+        const userPreset = this.getCurrentUserPreset();
+        if (userPreset) return userPreset.name;
+        return AudioEngine.getFactoryPresets()[this.getPresetValue()].name;
+    }
+
+    // Preset changes can fail (storage full, bad file); report instead of throwing
+    runPresetAction(action) {
+        try {
+            action();
+        } catch (error) {
+            console.error('Preset action failed:', error);
+            this.showError(error.message || 'Preset action failed');
+        }
+        this.updatePresetControls();
+    }
+
+    // Save the sound to the current user preset; a built-in preset is saved as a new one
+    saveCurrentPreset() {
+        const userPreset = this.getCurrentUserPreset();
+        if (!userPreset) {
+            this.saveCurrentPresetAsNew();
+            return;
+        }
+
+        this.presetManager.update(userPreset.id, this.audioEngine.getPresetSettings());
+        this.presetManager.rename(userPreset.id, this.getPresetNameInput());
+        this.settings.synth = null;
+        this.saveSettings();
+        this.updateInstrumentSelector();
+    }
+
+    saveCurrentPresetAsNew() {
+        const preset = this.presetManager.create(this.getPresetNameInput() || this.getCurrentPresetName(),
+            this.audioEngine.getPresetSettings());
+        this.selectInstrument(`preset:${preset.id}`);
+    }
+
+    renameCurrentPreset() {
+        const userPreset = this.getCurrentUserPreset();
+        if (!userPreset) return;
+
+        this.presetManager.rename(userPreset.id, this.getPresetNameInput());
+        this.updateInstrumentSelector();
+    }
+
+    // Copy the current preset as stored (built-in ones included), leaving unsaved edits out
+    duplicateCurrentPreset() {
+        const userPreset = this.getCurrentUserPreset();
+        const preset = userPreset
+            ? this.presetManager.duplicate(userPreset.id)
+            : this.presetManager.create(`${this.getCurrentPresetName()} Copy`, AudioEngine.getFactoryPresets()[this.getPresetValue()]);
+        this.selectInstrument(`preset:${preset.id}`);
+    }
+
+    deleteCurrentPreset() {
+        const userPreset = this.getCurrentUserPreset();
+        if (!userPreset || !confirm(`Delete the preset "${userPreset.name}"?`)) return;
+
+        this.presetManager.delete(userPreset.id);
+        this.selectInstrument('piano');
+    }
+
+    exportPresets() {
+        if (this.presetManager.presets.length === 0) {
+            throw new Error('No saved presets to export');
+        }
+        const blob = new Blob([this.presetManager.exportJson()], { type: 'application/json' });
+        this.downloadBlob(blob, 'tunelearn-presets.json');
+    }
+
+    importPresets(text) {
+        const imported = this.presetManager.importJson(text);
+        this.selectInstrument(`preset:${imported[0].id}`);
+    }
+
+    getPresetNameInput() {
+        const input = document.getElementById('preset-name');
+        return input ? input.value.trim() : '';
+    }
+
+    // Name field and which actions apply to the current preset
+    updatePresetControls() {
+        const userPreset = this.getCurrentUserPreset();
+        const onSample = this.audioEngine.settings.voice === 'sample';
+
+        const presetName = document.getElementById('preset-name');
+        if (presetName) presetName.value = this.getCurrentPresetName();
+
+        ['preset-rename', 'preset-delete'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !userPreset;
+        });
+        ['preset-save', 'preset-save-new', 'preset-duplicate'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = onSample;
+        });
+        const exportButton = document.getElementById('preset-export');
+        if (exportButton) exportButton.disabled = this.presetManager.presets.length === 0;
+    }
+
+    // Parameter editor for the oscillator voice
+    renderSynthControls() {
+        const container = document.getElementById('synth-controls');
+        if (!container) return;
+
+        container.innerHTML = '';
+        Object.entries(SYNTH_PARAMETERS).forEach(([name, spec]) => {
+            container.appendChild(this.createParamControl(spec, this.audioEngine.settings[name], (value) => {
+                this.audioEngine.setSynthParameter(name, value);
+                this.saveSynthSettings();
+            }));
+        });
+    }
+
+    // Unsaved edits survive a reload on top of the chosen preset
+    saveSynthSettings() {
+        const { waveform, attack, decay, sustain, release, filterType, filterFrequency, filterQ } = this.audioEngine.settings;
+        this.settings.synth = { waveform, attack, decay, sustain, release, filterType, filterFrequency, filterQ };
+        this.saveSettings();
+    }
+
+    // Rebuild the sample list and select whatever the audio engine is playing
+    updateInstrumentSelector() {
+        const select = document.getElementById('instrument-select');
+        const samplesGroup = document.getElementById('instrument-samples');
+        if (!select || !samplesGroup) return;
+
+        const presetsGroup = document.getElementById('instrument-presets');
+        if (presetsGroup) {
+            presetsGroup.innerHTML = '';
+            this.presetManager.getPresetList().filter(preset => !preset.factory).forEach(preset => {
+                presetsGroup.appendChild(new Option(preset.name, preset.value));
+            });
+            presetsGroup.hidden = this.presetManager.presets.length === 0;
+        }
+
+        samplesGroup.innerHTML = '';
+        this.sampleInstruments.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = `sample:${index}`;
+            option.textContent = entry.name;
+            samplesGroup.appendChild(option);
+        });
+        samplesGroup.hidden = this.sampleInstruments.length === 0;
+
+        const engine = this.audioEngine;
+        const activeIndex = this.sampleInstruments.findIndex(entry => entry.instrument === engine.sampleInstrument);
+        if (engine.settings.voice === 'sample' && activeIndex !== -1) {
+            select.value = `sample:${activeIndex}`;
+        } else {
+            select.value = this.getPresetValue();
+        }
+        this.updatePresetControls();
+    }
+
+    // Build a bypass toggle and parameter controls for each master effect
+    renderEffectsControls() {
+        const container = document.getElementById('effects-controls');
+        if (!container) return;
+
+        const effects = this.audioEngine.effects;
+        const settings = effects.getSettings();
+        container.innerHTML = '';
+
+        Object.entries(EFFECT_PARAMETERS).forEach(([name, definition]) => {
+            const unit = document.createElement('div');
+            unit.className = 'effect-unit';
+            unit.classList.toggle('bypassed', !settings[name].enabled);
+
+            const header = document.createElement('label');
+            header.className = 'effect-header';
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = settings[name].enabled;
+            toggle.addEventListener('change', () => {
+                effects.setEnabled(name, toggle.checked);
+                unit.classList.toggle('bypassed', !toggle.checked);
+                this.saveEffectSettings();
+            });
+            header.appendChild(toggle);
+            header.appendChild(document.createTextNode(definition.label));
+            unit.appendChild(header);
+
+            Object.entries(definition.params).forEach(([param, spec]) => {
+                unit.appendChild(this.createParamControl(spec, settings[name][param], (value) => {
+                    effects.setParameter(name, param, value);
+                    this.saveEffectSettings();
+                }));
+            });
+
+            if (name === 'reverb') {
+                unit.appendChild(this.createImpulseControls(settings.reverb.impulse));
+            }
+            container.appendChild(unit);
+        });
+    }
+
+    // Labelled select (spec.options) or slider (spec.min/max/step/unit) calling onChange(value)
+    createParamControl(spec, value, onChange) {
+        const row = document.createElement('label');
+        row.className = 'effect-param';
+        row.appendChild(document.createTextNode(spec.label));
+
+        const valueEl = document.createElement('span');
+        valueEl.className = 'effect-value';
+
+        let input;
+        if (spec.options) {
+            input = document.createElement('select');
+            input.className = 'control-select';
+            spec.options.forEach(option => input.add(new Option(option, option)));
+            input.value = value;
+            input.addEventListener('change', () => onChange(input.value));
+        } else {
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = spec.min;
+            input.max = spec.max;
+            input.step = spec.step;
+            input.value = value;
+            valueEl.textContent = `${value}${spec.unit ? ' ' + spec.unit : ''}`;
+            input.addEventListener('input', () => {
+                const number = parseFloat(input.value);
+                valueEl.textContent = `${number}${spec.unit ? ' ' + spec.unit : ''}`;
+                onChange(number);
+            });
+        }
+
+        row.appendChild(input);
+        row.appendChild(valueEl);
+        return row;
+    }
+
+    // Impulse response choice for the reverb: generated, or one loaded from a file
+    createImpulseControls(current) {
+        const effects = this.audioEngine.effects;
+        const wrapper = document.createElement('div');
+
+        const row = document.createElement('label');
+        row.className = 'effect-param';
+        row.appendChild(document.createTextNode('Impulse'));
+        const select = document.createElement('select');
+        select.className = 'control-select';
+        select.add(new Option('Generated', 'generated'));
+        effects.impulses.forEach((buffer, impulseName) => select.add(new Option(impulseName, impulseName)));
+        select.value = effects.impulses.has(current) ? current : 'generated';
+        select.addEventListener('change', () => {
+            effects.setParameter('reverb', 'impulse', select.value);
+            this.saveEffectSettings();
+        });
+        row.appendChild(select);
+        row.appendChild(document.createElement('span'));
+        wrapper.appendChild(row);
+
+        const loadButton = document.createElement('label');
+        loadButton.className = 'btn';
+        loadButton.textContent = 'Load Impulse';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.wav,.flac,.ogg,.mp3,audio/*';
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                await effects.loadImpulse(file.name, await file.arrayBuffer());
+                this.saveEffectSettings();
+                this.renderEffectsControls();
+            } catch (error) {
+                console.error('Failed to load impulse response:', error);
+                this.showError(`Could not load ${file.name} as an impulse response`);
+            }
+        });
+        loadButton.appendChild(fileInput);
+        wrapper.appendChild(loadButton);
+
+        return wrapper;
+    }
+
+    async loadScalaFiles(files) {
+        try {
+            await this.audioEngine.loadScalaFiles(files);
+            this.saveTuningSettings();
+        } catch (error) {
+            console.error('Failed to load Scala files:', error);
+            this.showError(error.message || 'Failed to load Scala files');
+            this.updateTuningControls();
+        }
+    }
+
+    // Show the current tuning; a loaded Scala file appears as its own choice
+    updateTuningControls() {
+        const tuning = this.audioEngine.tuning;
+        const { temperament, tonic, referencePitch } = tuning.settings;
+
+        const temperamentSelect = document.getElementById('temperament-select');
+        if (temperamentSelect) {
+            const scalaOption = temperamentSelect.querySelector('option[value="scala"]');
+            scalaOption.hidden = !tuning.scale;
+            scalaOption.textContent = tuning.scale ? `Scala: ${tuning.getName()}` : 'Scala file';
+            temperamentSelect.value = tuning.scale ? 'scala' : temperament;
+        }
+
+        // The tonic and reference don't apply to a Scala scale with its own keyboard mapping
+        const tuningTonic = document.getElementById('tuning-tonic');
+        if (tuningTonic) {
+            tuningTonic.value = tonic;
+            tuningTonic.disabled = !!tuning.scale;
+        }
+        const referenceSelect = document.getElementById('reference-pitch');
+        if (referenceSelect) {
+            if (!referenceSelect.querySelector(`option[value="${referencePitch}"]`)) {
+                const option = document.createElement('option');
+                option.value = referencePitch;
+                option.textContent = `A4 = ${referencePitch} Hz`;
+                referenceSelect.appendChild(option);
+            }
+            referenceSelect.value = referencePitch;
+            referenceSelect.disabled = !!tuning.mapping;
+        }
+    }
+
+    saveTuningSettings() {
+        this.settings.tuning = this.audioEngine.tuning.getSettings();
+        this.saveSettings();
+        this.updateTuningControls();
+    }
+
+    saveEffectSettings() {
+        this.settings.effects = this.audioEngine.getEffectSettings();
+        this.saveSettings();
+    }
+
+    // Show how many voices are sounding against the polyphony limit
+    updateVoiceCount(counts) {
+        const voiceCount = document.getElementById('voice-count');
+        if (!voiceCount || !counts) return;
+
+        voiceCount.textContent = `${counts.total}/${counts.max}`;
+        voiceCount.title = `Held ${counts.held}, releasing ${counts.release}, stolen so far ${counts.stolen}`;
+        voiceCount.classList.toggle('full', counts.total >= counts.max);
+    }
+
+    // Keep typing in a text field from playing the computer keyboard piano
+    isolateTextInput(element) {
+        element.addEventListener('keydown', (e) => e.stopPropagation());
+        element.addEventListener('keyup', (e) => e.stopPropagation());
+    }
+
+    buildChordNotes(rootNote, formula) {
+        const rootMidi = this.noteToMidi(rootNote);
+        return formula.map(interval => this.midiToNote(rootMidi + interval));
+    }
+
+    noteToMidi(note) {
+        const parsed = MusicTheory.parseNoteName(note);
+        return parsed ? MusicTheory.noteToMidi(parsed.name, parsed.octave) : null;
+    }
+
+    midiToNote(midiNote) {
+        const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const octave = Math.floor(midiNote / 12) - 1;
+        const noteIndex = midiNote % 12;
+        return notes[noteIndex] + octave;
+    }
+
+    generateRandomChord() {
+        const categories = ['triads', 'sevenths', 'extended', 'sus'];
+        const randomCategory = categories[Math.floor(Math.random() * categories.length)];
+        const chords = this.getChordsByCategory(randomCategory);
+        const randomChord = chords[Math.floor(Math.random() * chords.length)];
+        
+        // Update display
+        const chordDisplay = document.getElementById('chord-display');
+        if (chordDisplay) {
+            chordDisplay.textContent = `Practice: ${this.currentRootNote} ${randomChord.name}`;
+        }
+        
+        this.playChord(randomChord);
+    }
+
+    toggleMetronome() {
+        const running = this.metronome.toggle();
+        this.updateMetronomeButton();
+        if (!running) {
+            this.showBeat(null);
+        }
+    }
+
+    updateMetronomeButton() {
+        const button = document.getElementById('metronome-toggle');
+        if (!button) return;
+
+        button.textContent = `Metronome: ${this.metronome.isPlaying ? 'ON' : 'OFF'}`;
+        button.classList.toggle('active', this.metronome.isPlaying);
+    }
+
+    // One dot per beat of the bar; clicking a dot cycles its accent
+    renderBeatIndicator() {
+        const indicator = document.getElementById('beat-indicator');
+        if (!indicator) return;
+
+        indicator.innerHTML = '';
+        this.metronome.getAccents().forEach((accent, index) => {
+            const dot = document.createElement('button');
+            dot.className = `beat-dot accent-${accent}`;
+            dot.title = `Beat ${index + 1}: ${accent}`;
+            dot.addEventListener('click', () => {
+                this.metronome.cycleAccent(index);
+                this.renderBeatIndicator();
+                this.saveMetronomeSettings();
+            });
+            indicator.appendChild(dot);
+        });
+    }
+
+    // Light up the beat that is sounding (null clears it)
+    showBeat(beatIndex) {
+        const dots = document.querySelectorAll('#beat-indicator .beat-dot');
+        if (beatIndex !== null && dots.length !== this.metronome.settings.beatsPerBar) {
+            this.renderBeatIndicator();
+            return this.showBeat(beatIndex);
+        }
+        dots.forEach((dot, index) => dot.classList.toggle('active', index === beatIndex));
+    }
+
+    updateTempoDisplay(bpm) {
+        const bpmSlider = document.getElementById('bpm');
+        if (bpmSlider) bpmSlider.value = bpm;
+        const bpmDisplay = document.getElementById('bpm-display');
+        if (bpmDisplay) bpmDisplay.textContent = bpm;
+    }
+
+    // Show the metronome's meter, adding it to the list if it isn't there (e.g. from a MIDI file)
+    updateTimeSignatureSelect() {
+        const select = document.getElementById('time-signature');
+        if (!select) return;
+
+        const { beatsPerBar, beatUnit } = this.metronome.settings;
+        const value = `${beatsPerBar}/${beatUnit}`;
+        if (!select.querySelector(`option[value="${value}"]`)) {
+            select.appendChild(new Option(value, value));
+        }
+        select.value = value;
+    }
+
+    updateSwingDisplay() {
+        const swingDisplay = document.getElementById('swing-display');
+        if (swingDisplay) swingDisplay.textContent = `${this.metronome.settings.swing}%`;
+    }
+
+    updateTapMidiButton() {
+        const button = document.getElementById('tap-midi-learn');
+        if (!button) return;
+
+        if (this.tapMidiLearning) {
+            button.textContent = 'MIDI Tap: play a note...';
+        } else {
+            button.textContent = `MIDI Tap: ${this.settings.tapMidiNote || 'OFF'}`;
+        }
+        button.classList.toggle('active', this.tapMidiLearning || !!this.settings.tapMidiNote);
+    }
+
+    // MIDI notes used for tap tempo don't play; returns true if the note was taken
+    handleTapNote(note) {
+        if (this.tapMidiLearning) {
+            this.tapMidiLearning = false;
+            this.settings.tapMidiNote = note;
+            this.saveSettings();
+            this.updateTapMidiButton();
+            return true;
+        }
+        if (note === this.settings.tapMidiNote) {
+            this.metronome.tap();
+            return true;
+        }
+        return false;
+    }
+
+    saveMetronomeSettings() {
+        const { bpm, beatsPerBar, beatUnit, accents, subdivision, swing, countInBars } = this.metronome.settings;
+        this.settings.metronome = { bpm, beatsPerBar, beatUnit, accents, subdivision, swing, countInBars };
+        this.saveSettings();
+        this.updatePianoRollGrid();
+    }
+
+    // Start recording after the count-in (if one is set), or stop and save the take
+    async toggleRecording() {
+        if (this.isCountingIn) return;
+
+        if (this.audioEngine.recording.isRecording) {
+            const events = this.audioEngine.stopRecording();
+            this.updateRecordingButtons();
+            if (events.length > 0) {
+                this.setRecording([...events]);
+                await this.saveTake(this.lastRecording);
+            }
+        } else {
+            this.audioEngine.stopPlayback();
+            this.clearPlaybackNotes();
+
+            // The take starts on the downbeat after the count-in
+            this.isCountingIn = true;
+            this.updateRecordingButtons();
+            try {
+                const downbeat = await this.metronome.countIn();
+                this.audioEngine.startRecording(downbeat);
+            } catch (error) {
+                // Another count-in took over before this one finished; don't record
+                console.warn('Recording not started:', error.message);
+            }
+            this.isCountingIn = false;
+        }
+        this.updateRecordingButtons();
+    }
+
+    updateRecordingButtons() {
+        const recording = this.audioEngine.recording.isRecording;
+        const hasTake = !!this.lastRecording && !recording;
+
+        const recordToggle = document.getElementById('record-toggle');
+        if (recordToggle) {
+            recordToggle.textContent = this.isCountingIn ? 'Counting in...' : (recording ? 'Stop' : 'Record');
+            recordToggle.classList.toggle('active', recording || this.isCountingIn);
+        }
+        const playingBack = this.audioEngine.isPlayingBack;
+        const playbackBtn = document.getElementById('playback-btn');
+        if (playbackBtn) {
+            playbackBtn.disabled = !hasTake && !playingBack;
+            playbackBtn.textContent = playingBack ? 'Stop Playback' : 'Playback';
+            playbackBtn.classList.toggle('active', playingBack);
+        }
+        ['loop-set-start', 'loop-set-end'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !playingBack;
+        });
+        const exportWav = document.getElementById('export-wav');
+        if (exportWav) {
+            exportWav.disabled = !hasTake || this.isRenderingWav;
+            exportWav.textContent = this.isRenderingWav ? 'Rendering...' : 'Export WAV';
+        }
+        const exportMidi = document.getElementById('export-midi');
+        if (exportMidi) exportMidi.disabled = !hasTake;
+    }
+
+    // Render the last recording offline and download it as a WAV file
+    async exportRecordingWav() {
+        if (!this.lastRecording || this.isRenderingWav) return;
+
+        const bitDepthSelect = document.getElementById('wav-bit-depth');
+        const bitDepth = bitDepthSelect ? parseInt(bitDepthSelect.value) : 16;
+
+        this.isRenderingWav = true;
+        this.updateRecordingButtons();
+        try {
+            const blob = await this.audioEngine.renderToWav(this.lastRecording, { bitDepth });
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+            this.downloadBlob(blob, `tunelearn-${stamp}.wav`);
+        } catch (error) {
+            this.showError(`Could not render WAV: ${error.message}`);
+        } finally {
+            this.isRenderingWav = false;
+            this.updateRecordingButtons();
+        }
+    }
+
+    // Save the last recording as a Standard MIDI File at the metronome's tempo and meter
+    exportRecordingMidi() {
+        if (!this.lastRecording) return;
+
+        const formatSelect = document.getElementById('midi-format');
+        const { bpm, beatsPerBar, beatUnit } = this.metronome.settings;
+        const bytes = MidiFile.write(this.lastRecording, {
+            format: formatSelect ? parseInt(formatSelect.value) : 1,
+            bpm, beatsPerBar, beatUnit
+        });
+
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+        this.downloadBlob(new Blob([bytes], { type: 'audio/midi' }), `tunelearn-${stamp}.mid`);
+    }
+
+    // Load a .mid file as the recording, taking on its tempo and meter
+    async importMidiFile(file) {
+        try {
+            const midi = MidiFile.parse(await file.arrayBuffer());
+            if (midi.events.length === 0) {
+                throw new Error('The MIDI file has no notes');
+            }
+
+            this.audioEngine.stopPlayback();
+            this.clearPlaybackNotes();
+            this.setRecording(midi.events);
+            await this.saveTake(midi.events, midi.name || file.name.replace(/\.midi?$/i, ''));
+
+            this.metronome.setTimeSignature(midi.beatsPerBar, midi.beatUnit);
+            this.metronome.setTempo(midi.bpm);
+            this.updateTimeSignatureSelect();
+            this.renderBeatIndicator();
+            this.saveMetronomeSettings();
+        } catch (error) {
+            console.error('Failed to import MIDI file:', error);
+            this.showError(`Could not import ${file.name}: ${error.message}`);
+        }
+        this.updateRecordingButtons();
+    }
+
+    // Make events the current recording; a new recording's loop covers all of it
+    setRecording(events, keepLoop = false) {
+        this.lastRecording = events;
+        this.updateMuteOptions(events);
+
+        const duration = Math.ceil(TakeLibrary.getDuration(events) / 100) / 10;
+        const loopStart = document.getElementById('loop-start');
+        const loopEnd = document.getElementById('loop-end');
+        if (loopStart && loopEnd) {
+            loopStart.max = duration;
+            loopEnd.max = duration;
+            if (!keepLoop || parseFloat(loopEnd.value) > duration || !(parseFloat(loopEnd.value) > 0)) {
+                loopStart.value = 0;
+                loopEnd.value = duration;
+            }
+        }
+        this.updateLoopRegion();
+        this.updateRecordingButtons();
+    }
+
+    // Play events back with the practice settings; resolves with the audio time playback starts at
+    async playRecording(events) {
+        if (!events) return null;
+
+        this.clearPlaybackNotes();
+        if (this.pianoRoll) this.pianoRoll.stopPlayhead();
+
+        const { speed, ...options } = this.getPlaybackOptions();
+        const start = await this.audioEngine.playbackRecording(events, speed, options);
+        this.updatePlaybackSpeedDisplay();
+        this.updateRecordingButtons();
+        return start;
+    }
+
+    stopRecordingPlayback() {
+        this.audioEngine.stopPlayback();
+        this.clearPlaybackNotes();
+        if (this.pianoRoll) this.pianoRoll.stopPlayhead();
+        this.updatePlaybackSpeedDisplay();
+        this.updateRecordingButtons();
+    }
+
+    // Speed, loop region, speed-up and muted part from the playback controls
+    getPlaybackOptions() {
+        const value = (id, fallback) => {
+            const element = document.getElementById(id);
+            const number = element ? parseFloat(element.value) : NaN;
+            return isNaN(number) ? fallback : number;
+        };
+        const loopToggle = document.getElementById('loop-toggle');
+        const muteSelect = document.getElementById('playback-mute');
+
+        const speed = Math.max(25, Math.min(200, value('playback-speed', 100))) / 100;
+        const target = Math.max(25, Math.min(200, value('speed-target', 100))) / 100;
+        return {
+            speed,
+            loop: !!(loopToggle && loopToggle.checked),
+            loopStart: value('loop-start', 0) * 1000,
+            loopEnd: value('loop-end', 0) * 1000,
+            speedStep: value('speed-step', 0) / 100,
+            maxSpeed: Math.max(speed, target),
+            mute: this.getMuteFilter(muteSelect ? muteSelect.value : '')
+        };
+    }
+
+    // Which events a muted part covers: 'left' or 'right' hand (split at middle C),
+    // or 'track:N' / 'channel:N' from an imported MIDI file
+    getMuteFilter(part) {
+        if (!part) return null;
+
+        if (part === 'left' || part === 'right') {
+            return (event) => (event.type === 'noteOn' || event.type === 'noteOff') &&
+                (MusicTheory.noteToMidi(event.note, event.octave) < this.handSplit) === (part === 'left');
+        }
+        const [kind, number] = part.split(':');
+        return (event) => event[kind] === parseInt(number);
+    }
+
+    // Offer each track (or channel) of a multi-part recording alongside the hands
+    updateMuteOptions(events) {
+        const select = document.getElementById('playback-mute');
+        if (!select) return;
+
+        const previous = select.value;
+        select.querySelectorAll('option[data-part]').forEach(option => option.remove());
+
+        const noteOns = events.filter(event => event.type === 'noteOn');
+        const distinct = (key) => [...new Set(noteOns.map(event => event[key]).filter(value => value !== undefined))].sort((a, b) => a - b);
+        const tracks = distinct('track');
+        const channels = distinct('channel');
+        const parts = tracks.length > 1
+            ? tracks.map(track => [`track:${track}`, `Track ${track + 1}`])
+            : channels.length > 1 ? channels.map(channel => [`channel:${channel}`, `Channel ${channel + 1}`]) : [];
+
+        parts.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.dataset.part = 'true';
+            select.appendChild(option);
+        });
+        select.value = [...select.options].some(option => option.value === previous) ? previous : '';
+    }
+
+    // Set a loop point to where playback has got to, keeping A before B
+    setLoopPoint(id) {
+        const position = this.audioEngine.getPlaybackPosition();
+        const input = document.getElementById(id);
+        if (position === null || !input) return;
+
+        input.value = (Math.round(position / 100) / 10).toFixed(1);
+        const loopStart = document.getElementById('loop-start');
+        const loopEnd = document.getElementById('loop-end');
+        if (parseFloat(loopStart.value) > parseFloat(loopEnd.value)) {
+            [loopStart.value, loopEnd.value] = [loopEnd.value, loopStart.value];
+        }
+        this.updateLoopRegion();
+    }
+
+    // Show the loop region in the piano roll
+    updateLoopRegion() {
+        if (!this.pianoRoll) return;
+
+        const { loop, loopStart, loopEnd } = this.getPlaybackOptions();
+        this.pianoRoll.setLoop(loop && loopEnd > loopStart ? { start: loopStart, end: loopEnd } : null);
+    }
+
+    // Speed as set, or the speed a speeding-up loop has reached
+    updatePlaybackSpeedDisplay(speed = null, pass = 0) {
+        const display = document.getElementById('playback-speed-display');
+        if (!display) return;
+
+        const slider = document.getElementById('playback-speed');
+        const percent = speed !== null ? Math.round(speed * 100) : (slider ? parseInt(slider.value) : 100);
+        display.textContent = pass > 0 ? `${percent}% (loop ${pass + 1})` : `${percent}%`;
     }
 
-    updateChordDetection() {
-        const noteArray = Array.from(this.activeNotes);
-        if (noteArray.length >= 2) {
-            const detectedChord = this.chordDetector.analyzeChord(noteArray);
-            if (detectedChord) {
-                this.displayChordInfo(detectedChord);
-            } else {
-                this.clearChordInfo();
-            }
-        } else {
-            this.clearChordInfo();
-        }
+    savePlaybackSettings() {
+        const { speed, speedStep, maxSpeed } = this.getPlaybackOptions();
+        this.settings.playback = {
+            speed: Math.round(speed * 100),
+            speedStep: Math.round(speedStep * 100),
+            speedTarget: Math.round(maxSpeed * 100)
+        };
+        this.saveSettings();
     }
 
-    displayChordInfo(chord) {
-        const chordDisplay = document.getElementById('chord-display');
-        if (chordDisplay) {
-            chordDisplay.textContent = chord.name || 'Unknown Chord';
+    // Take library
+
+    // Save a recording to the library with the tempo, meter and sound it was made with
+    async saveTake(events, name = null) {
+        const { bpm, beatsPerBar, beatUnit } = this.metronome.settings;
+        try {
+            const take = await this.takeLibrary.saveTake(events, {
+                name, tempo: bpm, beatsPerBar, beatUnit, preset: this.getInstrumentName()
+            });
+            this.currentTakeId = take.id;
+        } catch (error) {
+            console.error('Failed to save take:', error);
+            this.showError(`Take not saved: ${error.message}`);
         }
+        await this.renderTakeList();
     }
 
-    clearChordInfo() {
-        const chordDisplay = document.getElementById('chord-display');
-        if (chordDisplay) {
-            chordDisplay.textContent = 'Play some notes...';
+    // Name of the sound in use, for labelling takes
+    getInstrumentName() {
+        const engine = this.audioEngine;
+        if (engine.settings.voice === 'sample' && engine.sampleInstrument) {
+            return engine.sampleInstrument.name;
         }
+        return this.getCurrentPresetName();
     }
 
-    selectScale(scaleName) {
-        if (!scaleName) {
-            this.currentScale = null;
-            this.clearScaleHighlight();
+    // List every take with rename, replay, duplicate, delete and a compare checkbox
+    async renderTakeList() {
+        const list = document.getElementById('take-list');
+        if (!list) return;
+
+        let takes;
+        try {
+            takes = await this.takeLibrary.getTakes();
+        } catch (error) {
+            list.innerHTML = '';
+            const message = document.createElement('li');
+            message.className = 'take-empty';
+            message.textContent = error.message;
+            list.appendChild(message);
             return;
         }
 
-        this.currentScale = {
-            name: scaleName,
-            notes: MusicTheory.getScale(this.currentRootNote, scaleName)
+        // Forget checked takes that have been deleted, and close the editor on one
+        this.compareTakeIds = this.compareTakeIds.filter(id => takes.some(take => take.id === id));
+        if (this.editingTakeId && !takes.some(take => take.id === this.editingTakeId)) {
+            this.closePianoRoll(true);
+        }
+
+        list.innerHTML = '';
+        if (takes.length === 0) {
+            const message = document.createElement('li');
+            message.className = 'take-empty';
+            message.textContent = 'No takes yet: press Record to capture one.';
+            list.appendChild(message);
+        }
+        takes.forEach(take => list.appendChild(this.createTakeItem(take)));
+
+        this.updateCompareButton();
+        await this.updateTakeStorage(takes.length);
+    }
+
+    createTakeItem(take) {
+        const item = document.createElement('li');
+        item.className = 'take-item';
+        item.classList.toggle('current', take.id === this.currentTakeId);
+        item.dataset.takeId = take.id;
+
+        const compare = document.createElement('input');
+        compare.type = 'checkbox';
+        compare.title = 'Check two takes to compare them';
+        compare.checked = this.compareTakeIds.includes(take.id);
+        compare.addEventListener('change', () => {
+            this.compareTakeIds = this.compareTakeIds.filter(id => id !== take.id);
+            if (compare.checked) {
+                // Comparing two at a time: checking a third drops the oldest choice
+                this.compareTakeIds.push(take.id);
+                if (this.compareTakeIds.length > 2) {
+                    const dropped = this.compareTakeIds.shift();
+                    const droppedBox = document.querySelector(`.take-item[data-take-id="${dropped}"] input[type="checkbox"]`);
+                    if (droppedBox) droppedBox.checked = false;
+                }
+            }
+            this.updateCompareButton();
+        });
+        item.appendChild(compare);
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'take-name';
+        name.value = take.name;
+        name.maxLength = 80;
+        name.spellcheck = false;
+        this.isolateTextInput(name);
+        name.addEventListener('change', () => this.runTakeAction(() => this.takeLibrary.renameTake(take.id, name.value)));
+        item.appendChild(name);
+
+        const details = document.createElement('span');
+        details.className = 'take-details';
+        details.textContent = [
+            new Date(take.date).toLocaleString(),
+            this.formatDuration(take.duration),
+            take.tempo ? `${take.tempo} BPM` : null,
+            take.preset
+        ].filter(Boolean).join(' · ');
+        item.appendChild(details);
+
+        const actions = {
+            Play: () => this.playTake(take),
+            Edit: () => this.editTake(take),
+            Duplicate: () => this.runTakeAction(() => this.takeLibrary.duplicateTake(take.id)),
+            Delete: () => {
+                if (confirm(`Delete "${take.name}"?`)) {
+                    this.runTakeAction(() => this.takeLibrary.deleteTake(take.id));
+                }
+            }
         };
+        Object.entries(actions).forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.className = 'btn';
+            button.textContent = label;
+            button.addEventListener('click', action);
+            item.appendChild(button);
+        });
 
-        this.updateScaleHighlight();
-        this.updateScaleNotesDisplay();
+        return item;
     }
 
-    selectRootNote(rootNote) {
-        this.currentRootNote = rootNote;
-        if (this.currentScale) {
-            this.currentScale.notes = MusicTheory.getScale(rootNote, this.currentScale.name);
-            this.updateScaleHighlight();
-            this.updateScaleNotesDisplay();
+    // Library changes can fail (quota, blocked storage); report them and refresh the list
+    async runTakeAction(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error('Take action failed:', error);
+            this.showError(error.message || 'Take action failed');
         }
+        await this.renderTakeList();
     }
 
-    updateScaleHighlight() {
-        if (this.currentScale && this.piano) {
-            this.piano.highlightScale(this.currentScale.notes);
-            if (this.scaleLockEnabled) {
-                this.piano.setScaleLock(this.currentScale.notes);
-            }
-        } else {
-            this.clearScaleHighlight();
-        }
+    // Make a take the current recording and play it back
+    playTake(take) {
+        // Replaying the same take keeps its loop points
+        this.setRecording(take.events, take.id === this.currentTakeId);
+        this.currentTakeId = take.id;
+        document.querySelectorAll('.take-item').forEach(item => {
+            item.classList.toggle('current', item.dataset.takeId === take.id);
+        });
+        this.playRecording(take.events);
     }
 
-    clearScaleHighlight() {
-        if (this.piano) {
-            this.piano.clearHighlight();
-            this.piano.setScaleLock(null);
-        }
+    updateCompareButton() {
+        const button = document.getElementById('take-compare');
+        if (button) button.disabled = this.compareTakeIds.length !== 2;
     }
 
-    updateScaleNotesDisplay() {
-        const scaleNotesEl = document.getElementById('scale-notes');
-        if (scaleNotesEl && this.currentScale) {
-            scaleNotesEl.textContent = this.currentScale.notes.join(', ');
-        } else if (scaleNotesEl) {
-            scaleNotesEl.textContent = 'Select a scale...';
+    // Side-by-side figures for the two checked takes
+    async compareTakes() {
+        const container = document.getElementById('take-comparison');
+        if (!container || this.compareTakeIds.length !== 2) return;
+
+        try {
+            const takes = await Promise.all(this.compareTakeIds.map(id => this.takeLibrary.getTake(id)));
+            if (takes.some(take => !take)) throw new Error('A take to compare was deleted');
+
+            const stats = takes.map(take => TakeLibrary.getStats(take));
+            const rows = [
+                ['Date', takes.map(take => new Date(take.date).toLocaleString())],
+                ['Duration', stats.map(stat => this.formatDuration(stat.duration))],
+                ['Tempo', takes.map(take => take.tempo ? `${take.tempo} BPM` : '-')],
+                ['Sound', takes.map(take => take.preset || '-')],
+                ['Notes', stats.map(stat => stat.notes)],
+                ['Notes per minute', stats.map(stat => Math.round(stat.notesPerMinute))],
+                ['Average velocity', stats.map(stat => Math.round(stat.averageVelocity * 127))],
+                ['Velocity range', stats.map(stat => Math.round(stat.velocityRange * 127))],
+                ['Average note length', stats.map(stat => `${Math.round(stat.averageNoteLength)} ms`)],
+                ['Range', stats.map(stat => stat.lowestNote ? `${stat.lowestNote} – ${stat.highestNote}` : '-')]
+            ];
+
+            const table = document.createElement('table');
+            const header = table.insertRow();
+            ['', ...takes.map(take => take.name)].forEach(text => {
+                const cell = document.createElement('th');
+                cell.textContent = text;
+                header.appendChild(cell);
+            });
+            rows.forEach(([label, values]) => {
+                const row = table.insertRow();
+                const labelCell = document.createElement('th');
+                labelCell.textContent = label;
+                row.appendChild(labelCell);
+                values.forEach(value => { row.insertCell().textContent = value; });
+            });
+
+            // Listen to each take straight from the comparison
+            const playRow = table.insertRow();
+            playRow.appendChild(document.createElement('th'));
+            takes.forEach(take => {
+                const button = document.createElement('button');
+                button.className = 'btn';
+                button.textContent = 'Play';
+                button.addEventListener('click', () => this.playTake(take));
+                playRow.insertCell().appendChild(button);
+            });
+
+            container.innerHTML = '';
+            container.appendChild(table);
+            container.hidden = false;
+        } catch (error) {
+            console.error('Failed to compare takes:', error);
+            this.showError(error.message || 'Failed to compare takes');
         }
     }
 
-    isNoteInCurrentScale(noteClass) {
-        if (!this.currentScale) return true;
-        return this.currentScale.notes.includes(noteClass);
+    // Piano roll
+
+    // Open a take in the piano roll
+    editTake(take) {
+        if (!this.closePianoRoll()) return;
+
+        const panel = document.getElementById('piano-roll-panel');
+        if (panel) panel.hidden = false;
+        const title = document.getElementById('piano-roll-title');
+        if (title) title.textContent = `Edit: ${take.name}`;
+
+        this.editingTakeId = take.id;
+        this.pianoRollEdited = false;
+        this.updatePianoRollGrid();
+        this.pianoRoll.load(take.events);
+        this.updatePianoRollButtons();
+        if (this.pianoRoll.canvas) this.pianoRoll.canvas.focus();
     }
 
-    populateScaleSelector() {
-        const scaleSelector = document.getElementById('scale-select');
-        if (!scaleSelector) return;
+    // Close the editor, asking first if there are unsaved edits; returns false if kept open
+    closePianoRoll(force = false) {
+        if (!this.editingTakeId) return true;
+        if (!force && this.pianoRollEdited && !confirm('Discard the unsaved edits to this take?')) return false;
+
+        this.audioEngine.stopPlayback();
+        this.clearPlaybackNotes();
+        this.pianoRoll.stopPlayhead();
+        this.editingTakeId = null;
+        this.pianoRollEdited = false;
 
-        // Scale options are already in the HTML
+        const panel = document.getElementById('piano-roll-panel');
+        if (panel) panel.hidden = true;
+        return true;
     }
 
-    populateChordLibrary() {
-        const chordButtons = document.getElementById('chord-buttons');
-        if (!chordButtons) return;
+    // Grid from the metronome's tempo and meter, divided as the grid select says
+    updatePianoRollGrid() {
+        if (!this.pianoRoll) return;
 
-        this.selectChordCategory('triads'); // Default to triads
+        const { bpm, beatsPerBar } = this.metronome.settings;
+        const gridSelect = document.getElementById('piano-roll-grid');
+        const division = gridSelect ? parseInt(gridSelect.value) || 4 : 4;
+        this.pianoRoll.setGrid({ bpm, beatsPerBar, division });
     }
 
-    selectChordCategory(category) {
-        // Update active category button
-        document.querySelectorAll('.chord-category').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        const categoryBtn = document.querySelector(`[data-category="${category}"]`);
-        if (categoryBtn) {
-            categoryBtn.classList.add('active');
-        }
+    handlePianoRollChange() {
+        this.pianoRollEdited = true;
+        this.updatePianoRollButtons();
+        this.updatePianoRollSelection(this.pianoRoll.getSelectedNotes());
+    }
 
-        // Update chord buttons
-        const chordButtons = document.getElementById('chord-buttons');
-        chordButtons.innerHTML = '';
+    updatePianoRollButtons() {
+        const saveBtn = document.getElementById('piano-roll-save');
+        if (saveBtn) saveBtn.disabled = !this.pianoRollEdited;
+        const undoBtn = document.getElementById('piano-roll-undo');
+        if (undoBtn) undoBtn.disabled = this.pianoRoll.history.length === 0;
+    }
 
-        const chords = this.getChordsByCategory(category);
-        chords.forEach(chord => {
-            const button = document.createElement('button');
-            button.className = 'chord-btn';
-            button.textContent = chord.name;
-            button.addEventListener('click', () => this.playChord(chord));
-            chordButtons.appendChild(button);
-        });
+    // Velocity field shows the selection's average (1-127)
+    updatePianoRollSelection(notes) {
+        const velocity = document.getElementById('piano-roll-velocity');
+        if (velocity) {
+            velocity.disabled = notes.length === 0;
+            velocity.value = notes.length > 0
+                ? Math.round(notes.reduce((sum, note) => sum + note.velocity, 0) / notes.length * 127)
+                : '';
+        }
+        const deleteBtn = document.getElementById('piano-roll-delete');
+        if (deleteBtn) deleteBtn.disabled = notes.length === 0;
     }
 
-    getChordsByCategory(category) {
-        const chordLibrary = {
-            triads: [
-                { name: 'Major', formula: [0, 4, 7] },
-                { name: 'Minor', formula: [0, 3, 7] },
-                { name: 'Diminished', formula: [0, 3, 6] },
-                { name: 'Augmented', formula: [0, 4, 8] }
-            ],
-            sevenths: [
-                { name: 'Major 7th', formula: [0, 4, 7, 11] },
-                { name: 'Minor 7th', formula: [0, 3, 7, 10] },
-                { name: 'Dominant 7th', formula: [0, 4, 7, 10] },
-                { name: 'Half-Dim 7th', formula: [0, 3, 6, 10] }
-            ],
-            extended: [
-                { name: 'Major 9th', formula: [0, 4, 7, 11, 14] },
-                { name: 'Minor 9th', formula: [0, 3, 7, 10, 14] },
-                { name: 'Major 6th', formula: [0, 4, 7, 9] },
-                { name: 'Minor 6th', formula: [0, 3, 7, 9] }
-            ],
-            sus: [
-                { name: 'Sus2', formula: [0, 2, 7] },
-                { name: 'Sus4', formula: [0, 5, 7] },
-                { name: '7sus2', formula: [0, 2, 7, 10] },
-                { name: '7sus4', formula: [0, 5, 7, 10] }
-            ]
-        };
+    // Hear the edited notes, with the playhead following along
+    async playPianoRoll() {
+        const start = await this.playRecording(this.pianoRoll.getEvents());
+        if (start === null || start === undefined) return;
 
-        return chordLibrary[category] || [];
+        this.pianoRoll.startPlayhead(() => this.audioEngine.getPlaybackPosition());
     }
 
-    playChord(chord) {
-        // Get root note and build chord
-        const rootNote = this.currentRootNote + '4'; // Default octave
-        const chordNotes = this.buildChordNotes(rootNote, chord.formula);
-        
-        // Play all notes
-        chordNotes.forEach((note, index) => {
-            setTimeout(() => {
-                this.audioEngine.playNote(note, 0.7);
-                this.piano.pressKey(note);
-                
-                // Release after a short time
-                setTimeout(() => {
-                    this.piano.releaseKey(note);
-                }, 1000);
-            }, index * 50); // Slight stagger
-        });
+    // Write the edits back to the take and make it the current recording
+    async savePianoRoll() {
+        const events = this.pianoRoll.getEvents();
+        const takeId = this.editingTakeId;
+        try {
+            await this.takeLibrary.updateTake(takeId, events);
+            this.pianoRollEdited = false;
+            this.currentTakeId = takeId;
+            this.setRecording(events, true);
+            this.updatePianoRollButtons();
+        } catch (error) {
+            console.error('Failed to save take edits:', error);
+            this.showError(`Edits not saved: ${error.message}`);
+        }
+        await this.renderTakeList();
     }
 
-    buildChordNotes(rootNote, formula) {
-        const rootMidi = this.noteToMidi(rootNote);
-        return formula.map(interval => this.midiToNote(rootMidi + interval));
+    // Take count and storage use, flagged when the browser's quota is nearly used up
+    async updateTakeStorage(takeCount) {
+        const element = document.getElementById('take-storage');
+        if (!element) return;
+
+        const storage = await this.takeLibrary.getStorageInfo();
+        const countText = `${takeCount} take${takeCount === 1 ? '' : 's'}`;
+        element.textContent = storage
+            ? `${countText} · ${this.formatBytes(storage.usage)} of ${this.formatBytes(storage.quota)} used`
+            : countText;
+        element.classList.toggle('full', !!(storage && storage.nearlyFull));
+        element.title = storage && storage.nearlyFull ? 'Storage is nearly full: delete or export old takes' : '';
     }
 
-    noteToMidi(note) {
-        const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const octave = parseInt(note.slice(-1));
-        const noteClass = note.slice(0, -1);
-        const noteIndex = notes.indexOf(noteClass);
-        return (octave + 1) * 12 + noteIndex;
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
     }
 
-    midiToNote(midiNote) {
-        const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const octave = Math.floor(midiNote / 12) - 1;
-        const noteIndex = midiNote % 12;
-        return notes[noteIndex] + octave;
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
     }
 
-    generateRandomChord() {
-        const categories = ['triads', 'sevenths', 'extended', 'sus'];
-        const randomCategory = categories[Math.floor(Math.random() * categories.length)];
-        const chords = this.getChordsByCategory(randomCategory);
-        const randomChord = chords[Math.floor(Math.random() * chords.length)];
-        
-        // Update display
-        const chordDisplay = document.getElementById('chord-display');
-        if (chordDisplay) {
-            chordDisplay.textContent = `Practice: ${this.currentRootNote} ${randomChord.name}`;
+    // Light the keys of a played-back note
+    showPlaybackEvent(event) {
+        const noteKey = `${event.note}${event.octave}`;
+        if (event.type === 'noteOn') {
+            this.piano.pressKey(noteKey);
+            this.playbackNotes.add(noteKey);
+        } else if (event.type === 'noteOff' && this.playbackNotes.has(noteKey)) {
+            this.piano.releaseKey(noteKey);
+            this.playbackNotes.delete(noteKey);
         }
-        
-        this.playChord(randomChord);
     }
 
-    toggleMetronome() {
-        const button = document.getElementById('metronome-toggle');
-        if (this.practiceTools.metronomeRunning) {
-            this.practiceTools.stopMetronome();
-            button.textContent = 'Metronome: OFF';
-        } else {
-            this.practiceTools.startMetronome();
-            button.textContent = 'Metronome: ON';
-        }
+    clearPlaybackNotes() {
+        this.playbackNotes.forEach(noteKey => this.piano.releaseKey(noteKey));
+        this.playbackNotes.clear();
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     handleKeyDown(e) {
+        // Space bar works as a sustain pedal
+        if (e.code === 'Space' && !this.isButtonTarget(e.target)) {
+            e.preventDefault();
+            if (!e.repeat) this.audioEngine.setSustainPedal(true);
+            return;
+        }
+        
         if (e.repeat) return;
         
+        // T taps the tempo
+        if ((e.key === 't' || e.key === 'T') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            this.metronome.tap();
+            return;
+        }
+        
         const note = this.getKeyMapping(e.key);
         if (note && !this.activeNotes.has(note)) {
             this.piano.pressKey(note);
@@ -457,6 +2477,12 @@ class TuneLearnApp {
     }
 
     handleKeyUp(e) {
+        if (e.code === 'Space' && !this.isButtonTarget(e.target)) {
+            e.preventDefault();
+            this.audioEngine.setSustainPedal(false);
+            return;
+        }
+        
         const note = this.getKeyMapping(e.key);
         if (note) {
             this.piano.releaseKey(note);
@@ -464,6 +2490,11 @@ class TuneLearnApp {
         }
     }
 
+    // Space on a focused button or form control should still operate that control
+    isButtonTarget(target) {
+        return !!target && ['BUTTON', 'SELECT', 'INPUT', 'TEXTAREA'].includes(target.tagName);
+    }
+
     getKeyMapping(key) {
         const keyMap = {
             '1': 'C4', '!': 'C#4',
@@ -506,6 +2537,115 @@ class TuneLearnApp {
         }
     }
 
+    // MIDI output
+
+    // Restore the saved output choice, routing, thru and per-output latencies
+    applyMidiOutputSettings() {
+        const saved = { ...this.getDefaultSettings().midiOutput, ...(this.settings.midiOutput || {}) };
+        this.midiHandler.outputChannel = saved.channel;
+        this.midiHandler.outputLatencies = { ...saved.latencies };
+
+        const output = this.midiHandler.getOutputDevices().find(device => device.name === saved.output);
+        this.midiHandler.setOutput(output ? output.id : null);
+
+        const thruChannel = saved.thru === 'off' || saved.thru === 'keep' ? null : parseInt(saved.thru);
+        this.midiHandler.setThru({ enabled: saved.thru !== 'off', channel: thruChannel, transpose: saved.thruTranspose });
+        this.audioEngine.setExternalOutput(this.midiHandler, { prompts: saved.routePrompts, playback: saved.routePlayback });
+
+        const values = {
+            'midi-output-channel': saved.channel,
+            'midi-thru': saved.thru,
+            'midi-thru-transpose': saved.thruTranspose
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) element.value = value;
+        });
+        const routePrompts = document.getElementById('route-prompts');
+        if (routePrompts) routePrompts.checked = saved.routePrompts;
+        const routePlayback = document.getElementById('route-playback');
+        if (routePlayback) routePlayback.checked = saved.routePlayback;
+
+        this.updateMidiOutputList();
+    }
+
+    // List the outputs; a saved output that reconnects is picked up again
+    updateMidiOutputList() {
+        const select = document.getElementById('midi-output');
+        if (!select || !this.midiHandler) return;
+
+        const outputs = this.midiHandler.isEnabled ? this.midiHandler.getOutputDevices() : [];
+        const savedName = this.settings.midiOutput ? this.settings.midiOutput.output : null;
+        if (!this.midiHandler.getActiveOutput()) {
+            const saved = outputs.find(device => device.name === savedName);
+            if (saved) this.midiHandler.setOutput(saved.id);
+        }
+
+        select.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = outputs.length > 0 ? 'Built-in synth only' : 'No MIDI outputs';
+        select.appendChild(none);
+        this.midiHandler.getOutputDevices().forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.id;
+            option.textContent = device.name;
+            option.selected = device.isActive;
+            select.appendChild(option);
+        });
+        select.disabled = !this.midiHandler.isEnabled;
+
+        const latency = document.getElementById('midi-output-latency');
+        if (latency) {
+            latency.value = this.midiHandler.getOutputLatency();
+            latency.disabled = !this.midiHandler.getActiveOutput();
+        }
+    }
+
+    selectMidiOutput(deviceId) {
+        this.midiHandler.setOutput(deviceId || null);
+        this.saveMidiOutputSettings();
+        this.updateMidiOutputList();
+    }
+
+    updateMidiRouting() {
+        const routePrompts = document.getElementById('route-prompts');
+        const routePlayback = document.getElementById('route-playback');
+        this.audioEngine.setExternalOutput(this.midiHandler, {
+            prompts: !!(routePrompts && routePrompts.checked),
+            playback: !!(routePlayback && routePlayback.checked)
+        });
+        this.saveMidiOutputSettings();
+    }
+
+    updateMidiThru() {
+        const thru = document.getElementById('midi-thru').value;
+        const transpose = parseInt(document.getElementById('midi-thru-transpose').value) || 0;
+        this.midiHandler.setThru({
+            enabled: thru !== 'off',
+            channel: thru === 'off' || thru === 'keep' ? null : parseInt(thru),
+            transpose
+        });
+        this.saveMidiOutputSettings();
+    }
+
+    saveMidiOutputSettings() {
+        const handler = this.midiHandler;
+        const output = handler.getActiveOutput();
+        const { enabled, channel, transpose } = handler.thru;
+        this.settings.midiOutput = {
+            // Outputs are remembered by name; port ids can change between sessions
+            output: output ? output.name : null,
+            channel: handler.outputChannel,
+            latencies: { ...handler.outputLatencies },
+            routePrompts: this.audioEngine.routing.prompts,
+            routePlayback: this.audioEngine.routing.playback,
+            thru: !enabled ? 'off' : (channel === null ? 'keep' : String(channel)),
+            thruTranspose: transpose
+        };
+        this.saveSettings();
+    }
+
     changeOctaveRange(range) {
         const [start, end] = range.split('-');
         if (this.piano && this.piano.setRange) {
@@ -553,7 +2693,29 @@ class TuneLearnApp {
         return {
             volume: 0.7,
             showNoteLabels: true,
-            velocitySensitive: true
+            velocitySensitive: true,
+            instrument: 'piano',
+            effects: null,
+            synth: null,
+            metronome: null,
+            tapMidiNote: null,
+            maxPolyphony: 32,
+            voiceStealing: 'oldest',
+            pitchBendRange: 2,
+            tuning: null,
+            playback: { speed: 100, speedStep: 0, speedTarget: 100 },
+            midiOutput: {
+                output: null,
+                channel: 0,
+                latencies: {},
+                routePrompts: false,
+                routePlayback: false,
+                thru: 'off',
+                thruTranspose: 0
+            },
+            autoKeyDetection: false,
+            suggestSecondaryDominants: false,
+            suggestBorrowedChords: false
         };
     }
 
@@ -568,6 +2730,48 @@ class TuneLearnApp {
     restoreSettings() {
         // Apply saved settings to UI elements
         this.applyTheme(this.currentTheme);
+        this.updateAutoKeyToggle();
+        this.updateInstrumentSelector();
+
+        const polyphonySelect = document.getElementById('polyphony-select');
+        if (polyphonySelect) polyphonySelect.value = this.settings.maxPolyphony || 32;
+        const voiceStealing = document.getElementById('voice-stealing');
+        if (voiceStealing) voiceStealing.value = this.settings.voiceStealing || 'oldest';
+        const pitchBendRange = document.getElementById('pitch-bend-range');
+        if (pitchBendRange) pitchBendRange.value = this.settings.pitchBendRange || 2;
+        this.updateVoiceCount(this.audioEngine.getVoiceCounts());
+        this.updateTuningControls();
+        this.renderEffectsControls();
+        this.renderSynthControls();
+
+        // Metronome
+        const { bpm, subdivision, countInBars } = this.metronome.settings;
+        this.updateTempoDisplay(bpm);
+        this.updateSwingDisplay();
+        this.updateTimeSignatureSelect();
+        const subdivisionSelect = document.getElementById('subdivision');
+        if (subdivisionSelect) subdivisionSelect.value = subdivision;
+        const swing = document.getElementById('swing');
+        if (swing) swing.value = this.metronome.settings.swing;
+        const countIn = document.getElementById('count-in');
+        if (countIn) countIn.value = countInBars;
+        this.renderBeatIndicator();
+        this.updateTapMidiButton();
+
+        // Practice playback
+        const playback = this.settings.playback || this.getDefaultSettings().playback;
+        const playbackSpeed = document.getElementById('playback-speed');
+        if (playbackSpeed) playbackSpeed.value = playback.speed;
+        const speedStep = document.getElementById('speed-step');
+        if (speedStep) speedStep.value = playback.speedStep;
+        const speedTarget = document.getElementById('speed-target');
+        if (speedTarget) speedTarget.value = playback.speedTarget;
+        this.updatePlaybackSpeedDisplay();
+
+        const suggestSecondary = document.getElementById('suggest-secondary');
+        if (suggestSecondary) suggestSecondary.checked = !!this.settings.suggestSecondaryDominants;
+        const suggestBorrowed = document.getElementById('suggest-borrowed');
+        if (suggestBorrowed) suggestBorrowed.checked = !!this.settings.suggestBorrowedChords;
     }
 
     showError(message) {
@@ -919,6 +3123,21 @@ class TuneLearnApp {
             }
         }
         
+        const chordAnswerInput = document.getElementById('chord-answer-input');
+        if (chordAnswerInput) {
+            this.isolateTextInput(chordAnswerInput);
+            chordAnswerInput.addEventListener('input', () => {
+                if (checkAnswerBtn) {
+                    checkAnswerBtn.style.display = chordAnswerInput.value.trim() ? 'inline-block' : 'none';
+                }
+            });
+            chordAnswerInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && chordAnswerInput.value.trim()) {
+                    this.checkAnswer();
+                }
+            });
+        }
+
         const exerciseAnswerButtons = exerciseView.querySelectorAll('.answer-btn');
         if (exerciseAnswerButtons.length > 0) {
             exerciseAnswerButtons.forEach(btn => {
@@ -933,10 +3152,17 @@ class TuneLearnApp {
         }
 
         if (exerciseData && exerciseData.audioPlayback) {
-            setTimeout(() => this.handlePlayExerciseAudio(), 500);
+            // Count in first if the metronome asks for it
+            if (this.metronome.settings.countInBars > 0) {
+                this.metronome.countIn()
+                    .then(time => this.handlePlayExerciseAudio(time))
+                    .catch(() => {}); // A newer count-in took over; its exercise plays instead
+            } else {
+                setTimeout(() => this.handlePlayExerciseAudio(), 500);
+            }
         }
 
-        const playAudioBtn = document.getElementById('play-exercise-audio-btn');
+        playAudioBtn = document.getElementById('play-exercise-audio-btn');
         if (playAudioBtn) {
             playAudioBtn.addEventListener('click', () => this.handlePlayExerciseAudio());
         }
@@ -949,6 +3175,18 @@ class TuneLearnApp {
         let contentHtml = '';
         const exerciseType = exerciseData.type;
 
+        // Typed chord symbol answers
+        if (exerciseType === 'chord-identification' && exerciseData.answerFormat === 'symbol') {
+            return `
+                <div class="exercise-question">
+                    <p class="exercise-instruction">${exerciseData.question || 'Name the chord:'}</p>
+                    <button id="play-exercise-audio-btn" class="btn btn-primary">🔊 Play Sound</button>
+                </div>
+                <div class="exercise-answers">
+                    <input type="text" id="chord-answer-input" class="chord-answer-input" placeholder="e.g. Cmaj7, F#m, Bb7" autocomplete="off" spellcheck="false">
+                </div>`;
+        }
+
         switch (exerciseType) {
             case 'note-identification':
             case 'interval-identification':
@@ -1020,18 +3258,32 @@ class TuneLearnApp {
 
         const exerciseView = document.getElementById('exercise-view');
         const selectedBtn = exerciseView.querySelector('.answer-btn.selected');
-
-        if (!selectedBtn) {
+        const chordAnswerInput = exerciseView.querySelector('#chord-answer-input');
+
+        let selectedAnswer = '';
+        if (chordAnswerInput) {
+            selectedAnswer = chordAnswerInput.value.trim();
+            if (!selectedAnswer) {
+                this.showFeedback('Please type a chord symbol first!', 'warning');
+                return;
+            }
+            if (!MusicTheory.parseChordSymbol(selectedAnswer)) {
+                this.showFeedback(`"${selectedAnswer}" isn't a chord symbol I can read. Try something like Dm7 or F#°.`, 'warning');
+                return;
+            }
+            chordAnswerInput.disabled = true;
+        } else if (!selectedBtn) {
             this.showFeedback('Please select an answer first!', 'warning');
             return;
+        } else {
+            selectedAnswer = selectedBtn.textContent.trim();
         }
-        const selectedAnswer = selectedBtn.textContent.trim();
         const feedback = this.exerciseEngine.submitAnswer(selectedAnswer);
 
         this.showFeedback(feedback.message, feedback.isCorrect ? 'success' : 'error');
 
         // Disable answer buttons after submission
-        const answerButtons = exerciseContent.querySelectorAll('.answer-btn');
+        const answerButtons = exerciseView.querySelectorAll('.answer-btn');
         answerButtons.forEach(btn => {
             btn.disabled = true;
             // Highlight the correct answer if the user was wrong and details are available
@@ -1233,7 +3485,8 @@ class TuneLearnApp {
         });
     }
 
-    handlePlayExerciseAudio() {
+    // Play the exercise prompt, now or from an audio clock time (after a count-in)
+    handlePlayExerciseAudio(startTime = null) {
         if (!this.audioEngine) {
             console.error("AudioEngine not available.");
             return;
@@ -1249,34 +3502,35 @@ class TuneLearnApp {
         const VELOCITY = 0.7; // Standard velocity
         const NOTE_DURATION = 1.0; // Standard duration for single notes in seconds
         const CHORD_NOTE_DURATION = 1.5; // Longer for chords
-        const INTERVAL_DELAY = 700; // ms between interval notes
-        const CHORD_STAGGER = 40; // ms between chord notes if staggered
+        const INTERVAL_DELAY = 0.7; // Seconds between interval notes
+        const CHORD_STAGGER = 0.04; // Seconds between chord notes if staggered
 
         switch (audioPlaybackData.type) {
             case 'note':
                 if (audioPlaybackData.noteName && typeof audioPlaybackData.octave !== 'undefined') {
-                    this.audioEngine.playNote(audioPlaybackData.noteName, audioPlaybackData.octave, VELOCITY, NOTE_DURATION);
+                    this.audioEngine.playSequence([
+                        { note: audioPlaybackData.noteName, octave: audioPlaybackData.octave, velocity: VELOCITY, duration: NOTE_DURATION, offset: 0 }
+                    ], startTime, true);
                 } else {
                     console.error("Missing data for note playback:", audioPlaybackData);
                 }
                 break;
             case 'interval':
                 if (audioPlaybackData.rootName && typeof audioPlaybackData.rootOctave !== 'undefined' && typeof audioPlaybackData.intervalSemitones !== 'undefined') {
-                    this.audioEngine.playNote(audioPlaybackData.rootName, audioPlaybackData.rootOctave, VELOCITY, NOTE_DURATION);
+                    const rootMidi = MusicTheory.noteToMidi(audioPlaybackData.rootName, audioPlaybackData.rootOctave);
+                    if (rootMidi === null) {
+                         console.error("Invalid root note for interval playback:", audioPlaybackData); return;
+                    }
+                    const targetMidi = rootMidi + audioPlaybackData.intervalSemitones;
+                    const targetNoteFull = MusicTheory.midiToNote(targetMidi);
+                    if (!targetNoteFull) {
+                       console.error("Could not determine target note for interval:", targetMidi); return;
+                    }
                     
-                    setTimeout(() => {
-                        const rootMidi = MusicTheory.noteToMidi(audioPlaybackData.rootName, audioPlaybackData.rootOctave);
-                        if (rootMidi === null) {
-                             console.error("Invalid root note for interval playback:", audioPlaybackData); return;
-                        }
-                        const targetMidi = rootMidi + audioPlaybackData.intervalSemitones;
-                        const targetNoteFull = MusicTheory.midiToNote(targetMidi);
-                        if (targetNoteFull) {
-                           this.audioEngine.playNote(targetNoteFull.note, targetNoteFull.octave, VELOCITY, NOTE_DURATION);
-                        } else {
-                           console.error("Could not determine target note for interval:", targetMidi);
-                        }
-                    }, INTERVAL_DELAY);
+                    this.audioEngine.playSequence([
+                        { note: audioPlaybackData.rootName, octave: audioPlaybackData.rootOctave, velocity: VELOCITY, duration: NOTE_DURATION, offset: 0 },
+                        { note: targetNoteFull.note, octave: targetNoteFull.octave, velocity: VELOCITY, duration: NOTE_DURATION, offset: INTERVAL_DELAY }
+                    ], startTime, true);
                 } else {
                     console.error("Missing data for interval playback:", audioPlaybackData);
                 }
@@ -1287,17 +3541,18 @@ class TuneLearnApp {
                     if (rootMidiVal === null) {
                          console.error("Invalid root note for chord playback:", audioPlaybackData); return;
                     }
+                    const chordSequence = [];
                     audioPlaybackData.intervals.forEach((intervalSemitone, index) => {
-                        setTimeout(() => {
-                            const targetMidi = rootMidiVal + intervalSemitone;
-                            const noteToPlay = MusicTheory.midiToNote(targetMidi);
-                            if (noteToPlay) {
-                               this.audioEngine.playNote(noteToPlay.note, noteToPlay.octave, VELOCITY * 0.8, CHORD_NOTE_DURATION); // Slightly lower velocity for chords
-                            } else {
-                               console.error("Could not determine note for chord component:", targetMidi);
-                            }
-                        }, index * CHORD_STAGGER); 
+                        const targetMidi = rootMidiVal + intervalSemitone;
+                        const noteToPlay = MusicTheory.midiToNote(targetMidi);
+                        if (noteToPlay) {
+                           // Slightly lower velocity for chords
+                           chordSequence.push({ note: noteToPlay.note, octave: noteToPlay.octave, velocity: VELOCITY * 0.8, duration: CHORD_NOTE_DURATION, offset: index * CHORD_STAGGER });
+                        } else {
+                           console.error("Could not determine note for chord component:", targetMidi);
+                        }
                     });
+                    this.audioEngine.playSequence(chordSequence, startTime, true);
                 } else {
                     console.error("Missing data for chord playback:", audioPlaybackData);
                 }
@@ -1,28 +1,24 @@
 // Audio Engine for Piano Sounds and Audio Management
 
 class AudioEngine {
-    constructor() {
-        this.audioContext = null;
-        this.oscillators = new Map(); // Track active oscillators
-        this.gainNodes = new Map(); // Track gain nodes
+    // An OfflineAudioContext can be passed in to render instead of playing live
+    constructor(audioContext = null) {
+        this.audioContext = audioContext;
+        this.isOffline = !!(audioContext && audioContext.startRendering);
+        this.voices = null; // VoiceAllocator tracking every sounding note
+        this.transport = null; // Transport scheduling clicks and notes on the audio clock
+        this.effects = null; // EffectsChain between the master gain and the speakers
         this.masterGain = null;
         this.isInitialized = false;
         this.sampleRate = 44100;
         
-        // Metronome properties
-        this.metronome = {
-            isPlaying: false,
-            bpm: 120,
-            intervalId: null,
-            clickOscillator: null,
-            beat: 0
-        };
-        
         // Recording properties
         this.recording = {
             isRecording: false,
             events: [],
-            startTime: null
+            startTime: null,
+            playbackEventIds: [],
+            playback: null // The playback in progress (see playbackRecording)
         };
         
         // Audio settings
@@ -32,21 +28,83 @@ class AudioEngine {
             decay: 0.2,
             sustain: 0.7,
             release: 0.5,
-            waveform: 'triangle' // triangle, sine, square, sawtooth
+            waveform: 'triangle', // triangle, sine, square, sawtooth
+            voice: 'oscillator', // oscillator, sample
+            filterType: 'off',   // off, lowpass, highpass, bandpass (per voice)
+            filterFrequency: 8000, // Hz
+            filterQ: 1,
+            pitchBendRange: 2,   // Semitones either way at full bend
+            vibratoRate: 5.5,    // Hz
+            vibratoDepth: 50     // Cents at full modulation
         };
         
+        // Controller state applied to every voice
+        this.pitchBend = 0;  // -1 to 1
+        this.modulation = 0; // 0 to 1
+        this.vibratoLfo = null;
+        this.vibratoGain = null;
+        
+        // Pedals: released keys keep sounding while sustain (CC64) is down, or if they
+        // were held when sostenuto (CC66) went down
+        this.pedals = { sustain: false, sostenuto: false };
+        this.sustainedNotes = new Set(); // Keys up, still sounding because of a pedal
+        this.sostenutoNotes = new Set(); // Notes caught by the sostenuto pedal
+        
+        // Called with the sustained note keys whenever they change
+        this.onSustainedNotesChange = null;
+        
+        // Called on the main thread as each played-back event sounds, to show it on the keyboard
+        this.onPlaybackEvent = null;
+        
+        // Called on the main thread as a loop starts over (with the pass number and its speed)
+        // and when a playback plays to its end
+        this.onPlaybackLoop = null;
+        this.onPlaybackEnd = null;
+        
+        // External synth (the MIDI handler) that exercise prompts and playback can be sent
+        // to instead of sounding here: sendNoteOn(midi, velocity, channel, time),
+        // sendNoteOff(midi, channel, time), sendControlChange(controller, value, channel, time),
+        // sendAllNotesOff()
+        this.externalOutput = null;
+        this.routing = { prompts: false, playback: false };
+        this.promptEvents = []; // { id, time } of prompt notes still to be sent, so they can be cancelled
+        
+        // Sampled instrument used when settings.voice is 'sample'
+        this.sampleInstrument = null;
+        
+        // Reference pitch, temperament or Scala tuning for every voice
+        this.tuning = new Tuning();
+        
         this.init();
     }
     
     async init() {
+        if (this.isInitialized) return;
+        
         try {
-            // Create audio context
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            // Create audio context (unless one was handed in)
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
             
-            // Create master gain node
+            // Create master gain node, feeding the effects chain
             this.masterGain = this.audioContext.createGain();
-            this.masterGain.connect(this.audioContext.destination);
             this.masterGain.gain.value = this.settings.volume;
+            this.effects = new EffectsChain(this.audioContext);
+            this.masterGain.connect(this.effects.input);
+            this.effects.output.connect(this.audioContext.destination);
+            
+            // Voice allocation and scheduling
+            this.voices = new VoiceAllocator(this.audioContext);
+            this.transport = new Transport(this.audioContext);
+            
+            // Shared vibrato LFO (in cents), fed into each voice's detune
+            this.vibratoLfo = this.audioContext.createOscillator();
+            this.vibratoLfo.frequency.value = this.settings.vibratoRate;
+            this.vibratoGain = this.audioContext.createGain();
+            this.vibratoGain.gain.value = 0;
+            this.vibratoLfo.connect(this.vibratoGain);
+            this.vibratoLfo.start();
             
             this.isInitialized = true;
             console.log('Audio Engine initialized successfully');
@@ -57,57 +115,104 @@ class AudioEngine {
     
     // Resume audio context (required for user interaction)
     async resumeContext() {
-        if (this.audioContext && this.audioContext.state === 'suspended') {
+        if (this.audioContext && !this.isOffline && this.audioContext.state === 'suspended') {
             await this.audioContext.resume();
         }
     }
     
-    // Play a piano note using Web Audio API
-    playNote(note, octave = 4, velocity = 0.8, duration = null) {
+    // Play a piano note using Web Audio API, now or at an audio clock time
+    playNote(note, octave = 4, velocity = 0.8, duration = null, startTime = null) {
         if (!this.isInitialized) return;
         
         this.resumeContext();
         
-        const frequency = MusicTheory.midiToFrequency(MusicTheory.noteToMidi(note, octave));
+        const midi = MusicTheory.noteToMidi(note, octave);
         const noteKey = `${note}${octave}`;
+        const now = Math.max(startTime !== null ? startTime : 0, this.audioContext.currentTime);
         
-        // Stop existing note if playing
-        this.stopNote(noteKey);
-        
-        // Create oscillator and gain node
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+        // Keys a Scala keyboard mapping leaves unmapped are silent
+        const frequency = this.tuning.getFrequency(midi);
+        if (frequency === null) return null;
         
-        // Configure oscillator
-        oscillator.type = this.settings.waveform;
-        oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-        
-        // Connect audio graph
-        oscillator.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        // A re-struck note lets the previous one ring out through its release (a note held
+        // by a pedal is simply struck again). Its key is still down, so no note off is recorded
+        this.voices.releaseNote(noteKey, now);
+        if (this.sustainedNotes.has(noteKey)) {
+            this.setNoteSustained(noteKey, false);
+        }
         
-        // Configure ADSR envelope
-        const now = this.audioContext.currentTime;
-        const { attack, decay, sustain, release } = this.settings;
+        const gainNode = this.audioContext.createGain();
         const maxGain = velocity * 0.3; // Scale down to prevent clipping
         
-        // Attack
-        gainNode.gain.setValueAtTime(0, now);
-        gainNode.gain.linearRampToValueAtTime(maxGain, now + attack);
+        const sampleVoice = this.settings.voice === 'sample' && this.sampleInstrument
+            ? this.sampleInstrument.createSource(this.audioContext, midi, velocity, this.tuning.getCentsOffset(midi))
+            : null;
         
-        // Decay to sustain
-        gainNode.gain.linearRampToValueAtTime(maxGain * sustain, now + attack + decay);
+        let source;
+        let envelope;
+        if (sampleVoice) {
+            source = sampleVoice.source;
+            const zone = sampleVoice.zone;
+            
+            // Connect audio graph, panned if the zone asks for it
+            if (zone.pan && this.audioContext.createStereoPanner) {
+                const panner = this.audioContext.createStereoPanner();
+                panner.pan.value = zone.pan;
+                source.connect(panner);
+                panner.connect(this.createVoiceFilter(gainNode, now));
+            } else {
+                source.connect(this.createVoiceFilter(gainNode, now));
+            }
+            gainNode.connect(this.masterGain);
+            
+            // The sample carries its own decay, so just fade in to avoid a click
+            gainNode.gain.setValueAtTime(0, now);
+            gainNode.gain.linearRampToValueAtTime(maxGain * zone.gain, now + 0.005);
+            
+            envelope = {
+                peakGain: maxGain * zone.gain,
+                sustainGain: maxGain * zone.gain,
+                attack: 0.005,
+                decay: 0,
+                release: zone.release !== null ? zone.release : this.settings.release,
+                loopMode: zone.loopMode
+            };
+        } else {
+            // Create and configure oscillator
+            source = this.audioContext.createOscillator();
+            source.type = this.settings.waveform;
+            source.frequency.setValueAtTime(frequency, now);
+            
+            // Connect audio graph
+            source.connect(this.createVoiceFilter(gainNode, now));
+            gainNode.connect(this.masterGain);
+            
+            // Configure ADSR envelope
+            const { attack, decay, sustain, release } = this.settings;
+            
+            // Attack
+            gainNode.gain.setValueAtTime(0, now);
+            gainNode.gain.linearRampToValueAtTime(maxGain, now + attack);
+            
+            // Decay to sustain
+            gainNode.gain.linearRampToValueAtTime(maxGain * sustain, now + attack + decay);
+            
+            envelope = { peakGain: maxGain, sustainGain: maxGain * sustain, attack, decay, release };
+        }
         
-        // Start oscillator
-        oscillator.start(now);
+        // Follow the pitch wheel and mod wheel
+        source.detune.setValueAtTime(this.getPitchBendCents(), now);
+        this.vibratoGain.connect(source.detune);
         
-        // Store references
-        this.oscillators.set(noteKey, oscillator);
-        this.gainNodes.set(noteKey, gainNode);
+        // Start source and hand it to the voice allocator
+        source.start(now);
+        const voice = this.voices.addVoice(noteKey, source, gainNode, envelope, velocity, now);
+        voice.onRemove = () => this.vibratoGain.disconnect(source.detune);
         
-        // If duration is specified, schedule note off
+        // If duration is specified, schedule the release of this voice on the audio clock
         if (duration) {
-            setTimeout(() => this.stopNote(noteKey), duration * 1000);
+            this.voices.releaseVoice(voice, now + duration);
+            this.recordNoteOff(noteKey, now + duration);
         }
         
         // Record the event if recording
@@ -117,125 +222,257 @@ class AudioEngine {
                 note: note,
                 octave: octave,
                 velocity: velocity,
-                time: Date.now() - this.recording.startTime
+                time: this.getRecordingTime(now)
             });
         }
         
         return noteKey;
     }
     
-    // Stop a piano note
-    stopNote(noteKey) {
-        const oscillator = this.oscillators.get(noteKey);
-        const gainNode = this.gainNodes.get(noteKey);
+    // Per-voice filter in front of a voice's gain node; returns what the source should feed
+    createVoiceFilter(gainNode, time) {
+        const { filterType, filterFrequency, filterQ } = this.settings;
+        if (filterType === 'off') return gainNode;
         
-        if (oscillator && gainNode) {
-            const now = this.audioContext.currentTime;
-            const release = this.settings.release;
-            
-            // Release envelope
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.linearRampToValueAtTime(0, now + release);
-            
-            // Stop oscillator after release
-            oscillator.stop(now + release);
-            
-            // Clean up references
-            this.oscillators.delete(noteKey);
-            this.gainNodes.delete(noteKey);
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.setValueAtTime(filterFrequency, time);
+        filter.Q.setValueAtTime(filterQ, time);
+        filter.connect(gainNode);
+        return filter;
+    }
+    
+    // Stop a piano note, now or at an audio clock time; pedals may keep it sounding
+    stopNote(noteKey, time = null) {
+        if (!this.voices || this.sustainedNotes.has(noteKey) || !this.voices.isNoteHeld(noteKey)) return;
+        
+        this.recordNoteOff(noteKey, time);
+        
+        if (this.pedals.sustain || this.sostenutoNotes.has(noteKey)) {
+            this.setNoteSustained(noteKey, true);
+        } else {
+            this.voices.releaseNote(noteKey, time);
+        }
+    }
+    
+    setNoteSustained(noteKey, sustained) {
+        if (sustained) {
+            this.sustainedNotes.add(noteKey);
+        } else {
+            this.sustainedNotes.delete(noteKey);
+        }
+        if (this.onSustainedNotesChange) {
+            this.onSustainedNotesChange([...this.sustainedNotes]);
+        }
+    }
+    
+    // Sustain pedal (CC64): on release, let go of every note only the pedal was holding
+    setSustainPedal(down, time = null) {
+        if (this.pedals.sustain === down) return;
+        
+        this.pedals.sustain = down;
+        this.recordPedal('sustain', down, time);
+        if (!down) {
+            this.releasePedalNotes(time);
+        }
+    }
+    
+    // Sostenuto pedal (CC66): holds only the notes whose keys are down as it is pressed
+    setSostenutoPedal(down, time = null) {
+        if (this.pedals.sostenuto === down || !this.voices) return;
+        
+        this.pedals.sostenuto = down;
+        this.recordPedal('sostenuto', down, time);
+        if (down) {
+            this.sostenutoNotes = new Set(this.voices.voices
+                .filter(voice => voice.releaseTime === null && !this.sustainedNotes.has(voice.noteKey))
+                .map(voice => voice.noteKey));
+        } else {
+            this.sostenutoNotes.clear();
+            this.releasePedalNotes(time);
+        }
+    }
+    
+    // Release sustained notes no pedal is holding any more
+    releasePedalNotes(time = null) {
+        if (this.pedals.sustain) return;
+        
+        [...this.sustainedNotes].forEach(noteKey => {
+            if (this.sostenutoNotes.has(noteKey)) return;
             
-            // Record the event if recording
-            if (this.recording.isRecording) {
-                const noteInfo = noteKey.match(/([A-G]#?)(\d+)/);
-                if (noteInfo) {
-                    this.recording.events.push({
-                        type: 'noteOff',
-                        note: noteInfo[1],
-                        octave: parseInt(noteInfo[2]),
-                        time: Date.now() - this.recording.startTime
-                    });
-                }
-            }
+            this.voices.releaseNote(noteKey, time);
+            this.sustainedNotes.delete(noteKey);
+        });
+        if (this.onSustainedNotesChange) {
+            this.onSustainedNotesChange([...this.sustainedNotes]);
         }
     }
     
-    // Play a chord
-    playChord(notes, octave = 4, velocity = 0.6, duration = null) {
-        const playedNotes = [];
-        notes.forEach((note, index) => {
-            // Slight delay for natural chord feel
-            setTimeout(() => {
-                const noteKey = this.playNote(note, octave, velocity, duration);
-                playedNotes.push(noteKey);
-            }, index * 10);
+    // Record a pedal change if recording
+    recordPedal(pedal, down, time = null) {
+        if (!this.recording.isRecording) return;
+        
+        this.recording.events.push({
+            type: pedal,
+            value: down,
+            time: this.getRecordingTime(time)
         });
-        return playedNotes;
     }
     
-    // Stop all notes
-    stopAllNotes() {
-        const noteKeys = [...this.oscillators.keys()];
-        noteKeys.forEach(noteKey => this.stopNote(noteKey));
+    // Record a note off if recording
+    recordNoteOff(noteKey, time = null) {
+        if (!this.recording.isRecording) return;
+        
+        const noteInfo = noteKey.match(/([A-G]#?)(\d+)/);
+        if (noteInfo) {
+            this.recording.events.push({
+                type: 'noteOff',
+                note: noteInfo[1],
+                octave: parseInt(noteInfo[2]),
+                time: this.getRecordingTime(time)
+            });
+        }
+    }
+    
+    // Milliseconds into the recording for an audio clock time (or now)
+    getRecordingTime(time = null) {
+        const ahead = time !== null ? Math.max(0, time - this.audioContext.currentTime) * 1000 : 0;
+        return Date.now() - this.recording.startTime + ahead;
+    }
+    
+    // Play a chord
+    playChord(notes, octave = 4, velocity = 0.6, duration = null, prompt = false) {
+        // Slight stagger for natural chord feel
+        const sequence = notes.map((note, index) => ({ note, octave, velocity, duration, offset: index * 0.01 }));
+        this.playSequence(sequence, null, prompt);
+        return notes.map(note => `${note}${octave}`);
     }
     
-    // Metronome functions
-    startMetronome(bpm = 120) {
-        this.stopMetronome();
+    // Schedule notes on the transport: [{ note, octave, velocity, duration, offset }],
+    // offset in seconds from startTime (default now). Returns the transport event ids.
+    // Prompts go to the external synth when they are routed there.
+    playSequence(notes, startTime = null, prompt = false) {
+        if (!this.isInitialized) return [];
         
-        this.metronome.bpm = bpm;
-        this.metronome.isPlaying = true;
-        this.metronome.beat = 0;
+        const start = startTime !== null ? startTime : this.audioContext.currentTime;
+        const external = prompt && this.isRoutedExternally('prompts');
+        const ids = this.transport.scheduleAll(notes.map(item => ({
+            time: start + (item.offset || 0),
+            callback: (time) => {
+                if (external) {
+                    this.playExternalNote(item.note, item.octave, item.velocity, item.duration, time);
+                } else {
+                    this.playNote(item.note, item.octave, item.velocity, item.duration, time);
+                }
+            }
+        })));
         
-        const interval = (60 / bpm) * 1000; // Convert BPM to milliseconds
+        if (prompt) {
+            const now = this.audioContext.currentTime;
+            this.promptEvents = this.promptEvents
+                .filter(event => event.time > now)
+                .concat(ids.map((id, index) => ({ id, time: start + (notes[index].offset || 0) })));
+        }
+        return ids;
+    }
+    
+    // Cancel prompt notes not yet sent, and silence any already sent to the external synth
+    stopPrompts() {
+        this.transport.cancel(this.promptEvents.map(event => event.id));
+        this.promptEvents = [];
+        if (this.isRoutedExternally('prompts')) {
+            this.externalOutput.sendAllNotesOff();
+        }
+    }
+    
+    // External MIDI output
+    
+    setExternalOutput(output, routing = {}) {
+        this.externalOutput = output;
+        this.routing = { ...this.routing, ...routing };
+    }
+    
+    // Whether prompts or playback ('prompts' | 'playback') go to a connected external synth
+    isRoutedExternally(kind) {
+        return !!(this.routing[kind] && this.externalOutput && this.externalOutput.hasOutput);
+    }
+    
+    // Note on the external synth at an audio time, with its note off after duration seconds
+    playExternalNote(note, octave, velocity = 0.8, duration = null, time = null) {
+        const midi = MusicTheory.noteToMidi(note, octave);
+        const start = time !== null ? time : this.audioContext.currentTime;
+        this.externalOutput.sendNoteOn(midi, Math.round(velocity * 127), null, start);
+        this.externalOutput.sendNoteOff(midi, null, start + (duration || 1));
+    }
+    
+    // Stop all notes, including those held by the pedals
+    stopAllNotes() {
+        if (!this.voices) return;
         
-        this.metronome.intervalId = setInterval(() => {
-            this.playMetronomeClick();
-            this.metronome.beat = (this.metronome.beat + 1) % 4;
-        }, interval);
+        this.stopPrompts();
+        const noteKeys = new Set(this.voices.voices.map(voice => voice.noteKey));
+        noteKeys.forEach(noteKey => this.stopNote(noteKey));
         
-        // Play first click immediately
-        this.playMetronomeClick();
+        this.voices.releaseAll();
+        this.sostenutoNotes.clear();
+        if (this.sustainedNotes.size > 0) {
+            this.sustainedNotes.clear();
+            if (this.onSustainedNotesChange) {
+                this.onSustainedNotesChange([]);
+            }
+        }
     }
     
-    stopMetronome() {
-        if (this.metronome.intervalId) {
-            clearInterval(this.metronome.intervalId);
-            this.metronome.intervalId = null;
+    // Polyphony
+    
+    setMaxPolyphony(maxPolyphony) {
+        this.voices.updateSettings({ maxPolyphony });
+    }
+    
+    setVoiceStealing(stealMode) {
+        if (['oldest', 'quietest'].includes(stealMode)) {
+            this.voices.updateSettings({ stealMode });
         }
-        this.metronome.isPlaying = false;
-        this.metronome.beat = 0;
     }
     
-    playMetronomeClick() {
+    // Active voice counts by envelope phase (attack, decay, sustain, release)
+    getVoiceCounts() {
+        return this.voices ? this.voices.getVoiceCounts() : null;
+    }
+    
+    // Metronome click at an audio clock time (the Metronome module decides when and how loud)
+    playClick(time = null, frequency = 800, gain = 0.1) {
         if (!this.isInitialized) return;
         
         this.resumeContext();
         
         const oscillator = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
-        
-        // Different frequency for downbeat
-        const frequency = this.metronome.beat === 0 ? 800 : 400;
+        const now = time !== null ? time : this.audioContext.currentTime;
         
         oscillator.type = 'square';
-        oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+        oscillator.frequency.setValueAtTime(frequency, now);
         
+        // Clicks skip the effects so delay and reverb don't blur the beat
         oscillator.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(this.effects.output);
+        gain *= this.settings.volume;
         
-        const now = this.audioContext.currentTime;
-        gainNode.gain.setValueAtTime(0.1, now);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.1);
+        gainNode.gain.setValueAtTime(gain, now);
+        gainNode.gain.exponentialRampToValueAtTime(gain * 0.1, now + 0.1);
         
         oscillator.start(now);
         oscillator.stop(now + 0.1);
     }
     
     // Recording functions
-    startRecording() {
+    
+    // Start recording, now or from an audio clock time (e.g. the downbeat after a count-in)
+    startRecording(time = null) {
+        const ahead = time !== null && this.audioContext ? Math.max(0, time - this.audioContext.currentTime) * 1000 : 0;
         this.recording.isRecording = true;
         this.recording.events = [];
-        this.recording.startTime = Date.now();
+        this.recording.startTime = Date.now() + ahead;
         console.log('Recording started');
     }
     
@@ -245,25 +482,304 @@ class AudioEngine {
         return this.recording.events;
     }
     
-    // Playback recorded events
-    async playbackRecording(events, speed = 1.0) {
-        if (!events || events.length === 0) return;
+    // Playback recorded events, scheduled on the audio clock; returns the audio time it starts at.
+    // Options: { loop, loopStart, loopEnd (ms), speedStep, maxSpeed, mute(event) }. A loop plays
+    // loopStart-loopEnd over and over, speedStep faster each pass up to maxSpeed. Muted events
+    // are shown on the keyboard but not sounded, leaving that part to the player.
+    async playbackRecording(events, speed = 1.0, options = {}) {
+        if (!events || events.length === 0 || !this.isInitialized) return null;
         
         console.log('Playing back recording...');
+        this.stopPlayback();
         
-        for (const event of events) {
-            const delay = event.time / speed;
-            
-            setTimeout(() => {
-                if (event.type === 'noteOn') {
-                    this.playNote(event.note, event.octave, event.velocity);
-                } else if (event.type === 'noteOff') {
-                    this.stopNote(`${event.note}${event.octave}`);
+        const end = events.reduce((max, event) => Math.max(max, event.time), 0);
+        const loopStart = Math.max(0, Math.min(end, options.loopStart || 0));
+        const loopEnd = Math.min(end, options.loopEnd !== undefined && options.loopEnd !== null ? options.loopEnd : end);
+        const loop = !!options.loop && loopEnd - loopStart >= 50;
+        
+        this.recording.playback = {
+            events: [...events].sort((a, b) => a.time - b.time),
+            loop,
+            loopStart: loop ? loopStart : 0,
+            loopEnd: loop ? loopEnd : end,
+            speed: Math.max(0.05, speed),
+            speedStep: options.speedStep || 0,
+            maxSpeed: options.maxSpeed || speed,
+            mute: options.mute || null,
+            external: this.isRoutedExternally('playback'),
+            pass: 0,
+            passStart: 0,
+            passSpeed: speed,
+            heldNotes: new Map(), // Keys this playback holds down, to let go of at a loop's end
+            pedalsDown: new Set()
+        };
+        
+        const start = this.audioContext.currentTime + this.transport.settings.startDelay;
+        this.schedulePlaybackPass(start);
+        return start;
+    }
+    
+    // Schedule one pass over the playback's range, then the next loop or the end
+    schedulePlaybackPass(start) {
+        const playback = this.recording.playback;
+        const { loopStart, loopEnd, speed } = playback;
+        const toTime = (ms) => start + (ms - loopStart) / 1000 / speed;
+        playback.passStart = start;
+        playback.passSpeed = speed;
+        
+        const items = [];
+        
+        // A loop starting mid-piece picks up the pedals as they stood at its start
+        if (loopStart > 0) {
+            const pedals = {};
+            playback.events
+                .filter(event => event.time < loopStart && (event.type === 'sustain' || event.type === 'sostenuto'))
+                .forEach(event => { pedals[event.type] = event; });
+            Object.values(pedals).forEach(event => {
+                items.push({ time: start, callback: (time) => this.playPlaybackEvent(event, time) });
+            });
+        }
+        
+        playback.events
+            .filter(event => event.time >= loopStart && (event.time < loopEnd || (!playback.loop && event.time <= loopEnd)))
+            .forEach(event => {
+                items.push({ time: toTime(event.time), callback: (time) => this.playPlaybackEvent(event, time) });
+            });
+        
+        items.push({ time: toTime(loopEnd), callback: (time) => {
+            this.releasePlaybackNotes(time);
+            if (playback.loop) {
+                playback.pass++;
+                playback.speed = Math.max(playback.speed, Math.min(playback.maxSpeed, playback.speed + playback.speedStep));
+                if (this.onPlaybackLoop) {
+                    this.transport.runAt(time, () => this.onPlaybackLoop(playback.pass, playback.speed));
+                }
+                this.schedulePlaybackPass(time);
+            } else {
+                this.recording.playback = null;
+                this.recording.playbackEventIds = [];
+                if (this.onPlaybackEnd) {
+                    this.transport.runAt(time, () => this.onPlaybackEnd());
                 }
-            }, delay);
+            }
+        } });
+        
+        const pass = playback.pass;
+        const ids = this.transport.scheduleAll(items);
+        // A pass short enough to end inside the lookahead has already scheduled the next one
+        if (this.recording.playback === playback && playback.pass === pass) {
+            this.recording.playbackEventIds = ids;
+        }
+    }
+    
+    // Sound one played-back event (unless its part is muted) and show it
+    playPlaybackEvent(event, time) {
+        const playback = this.recording.playback;
+        if (!playback) return;
+        
+        const muted = playback.mute && playback.mute(event);
+        const noteKey = `${event.note}${event.octave}`;
+        
+        if (event.type === 'noteOn') {
+            if (!muted) {
+                this.playbackNoteOn(event, time);
+                playback.heldNotes.set(noteKey, event);
+            }
+        } else if (event.type === 'noteOff') {
+            // Only let go of keys this pass pressed, never the player's own
+            if (playback.heldNotes.has(noteKey)) {
+                playback.heldNotes.delete(noteKey);
+                this.playbackNoteOff(event, time);
+            }
+        } else if (!muted && (event.type === 'sustain' || event.type === 'sostenuto')) {
+            this.playbackPedal(event.type, event.value, time);
+            if (event.value) {
+                playback.pedalsDown.add(event.type);
+            } else {
+                playback.pedalsDown.delete(event.type);
+            }
+        }
+        
+        if (this.onPlaybackEvent) {
+            this.transport.runAt(time, () => this.onPlaybackEvent(event));
         }
     }
     
+    // Let go of the keys and pedals a playback still holds (at a loop's end or on stop)
+    releasePlaybackNotes(time = null) {
+        const playback = this.recording.playback;
+        if (!playback) return;
+        
+        playback.heldNotes.forEach((event, noteKey) => {
+            this.playbackNoteOff(event, time);
+            if (this.onPlaybackEvent) {
+                const noteOff = { type: 'noteOff', note: event.note, octave: event.octave, time: playback.loopEnd };
+                this.transport.runAt(time || this.audioContext.currentTime, () => this.onPlaybackEvent(noteOff));
+            }
+        });
+        playback.heldNotes.clear();
+        
+        playback.pedalsDown.forEach(pedal => this.playbackPedal(pedal, false, time));
+        playback.pedalsDown.clear();
+    }
+    
+    // Playback sounds here or on the external synth it was routed to when it started
+    playbackNoteOn(event, time) {
+        if (this.recording.playback.external) {
+            const velocity = event.velocity !== undefined ? event.velocity : 0.8;
+            this.externalOutput.sendNoteOn(MusicTheory.noteToMidi(event.note, event.octave), Math.round(velocity * 127), null, time);
+        } else {
+            this.playNote(event.note, event.octave, event.velocity, null, time);
+        }
+    }
+    
+    playbackNoteOff(event, time) {
+        if (this.recording.playback.external) {
+            this.externalOutput.sendNoteOff(MusicTheory.noteToMidi(event.note, event.octave), null, time);
+        } else {
+            this.stopNote(`${event.note}${event.octave}`, time);
+        }
+    }
+    
+    playbackPedal(pedal, down, time) {
+        if (this.recording.playback.external) {
+            // CC64 is the sustain pedal, CC66 sostenuto
+            this.externalOutput.sendControlChange(pedal === 'sustain' ? 64 : 66, down ? 127 : 0, null, time);
+        } else if (pedal === 'sustain') {
+            this.setSustainPedal(down, time);
+        } else {
+            this.setSostenutoPedal(down, time);
+        }
+    }
+    
+    get isPlayingBack() {
+        return this.recording.playback !== null;
+    }
+    
+    // Where playback has got to, in ms of the recording, or null when nothing is playing
+    getPlaybackPosition() {
+        const playback = this.recording.playback;
+        if (!playback || !this.audioContext) return null;
+        
+        const elapsed = Math.max(0, this.audioContext.currentTime - playback.passStart);
+        return Math.min(playback.loopEnd, playback.loopStart + elapsed * 1000 * playback.passSpeed);
+    }
+    
+    // Change the speed of the playback in progress; it takes effect from the next loop pass
+    setPlaybackSpeed(speed, maxSpeed = speed) {
+        const playback = this.recording.playback;
+        if (!playback) return;
+        
+        playback.speed = Math.max(0.05, speed);
+        playback.maxSpeed = maxSpeed;
+    }
+    
+    // Cancel a playback that hasn't finished, letting go of the notes it holds
+    stopPlayback() {
+        const playback = this.recording.playback;
+        this.transport.cancel(this.recording.playbackEventIds);
+        this.recording.playbackEventIds = [];
+        this.releasePlaybackNotes();
+        this.recording.playback = null;
+        
+        // Notes or pedals a synth may still hold from messages already on their way
+        if (playback && playback.external && this.externalOutput) {
+            this.externalOutput.sendAllNotesOff();
+        }
+    }
+    
+    // Offline rendering
+    
+    // Render recorded events through an OfflineAudioContext with the current instrument
+    // and effects, as a WAV Blob. Options: { bitDepth: 16|24, sampleRate }
+    async renderToWav(events, options = {}) {
+        const buffer = await this.renderToBuffer(events, options);
+        return WavEncoder.encode(buffer, options.bitDepth || 16);
+    }
+    
+    // Render recorded events to a stereo AudioBuffer, including the release and effect tails
+    async renderToBuffer(events, options = {}) {
+        if (!events || events.length === 0) {
+            throw new Error('Nothing to render');
+        }
+        
+        const sampleRate = options.sampleRate || (this.audioContext ? this.audioContext.sampleRate : this.sampleRate);
+        const endTime = Math.max(...events.map(event => event.time)) / 1000;
+        const duration = endTime + this.getRenderTail();
+        
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const offlineContext = new OfflineContext(2, Math.ceil(duration * sampleRate), sampleRate);
+        const renderer = this.createOfflineRenderer(offlineContext, events);
+        
+        // Stable sort by time: recordings can list scheduled note offs before later note ons
+        const sorted = events
+            .map((event, index) => ({ event, index }))
+            .sort((a, b) => a.event.time - b.event.time || a.index - b.index)
+            .map(({ event }) => event);
+        
+        sorted.forEach(event => {
+            const time = event.time / 1000;
+            if (event.type === 'noteOn') {
+                renderer.playNote(event.note, event.octave, event.velocity, null, time);
+            } else if (event.type === 'noteOff') {
+                renderer.stopNote(`${event.note}${event.octave}`, time);
+            } else if (event.type === 'sustain') {
+                renderer.setSustainPedal(event.value, time);
+            } else if (event.type === 'sostenuto') {
+                renderer.setSostenutoPedal(event.value, time);
+            }
+        });
+        
+        // Let go of anything still held or pedalled when the take ends
+        renderer.setSustainPedal(false, endTime);
+        renderer.setSostenutoPedal(false, endTime);
+        renderer.voices.voices.forEach(voice => renderer.voices.releaseVoice(voice, endTime));
+        
+        const buffer = await offlineContext.startRendering();
+        renderer.destroy();
+        return buffer;
+    }
+    
+    // An engine on the offline context with this engine's sound
+    createOfflineRenderer(offlineContext, events) {
+        const renderer = new AudioEngine(offlineContext);
+        renderer.settings = { ...this.settings };
+        renderer.setVolume(this.settings.volume);
+        renderer.sampleInstrument = this.sampleInstrument;
+        renderer.tuning = this.tuning;
+        
+        if (this.effects) {
+            renderer.effects.setTempo(this.effects.tempo);
+            renderer.effects.copyImpulsesFrom(this.effects);
+        }
+        renderer.applyEffectSettings(this.getEffectSettings());
+        
+        // Voices are stolen against the clock, which stands still until rendering starts
+        renderer.setMaxPolyphony(events.filter(event => event.type === 'noteOn').length + 1);
+        return renderer;
+    }
+    
+    // Seconds to keep rendering after the last event: release plus reverb and delay tails
+    getRenderTail() {
+        const effects = this.getEffectSettings();
+        let tail = this.settings.release + 0.1;
+        
+        if (this.settings.voice === 'sample') {
+            tail = Math.max(tail, 1);
+        }
+        if (effects.reverb.enabled) {
+            tail += effects.reverb.decay + effects.reverb.preDelay / 1000;
+        }
+        if (effects.delay.enabled && effects.delay.feedback > 0) {
+            // Repeats until they have died away by 60 dB
+            const tempo = this.effects ? this.effects.tempo : 120;
+            const delaySeconds = EffectsChain.getDelayTime(effects.delay.division, tempo);
+            const repeats = Math.ceil(Math.log(0.001) / Math.log(effects.delay.feedback));
+            tail += Math.min(10, delaySeconds * (repeats + 1));
+        }
+        return tail;
+    }
+    
     // Audio settings
     setVolume(volume) {
         this.settings.volume = Math.max(0, Math.min(1, volume));
@@ -272,12 +788,80 @@ class AudioEngine {
         }
     }
     
+    // Pitch wheel position (-1 to 1), applied to every sounding voice
+    setPitchBend(value) {
+        this.pitchBend = Math.max(-1, Math.min(1, value));
+        if (!this.isInitialized) return;
+        
+        const now = this.audioContext.currentTime;
+        const cents = this.getPitchBendCents();
+        this.voices.voices.forEach(voice => {
+            // A short glide keeps wheel movements from stepping audibly
+            voice.source.detune.setTargetAtTime(cents, now, 0.005);
+        });
+    }
+    
+    setPitchBendRange(semitones) {
+        this.settings.pitchBendRange = Math.max(0, Math.min(24, semitones));
+        this.setPitchBend(this.pitchBend);
+    }
+    
+    getPitchBendCents() {
+        return this.pitchBend * this.settings.pitchBendRange * 100;
+    }
+    
+    // Mod wheel position (0 to 1) sets the vibrato depth
+    setModulation(value) {
+        this.modulation = Math.max(0, Math.min(1, value));
+        if (!this.isInitialized) return;
+        
+        const now = this.audioContext.currentTime;
+        this.vibratoGain.gain.setTargetAtTime(this.modulation * this.settings.vibratoDepth, now, 0.01);
+    }
+    
+    setVibrato(rate, depth) {
+        this.settings.vibratoRate = Math.max(0.1, rate);
+        this.settings.vibratoDepth = Math.max(0, depth);
+        if (!this.isInitialized) return;
+        
+        this.vibratoLfo.frequency.setValueAtTime(this.settings.vibratoRate, this.audioContext.currentTime);
+        this.setModulation(this.modulation);
+    }
+    
     setWaveform(waveform) {
         if (['sine', 'square', 'sawtooth', 'triangle'].includes(waveform)) {
             this.settings.waveform = waveform;
         }
     }
     
+    // Set one voice parameter by name (waveform, attack... filterQ), as the preset editor does
+    setSynthParameter(name, value) {
+        const { attack, decay, sustain, release, filterType, filterFrequency, filterQ } = this.settings;
+        const envelope = { attack, decay, sustain, release };
+        
+        if (name === 'waveform') {
+            this.setWaveform(value);
+        } else if (name in envelope) {
+            envelope[name] = parseFloat(value);
+            this.setEnvelope(envelope.attack, envelope.decay, envelope.sustain, envelope.release);
+        } else if (name === 'filterType') {
+            this.setFilter(value, filterFrequency, filterQ);
+        } else if (name === 'filterFrequency') {
+            this.setFilter(filterType, parseFloat(value), filterQ);
+        } else if (name === 'filterQ') {
+            this.setFilter(filterType, filterFrequency, parseFloat(value));
+        }
+    }
+    
+    // Filter applied to notes struck from now on
+    setFilter(type, frequency = this.settings.filterFrequency, q = this.settings.filterQ) {
+        if (['off', 'lowpass', 'highpass', 'bandpass'].includes(type)) {
+            this.settings.filterType = type;
+        }
+        this.settings.filterFrequency = Math.max(20, Math.min(20000, frequency));
+        this.settings.filterQ = Math.max(0.1, Math.min(20, q));
+    }
+    
     setEnvelope(attack, decay, sustain, release) {
         this.settings.attack = Math.max(0.001, attack);
         this.settings.decay = Math.max(0.001, decay);
@@ -326,56 +910,185 @@ class AudioEngine {
         
         const analyser = this.audioContext.createAnalyser();
         analyser.fftSize = 256;
-        this.masterGain.connect(analyser);
+        this.effects.output.connect(analyser);
         
         return analyser;
     }
     
-    // Preset configurations
-    loadPreset(presetName) {
-        const presets = {
+    // Built-in synth presets, also the first entries of the preset list
+    static getFactoryPresets() {
+        return {
             piano: {
+                name: 'Piano',
                 waveform: 'triangle',
                 attack: 0.01,
                 decay: 0.2,
                 sustain: 0.7,
-                release: 0.5
+                release: 0.5,
+                effects: {
+                    reverb: { enabled: true, decay: 2, mix: 0.2 }
+                }
             },
             organ: {
+                name: 'Organ',
                 waveform: 'sine',
                 attack: 0.05,
                 decay: 0.1,
                 sustain: 0.9,
-                release: 0.3
+                release: 0.3,
+                effects: {
+                    chorus: { enabled: true, rate: 0.8, depth: 2.5, mix: 0.5 },
+                    reverb: { enabled: true, decay: 3, mix: 0.25 }
+                }
             },
             strings: {
+                name: 'Strings',
                 waveform: 'sawtooth',
                 attack: 0.3,
                 decay: 0.1,
                 sustain: 0.8,
-                release: 1.0
+                release: 1.0,
+                effects: {
+                    eq: { enabled: true, high: -6 },
+                    chorus: { enabled: true, rate: 0.5, depth: 4, mix: 0.3 },
+                    reverb: { enabled: true, decay: 3.5, mix: 0.35 }
+                }
             },
             brass: {
+                name: 'Brass',
                 waveform: 'square',
                 attack: 0.1,
                 decay: 0.2,
                 sustain: 0.6,
-                release: 0.4
+                release: 0.4,
+                effects: {
+                    eq: { enabled: true, high: -4, mid: 2 },
+                    reverb: { enabled: true, decay: 1.5, mix: 0.15 }
+                }
             }
         };
-        
-        const preset = presets[presetName];
+    }
+    
+    // Preset configurations
+    loadPreset(presetName) {
+        const preset = AudioEngine.getFactoryPresets()[presetName];
         if (preset) {
-            this.settings = { ...this.settings, ...preset };
+            this.applyPreset(preset);
+        }
+    }
+    
+    // Apply a preset: waveform, ADSR, filter, effects and (if it has one) tuning.
+    // Missing voice settings fall back to the defaults; effects start from the defaults.
+    applyPreset(preset) {
+        const { waveform = 'triangle', attack = 0.01, decay = 0.2, sustain = 0.7, release = 0.5,
+            filterType = 'off', filterFrequency = 8000, filterQ = 1, effects = {}, tuning = null } = preset;
+        
+        this.settings.voice = 'oscillator';
+        this.setWaveform(waveform);
+        this.setEnvelope(attack, decay, sustain, release);
+        this.setFilter(filterType, filterFrequency, filterQ);
+        this.applyEffectSettings(effects, true);
+        if (tuning) {
+            this.setTuning(tuning);
         }
     }
     
+    // Current sound as preset settings
+    getPresetSettings() {
+        const { waveform, attack, decay, sustain, release, filterType, filterFrequency, filterQ } = this.settings;
+        return {
+            waveform, attack, decay, sustain, release, filterType, filterFrequency, filterQ,
+            effects: this.getEffectSettings(),
+            tuning: this.tuning.getSettings()
+        };
+    }
+    
+    // Effects
+    
+    // Apply effect settings; a preset starts from the defaults rather than the current effects
+    applyEffectSettings(effectSettings = {}, fromDefaults = false) {
+        if (!this.effects) return;
+        
+        if (fromDefaults) {
+            const defaults = EffectsChain.getDefaultSettings();
+            Object.keys(effectSettings).forEach(name => {
+                defaults[name] = { ...defaults[name], ...effectSettings[name] };
+            });
+            effectSettings = defaults;
+        }
+        this.effects.applySettings(effectSettings);
+    }
+    
+    getEffectSettings() {
+        return this.effects ? this.effects.getSettings() : EffectsChain.getDefaultSettings();
+    }
+    
+    // Tuning
+    
+    // Reference pitch, temperament and tonic: { referencePitch, temperament, tonic }.
+    // Applies to notes struck from now on.
+    setTuning(tuningSettings) {
+        this.tuning.updateSettings(tuningSettings);
+    }
+    
+    // Load a Scala scale (.scl) or keyboard mapping (.kbm) from local files
+    async loadScalaFiles(files) {
+        const fileList = Array.from(files);
+        const scl = fileList.find(file => /\.scl$/i.test(file.name));
+        const kbm = fileList.find(file => /\.kbm$/i.test(file.name));
+        if (!scl && !kbm) {
+            throw new Error('Choose a Scala .scl file (and optionally a .kbm)');
+        }
+        if (!scl && !this.tuning.scale) {
+            throw new Error('Load a .scl scale before its keyboard mapping');
+        }
+        
+        if (scl) {
+            this.tuning.loadScale(await scl.text(), scl.name);
+        }
+        if (kbm) {
+            this.tuning.loadMapping(await kbm.text(), kbm.name);
+        }
+        return this.tuning;
+    }
+    
+    // Sampled instruments
+    
+    // Load a SoundFont (.sf2), an SFZ with its samples, or a single sample from local files
+    async loadSampleInstrumentFiles(files) {
+        const instrument = await SampleInstrument.fromFiles(files, this.audioContext);
+        this.useSampleInstrument(instrument);
+        return instrument;
+    }
+    
+    // Load a bundled instrument from a URL
+    async loadSampleInstrumentUrl(url, options = {}) {
+        const instrument = await SampleInstrument.fromUrl(url, this.audioContext, options);
+        this.useSampleInstrument(instrument);
+        return instrument;
+    }
+    
+    // Switch to a loaded sample instrument; loadPreset switches back to the oscillator
+    useSampleInstrument(instrument) {
+        this.stopAllNotes();
+        this.sampleInstrument = instrument;
+        this.settings.voice = 'sample';
+    }
+    
     // Cleanup
     destroy() {
         this.stopAllNotes();
-        this.stopMetronome();
+        if (this.vibratoLfo) {
+            this.vibratoLfo.stop();
+        }
+        if (this.transport) {
+            this.transport.destroy();
+        }
+        if (this.effects) {
+            this.effects.destroy();
+        }
         
-        if (this.audioContext) {
+        if (this.audioContext && !this.isOffline) {
             this.audioContext.close();
         }
     }
@@ -6,13 +6,20 @@ class ChordDetector {
         this.chordHistory = [];
         this.maxHistoryLength = 10;
         
+        // Key used to spell chord roots (e.g. Bb rather than A# in F major)
+        this.keyContext = null;
+        
         // Chord detection settings
         this.settings = {
             minNotes: 2,
             maxNotes: 6,
             ignoreDuplicates: true,
             includeInversions: true,
-            preferSimpleChords: true
+            preferSimpleChords: true,
+            detectRootless: true, // Read 4+ note voicings without a root as the chord a bassist would complete
+            maxAlternatives: 3,
+            alternativeMinScore: 0.75, // Weaker readings aren't worth showing next to the primary name
+            rollMs: 250 // Keys added this soon after a chord are part of it, not a new chord
         };
         
         // Chord quality colors for visualization
@@ -27,7 +34,8 @@ class ChordDetector {
         };
     }
     
-    // Analyze pressed notes and detect chord
+    // Analyze pressed notes and detect chord. Notes with octaves ("E3", "C4", "G4")
+    // are voiced from the lowest key up, so the real bass decides inversions and slash names
     analyzeChord(pressedNotes) {
         if (!pressedNotes || pressedNotes.length < this.settings.minNotes) {
             this.currentChord = null;
@@ -35,16 +43,23 @@ class ChordDetector {
         }
         
         // Remove duplicates and sort
-        const uniqueNotes = [...new Set(pressedNotes)];
-        if (uniqueNotes.length < this.settings.minNotes) {
+        const voicing = this.parseVoicing(pressedNotes);
+        if (voicing.pitchClasses.length < this.settings.minNotes) {
             this.currentChord = null;
             return null;
         }
         
         // Detect chord
-        const chord = this.detectChordFromNotes(uniqueNotes);
+        const interpretations = this.rankInterpretations(voicing.pitchClasses, voicing.bass, voicing.spelling);
+        const chord = interpretations[0] || this.analyzeUnknownChord(voicing.pitchClasses, voicing.bass);
         
         if (chord) {
+            chord.notes = voicing.notes;
+            chord.bassNote = voicing.bassNote;
+            // Alternatives must account for every note; C under Am7 is just an incomplete reading
+            chord.alternatives = interpretations.slice(1)
+                .filter(alternative => this.isCompleteReading(alternative) && alternative.score >= this.settings.alternativeMinScore)
+                .slice(0, this.settings.maxAlternatives);
             this.currentChord = chord;
             this.addToHistory(chord);
             return chord;
@@ -54,28 +69,104 @@ class ChordDetector {
         return null;
     }
     
+    // Sort notes from low to high and reduce them to pitch-class names (C, C#...),
+    // bass first. Without octaves the first note given is taken as the bass
+    parseVoicing(notes) {
+        const parsed = notes
+            .map(note => ({ note: note, info: MusicTheory.parseNoteName(note) }))
+            .filter(entry => entry.info);
+        
+        const hasOctaves = parsed.length > 0 && parsed.every(entry => entry.info.octave !== null);
+        if (hasOctaves) {
+            parsed.sort((a, b) => 
+                MusicTheory.noteToMidi(a.info.name, a.info.octave) - MusicTheory.noteToMidi(b.info.name, b.info.octave)
+            );
+        }
+        
+        const pitchClasses = [...new Set(parsed.map(entry => NOTES[entry.info.pitchClass]))];
+        
+        // How the notes were written (Bb rather than A#), for naming chords without a key
+        const spelling = { names: new Map(), flats: false };
+        parsed.forEach(entry => {
+            const pitchClass = NOTES[entry.info.pitchClass];
+            if (entry.info.accidental.length <= 1 && !spelling.names.has(pitchClass)) {
+                spelling.names.set(pitchClass, entry.info.name);
+            }
+        });
+        spelling.flats = parsed.some(entry => entry.info.accidental === 'b') &&
+            !parsed.some(entry => entry.info.accidental === '#');
+        
+        return {
+            notes: parsed.map(entry => entry.note),
+            pitchClasses: pitchClasses,
+            spelling: spelling,
+            bass: pitchClasses[0] || null,
+            bassNote: hasOctaves ? parsed[0].note : null
+        };
+    }
+    
     // Main chord detection logic
-    detectChordFromNotes(notes) {
+    detectChordFromNotes(notes, bassNote = notes[0]) {
+        const results = this.rankInterpretations(notes, bassNote);
+        
+        if (results.length === 0) {
+            return this.analyzeUnknownChord(notes, bassNote);
+        }
+        
+        return results[0];
+    }
+    
+    // Every reading of the notes, best first, each with a score and the reasons for it.
+    // An ambiguous voicing like A C E G comes back as Am7 and C6/A
+    getInterpretations(pressedNotes, limit = 5) {
+        if (!pressedNotes || pressedNotes.length < this.settings.minNotes) return [];
+        
+        const voicing = this.parseVoicing(pressedNotes);
+        if (voicing.pitchClasses.length < this.settings.minNotes) return [];
+        
+        return this.rankInterpretations(voicing.pitchClasses, voicing.bass, voicing.spelling)
+            .slice(0, limit)
+            .map(chord => ({ ...chord, notes: voicing.notes, bassNote: voicing.bassNote }));
+    }
+    
+    // Whether a candidate explains every note and lacks nothing but its root or omittable tones
+    isCompleteReading(chord) {
+        const omittedNotes = chord.omittedNotes || [];
+        return chord.extraNotes.length === 0 &&
+            chord.missingNotes.every(interval => interval === 0 || omittedNotes.includes(interval));
+    }
+    
+    // Collect candidates for every possible root, sort them and keep one per name
+    rankInterpretations(notes, bassNote = notes[0], spelling = null) {
         const results = [];
         
         // Try each note as potential root
         for (const rootNote of notes) {
-            const chordCandidates = this.findChordsWithRoot(notes, rootNote);
+            const chordCandidates = this.findChordsWithRoot(notes, rootNote, bassNote, spelling);
             results.push(...chordCandidates);
         }
         
-        if (results.length === 0) {
-            return this.analyzeUnknownChord(notes);
+        // Then every root that isn't being played
+        if (this.settings.detectRootless && notes.length >= 4) {
+            NOTES.filter(note => !notes.includes(note)).forEach(rootNote => {
+                results.push(...this.findChordsWithRoot(notes, rootNote, bassNote, spelling));
+            });
         }
         
         // Sort results by preference
         results.sort(this.compareChords.bind(this));
         
-        return results[0];
+        // The same chord can be listed under two categories (sus2 is a triad and a sus chord)
+        const seen = new Set();
+        return results.filter(chord => {
+            if (seen.has(chord.name)) return false;
+            seen.add(chord.name);
+            return true;
+        });
     }
     
     // Find all possible chords with a given root note
-    findChordsWithRoot(notes, rootNote) {
+    findChordsWithRoot(notes, rootNote, bassNote = rootNote, spelling = null) {
         const results = [];
         const rootIndex = NOTES.indexOf(rootNote);
         
@@ -86,28 +177,49 @@ class ChordDetector {
             const noteIndex = NOTES.indexOf(note);
             return (noteIndex - rootIndex + 12) % 12;
         }).sort((a, b) => a - b);
+        const bassInterval = (NOTES.indexOf(bassNote) - rootIndex + 12) % 12;
+        const rootless = !notes.includes(rootNote);
         
         // Check against all chord types
         for (const [category, chords] of Object.entries(CHORD_TYPES)) {
             for (const [chordType, chordDef] of Object.entries(chords)) {
-                const match = this.matchChordPattern(intervals, chordDef.intervals);
+                // Played intervals are within one octave, so fold 9ths, 11ths and 13ths down
+                const chordIntervals = chordDef.intervals.map(interval => interval % 12);
+                const sortedIntervals = [...chordIntervals].sort((a, b) => a - b);
+                const match = rootless 
+                    ? this.matchRootlessPattern(intervals, sortedIntervals) 
+                    : this.matchChordPattern(intervals, sortedIntervals);
+                
+                // A suspension replaces the third, so it can't be sus if a third is sounding
+                if (chordType.includes('sus') && (intervals.includes(3) || intervals.includes(4))) continue;
                 
                 if (match.isMatch) {
-                    results.push({
-                        root: rootNote,
+                    const rootName = this.spellRoot(rootNote, spelling);
+                    const inversion = chordIntervals.indexOf(bassInterval);
+                    const bassName = bassInterval === 0 ? rootName : this.spellBass(bassNote, rootName, chordType, category, inversion, spelling);
+                    
+                    const candidate = {
+                        root: rootName,
+                        bass: bassName,
                         type: chordType,
                         category: category,
                         symbol: chordDef.symbol,
-                        name: rootNote + chordDef.symbol,
-                        fullName: rootNote + ' ' + chordDef.name,
+                        // Rootless voicings are named for the chord they imply, without a slash bass
+                        name: rootName + chordDef.symbol + (bassInterval === 0 || rootless || !this.settings.includeInversions ? '' : '/' + bassName),
+                        fullName: rootName + ' ' + chordDef.name + this.describeBass(inversion, bassName),
                         notes: notes,
                         intervals: intervals,
                         quality: MusicTheory.getChordQuality(chordType, category),
                         confidence: match.confidence,
-                        inversion: match.inversion,
+                        inversion: inversion,
                         missingNotes: match.missingNotes,
-                        extraNotes: match.extraNotes
-                    });
+                        extraNotes: match.extraNotes,
+                        omittedNotes: match.omittedNotes || [],
+                        rootless: rootless
+                    };
+                    candidate.score = this.scoreChord(candidate);
+                    candidate.reasons = this.explainChord(candidate);
+                    results.push(candidate);
                 }
             }
         }
@@ -115,6 +227,107 @@ class ChordDetector {
         return results;
     }
     
+    // Score a candidate from 0 to 1: how well the notes match, less a little for
+    // inversions, non-chord-tone basses and (optionally) more complex chord types
+    scoreChord(chord) {
+        let score = chord.confidence;
+        
+        if (chord.inversion === -1) {
+            score -= 0.1;
+        } else if (chord.inversion > 0 || chord.rootless) {
+            // A rootless voicing has some other chord tone in the bass, like an inversion
+            score -= 0.04;
+            // A 9th, 11th or 13th in the bass is a weaker reading than a 3rd, 5th or 7th
+            const chordDef = CHORD_TYPES[chord.category][chord.type];
+            if (chordDef.intervals[chord.inversion] > 12) score -= 0.02;
+        }
+        
+        // A reading that leaves several sounding tones unexplained is a poor fit however
+        // simple it is: C+ is no name for C E Bb Db Eb Ab
+        score -= 0.04 * Math.max(0, chord.extraNotes.length - 1);
+        
+        if (this.settings.preferSimpleChords) {
+            // Altered dominants are the most specific reading, so they lose ties to natural tensions
+            const categoryPenalty = { triads: 0, sevenths: 0.01, sus: 0.02, added: 0.02, extended: 0.03, altered: 0.04 };
+            score -= categoryPenalty[chord.category] || 0;
+        }
+        
+        return Math.max(0, Math.round(score * 100) / 100);
+    }
+    
+    // Human-readable reasons behind a candidate's score
+    explainChord(chord) {
+        const reasons = [];
+        const describe = interval => 
+            MusicTheory.getIntervalName(interval, this.inferIntervalNumber(interval, chord.intervals));
+        
+        const missingNotes = chord.missingNotes.filter(interval => 
+            interval !== 0 && !(chord.omittedNotes || []).includes(interval)
+        );
+        
+        if (chord.rootless) {
+            reasons.push(`Rootless voicing (no ${chord.root})`);
+        } else if (missingNotes.length === 0 && chord.extraNotes.length === 0) {
+            reasons.push('All notes are chord tones');
+        }
+        if (chord.omittedNotes && chord.omittedNotes.length > 0) {
+            reasons.push(`Omits ${chord.omittedNotes.map(describe).join(', ')}`);
+        }
+        if (missingNotes.length > 0) {
+            reasons.push(`Missing ${missingNotes.map(describe).join(', ')}`);
+        }
+        if (chord.extraNotes.length > 0) {
+            reasons.push(`Extra ${chord.extraNotes.map(describe).join(', ')}`);
+        }
+        
+        if (chord.rootless) {
+            reasons.push(`${chord.bass} in the bass`);
+        } else if (chord.inversion === 0) {
+            reasons.push('Root in the bass');
+        } else if (chord.inversion === -1) {
+            reasons.push(`${chord.bass} in the bass is not a chord tone`);
+        } else {
+            reasons.push(`${chord.bass} in the bass${this.describeBass(chord.inversion, chord.bass)}`);
+        }
+        
+        return reasons;
+    }
+    
+    // Spell the bass of a slash chord. Chord tones take their spelling from the chord
+    // (Ab/C, not Ab/B#); other bass notes are spelled in the key
+    spellBass(bassNote, rootName, chordType, category, inversion, spelling = null) {
+        if (inversion > 0) {
+            const chordNote = MusicTheory.getChordNotes(rootName, chordType, category)[inversion];
+            if (chordNote && !/(##|bb)/.test(chordNote)) return chordNote;
+        }
+        return this.spellRoot(bassNote, spelling);
+    }
+    
+    // Inversion or slash bass suffix for a chord's full name
+    describeBass(inversion, bassName) {
+        if (inversion === 0) return '';
+        if (inversion === -1) return ` over ${bassName}`;
+        
+        const ordinals = ['', '1st', '2nd', '3rd', '4th', '5th', '6th'];
+        return ` (${ordinals[inversion]} inversion)`;
+    }
+    
+    // Set the key used for spelling chord roots, or null to follow the input's spelling
+    setKeyContext(root, scaleType = 'major') {
+        this.keyContext = root ? { root, scaleType } : null;
+    }
+    
+    // Spell a root note in the current key context. Without a key, a note is spelled as
+    // the input wrote it, and a root nobody played in flats if the input was written in flats
+    spellRoot(note, spelling = null) {
+        if (this.keyContext) {
+            return MusicTheory.spellInKey(note, this.keyContext.root, this.keyContext.scaleType);
+        }
+        if (!spelling) return note;
+        if (spelling.names.has(note)) return spelling.names.get(note);
+        return spelling.flats ? FLAT_NOTES[NOTES.indexOf(note)] : note;
+    }
+    
     // Match chord pattern against intervals
     matchChordPattern(playedIntervals, chordIntervals) {
         const result = {
@@ -146,11 +359,18 @@ class ChordDetector {
             return result;
         }
         
-        // Check for inversions if enabled
-        if (this.settings.includeInversions) {
-            const inversionMatch = this.checkInversions(playedIntervals, chordIntervals);
-            if (inversionMatch.isMatch) {
-                return inversionMatch;
+        // Check for voicings that leave out tones players routinely drop (the 5th, or the 9th and 11th of a 13th chord)
+        if (chordIntervals.length >= 4) {
+            const essentialNotes = chordIntervals.filter(interval => !this.isOmittable(interval, chordIntervals));
+            if (essentialNotes.every(interval => playedIntervals.includes(interval))) {
+                result.isMatch = true;
+                result.omittedNotes = chordIntervals.filter(interval => !playedIntervals.includes(interval));
+                result.missingNotes = result.omittedNotes;
+                result.extraNotes = playedIntervals.filter(interval => 
+                    !chordIntervals.includes(interval)
+                );
+                result.confidence = this.getOmissionConfidence(result.omittedNotes, result.extraNotes);
+                return result;
             }
         }
         
@@ -173,80 +393,89 @@ class ChordDetector {
         return result;
     }
     
-    // Check for chord inversions
-    checkInversions(playedIntervals, chordIntervals) {
+    // Match a voicing with no root against a chord: every played note must be a chord tone,
+    // the 3rd and 7th must be there, and only the root and omittable tones may be missing
+    matchRootlessPattern(playedIntervals, chordIntervals) {
         const result = {
             isMatch: false,
             confidence: 0,
             inversion: 0,
             missingNotes: [],
-            extraNotes: []
+            extraNotes: [],
+            omittedNotes: []
         };
         
-        // Try different inversions
-        for (let inversion = 1; inversion < chordIntervals.length; inversion++) {
-            const invertedIntervals = this.getInversion(chordIntervals, inversion);
-            
-            if (this.arraysEqual(playedIntervals, invertedIntervals)) {
-                result.isMatch = true;
-                result.confidence = 0.85; // Slightly lower than root position
-                result.inversion = inversion;
-                return result;
-            }
-            
-            // Check subset match for inversions
-            const containsAllInvertedNotes = invertedIntervals.every(interval => 
-                playedIntervals.includes(interval)
-            );
-            
-            if (containsAllInvertedNotes && playedIntervals.length <= invertedIntervals.length + 2) {
-                result.isMatch = true;
-                result.confidence = 0.75;
-                result.inversion = inversion;
-                result.extraNotes = playedIntervals.filter(interval => 
-                    !invertedIntervals.includes(interval)
-                );
-                return result;
-            }
-        }
+        const third = chordIntervals.find(interval => interval === 3 || interval === 4);
+        const seventh = chordIntervals.find(interval => interval === 10 || interval === 11);
+        if (chordIntervals.length < 4 || !playedIntervals.includes(third) || !playedIntervals.includes(seventh)) return result;
+        if (!playedIntervals.every(interval => chordIntervals.includes(interval))) return result;
         
+        const missing = chordIntervals.filter(interval => !playedIntervals.includes(interval));
+        if (!missing.every(interval => interval === 0 || this.isOmittable(interval, chordIntervals))) return result;
+        
+        result.isMatch = true;
+        result.missingNotes = missing;
+        result.omittedNotes = missing.filter(interval => interval !== 0);
+        // Scored like any other voicing that drops its root and 5th, so a 3rd and 7th shell
+        // competes with inverted readings instead of always trailing them
+        result.confidence = this.getOmissionConfidence(missing, []);
         return result;
     }
     
-    // Get chord inversion intervals
-    getInversion(intervals, inversion) {
-        const inverted = [...intervals];
+    // Confidence for a voicing that leaves out omittable tones. Dropping the root or the 5th
+    // is routine and costs less than an inversion, so C E A D reads as C6/9 rather than D7sus2/C
+    getOmissionConfidence(omittedNotes, extraNotes) {
+        if (extraNotes.length > 0) return 0.85 - 0.02 * (omittedNotes.length - 1);
         
-        for (let i = 0; i < inversion; i++) {
-            const note = inverted.shift();
-            inverted.push(note + 12);
-        }
+        const tensions = omittedNotes.filter(interval => interval !== 0 && interval !== 7).length;
+        return tensions === 0 ? 0.98 : 0.96 - 0.02 * (tensions - 1);
+    }
+    
+    // Tones a voicing can leave out without changing the chord's identity:
+    // a perfect 5th, the 9th and 11th under a dominant or minor 13th, and any one
+    // alteration of an altered dominant (it needs only some of b9, #9 and b13)
+    isOmittable(interval, chordIntervals) {
+        if (interval === 7) return true;
+        
+        const isThirteenth = chordIntervals.includes(9) && chordIntervals.includes(10);
+        if (isThirteenth && (interval === 2 || interval === 5)) return true;
         
-        // Normalize back to within octave
-        return inverted.map(interval => interval % 12).sort((a, b) => a - b);
+        const isAltered = !chordIntervals.includes(7) && [1, 3, 8].every(tone => chordIntervals.includes(tone));
+        return isAltered && [1, 3, 8].includes(interval);
     }
     
     // Compare chords for sorting preference
     compareChords(a, b) {
-        // Prefer higher confidence
+        // Prefer higher score, then higher confidence
+        if (a.score !== b.score) {
+            return b.score - a.score;
+        }
         if (a.confidence !== b.confidence) {
             return b.confidence - a.confidence;
         }
         
-        // Prefer root position over inversions
-        if (a.inversion !== b.inversion) {
-            return a.inversion - b.inversion;
+        // Prefer a root in the bass over inversions and slash chords
+        const rootPositionDiff = (b.inversion === 0) - (a.inversion === 0);
+        if (rootPositionDiff !== 0) {
+            return rootPositionDiff;
         }
         
         // Prefer simpler chords if setting is enabled
         if (this.settings.preferSimpleChords) {
-            const categoryOrder = { triads: 0, sevenths: 1, sus: 2, extended: 3 };
+            const categoryOrder = { triads: 0, sevenths: 1, sus: 2, added: 3, extended: 4, altered: 5 };
             const categoryDiff = categoryOrder[a.category] - categoryOrder[b.category];
             if (categoryDiff !== 0) {
                 return categoryDiff;
             }
         }
         
+        // Prefer a chord tone in the bass, then lower inversions
+        const inversionA = a.inversion === -1 ? Infinity : a.inversion;
+        const inversionB = b.inversion === -1 ? Infinity : b.inversion;
+        if (inversionA !== inversionB) {
+            return inversionA - inversionB;
+        }
+        
         // Prefer fewer extra notes
         const extraNotesDiff = a.extraNotes.length - b.extraNotes.length;
         if (extraNotesDiff !== 0) {
@@ -258,11 +487,11 @@ class ChordDetector {
     }
     
     // Analyze unknown chord patterns
-    analyzeUnknownChord(notes) {
+    analyzeUnknownChord(notes, bassNote = notes[0]) {
         if (notes.length < 2) return null;
         
         // Calculate intervals
-        const rootNote = notes[0]; // Use first note as root
+        const rootNote = bassNote; // Use the bass as root
         const rootIndex = NOTES.indexOf(rootNote);
         const intervals = notes.map(note => {
             const noteIndex = NOTES.indexOf(note);
@@ -283,6 +512,8 @@ class ChordDetector {
             intervals: intervals,
             quality: 'unknown',
             confidence: 0.5,
+            score: 0.5,
+            reasons: ['No known chord type matches these notes'],
             inversion: 0,
             missingNotes: [],
             extraNotes: [],
@@ -299,7 +530,9 @@ class ChordDetector {
             hasNinth: intervals.includes(2) || intervals.includes(14),
             hasEleventh: intervals.includes(5) || intervals.includes(17),
             hasThirteenth: intervals.includes(9) || intervals.includes(21),
-            intervalNames: intervals.map(interval => MusicTheory.getIntervalName(interval))
+            intervalNames: intervals.map(interval => 
+                MusicTheory.getIntervalName(interval, this.inferIntervalNumber(interval, intervals))
+            )
         };
         
         // Determine basic characteristics
@@ -318,6 +551,24 @@ class ChordDetector {
         return analysis;
     }
     
+    // Read a semitone interval by its role among the other chord tones, so a
+    // tritone over a perfect 5th is an augmented 4th (#11) and otherwise a
+    // diminished 5th, and 3 semitones over a major 3rd is an augmented 2nd (#9)
+    inferIntervalNumber(interval, intervals) {
+        switch (interval % 12) {
+            case 3:
+                return intervals.includes(4) ? 2 : 3;
+            case 6:
+                return intervals.includes(7) ? 4 : 5;
+            case 8:
+                return (intervals.includes(7) || !intervals.includes(4)) ? 6 : 5;
+            case 9:
+                return (intervals.includes(6) && intervals.includes(3) && !intervals.includes(10)) ? 7 : 6;
+            default:
+                return MusicTheory.getDefaultIntervalNumber(interval);
+        }
+    }
+    
     // Utility methods
     arraysEqual(a, b) {
         return a.length === b.length && a.every((val, i) => val === b[i]);
@@ -325,15 +576,31 @@ class ChordDetector {
     
     // Add chord to history
     addToHistory(chord) {
-        // Don't add duplicates
-        if (this.chordHistory.length > 0 && 
-            this.chordHistory[this.chordHistory.length - 1].name === chord.name) {
+        const previous = this.chordHistory[this.chordHistory.length - 1];
+        const now = Date.now();
+        
+        // Don't add duplicates, but keep the fullest voicing of a chord
+        if (previous && previous.name === chord.name) {
+            if (this.isSubset(previous.notes, chord.notes)) {
+                this.chordHistory[this.chordHistory.length - 1] = { ...chord, timestamp: previous.timestamp };
+            }
+            return;
+        }
+        
+        // Don't add what's left of the last chord while its keys are being released
+        if (previous && this.isSubset(chord.notes, previous.notes)) {
+            return;
+        }
+        
+        // A chord still being rolled in replaces its first few notes
+        if (previous && now - previous.timestamp < this.settings.rollMs && this.isSubset(previous.notes, chord.notes)) {
+            this.chordHistory[this.chordHistory.length - 1] = { ...chord, timestamp: previous.timestamp };
             return;
         }
         
         this.chordHistory.push({
             ...chord,
-            timestamp: Date.now()
+            timestamp: now
         });
         
         // Keep history within limit
@@ -342,6 +609,12 @@ class ChordDetector {
         }
     }
     
+    // Whether every note of one voicing is also in another, larger one
+    isSubset(notes, otherNotes) {
+        if (!notes || !otherNotes || notes.length >= otherNotes.length) return false;
+        return notes.every(note => otherNotes.includes(note));
+    }
+    
     // Get chord suggestions based on current chord
     getChordSuggestions(currentChord, key = 'C', scaleType = 'major') {
         if (!currentChord) return [];
@@ -378,7 +651,8 @@ class ChordDetector {
     // Get chord function in a key (I, ii, iii, etc.)
     getChordFunction(chord, key, scaleType) {
         const scaleNotes = MusicTheory.getScaleNotes(key, scaleType);
-        const chordIndex = scaleNotes.indexOf(chord.root);
+        const rootPitchClass = MusicTheory.getPitchClass(chord.root);
+        const chordIndex = scaleNotes.findIndex(note => MusicTheory.getPitchClass(note) === rootPitchClass);
         
         if (chordIndex === -1) return null;
         
@@ -0,0 +1,316 @@
+// Chord Suggestion Module
+
+// Usual next steps from each scale step (0 = tonic), strongest first
+const PROGRESSION_MOVES = {
+    0: [3, 4, 5, 1],
+    1: [4, 6, 0],
+    2: [5, 3],
+    3: [4, 0, 1],
+    4: [0, 5],
+    5: [1, 3, 4],
+    6: [0, 2]
+};
+
+// Scale steps worth borrowing from the parallel mode, most common first
+// (iv, bVI, bVII, iiø7 in major; IV, V, I in minor)
+const BORROWED_STEPS = {
+    major: [3, 5, 6, 1],
+    minor: [3, 4, 0]
+};
+
+class ChordSuggester {
+    constructor(harmonicAnalyzer = null) {
+        this.harmonicAnalyzer = harmonicAnalyzer || new HarmonicAnalyzer();
+
+        // Suggestion settings
+        this.settings = {
+            maxSuggestions: 4,
+            maxOptionalSuggestions: 2,          // Per kind: secondary dominants, borrowed chords
+            includeSecondaryDominants: false,
+            includeBorrowedChords: false,
+            maxVoiceMovement: 7,                // Semitones any one voice may move
+            bassNotRootPenalty: 5,              // Cost of putting something other than the root in the bass
+            bassMovementWeight: 0.5,            // The bass may leap; upper voices should step
+            missingFifthPenalty: 1,
+            range: null,                        // [lowest, highest] MIDI notes a voicing may use
+            defaultOctave: 4
+        };
+    }
+
+    // Next chords in a key for the voicing being held ("C4", "E4", "G4"), each with
+    // a concrete voicing that keeps common tones and moves the other voices as little as possible
+    suggest(voicing, key, scaleType = 'major', currentChord = null) {
+        const harmonyScale = this.getHarmonyScale(scaleType);
+        const diatonic = this.getDiatonicChords(key, harmonyScale);
+        if (diatonic.length === 0) return [];
+
+        const tonic = MusicTheory.getPitchClass(key);
+        const step = currentChord ? this.findStep(currentChord.root, key, harmonyScale) : null;
+        const moves = step !== null ? PROGRESSION_MOVES[step] : [0, 3, 4, 5];
+
+        const candidates = [];
+
+        // An applied dominant wants to resolve to its target
+        const analysis = currentChord ? this.harmonicAnalyzer.analyzeChord(currentChord, key, scaleType) : null;
+        if (analysis && analysis.secondary) {
+            const targetStep = this.findStep(NOTES[(MusicTheory.getPitchClass(currentChord.root) + 5) % 12], key, harmonyScale);
+            if (targetStep !== null) {
+                candidates.push({ ...this.chooseSize(diatonic[targetStep], currentChord), kind: 'resolution' });
+            }
+        }
+
+        moves.forEach(target => {
+            candidates.push({ ...this.chooseSize(diatonic[target], currentChord), kind: 'diatonic' });
+        });
+
+        if (this.settings.includeSecondaryDominants) {
+            moves
+                .filter(target => this.isTonicizable(diatonic[target], tonic))
+                .map(target => this.getSecondaryDominant(diatonic[target]))
+                .slice(0, this.settings.maxOptionalSuggestions)
+                .forEach(chord => candidates.push({ ...chord, kind: 'secondary' }));
+        }
+
+        if (this.settings.includeBorrowedChords) {
+            this.getBorrowedChords(key, harmonyScale, diatonic)
+                .slice(0, this.settings.maxOptionalSuggestions)
+                .forEach(chord => candidates.push({ ...chord, kind: 'borrowed' }));
+        }
+
+        // Drop repeats of the current chord and of each other
+        const seen = new Set();
+        if (currentChord) seen.add(this.getChordKey(currentChord.root, currentChord.intervals));
+
+        const suggestions = [];
+        let diatonicCount = 0;
+        candidates.forEach(chord => {
+            if (!chord.root) return;
+            const chordKey = this.getChordKey(chord.root, chord.intervals);
+            if (seen.has(chordKey)) return;
+            if (chord.kind === 'diatonic' && diatonicCount >= this.settings.maxSuggestions) return;
+
+            seen.add(chordKey);
+            if (chord.kind === 'diatonic') diatonicCount++;
+            suggestions.push(this.describeSuggestion(chord, voicing, key, scaleType));
+        });
+
+        return suggestions;
+    }
+
+    // Suggestions need a seven-note scale to stack thirds in; anything else
+    // falls back to plain major or minor
+    getHarmonyScale(scaleType) {
+        const scale = SCALES[scaleType];
+        if (scale && scale.intervals.length === 7) return scaleType;
+        return this.harmonicAnalyzer.getMode(scaleType) === 'minor' ? 'minor' : 'major';
+    }
+
+    // Triads and seventh chords stacked in thirds on each step of the scale
+    getDiatonicChords(key, scaleType) {
+        const scale = SCALES[scaleType];
+        const scaleNotes = MusicTheory.getScaleNotes(key, scaleType);
+        if (!scale || scaleNotes.length !== 7) return [];
+
+        return scaleNotes.map((root, step) => {
+            const stack = [0, 2, 4, 6].map(offset => {
+                const index = step + offset;
+                return scale.intervals[index % 7] + (index >= 7 ? 12 : 0) - scale.intervals[step];
+            });
+            return {
+                step: step,
+                triad: this.buildChord(root, stack.slice(0, 3)),
+                seventh: this.buildChord(root, stack)
+            };
+        });
+    }
+
+    // Chord object for a root and intervals, named from CHORD_TYPES
+    buildChord(root, intervals) {
+        const match = MusicTheory.findChordType(intervals);
+        if (!match) return null;
+
+        const chordDef = CHORD_TYPES[match.category][match.type];
+        return {
+            root: root,
+            type: match.type,
+            category: match.category,
+            symbol: chordDef.symbol,
+            name: root + chordDef.symbol,
+            intervals: chordDef.intervals,
+            notes: MusicTheory.getChordNotes(root, match.type, match.category)
+        };
+    }
+
+    // Sevenths for ii, V and vii, and everywhere once the player is using them
+    chooseSize(diatonicChord, currentChord) {
+        const useSevenths = (currentChord && currentChord.intervals && currentChord.intervals.length >= 4) ||
+            [1, 4, 6].includes(diatonicChord.step);
+        return (useSevenths && diatonicChord.seventh) || diatonicChord.triad || diatonicChord.seventh;
+    }
+
+    // Scale step (0-6) of a chord root, or null if the root isn't in the scale
+    findStep(root, key, scaleType) {
+        const pitchClass = MusicTheory.getPitchClass(root);
+        const index = MusicTheory.getScaleNotes(key, scaleType)
+            .findIndex(note => MusicTheory.getPitchClass(note) === pitchClass);
+        return index === -1 ? null : index;
+    }
+
+    // Major and minor chords other than the tonic can have their own dominant
+    isTonicizable(diatonicChord, tonic) {
+        const triad = diatonicChord.triad;
+        return !!triad && MusicTheory.getPitchClass(triad.root) !== tonic &&
+            (triad.type === '' || triad.type === 'm');
+    }
+
+    // Dominant seventh a fifth above a target chord (V7/x)
+    getSecondaryDominant(diatonicChord) {
+        const root = MusicTheory.spellFromRoot(diatonicChord.triad.root, 7, 4);
+        return this.buildChord(root, [0, 4, 7, 10]);
+    }
+
+    // Chords from the parallel mode that differ from the key's own
+    getBorrowedChords(key, scaleType, diatonic) {
+        const mode = this.harmonicAnalyzer.getMode(scaleType);
+        const parallel = this.getDiatonicChords(key, mode === 'major' ? 'minor' : 'major');
+
+        return BORROWED_STEPS[mode]
+            .map(step => {
+                // Borrow the seventh chord where the triad would be diminished (iiø7)
+                const chord = parallel[step].triad && parallel[step].triad.type === 'dim'
+                    ? parallel[step].seventh
+                    : parallel[step].triad;
+                return chord;
+            })
+            .filter((chord, index) => {
+                const own = diatonic[BORROWED_STEPS[mode][index]];
+                return chord && ![own.triad, own.seventh].some(ownChord =>
+                    ownChord && this.getChordKey(ownChord.root, ownChord.intervals) === this.getChordKey(chord.root, chord.intervals)
+                );
+            });
+    }
+
+    // Pitch-class identity of a chord, for spotting duplicates
+    getChordKey(root, intervals) {
+        const rootPitchClass = MusicTheory.getPitchClass(root);
+        return (intervals || [])
+            .map(interval => (rootPitchClass + interval) % 12)
+            .sort((a, b) => a - b)
+            .join(',');
+    }
+
+    // Voicing, Roman numeral and display name for a suggested chord
+    describeSuggestion(chord, voicing, key, scaleType) {
+        const voiced = this.voiceLead(voicing, chord);
+        const bassPitchClass = MusicTheory.getPitchClass(voiced.notes[0]);
+        const bass = chord.notes.find(note => MusicTheory.getPitchClass(note) === bassPitchClass) || chord.root;
+        const slash = bass === chord.root ? '' : '/' + bass;
+
+        const analysis = this.harmonicAnalyzer.analyzeChord({ ...chord, bass: bass }, key, scaleType);
+
+        return {
+            root: chord.root,
+            bass: bass,
+            symbol: chord.symbol,
+            name: chord.name + slash,
+            numeral: analysis ? analysis.numeral : '',
+            kind: chord.kind,
+            notes: voiced.notes,
+            movement: voiced.movement,
+            commonTones: voiced.commonTones
+        };
+    }
+
+    // Move each held voice to the nearest chord tone, keeping the voices in
+    // order and every essential chord tone covered
+    voiceLead(voicing, chord) {
+        const rootPitchClass = MusicTheory.getPitchClass(chord.root);
+        const chordPitchClasses = [...new Set(chord.intervals.map(interval => (rootPitchClass + interval) % 12))];
+        const fifthPitchClass = chord.intervals.includes(7) ? (rootPitchClass + 7) % 12 : null;
+        const required = chordPitchClasses.filter(pitchClass => pitchClass !== fifthPitchClass);
+
+        const from = (voicing || [])
+            .map(note => {
+                const parsed = MusicTheory.parseNoteName(note);
+                return parsed && parsed.octave !== null ? MusicTheory.noteToMidi(parsed.name, parsed.octave) : null;
+            })
+            .filter(midi => midi !== null)
+            .sort((a, b) => a - b);
+
+        if (from.length === 0) {
+            return { notes: this.getCloseVoicing(chord), movement: 0, commonTones: 0 };
+        }
+
+        // With four or more voices the lowest one is a bass line: it may leap and
+        // should land on the root. Three voices are treated as a hand of close triads
+        const hasBassLine = from.length >= 4;
+
+        // A seventh chord from a triad needs another voice; it starts on the top note
+        while (from.length < required.length) {
+            from.push(from[from.length - 1]);
+        }
+        const maxMove = this.settings.maxVoiceMovement;
+        let best = null;
+
+        const search = (index, chosen, cost) => {
+            if (best && cost >= best.cost) return;
+
+            if (index === from.length) {
+                const pitchClasses = chosen.map(midi => midi % 12);
+                if (!required.every(pitchClass => pitchClasses.includes(pitchClass))) return;
+
+                let total = cost;
+                if (hasBassLine && pitchClasses[0] !== rootPitchClass) total += this.settings.bassNotRootPenalty;
+                if (fifthPitchClass !== null && !pitchClasses.includes(fifthPitchClass)) total += this.settings.missingFifthPenalty;
+                if (!best || total < best.cost) {
+                    best = { notes: [...chosen], cost: total };
+                }
+                return;
+            }
+
+            const [rangeLow, rangeHigh] = this.settings.range || [0, 127];
+            const lowest = Math.max(index > 0 ? chosen[index - 1] + 1 : 0, from[index] - maxMove, rangeLow);
+            const highest = Math.min(from[index] + maxMove, rangeHigh);
+            for (let midi = lowest; midi <= highest; midi++) {
+                if (!chordPitchClasses.includes(midi % 12)) continue;
+                chosen.push(midi);
+                const weight = hasBassLine && index === 0 ? this.settings.bassMovementWeight : 1;
+                search(index + 1, chosen, cost + weight * Math.abs(midi - from[index]));
+                chosen.pop();
+            }
+        };
+        search(0, [], 0);
+
+        if (!best) {
+            return { notes: this.getCloseVoicing(chord, from[0]), movement: 0, commonTones: 0 };
+        }
+
+        return {
+            notes: best.notes.map(midi => MusicTheory.midiToNote(midi).fullName),
+            movement: best.notes.reduce((total, midi, index) => total + Math.abs(midi - from[index]), 0),
+            commonTones: best.notes.filter((midi, index) => midi === from[index]).length
+        };
+    }
+
+    // Root-position close voicing, rooted at or just above a given bass
+    getCloseVoicing(chord, nearMidi = null) {
+        let rootMidi = MusicTheory.noteToMidi(chord.root, this.settings.defaultOctave);
+        if (nearMidi !== null && nearMidi !== undefined) {
+            while (rootMidi - 12 >= nearMidi) rootMidi -= 12;
+            while (rootMidi < nearMidi) rootMidi += 12;
+        }
+        return chord.intervals.map(interval => MusicTheory.midiToNote(rootMidi + interval).fullName);
+    }
+
+    // Settings
+    updateSettings(newSettings) {
+        this.settings = { ...this.settings, ...newSettings };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChordSuggester;
+} else {
+    window.ChordSuggester = ChordSuggester;
+}
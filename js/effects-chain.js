@@ -0,0 +1,348 @@
+// Effects Chain Module
+// Master bus effects: EQ -> chorus -> delay -> reverb -> limiter, each bypassable
+
+// Parameters of each effect, in chain order (used to build the controls as well)
+const EFFECT_PARAMETERS = {
+    eq: {
+        label: 'EQ',
+        params: {
+            low: { label: 'Low', min: -12, max: 12, step: 0.5, unit: 'dB' },
+            mid: { label: 'Mid', min: -12, max: 12, step: 0.5, unit: 'dB' },
+            high: { label: 'High', min: -12, max: 12, step: 0.5, unit: 'dB' },
+            lowFrequency: { label: 'Low Freq', min: 60, max: 500, step: 10, unit: 'Hz' },
+            midFrequency: { label: 'Mid Freq', min: 300, max: 4000, step: 50, unit: 'Hz' },
+            highFrequency: { label: 'High Freq', min: 2000, max: 12000, step: 100, unit: 'Hz' }
+        }
+    },
+    chorus: {
+        label: 'Chorus',
+        params: {
+            rate: { label: 'Rate', min: 0.1, max: 5, step: 0.1, unit: 'Hz' },
+            depth: { label: 'Depth', min: 0, max: 10, step: 0.1, unit: 'ms' },
+            delay: { label: 'Delay', min: 5, max: 40, step: 1, unit: 'ms' },
+            mix: { label: 'Mix', min: 0, max: 1, step: 0.01 }
+        }
+    },
+    delay: {
+        label: 'Delay',
+        params: {
+            division: { label: 'Time', options: ['1/4', '1/8', '1/8d', '1/4t', '1/8t', '1/16', '1/2'] },
+            feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.01 },
+            damping: { label: 'Damping', min: 500, max: 12000, step: 100, unit: 'Hz' },
+            mix: { label: 'Mix', min: 0, max: 1, step: 0.01 }
+        }
+    },
+    reverb: {
+        label: 'Reverb',
+        params: {
+            decay: { label: 'Decay', min: 0.2, max: 8, step: 0.1, unit: 's' },
+            preDelay: { label: 'Pre-delay', min: 0, max: 100, step: 1, unit: 'ms' },
+            mix: { label: 'Mix', min: 0, max: 1, step: 0.01 }
+        }
+    },
+    limiter: {
+        label: 'Limiter',
+        params: {
+            threshold: { label: 'Threshold', min: -24, max: 0, step: 0.5, unit: 'dB' },
+            release: { label: 'Release', min: 0.01, max: 1, step: 0.01, unit: 's' }
+        }
+    }
+};
+
+// Note lengths in beats for tempo-synced delay
+const DELAY_DIVISIONS = {
+    '1/2': 2,
+    '1/4': 1,
+    '1/8d': 0.75,
+    '1/4t': 2 / 3,
+    '1/8': 0.5,
+    '1/8t': 1 / 3,
+    '1/16': 0.25
+};
+
+class EffectsChain {
+    constructor(audioContext, settings = null) {
+        this.audioContext = audioContext;
+        this.tempo = 120;
+        this.chainKey = null; // Enabled effects as last wired
+
+        // User-loaded impulse responses by name; 'generated' builds one from the decay
+        this.impulses = new Map();
+
+        this.settings = EffectsChain.getDefaultSettings();
+
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+
+        this.effects = {
+            eq: this.createEq(),
+            chorus: this.createChorus(),
+            delay: this.createDelay(),
+            reverb: this.createReverb(),
+            limiter: this.createLimiter()
+        };
+
+        this.applySettings(settings || {});
+    }
+
+    // Everything off except the limiter, which guards against clipping
+    static getDefaultSettings() {
+        return {
+            eq: { enabled: false, low: 0, mid: 0, high: 0, lowFrequency: 250, midFrequency: 1000, highFrequency: 4000 },
+            chorus: { enabled: false, rate: 1.5, depth: 3, delay: 20, mix: 0.4 },
+            delay: { enabled: false, division: '1/8d', feedback: 0.35, damping: 4000, mix: 0.25 },
+            reverb: { enabled: false, decay: 2.5, preDelay: 20, mix: 0.25, impulse: 'generated' },
+            limiter: { enabled: true, threshold: -3, release: 0.1 }
+        };
+    }
+
+    // Merge partial settings ({ reverb: { mix: 0.4 } }) and update the nodes
+    applySettings(newSettings) {
+        Object.keys(this.settings).forEach(name => {
+            if (newSettings[name]) {
+                this.settings[name] = { ...this.settings[name], ...newSettings[name] };
+            }
+        });
+
+        Object.keys(this.effects).forEach(name => this.updateEffect(name));
+        this.connectChain();
+    }
+
+    // Plain copy of the settings, for presets and saving
+    getSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    setEnabled(name, enabled) {
+        this.applySettings({ [name]: { enabled } });
+    }
+
+    setParameter(name, param, value) {
+        this.applySettings({ [name]: { [param]: value } });
+    }
+
+    // Tempo for the synced delay
+    setTempo(bpm) {
+        this.tempo = bpm;
+        this.updateEffect('delay');
+    }
+
+    // Seconds between delay repeats for a note division at a tempo, at most 2
+    static getDelayTime(division, bpm) {
+        const beats = DELAY_DIVISIONS[division] || 1;
+        return Math.min(2, beats * 60 / bpm);
+    }
+
+    // Wire the enabled effects in series between input and output. Rewiring the bus
+    // while audio plays clicks, so it only happens when an effect is switched on or off
+    connectChain() {
+        const chainKey = Object.keys(EFFECT_PARAMETERS).filter(name => this.settings[name].enabled).join(',');
+        if (chainKey === this.chainKey) return;
+        this.chainKey = chainKey;
+
+        this.input.disconnect();
+        Object.values(this.effects).forEach(effect => effect.output.disconnect());
+
+        let previous = this.input;
+        Object.keys(EFFECT_PARAMETERS).forEach(name => {
+            if (!this.settings[name].enabled) return;
+
+            previous.connect(this.effects[name].input);
+            previous = this.effects[name].output;
+        });
+        previous.connect(this.output);
+    }
+
+    updateEffect(name) {
+        const effect = this.effects[name];
+        const params = this.settings[name];
+        const now = this.audioContext.currentTime;
+
+        switch (name) {
+            case 'eq':
+                effect.low.frequency.setValueAtTime(params.lowFrequency, now);
+                effect.low.gain.setValueAtTime(params.low, now);
+                effect.mid.frequency.setValueAtTime(params.midFrequency, now);
+                effect.mid.gain.setValueAtTime(params.mid, now);
+                effect.high.frequency.setValueAtTime(params.highFrequency, now);
+                effect.high.gain.setValueAtTime(params.high, now);
+                break;
+
+            case 'chorus':
+                effect.lfo.frequency.setValueAtTime(params.rate, now);
+                // Sweeping deeper than the base delay would push the delay time below zero
+                effect.depth.gain.setValueAtTime(Math.min(params.depth, params.delay) / 1000, now);
+                effect.delay.delayTime.setValueAtTime(params.delay / 1000, now);
+                this.setMix(effect, params.mix);
+                break;
+
+            case 'delay': {
+                effect.delay.delayTime.setTargetAtTime(EffectsChain.getDelayTime(params.division, this.tempo), now, 0.02);
+                effect.feedback.gain.setValueAtTime(params.feedback, now);
+                effect.damping.frequency.setValueAtTime(params.damping, now);
+                this.setMix(effect, params.mix);
+                break;
+            }
+
+            case 'reverb':
+                effect.preDelay.delayTime.setValueAtTime(params.preDelay / 1000, now);
+                this.updateImpulse(effect, params);
+                this.setMix(effect, params.mix);
+                break;
+
+            case 'limiter':
+                effect.compressor.threshold.setValueAtTime(params.threshold, now);
+                effect.compressor.release.setValueAtTime(params.release, now);
+                break;
+        }
+    }
+
+    // Equal-power wet/dry balance
+    setMix(effect, mix) {
+        const now = this.audioContext.currentTime;
+        effect.dry.gain.setValueAtTime(Math.cos(mix * Math.PI / 2), now);
+        effect.wet.gain.setValueAtTime(Math.sin(mix * Math.PI / 2), now);
+    }
+
+    // Only rebuild the convolver buffer when the impulse actually changes
+    updateImpulse(effect, params) {
+        const loaded = this.impulses.get(params.impulse);
+        const key = loaded ? `loaded:${params.impulse}` : `generated:${params.decay}`;
+        if (effect.impulseKey === key) return;
+
+        effect.impulseKey = key;
+        effect.convolver.buffer = loaded || this.generateImpulse(params.decay);
+    }
+
+    // Stereo decaying noise: a serviceable room without shipping impulse files
+    generateImpulse(decay) {
+        const rate = this.audioContext.sampleRate;
+        const length = Math.max(1, Math.floor(rate * decay));
+        const impulse = this.audioContext.createBuffer(2, length, rate);
+
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+            }
+        }
+        return impulse;
+    }
+
+    // Decode an impulse response (WAV etc.) and use it for the reverb
+    async loadImpulse(name, arrayBuffer) {
+        const buffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        this.impulses.set(name, buffer);
+        this.applySettings({ reverb: { impulse: name } });
+        return buffer;
+    }
+
+    // Share loaded impulses with another chain (e.g. one built for offline rendering)
+    copyImpulsesFrom(otherChain) {
+        otherChain.impulses.forEach((buffer, name) => this.impulses.set(name, buffer));
+        this.effects.reverb.impulseKey = null;
+        this.updateEffect('reverb');
+    }
+
+    // Effect builders: each returns { input, output, ...nodes }
+
+    createEq() {
+        const low = this.audioContext.createBiquadFilter();
+        low.type = 'lowshelf';
+        const mid = this.audioContext.createBiquadFilter();
+        mid.type = 'peaking';
+        mid.Q.value = 1;
+        const high = this.audioContext.createBiquadFilter();
+        high.type = 'highshelf';
+
+        low.connect(mid);
+        mid.connect(high);
+        return { input: low, output: high, low, mid, high };
+    }
+
+    createChorus() {
+        const input = this.audioContext.createGain();
+        const output = this.audioContext.createGain();
+        const dry = this.audioContext.createGain();
+        const wet = this.audioContext.createGain();
+        const delay = this.audioContext.createDelay(0.1);
+        const lfo = this.audioContext.createOscillator();
+        const depth = this.audioContext.createGain();
+
+        input.connect(dry);
+        dry.connect(output);
+        input.connect(delay);
+        delay.connect(wet);
+        wet.connect(output);
+
+        // The LFO sweeps the delay time around its centre
+        lfo.connect(depth);
+        depth.connect(delay.delayTime);
+        lfo.start();
+
+        return { input, output, dry, wet, delay, lfo, depth };
+    }
+
+    createDelay() {
+        const input = this.audioContext.createGain();
+        const output = this.audioContext.createGain();
+        const dry = this.audioContext.createGain();
+        const wet = this.audioContext.createGain();
+        const delay = this.audioContext.createDelay(2);
+        const feedback = this.audioContext.createGain();
+        const damping = this.audioContext.createBiquadFilter();
+        damping.type = 'lowpass';
+
+        input.connect(dry);
+        dry.connect(output);
+        input.connect(delay);
+        delay.connect(damping);
+        damping.connect(feedback);
+        feedback.connect(delay);
+        damping.connect(wet);
+        wet.connect(output);
+
+        return { input, output, dry, wet, delay, feedback, damping };
+    }
+
+    createReverb() {
+        const input = this.audioContext.createGain();
+        const output = this.audioContext.createGain();
+        const dry = this.audioContext.createGain();
+        const wet = this.audioContext.createGain();
+        const preDelay = this.audioContext.createDelay(0.5);
+        const convolver = this.audioContext.createConvolver();
+
+        input.connect(dry);
+        dry.connect(output);
+        input.connect(preDelay);
+        preDelay.connect(convolver);
+        convolver.connect(wet);
+        wet.connect(output);
+
+        return { input, output, dry, wet, preDelay, convolver, impulseKey: null };
+    }
+
+    createLimiter() {
+        const compressor = this.audioContext.createDynamicsCompressor();
+        compressor.knee.value = 0;
+        compressor.ratio.value = 20;
+        compressor.attack.value = 0.003;
+
+        return { input: compressor, output: compressor, compressor };
+    }
+
+    // Cleanup
+    destroy() {
+        this.effects.chorus.lfo.stop();
+        this.input.disconnect();
+        this.output.disconnect();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EffectsChain, EFFECT_PARAMETERS, DELAY_DIVISIONS };
+} else {
+    window.EffectsChain = EffectsChain;
+}
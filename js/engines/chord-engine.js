@@ -30,6 +30,28 @@ class ChordIdentificationEngine extends MusicTheoryEngine {
         const randomRootOctave = rootOctaves[Math.floor(Math.random() * rootOctaves.length)];
         const rootNoteFull = randomRootName + randomRootOctave;
         
+        // Typed answers: the user names the whole chord, e.g. "Dm7" or "F#°"
+        if (options.answerFormat === 'symbol') {
+            const chordSymbol = randomRootName + selectedChordDef.symbol;
+            return {
+                type: this.getExerciseTypeName(),
+                question: options.question || `A chord built on ${rootNoteFull} was played. Type its chord symbol (e.g. ${randomRootName}m7).`,
+                answerFormat: 'symbol',
+                chordDefinition: selectedChordDef,
+                rootNoteFull: rootNoteFull,
+                correctAnswer: chordSymbol,
+                options: [],
+                explanation: `The chord played was ${chordSymbol} (${randomRootName} ${selectedChordDef.name}): ${MusicTheory.getChordNotes(randomRootName, randomSymbol, randomCategoryKey).join(' - ')}.`,
+                theorySnippet: `A ${selectedChordDef.name} chord consists of notes at intervals of ${MusicTheory.getChordIntervalNames(selectedChordDef).join(', ')} above the root.`,
+                audioPlayback: {
+                    type: 'chord',
+                    rootName: randomRootName,
+                    rootOctave: randomRootOctave,
+                    intervals: selectedChordDef.intervals
+                }
+            };
+        }
+        
         // Create multiple choice options
         let mcOptions = [selectedChordDef.name]; // e.g., "Major", "Minor 7th"
         const allChordNames = Object.values(CHORD_TYPES.triads).map(c => c.name)
@@ -50,7 +72,7 @@ class ChordIdentificationEngine extends MusicTheoryEngine {
             correctAnswer: selectedChordDef.name, // e.g., "Major"
             options: mcOptions,
             explanation: `The chord played (from ${rootNoteFull}) was ${randomRootName}${selectedChordDef.symbol} (${selectedChordDef.name}).`,
-            theorySnippet: `A ${selectedChordDef.name} chord consists of notes at intervals of ${selectedChordDef.intervals.map(s => MusicTheory.getIntervalName(s, true)).join(', ')} above the root.`,
+            theorySnippet: `A ${selectedChordDef.name} chord consists of notes at intervals of ${MusicTheory.getChordIntervalNames(selectedChordDef).join(', ')} above the root.`,
             audioPlayback: {
                 type: 'chord',
                 rootName: randomRootName,
@@ -66,6 +88,10 @@ class ChordIdentificationEngine extends MusicTheoryEngine {
             console.error("Invalid exerciseData for validation", exerciseData);
             return false;
         }
+        // Any spelling of the same chord counts, e.g. "Cmaj7", "CΔ7" or "CM7"
+        if (exerciseData.answerFormat === 'symbol') {
+            return MusicTheory.chordSymbolsMatch(userInput, exerciseData.correctAnswer);
+        }
         return userInput.trim().toLowerCase() === exerciseData.correctAnswer.toLowerCase();
     }
 }
@@ -94,11 +120,17 @@ class ChordBuildingEngine extends MusicTheoryEngine {
         const rootMidi = MusicTheory.noteToMidi(rootName, startOctave);
 
         let expectedNotes = [];
+        let spelledNotes = [];
         if (rootMidi !== null && selectedChordDef && selectedChordDef.intervals) {
             expectedNotes = selectedChordDef.intervals.map(interval => {
                 const noteObj = MusicTheory.midiToNote(rootMidi + interval);
                 return noteObj.fullName; // e.g., C4, E4, G4
             });
+            // Same notes spelled by chord function for display, e.g. Bbb4 in Cdim7
+            const chordNoteNames = MusicTheory.getChordNotes(rootName, randomSymbol, randomCategoryKey);
+            spelledNotes = selectedChordDef.intervals.map((interval, index) => 
+                MusicTheory.spellMidiNote(rootMidi + interval, chordNoteNames[index])
+            );
         } else {
             console.error(`Failed to generate chord notes for ${rootNoteFull} ${selectedChordDef ? selectedChordDef.name : 'Unknown Chord'}`);
             expectedNotes = [rootNoteFull]; // Fallback
@@ -112,8 +144,8 @@ class ChordBuildingEngine extends MusicTheoryEngine {
             rootNoteFull: rootNoteFull, 
             expectedNotes: expectedNotes, // Array of full note names
             correctAnswer: `${rootNoteFull}${selectedChordDef.symbol}`, // String representation for simple validation, though array is better
-            explanation: `A ${rootNoteFull}${selectedChordDef.symbol} (${selectedChordDef.name}) chord contains the notes: ${expectedNotes.join(' - ')}`,
-            theorySnippet: `To build a ${selectedChordDef.name} chord, stack notes ${selectedChordDef.intervals.map(s => MusicTheory.getIntervalName(s, true)).join(', ')} from the root ${rootNoteFull}.`
+            explanation: `A ${rootNoteFull}${selectedChordDef.symbol} (${selectedChordDef.name}) chord contains the notes: ${(spelledNotes.length ? spelledNotes : expectedNotes).join(' - ')}`,
+            theorySnippet: `To build a ${selectedChordDef.name} chord, stack notes ${MusicTheory.getChordIntervalNames(selectedChordDef).join(', ')} from the root ${rootNoteFull}.`
             // No audioPlayback here as the user is performing.
         };
     }
@@ -13,20 +13,11 @@ class IntervalIdentificationEngine extends MusicTheoryEngine {
 
     generateExercise(options = {}) {
         // Logic from generateIntervalIdentification in exercise-engine.js
-        const intervals = options.intervalsPool || [
-            { name: 'Perfect Unison', semitones: 0 },
-            { name: 'Minor 2nd', semitones: 1 },
-            { name: 'Major 2nd', semitones: 2 },
-            { name: 'Minor 3rd', semitones: 3 },
-            { name: 'Major 3rd', semitones: 4 },
-            { name: 'Perfect 4th', semitones: 5 },
-            { name: 'Perfect 5th', semitones: 7 },
-            { name: 'Minor 6th', semitones: 8 },
-            { name: 'Major 6th', semitones: 9 },
-            { name: 'Minor 7th', semitones: 10 },
-            { name: 'Major 7th', semitones: 11 },
-            { name: 'Perfect Octave', semitones: 12 }
+        // Pool entries can be interval names ('M3', 'A4', 'm9', 'Perfect 5th') or { name, semitones }
+        const intervalsPool = options.intervalsPool || [
+            'P1', 'm2', 'M2', 'm3', 'M3', 'P4', 'P5', 'm6', 'M6', 'm7', 'M7', 'P8'
         ];
+        const intervals = intervalsPool.map(entry => this.resolveInterval(entry)).filter(Boolean);
         
         const selectedInterval = intervals[Math.floor(Math.random() * intervals.length)];
         
@@ -35,26 +26,40 @@ class IntervalIdentificationEngine extends MusicTheoryEngine {
         const randomRootName = rootNoteNames[Math.floor(Math.random() * rootNoteNames.length)];
         const randomRootOctave = rootOctaves[Math.floor(Math.random() * rootOctaves.length)];
         const rootNoteFull = randomRootName + randomRootOctave; 
+        const targetNoteFull = MusicTheory.transposeByInterval(rootNoteFull, selectedInterval) || '?';
+        
+        // When only the sound is given, an A4 and a d5 can't be told apart,
+        // so enharmonic distractors are only offered if the notes are shown
+        const showNotes = !!options.showNotes;
+        const distractors = intervals.filter(interval => 
+            interval.name !== selectedInterval.name &&
+            (showNotes || interval.semitones !== selectedInterval.semitones)
+        );
         
         // Create multiple choice options
         let mcOptions = [selectedInterval.name];
-        while (mcOptions.length < (options.numOptions || 4)) {
-            const randomInterval = intervals[Math.floor(Math.random() * intervals.length)].name;
+        while (mcOptions.length < (options.numOptions || 4) && distractors.length > 0) {
+            const randomInterval = distractors.splice(Math.floor(Math.random() * distractors.length), 1)[0].name;
             if (!mcOptions.includes(randomInterval)) {
                 mcOptions.push(randomInterval);
             }
         }
         mcOptions.sort(() => Math.random() - 0.5); // Shuffle
 
+        const defaultQuestion = showNotes
+            ? `What interval is ${rootNoteFull} up to ${targetNoteFull}?`
+            : 'What interval was played?';
+
         return {
             type: this.getExerciseTypeName(),
-            question: options.question || 'What interval was played?',
-            interval: selectedInterval, // The interval object {name, semitones}
+            question: options.question || defaultQuestion,
+            interval: selectedInterval, // The interval object {name, shortName, number, semitones, ...}
             rootNoteFull: rootNoteFull, // e.g., "C4"
+            targetNoteFull: targetNoteFull, // e.g., "F#4"
             correctAnswer: selectedInterval.name,
             options: mcOptions,
-            explanation: `The interval from ${rootNoteFull} was a ${selectedInterval.name}.`,
-            theorySnippet: `An interval is the distance between two notes. A ${selectedInterval.name} is ${selectedInterval.semitones} semitones.`,
+            explanation: `From ${rootNoteFull} up to ${targetNoteFull} is ${this.withArticle(selectedInterval.name)} (${selectedInterval.shortName || selectedInterval.semitones + ' semitones'}).`,
+            theorySnippet: this.buildTheorySnippet(selectedInterval),
             audioPlayback: {
                 type: 'interval',
                 rootName: randomRootName,
@@ -64,13 +69,56 @@ class IntervalIdentificationEngine extends MusicTheoryEngine {
         };
     }
 
+    // Turn a pool entry into an interval object from MusicTheory.buildInterval
+    resolveInterval(entry) {
+        if (typeof entry === 'string') {
+            return MusicTheory.parseInterval(entry);
+        }
+        if (entry && entry.name) {
+            return MusicTheory.parseInterval(entry.name) || entry;
+        }
+        return null;
+    }
+
+    // 'a Major 3rd' / 'an Augmented 4th'
+    withArticle(name, capitalize = false) {
+        const article = /^[AEIOU]/i.test(name) ? 'an' : 'a';
+        return (capitalize ? article[0].toUpperCase() + article.slice(1) : article) + ' ' + name;
+    }
+
+    buildTheorySnippet(interval) {
+        if (!interval.number) {
+            return `An interval is the distance between two notes. ${this.withArticle(interval.name, true)} is ${interval.semitones} semitones.`;
+        }
+        
+        const letterCount = `${interval.number} letter names`;
+        let snippet = `${this.withArticle(interval.name, true)} spans ${letterCount} and ${interval.semitones} semitones.`;
+        
+        if (interval.isCompound) {
+            const simpler = MusicTheory.buildInterval(interval.number - 7, interval.semitones - 12);
+            if (simpler) {
+                snippet += ` It is a compound interval: an octave plus ${this.withArticle(simpler.name)}.`;
+            }
+        } else if (interval.quality === 'A' || interval.quality === 'd') {
+            snippet += ` The letter distance sets the number (${interval.number}); the semitone count sets the quality, so the same keys can be named differently depending on spelling.`;
+        }
+        return snippet;
+    }
+
     validateAnswer(userInput, exerciseData) {
         // Logic from validateIntervalIdentification in exercise-engine.js
         if (!exerciseData || typeof exerciseData.correctAnswer === 'undefined') {
             console.error("Invalid exerciseData for validation", exerciseData);
             return false;
         }
-        return userInput.trim().toLowerCase() === exerciseData.correctAnswer.toLowerCase();
+        if (userInput.trim().toLowerCase() === exerciseData.correctAnswer.toLowerCase()) {
+            return true;
+        }
+        
+        // Accept equivalent forms, e.g. 'A4' for 'Augmented 4th'
+        const given = MusicTheory.parseInterval(userInput);
+        const expected = MusicTheory.parseInterval(exerciseData.correctAnswer);
+        return !!(given && expected && given.shortName === expected.shortName);
     }
 }
 
@@ -13,11 +13,11 @@ class ScalePracticeEngine extends MusicTheoryEngine {
 
     generateExercise(options = {}) {
         // Logic from generateScalePractice in exercise-engine.js
-        const scaleTypes = options.scaleTypesPool || ['major', 'natural_minor', 'pentatonic_major']; // Using keys from MusicTheory.SCALES
+        const scaleTypes = options.scaleTypesPool || ['major', 'minor', 'pentatonic']; // Using keys from SCALES
         const rootNames = options.rootNoteNamesPool || ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
         
         const scaleKey = scaleTypes[Math.floor(Math.random() * scaleTypes.length)];
-        const scaleDefinition = MusicTheory.SCALES[scaleKey];
+        const scaleDefinition = SCALES[scaleKey];
         const scaleDisplayName = scaleDefinition ? scaleDefinition.name : scaleKey; // e.g. "Major" or "Natural Minor"
 
         const rootName = rootNames[Math.floor(Math.random() * rootNames.length)];
@@ -29,6 +29,7 @@ class ScalePracticeEngine extends MusicTheoryEngine {
         const rootMidi = MusicTheory.noteToMidi(rootName, startOctave);
         
         let expectedNotes = [];
+        let spelledNotes = [];
         if (scaleDefinition && rootMidi !== null) {
             expectedNotes = scaleDefinition.intervals.map(interval => {
                 const noteObj = MusicTheory.midiToNote(rootMidi + interval);
@@ -37,6 +38,13 @@ class ScalePracticeEngine extends MusicTheoryEngine {
             // Add the octave note
             const octaveNoteObj = MusicTheory.midiToNote(rootMidi + 12);
             expectedNotes.push(octaveNoteObj.fullName);
+            
+            // Same notes spelled for the key, e.g. Bb4 rather than A#4 in F major
+            const scaleNoteNames = MusicTheory.getScaleNotes(rootName, scaleKey);
+            spelledNotes = scaleDefinition.intervals.map((interval, index) => 
+                MusicTheory.spellMidiNote(rootMidi + interval, scaleNoteNames[index])
+            );
+            spelledNotes.push(MusicTheory.spellMidiNote(rootMidi + 12, rootName));
         } else {
             console.error(`Failed to generate scale notes for ${rootNoteFull} ${scaleKey}`);
             expectedNotes = [`${rootName}${startOctave}`, `${rootName}${startOctave + 1}`]; // Fallback
@@ -49,7 +57,7 @@ class ScalePracticeEngine extends MusicTheoryEngine {
             rootNoteFull: rootNoteFull, 
             expectedNotes: expectedNotes, // Array of full note names, e.g., ["C4", "D4", "E4"...]
             correctAnswer: expectedNotes.join(' '), // String representation for simple validation if needed, though array is better
-            explanation: `The ${rootName} ${scaleDisplayName} scale starting from ${rootNoteFull} is: ${expectedNotes.join(' - ')}`,
+            explanation: `The ${rootName} ${scaleDisplayName} scale starting from ${rootNoteFull} is: ${(spelledNotes.length ? spelledNotes : expectedNotes).join(' - ')}`,
             theorySnippet: `The ${scaleDisplayName} scale pattern of whole (W) and half (H) steps is: ${scaleDefinition ? scaleDefinition.formula : 'N/A'}.`
             // No audioPlayback here as the user is performing. Audio cues could be an option.
         };
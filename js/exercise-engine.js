@@ -108,7 +108,7 @@ class ExerciseEngine {
             },
             6: {
                 name: "Minor Scales",
-                exercises: [{ type: 'scale-practice', options: { scaleTypesPool: ['natural_minor', 'harmonic_minor'], startOctavesPool: [3,4] } }],
+                exercises: [{ type: 'scale-practice', options: { scaleTypesPool: ['minor', 'harmonicMinor'], startOctavesPool: [3,4] } }],
                 requiredAccuracy: 0.8,
                 minExercises: 10,
             },
@@ -135,7 +135,7 @@ class ExerciseEngine {
                 exercises: [
                     { type: 'note-identification', options: {includeAccidentals: true} },
                     { type: 'interval-identification' },
-                    { type: 'scale-practice', options: { scaleTypesPool: ['major', 'natural_minor']}}
+                    { type: 'scale-practice', options: { scaleTypesPool: ['major', 'minor']}}
                 ],
                 requiredAccuracy: 0.8,
                 minExercises: 12
@@ -166,6 +166,35 @@ class ExerciseEngine {
                 ],
                 requiredAccuracy: 0.9,
                 minExercises: 25
+            },
+            13: {
+                name: "Augmented & Diminished Intervals",
+                exercises: [{ type: 'interval-identification', options: { 
+                    intervalsPool: ['A2', 'm3', 'A4', 'd5', 'A5', 'm6', 'd7', 'M6'],
+                    showNotes: true, // A4 and d5 sound the same, so the spelled notes are shown
+                    rootNoteNamesPool: ['C', 'D', 'E', 'F', 'G', 'A', 'Bb', 'Eb'],
+                    rootOctavesPool: [3, 4]
+                }}],
+                requiredAccuracy: 0.8,
+                minExercises: 15
+            },
+            14: {
+                name: "Compound Intervals",
+                exercises: [{ type: 'interval-identification', options: { 
+                    intervalsPool: ['P8', 'm9', 'M9', 'm10', 'M10', 'P11', 'P12', 'm13', 'M13'],
+                    rootOctavesPool: [2, 3]
+                }}],
+                requiredAccuracy: 0.8,
+                minExercises: 15
+            },
+            15: {
+                name: "Chord Symbols",
+                exercises: [{ type: 'chord-identification', options: { 
+                    chordCategoriesPool: ['triads', 'sevenths'],
+                    answerFormat: 'symbol' // Type the chord name instead of picking a quality
+                }}],
+                requiredAccuracy: 0.8,
+                minExercises: 15
             }
         };
     }
@@ -0,0 +1,345 @@
+// Harmonic Analysis Module
+
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Semitones above the tonic -> [accidental, scale step] for naming chord roots in each mode
+const DEGREE_NAMES = {
+    major: [['', 0], ['b', 1], ['', 1], ['b', 2], ['', 2], ['', 3], ['#', 3], ['', 4], ['b', 5], ['', 5], ['b', 6], ['', 6]],
+    minor: [['', 0], ['b', 1], ['', 1], ['', 2], ['#', 2], ['', 3], ['#', 3], ['', 4], ['', 5], ['#', 5], ['', 6], ['#', 6]]
+};
+
+// Pitch classes (above the tonic) that count as diatonic; minor includes the raised leading tone
+const DIATONIC_DEGREES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10, 11]
+};
+
+// Where modal mixture borrows from: the parallel mode (harmonic minor's leading tone included)
+const BORROWED_DEGREES = {
+    major: [0, 2, 3, 5, 7, 8, 10, 11],
+    minor: [0, 2, 4, 5, 7, 9, 11]
+};
+
+// Diatonic chords that can be tonicized, and how to write them after the slash
+const TONICIZABLE = {
+    major: { 2: 'ii', 4: 'iii', 5: 'IV', 7: 'V', 9: 'vi' },
+    minor: { 3: 'III', 5: 'iv', 7: 'V', 8: 'VI', 10: 'VII' }
+};
+
+// Augmented sixth chords as pitch classes above the tonic (b6, 1, #4 and friends)
+const AUGMENTED_SIXTHS = {
+    'It+6': [0, 6, 8],
+    'Fr+6': [0, 2, 6, 8],
+    'Ger+6': [0, 3, 6, 8]
+};
+
+class HarmonicAnalyzer {
+    constructor() {
+        // Analysis settings
+        this.settings = {
+            halfCadenceGapMs: 2000 // A V held this long before the next chord ends a phrase
+        };
+    }
+
+    // Label one chord in a key with a Roman numeral (V7/V, bVII, iiø7, N6, It+6...)
+    analyzeChord(chord, key, scaleType = 'major') {
+        if (!chord || !chord.root || chord.type === 'unknown') return null;
+
+        const tonic = MusicTheory.getPitchClass(key);
+        const rootPitchClass = MusicTheory.getPitchClass(chord.root);
+        if (tonic === null || rootPitchClass === null) return null;
+
+        const mode = this.getMode(scaleType);
+        const degree = (rootPitchClass - tonic + 12) % 12;
+        const structure = this.getChordStructure(chord);
+        const coreDegrees = structure.core.map(interval => (degree + interval) % 12);
+
+        const analysis = {
+            chord: chord.name,
+            root: chord.root,
+            degree: degree,
+            inversion: structure.inversion,
+            timestamp: chord.timestamp || null,
+            secondary: null,
+            borrowed: false,
+            special: null
+        };
+
+        const augmentedSixth = this.findAugmentedSixth(chord, tonic);
+        if (augmentedSixth) {
+            return {
+                ...analysis,
+                numeral: augmentedSixth,
+                function: 'predominant',
+                special: 'augmentedSixth',
+                description: `${augmentedSixth.replace('+6', '')} augmented sixth`
+            };
+        }
+
+        if (coreDegrees.every(d => this.getDiatonicDegrees(scaleType, mode).includes(d))) {
+            return {
+                ...analysis,
+                numeral: this.formatNumeral(degree, structure, mode),
+                function: this.getDiatonicFunction(degree, mode),
+                description: `Diatonic ${this.getDiatonicFunction(degree, mode)}`
+            };
+        }
+
+        // Neapolitan: a major triad on the lowered second degree
+        if (degree === 1 && structure.triad === 'major' && !structure.seventh) {
+            return {
+                ...analysis,
+                numeral: 'N' + this.getFigure(structure),
+                function: 'predominant',
+                special: 'neapolitan',
+                description: 'Neapolitan sixth'
+            };
+        }
+
+        // Mixture reads before tonicization (IV in minor, not V/VII), except for
+        // diminished chords, which lead into their target (vii°7/vi, not bvi°7)
+        const borrowed = coreDegrees.every(d => BORROWED_DEGREES[mode].includes(d));
+        if (borrowed && structure.triad !== 'diminished') {
+            return this.getBorrowedAnalysis(analysis, degree, structure, mode);
+        }
+
+        const secondary = this.findSecondaryFunction(degree, structure, mode);
+        if (secondary) {
+            return {
+                ...analysis,
+                numeral: `${secondary.numeral}/${secondary.target}`,
+                function: 'applied',
+                secondary: secondary.target,
+                description: `${secondary.kind} of ${secondary.target}`
+            };
+        }
+
+        if (borrowed) {
+            return this.getBorrowedAnalysis(analysis, degree, structure, mode);
+        }
+
+        return {
+            ...analysis,
+            numeral: this.formatNumeral(degree, structure, mode),
+            function: 'chromatic',
+            description: 'Chromatic chord'
+        };
+    }
+
+    // Modal mixture: a chord from the parallel major or minor
+    getBorrowedAnalysis(analysis, degree, structure, mode) {
+        return {
+            ...analysis,
+            numeral: this.formatNumeral(degree, structure, mode),
+            function: this.getDiatonicFunction(degree, mode),
+            borrowed: true,
+            description: `Borrowed from ${mode === 'major' ? 'the parallel minor' : 'the parallel major'}`
+        };
+    }
+
+    // Label every chord of a progression and find the cadences in it
+    analyzeProgression(chords, key, scaleType = 'major', now = Date.now()) {
+        const analyses = chords.map(chord => this.analyzeChord(chord, key, scaleType));
+
+        return {
+            key: key,
+            scaleType: scaleType,
+            chords: analyses,
+            cadences: this.detectCadences(analyses, now)
+        };
+    }
+
+    // Authentic, plagal, deceptive and half cadences between neighbouring chords
+    detectCadences(analyses, now = Date.now()) {
+        const cadences = [];
+
+        analyses.forEach((current, index) => {
+            const previous = analyses[index - 1];
+            if (!current || !previous) return;
+
+            let cadence = null;
+            if (this.isDominant(previous) && this.isTonic(current)) {
+                const perfect = previous.degree === 7 && previous.inversion === 0 && current.inversion === 0;
+                cadence = perfect
+                    ? { type: 'authentic', label: 'PAC', name: 'Perfect authentic cadence' }
+                    : { type: 'authentic', label: 'IAC', name: 'Imperfect authentic cadence' };
+            } else if (previous.degree === 5 && !previous.secondary && !previous.special && this.isTonic(current)) {
+                cadence = { type: 'plagal', label: 'PC', name: 'Plagal cadence' };
+            } else if (previous.degree === 7 && this.isDominant(previous) && !current.secondary &&
+                (current.degree === 8 || current.degree === 9)) {
+                cadence = { type: 'deceptive', label: 'DC', name: 'Deceptive cadence' };
+            } else if (current.degree === 7 && this.isDominant(current) && !this.isDominant(previous) &&
+                this.isPhraseEnd(analyses, index, now)) {
+                cadence = previous.degree === 5 && previous.inversion === 1 && previous.numeral.startsWith('iv')
+                    ? { type: 'half', label: 'PHC', name: 'Phrygian half cadence' }
+                    : { type: 'half', label: 'HC', name: 'Half cadence' };
+            }
+
+            if (cadence) {
+                cadences.push({ ...cadence, index: index, from: previous.numeral, to: current.numeral });
+            }
+        });
+
+        return cadences;
+    }
+
+    // Whether the chord at index is followed by a pause
+    isPhraseEnd(analyses, index, now) {
+        const current = analyses[index];
+        if (!current.timestamp) return false;
+
+        const next = analyses[index + 1];
+        const end = next ? next.timestamp : now;
+        return !!end && end - current.timestamp >= this.settings.halfCadenceGapMs;
+    }
+
+    // V or vii° of the key itself (not an applied chord or a minor v)
+    isDominant(analysis) {
+        if (!analysis || analysis.function !== 'dominant') return false;
+        if (analysis.degree === 7) return analysis.numeral.startsWith('V');
+        return analysis.degree === 11 && /[°ø]/.test(analysis.numeral);
+    }
+
+    isTonic(analysis) {
+        return !!analysis && analysis.degree === 0 && !analysis.secondary && !analysis.special;
+    }
+
+    // Major-like or minor-like analysis for any scale
+    getMode(scaleType) {
+        const scale = SCALES[scaleType];
+        return scale && scale.intervals.includes(3) && !scale.intervals.includes(4) ? 'minor' : 'major';
+    }
+
+    // Degrees that belong to the key: the mode's usual set plus the scale's own
+    // notes, so a melodic minor key has its major IV
+    getDiatonicDegrees(scaleType, mode) {
+        const scale = SCALES[scaleType];
+        const scaleDegrees = scale && scale.intervals.length === 7 ? scale.intervals : [];
+        return [...new Set([...DIATONIC_DEGREES[mode], ...scaleDegrees])];
+    }
+
+    // Triad quality, seventh, suspension and inversion from the chord's intervals
+    getChordStructure(chord) {
+        const intervals = (chord.intervals || [0]).map(interval => interval % 12);
+        const has = interval => intervals.includes(interval);
+
+        const third = has(4) ? 4 : has(3) ? 3 : null;
+        let fifth = null;
+        if (has(7)) fifth = 7;
+        else if (third === 3 && has(6)) fifth = 6;
+        else if (third === 4 && has(8) && !has(10)) fifth = 8;
+
+        let triad;
+        if (third === null) triad = 'suspended';
+        else if (third === 3) triad = fifth === 6 ? 'diminished' : 'minor';
+        else triad = fifth === 8 ? 'augmented' : 'major';
+
+        let seventh = null;
+        if (has(10)) seventh = 10;
+        else if (has(11)) seventh = 11;
+        else if (triad === 'diminished' && has(9)) seventh = 9;
+
+        const core = [0, third, fifth, seventh].filter(interval => interval !== null);
+        if (third === null) {
+            core.push(...intervals.filter(interval => interval === 2 || interval === 5));
+        }
+
+        // Inversion from the bass: third, fifth or seventh below everything else
+        const bassPitchClass = MusicTheory.getPitchClass(chord.bass || chord.root);
+        const bassInterval = (bassPitchClass - MusicTheory.getPitchClass(chord.root) + 12) % 12;
+        const inversion = [0, third, fifth, seventh].indexOf(bassInterval);
+
+        return {
+            triad: triad,
+            seventh: seventh,
+            suspension: third === null ? (has(5) ? 'sus4' : has(2) ? 'sus2' : '') : '',
+            inversion: Math.max(0, inversion),
+            core: core
+        };
+    }
+
+    // Figured-bass style inversion: 6, 64 for triads; 7, 65, 43, 42 for sevenths
+    getFigure(structure) {
+        return structure.seventh
+            ? ['7', '65', '43', '42'][structure.inversion]
+            : ['', '6', '64'][structure.inversion] || '';
+    }
+
+    // Accidental, case and quality sign for a chord on a degree
+    formatNumeral(degree, structure, mode) {
+        const [accidental, step] = DEGREE_NAMES[mode][degree];
+        let numeral = ROMAN_NUMERALS[step];
+        if (structure.triad === 'minor' || structure.triad === 'diminished') {
+            numeral = numeral.toLowerCase();
+        }
+
+        // The leading-tone chord in minor is written vii°, not #vii°
+        const prefix = mode === 'minor' && degree === 11 && structure.triad === 'diminished' ? '' : accidental;
+
+        let quality = '';
+        if (structure.triad === 'diminished') quality = structure.seventh === 10 ? 'ø' : '°';
+        else if (structure.triad === 'augmented') quality = '+';
+
+        let figure = this.getFigure(structure);
+        if (structure.seventh === 11 && structure.inversion === 0) figure = 'maj7';
+
+        return prefix + numeral + quality + figure + structure.suspension;
+    }
+
+    // Applied dominants (V/x, V7/x) and leading-tone chords (vii°/x, vii°7/x, viiø7/x)
+    findSecondaryFunction(degree, structure, mode) {
+        const figure = this.getFigure(structure);
+
+        if (structure.triad === 'major' && (!structure.seventh || structure.seventh === 10)) {
+            const target = TONICIZABLE[mode][(degree + 5) % 12];
+            if (target) {
+                return { numeral: 'V' + figure, target: target, kind: 'Secondary dominant' };
+            }
+        }
+
+        if (structure.triad === 'diminished') {
+            const target = TONICIZABLE[mode][(degree + 1) % 12];
+            if (target) {
+                const quality = structure.seventh === 10 ? 'ø' : '°';
+                return { numeral: 'vii' + quality + figure, target: target, kind: 'Secondary leading-tone chord' };
+            }
+        }
+
+        return null;
+    }
+
+    // Italian, French or German sixth from the sounding pitch classes
+    findAugmentedSixth(chord, tonic) {
+        const notes = chord.notes && chord.notes.length
+            ? chord.notes
+            : (chord.intervals || []).map(interval => NOTES[(MusicTheory.getPitchClass(chord.root) + interval) % 12]);
+
+        const degrees = [...new Set(notes
+            .map(note => MusicTheory.getPitchClass(note))
+            .filter(pitchClass => pitchClass !== null)
+            .map(pitchClass => (pitchClass - tonic + 12) % 12))]
+            .sort((a, b) => a - b);
+
+        for (const [name, pattern] of Object.entries(AUGMENTED_SIXTHS)) {
+            if (degrees.length === pattern.length && degrees.every((d, i) => d === pattern[i])) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    // Tonic, predominant or dominant for chords that belong to the key
+    getDiatonicFunction(degree, mode) {
+        if (degree === 7 || degree === 11 || (mode === 'minor' && degree === 10)) return 'dominant';
+        if (degree === 2 || degree === 5 || degree === 1) return 'predominant';
+        if (mode === 'major' && (degree === 8 || degree === 10)) return 'predominant';
+        return 'tonic';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HarmonicAnalyzer;
+} else {
+    window.HarmonicAnalyzer = HarmonicAnalyzer;
+}
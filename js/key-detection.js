@@ -0,0 +1,192 @@
+// Key Detection Module
+
+// Krumhansl-Kessler key profiles: how strongly each scale degree (from the tonic) suggests a key
+const KEY_PROFILES = {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+class KeyDetector {
+    constructor() {
+        // Played notes: { pitchClass, start, end } with end null while the key is held
+        this.noteEvents = [];
+        this.currentKey = null;
+
+        // Called with the new key whenever the estimate changes
+        this.onKeyChange = null;
+
+        // Key detection settings
+        this.settings = {
+            windowSeconds: 30,      // Ignore notes and chords older than this
+            halfLifeSeconds: 8,     // Recency weighting: weight halves every N seconds
+            minNoteSeconds: 0.25,   // Short notes still count for this long
+            maxNoteSeconds: 4,      // Long held notes don't swamp everything else
+            chordWeight: 0.25,      // Extra weight per chord tone from the chord history
+            chordRootWeight: 0.5,   // Extra weight for chord roots
+            minWeight: 2,           // Total weight needed before guessing a key
+            switchMargin: 0.1,      // How much better a new key must fit before we switch
+            confidenceSharpness: 15 // Higher makes confidence more decisive
+        };
+    }
+
+    // Record a key press ("C4", "Bb3"...)
+    noteOn(note, time = Date.now()) {
+        const pitchClass = MusicTheory.getPitchClass(note);
+        if (pitchClass === null) return;
+
+        this.noteEvents.push({ note, pitchClass, start: time, end: null });
+        this.pruneEvents(time);
+    }
+
+    // Record a key release
+    noteOff(note, time = Date.now()) {
+        const event = this.noteEvents.find(e => e.note === note && e.end === null);
+        if (event) {
+            event.end = time;
+        }
+    }
+
+    // Drop notes that have left the window
+    pruneEvents(now) {
+        const cutoff = now - this.settings.windowSeconds * 1000;
+        this.noteEvents = this.noteEvents.filter(event => event.end === null || event.end >= cutoff);
+    }
+
+    // Weight for something that ended at the given time
+    getRecencyWeight(endTime, now) {
+        const age = Math.max(0, now - endTime) / 1000;
+        if (age > this.settings.windowSeconds) return 0;
+        return Math.pow(0.5, age / this.settings.halfLifeSeconds);
+    }
+
+    // Weighted pitch-class histogram of recent notes and chords
+    getPitchClassWeights(chordHistory = [], now = Date.now()) {
+        const weights = new Array(12).fill(0);
+
+        this.noteEvents.forEach(event => {
+            const end = event.end === null ? now : event.end;
+            const seconds = Math.min(this.settings.maxNoteSeconds,
+                Math.max(this.settings.minNoteSeconds, (end - event.start) / 1000));
+            weights[event.pitchClass] += seconds * this.getRecencyWeight(end, now);
+        });
+
+        chordHistory.forEach(chord => {
+            const rootPitchClass = MusicTheory.getPitchClass(chord.root);
+            if (rootPitchClass === null || !chord.timestamp) return;
+
+            const recency = this.getRecencyWeight(chord.timestamp, now);
+            weights[rootPitchClass] += this.settings.chordRootWeight * recency;
+            (chord.intervals || []).forEach(interval => {
+                weights[(rootPitchClass + interval) % 12] += this.settings.chordWeight * recency;
+            });
+        });
+
+        return weights;
+    }
+
+    // Rank all 24 major and minor keys by how well they fit recent playing
+    rankKeys(chordHistory = [], now = Date.now()) {
+        const weights = this.getPitchClassWeights(chordHistory, now);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total < this.settings.minWeight) return [];
+
+        const results = [];
+        for (const [scaleType, profile] of Object.entries(KEY_PROFILES)) {
+            for (let tonic = 0; tonic < 12; tonic++) {
+                const rotated = weights.map((_, degree) => weights[(degree + tonic) % 12]);
+                results.push({
+                    tonic: tonic,
+                    scaleType: scaleType,
+                    correlation: this.correlate(rotated, profile)
+                });
+            }
+        }
+
+        // Softmax over correlations gives each key a share of the confidence
+        const exponents = results.map(result => Math.exp(result.correlation * this.settings.confidenceSharpness));
+        const sum = exponents.reduce((a, b) => a + b, 0);
+        results.forEach((result, index) => {
+            const root = MusicTheory.getKeySpelling(NOTES[result.tonic], result.scaleType);
+            result.root = root;
+            result.name = `${root} ${result.scaleType}`;
+            result.confidence = exponents[index] / sum;
+        });
+
+        return results.sort((a, b) => b.correlation - a.correlation);
+    }
+
+    // Estimate the key, keeping the current one unless another fits clearly better
+    estimateKey(chordHistory = [], now = Date.now()) {
+        this.pruneEvents(now);
+        const ranked = this.rankKeys(chordHistory, now);
+        if (ranked.length === 0) return this.currentKey;
+
+        let best = ranked[0];
+        if (this.currentKey) {
+            const current = ranked.find(key =>
+                key.tonic === this.currentKey.tonic && key.scaleType === this.currentKey.scaleType
+            );
+            if (current && best.correlation - current.correlation < this.settings.switchMargin) {
+                best = current;
+            }
+        }
+
+        const changed = !this.currentKey ||
+            this.currentKey.tonic !== best.tonic || this.currentKey.scaleType !== best.scaleType;
+
+        this.currentKey = {
+            root: best.root,
+            tonic: best.tonic,
+            scaleType: best.scaleType,
+            name: best.name,
+            confidence: best.confidence,
+            alternatives: ranked.filter(key => key !== best).slice(0, 3)
+        };
+
+        if (changed && this.onKeyChange) {
+            this.onKeyChange(this.currentKey);
+        }
+        return this.currentKey;
+    }
+
+    // Pearson correlation between two 12-element arrays
+    correlate(a, b) {
+        const meanA = a.reduce((sum, x) => sum + x, 0) / a.length;
+        const meanB = b.reduce((sum, x) => sum + x, 0) / b.length;
+
+        let numerator = 0;
+        let denomA = 0;
+        let denomB = 0;
+        for (let i = 0; i < a.length; i++) {
+            numerator += (a[i] - meanA) * (b[i] - meanB);
+            denomA += (a[i] - meanA) ** 2;
+            denomB += (b[i] - meanB) ** 2;
+        }
+
+        const denominator = Math.sqrt(denomA * denomB);
+        return denominator === 0 ? 0 : numerator / denominator;
+    }
+
+    // Get current key estimate
+    getCurrentKey() {
+        return this.currentKey;
+    }
+
+    // Forget everything played so far
+    reset() {
+        this.noteEvents = [];
+        this.currentKey = null;
+    }
+
+    // Settings
+    updateSettings(newSettings) {
+        this.settings = { ...this.settings, ...newSettings };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyDetector;
+} else {
+    window.KeyDetector = KeyDetector;
+}
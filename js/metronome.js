@@ -0,0 +1,305 @@
+// Metronome Module
+// Time signatures, accent patterns, subdivisions, swing, count-in and tap tempo on the shared transport
+
+// How the beats of irregular and compound meters group by default
+const METER_GROUPINGS = {
+    '5/4': [3, 2],
+    '7/4': [4, 3],
+    '5/8': [3, 2],
+    '6/8': [3, 3],
+    '7/8': [2, 2, 3],
+    '9/8': [3, 3, 3],
+    '12/8': [3, 3, 3, 3]
+};
+
+// Click sound per accent level; 'off' beats are silent but still counted
+const ACCENT_LEVELS = {
+    strong: { frequency: 1600, gain: 0.3 },
+    medium: { frequency: 1000, gain: 0.2 },
+    weak: { frequency: 800, gain: 0.12 },
+    off: null
+};
+
+const SUBDIVISION_CLICK = { frequency: 600, gain: 0.05 };
+
+class Metronome {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+
+        this.isPlaying = false;
+        this.repeatId = null;
+        this.beatInBar = 0;
+        this.bar = 0;
+        this.taps = [];
+
+        // Pending count-in: { barsLeft, resolve, stopAfter }
+        this.pendingCountIn = null;
+
+        // Called on the main thread as each beat sounds: (beatIndex, bar, accent)
+        this.onBeat = null;
+        // Called whenever the tempo changes (tap tempo included)
+        this.onTempoChange = null;
+
+        // Metronome settings
+        this.settings = {
+            bpm: 120,           // Beats per minute, counting the beat unit below
+            beatsPerBar: 4,
+            beatUnit: 4,        // 4 = quarter note, 8 = eighth note
+            accents: null,      // Accent level per beat, or null for the meter's default
+            subdivision: 1,     // Clicks per beat: 1, 2 (eighths), 3 (triplets), 4 (sixteenths)
+            swing: 50,          // Off-beat position as % of the beat: 50 straight, 67 triplet swing
+            countInBars: 0,     // Bars counted in before recording or exercises
+            minBpm: 30,
+            maxBpm: 300
+        };
+    }
+
+    get transport() {
+        return this.audioEngine.transport;
+    }
+
+    start() {
+        if (!this.audioEngine.isInitialized) return;
+
+        if (this.isPlaying) {
+            this.stop();
+        }
+        this.isPlaying = true;
+        this.beatInBar = 0;
+        this.bar = 0;
+
+        this.transport.start(this.settings.bpm);
+        this.repeatId = this.transport.repeat(1, (time) => this.scheduleBeat(time));
+    }
+
+    stop() {
+        if (this.repeatId !== null) {
+            this.transport.cancel(this.repeatId);
+            this.transport.stop();
+            this.repeatId = null;
+        }
+        this.isPlaying = false;
+        this.beatInBar = 0;
+        this.bar = 0;
+
+        // A count-in cut short still lets whoever was waiting carry on
+        if (this.pendingCountIn) {
+            const { resolve } = this.pendingCountIn;
+            this.pendingCountIn = null;
+            resolve(this.audioEngine.audioContext.currentTime);
+        }
+    }
+
+    toggle() {
+        if (this.isPlaying) {
+            this.stop();
+        } else {
+            this.start();
+        }
+        return this.isPlaying;
+    }
+
+    // Count in before something starts; resolves with the audio time of the first beat after it.
+    // If the metronome was off it stops again after the count-in.
+    countIn(bars = this.settings.countInBars) {
+        if (bars <= 0 || !this.audioEngine.isInitialized) {
+            return Promise.resolve(this.audioEngine.audioContext ? this.audioEngine.audioContext.currentTime : 0);
+        }
+
+        const wasPlaying = this.isPlaying;
+        let stopAfter = !wasPlaying;
+
+        // A new count-in replaces one still running; whoever waited on that one is told so
+        if (this.pendingCountIn) {
+            const { reject } = this.pendingCountIn;
+            stopAfter = this.pendingCountIn.stopAfter;
+            this.pendingCountIn = null;
+            reject(new Error('Count-in replaced by another'));
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            // Counted from the next downbeat; each downbeat passed uses up a bar
+            this.pendingCountIn = { barsLeft: bars, resolve, reject, stopAfter };
+        });
+
+        if (!wasPlaying) {
+            this.start();
+        }
+        return promise;
+    }
+
+    // Schedule one beat (and its subdivisions) at an audio time
+    scheduleBeat(time) {
+        if (!this.isPlaying) return;
+
+        const beatsPerBar = this.settings.beatsPerBar;
+        if (this.beatInBar >= beatsPerBar) this.beatInBar = 0;
+
+        const beatIndex = this.beatInBar;
+        const bar = this.bar;
+
+        if (beatIndex === 0 && this.pendingCountIn) {
+            if (this.pendingCountIn.barsLeft === 0) {
+                this.finishCountIn(time);
+                if (!this.isPlaying) return;
+            } else {
+                this.pendingCountIn.barsLeft--;
+            }
+        }
+
+        const accent = this.getAccents()[beatIndex];
+        const click = ACCENT_LEVELS[accent];
+        if (click) {
+            this.audioEngine.playClick(time, click.frequency, click.gain);
+        }
+        this.scheduleSubdivisions(time);
+
+        if (this.onBeat) {
+            this.transport.runAt(time, () => this.onBeat(beatIndex, bar, accent));
+        }
+
+        this.beatInBar++;
+        if (this.beatInBar >= beatsPerBar) {
+            this.beatInBar = 0;
+            this.bar++;
+        }
+    }
+
+    finishCountIn(time) {
+        const { resolve, stopAfter } = this.pendingCountIn;
+        this.pendingCountIn = null;
+
+        if (stopAfter) {
+            this.stop();
+        }
+        resolve(time);
+    }
+
+    // Quiet clicks between beats, with swing on the off-beats
+    scheduleSubdivisions(beatTime) {
+        const subdivision = this.settings.subdivision;
+        if (subdivision <= 1) return;
+
+        const beatSeconds = 60 / this.transport.bpm;
+        for (let i = 1; i < subdivision; i++) {
+            this.audioEngine.playClick(beatTime + this.getSubdivisionOffset(i, subdivision) * beatSeconds,
+                SUBDIVISION_CLICK.frequency, SUBDIVISION_CLICK.gain);
+        }
+    }
+
+    // Position of a subdivision within the beat (0..1); swing only applies to even subdivisions
+    getSubdivisionOffset(index, subdivision) {
+        const straight = index / subdivision;
+        if (subdivision % 2 !== 0 || index % 2 === 0) return straight;
+
+        // Off-beats of each pair move later: from the middle of the pair towards its end
+        const pairLength = 2 / subdivision;
+        const pairStart = straight - pairLength / 2;
+        return pairStart + pairLength * this.settings.swing / 100;
+    }
+
+    // Accent level per beat: the explicit pattern, or the meter's default
+    getAccents() {
+        const { accents, beatsPerBar } = this.settings;
+        if (accents && accents.length === beatsPerBar) return accents;
+        return this.getDefaultAccents();
+    }
+
+    // Downbeat strong, the start of each beat group medium, the rest weak
+    getDefaultAccents() {
+        const grouping = this.getGrouping();
+        const accents = [];
+        grouping.forEach((size, groupIndex) => {
+            for (let i = 0; i < size; i++) {
+                if (i === 0) {
+                    accents.push(groupIndex === 0 ? 'strong' : 'medium');
+                } else {
+                    accents.push('weak');
+                }
+            }
+        });
+        return accents;
+    }
+
+    // Beat groups for the current time signature
+    getGrouping() {
+        const { beatsPerBar, beatUnit } = this.settings;
+        const grouping = METER_GROUPINGS[`${beatsPerBar}/${beatUnit}`];
+        if (grouping) return grouping;
+
+        // Other compound meters group in threes; everything else is one group per bar
+        if (beatUnit === 8 && beatsPerBar % 3 === 0 && beatsPerBar > 3) {
+            return new Array(beatsPerBar / 3).fill(3);
+        }
+        return [beatsPerBar];
+    }
+
+    setTimeSignature(beatsPerBar, beatUnit) {
+        this.settings.beatsPerBar = Math.max(1, Math.min(16, beatsPerBar));
+        this.settings.beatUnit = beatUnit;
+        this.settings.accents = null;
+        this.beatInBar = 0;
+    }
+
+    // Step one beat's accent through strong, medium, weak and off
+    cycleAccent(beatIndex) {
+        const levels = Object.keys(ACCENT_LEVELS);
+        const accents = [...this.getAccents()];
+        accents[beatIndex] = levels[(levels.indexOf(accents[beatIndex]) + 1) % levels.length];
+        this.settings.accents = accents;
+        return accents;
+    }
+
+    setTempo(bpm) {
+        const { minBpm, maxBpm } = this.settings;
+        this.settings.bpm = Math.round(Math.max(minBpm, Math.min(maxBpm, bpm)));
+        if (this.isPlaying) {
+            this.transport.setTempo(this.settings.bpm);
+        }
+        if (this.onTempoChange) {
+            this.onTempoChange(this.settings.bpm);
+        }
+        return this.settings.bpm;
+    }
+
+    setSubdivision(subdivision) {
+        if ([1, 2, 3, 4].includes(subdivision)) {
+            this.settings.subdivision = subdivision;
+        }
+    }
+
+    setSwing(percent) {
+        this.settings.swing = Math.max(50, Math.min(75, percent));
+    }
+
+    // Tap tempo: the average of recent taps sets the tempo; a long pause starts over
+    tap(time = performance.now()) {
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && time - last > 2000) {
+            this.taps = [];
+        }
+        this.taps.push(time);
+        this.taps = this.taps.slice(-5);
+
+        if (this.taps.length < 2) return null;
+
+        const intervals = this.taps.slice(1).map((tap, index) => tap - this.taps[index]);
+        const average = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+        return this.setTempo(60000 / average);
+    }
+
+    // Settings
+    updateSettings(newSettings) {
+        this.settings = { ...this.settings, ...newSettings };
+        if (this.isPlaying) {
+            this.transport.setTempo(this.settings.bpm);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Metronome;
+} else {
+    window.Metronome = Metronome;
+}
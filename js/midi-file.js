@@ -0,0 +1,322 @@
+// MIDI File Module
+// Standard MIDI File (type 0 and 1) writer and parser for recordings:
+// [{ type: 'noteOn'|'noteOff'|'sustain'|'sostenuto', note, octave, velocity, value, time (ms) }]
+
+const MIDI_FILE_PPQ = 480; // Ticks per quarter note in written files
+
+// Controllers for the pedal events
+const PEDAL_CONTROLLERS = { sustain: 64, sostenuto: 66 };
+
+class MidiFile {
+    // Encode events as a .mid file. Options: { format: 0|1, bpm, beatsPerBar, beatUnit, name }
+    // bpm counts the beat unit, as the metronome does; it also sets the tick grid.
+    static write(events, options = {}) {
+        const { format = 1, bpm = 120, beatsPerBar = 4, beatUnit = 4, name = 'TuneLearn Recording' } = options;
+        const quarterBpm = bpm * 4 / beatUnit;
+        const msToTicks = (ms) => Math.max(0, Math.round(ms / 1000 * quarterBpm / 60 * MIDI_FILE_PPQ));
+
+        // Conductor events: name, tempo and time signature at tick 0
+        const metaEvents = [
+            { tick: 0, bytes: [0xFF, 0x03, ...MidiFile.encodeVarLength(MidiFile.textBytes(name).length), ...MidiFile.textBytes(name)] },
+            { tick: 0, bytes: [0xFF, 0x51, 0x03, ...MidiFile.tempoBytes(quarterBpm)] },
+            { tick: 0, bytes: [0xFF, 0x58, 0x04, beatsPerBar, Math.round(Math.log2(beatUnit)), 96 / beatUnit, 8] }
+        ];
+
+        // Stable sort by time: recordings can list scheduled note offs before later note ons
+        const noteEvents = events
+            .map((event, index) => ({ event, index }))
+            .sort((a, b) => a.event.time - b.event.time || a.index - b.index)
+            .map(({ event }) => ({ tick: msToTicks(event.time), bytes: MidiFile.encodeEvent(event) }))
+            .filter(item => item.bytes);
+
+        const tracks = format === 0
+            ? [[...metaEvents, ...noteEvents]]
+            : [metaEvents, noteEvents];
+
+        const bytes = [
+            ...MidiFile.textBytes('MThd'), ...MidiFile.uint32(6),
+            ...MidiFile.uint16(format === 0 ? 0 : 1), ...MidiFile.uint16(tracks.length), ...MidiFile.uint16(MIDI_FILE_PPQ)
+        ];
+        tracks.forEach(track => bytes.push(...MidiFile.encodeTrack(track)));
+        return new Uint8Array(bytes);
+    }
+
+    // Channel message bytes for one recording event (channel 1), or null
+    static encodeEvent(event) {
+        if (event.type === 'noteOn' || event.type === 'noteOff') {
+            const midi = MusicTheory.noteToMidi(event.note, event.octave);
+            if (midi === null || midi === undefined || midi < 0 || midi > 127) return null;
+
+            if (event.type === 'noteOn') {
+                const velocity = Math.max(1, Math.min(127, Math.round((event.velocity !== undefined ? event.velocity : 0.8) * 127)));
+                return [0x90, midi, velocity];
+            }
+            return [0x80, midi, 64];
+        }
+        if (PEDAL_CONTROLLERS[event.type]) {
+            return [0xB0, PEDAL_CONTROLLERS[event.type], event.value ? 127 : 0];
+        }
+        return null;
+    }
+
+    // MTrk chunk: delta times, events, end of track
+    static encodeTrack(trackEvents) {
+        const data = [];
+        let lastTick = 0;
+        trackEvents.forEach(item => {
+            data.push(...MidiFile.encodeVarLength(item.tick - lastTick), ...item.bytes);
+            lastTick = item.tick;
+        });
+        data.push(0x00, 0xFF, 0x2F, 0x00);
+
+        return [...MidiFile.textBytes('MTrk'), ...MidiFile.uint32(data.length), ...data];
+    }
+
+    // Decode a .mid file into recording events (times in ms through the tempo map), plus
+    // { format, trackCount, ppq, bpm, beatsPerBar, beatUnit, name, duration }.
+    // Note events also carry the track and channel they came from.
+    static parse(arrayBuffer) {
+        const data = new Uint8Array(arrayBuffer);
+        const reader = { data, position: 0 };
+
+        if (MidiFile.readText(reader, 4) !== 'MThd') {
+            throw new Error('Not a Standard MIDI File');
+        }
+        const headerLength = MidiFile.readUint32(reader);
+        const format = MidiFile.readUint16(reader);
+        const trackCount = MidiFile.readUint16(reader);
+        const division = MidiFile.readUint16(reader);
+        reader.position += headerLength - 6;
+
+        if (format > 2) {
+            throw new Error(`Unsupported MIDI file format ${format}`);
+        }
+
+        const rawEvents = [];
+        for (let track = 0; track < trackCount && reader.position < data.length; track++) {
+            const chunkType = MidiFile.readText(reader, 4);
+            const length = MidiFile.readUint32(reader);
+            const end = reader.position + length;
+            if (chunkType === 'MTrk') {
+                MidiFile.parseTrack(reader, end, track, rawEvents);
+            }
+            reader.position = end;
+        }
+
+        // Merge the tracks in time order (a track's own events keep their order)
+        rawEvents.sort((a, b) => a.tick - b.tick || a.order - b.order);
+        const tickToMs = MidiFile.createTempoMap(rawEvents, division);
+
+        const result = {
+            format,
+            trackCount,
+            ppq: division & 0x8000 ? null : division,
+            bpm: 120,
+            beatsPerBar: 4,
+            beatUnit: 4,
+            name: '',
+            events: [],
+            duration: 0
+        };
+
+        let tempoSeen = false;
+        let timeSignatureSeen = false;
+        rawEvents.forEach(raw => {
+            const time = tickToMs(raw.tick);
+            result.duration = Math.max(result.duration, time);
+
+            switch (raw.kind) {
+                case 'tempo':
+                    if (!tempoSeen) {
+                        result.bpm = Math.round(60000000 / raw.microseconds * 100) / 100;
+                        tempoSeen = true;
+                    }
+                    break;
+                case 'timeSignature':
+                    if (!timeSignatureSeen) {
+                        result.beatsPerBar = raw.beatsPerBar;
+                        result.beatUnit = raw.beatUnit;
+                        timeSignatureSeen = true;
+                    }
+                    break;
+                case 'name':
+                    if (!result.name) result.name = raw.text;
+                    break;
+                case 'noteOn':
+                case 'noteOff': {
+                    const { note, octave } = MusicTheory.midiToNote(raw.midi);
+                    const event = { type: raw.kind, note, octave, time, track: raw.track, channel: raw.channel };
+                    if (raw.kind === 'noteOn') event.velocity = raw.velocity / 127;
+                    result.events.push(event);
+                    break;
+                }
+                case 'sustain':
+                case 'sostenuto':
+                    result.events.push({ type: raw.kind, value: raw.value, time, track: raw.track, channel: raw.channel });
+                    break;
+            }
+        });
+
+        // The tempo is kept in the file's beat unit, like the metronome counts it
+        result.bpm = Math.round(result.bpm * result.beatUnit / 4 * 100) / 100;
+        return result;
+    }
+
+    // Read one MTrk chunk's events into rawEvents: { tick, order, track, kind, ... }
+    static parseTrack(reader, end, track, rawEvents) {
+        let tick = 0;
+        let runningStatus = null;
+
+        while (reader.position < end) {
+            tick += MidiFile.readVarLength(reader);
+            let status = reader.data[reader.position];
+
+            if (status < 0x80) {
+                // Running status: reuse the previous channel message status
+                if (runningStatus === null) throw new Error('Corrupt MIDI track');
+                status = runningStatus;
+            } else {
+                reader.position++;
+            }
+
+            const base = { tick, order: rawEvents.length, track };
+
+            if (status === 0xFF) {
+                // Meta and sysex events cancel running status
+                runningStatus = null;
+                const type = reader.data[reader.position++];
+                const length = MidiFile.readVarLength(reader);
+                const bytes = reader.data.subarray(reader.position, reader.position + length);
+                reader.position += length;
+
+                if (type === 0x51 && length === 3) {
+                    rawEvents.push({ ...base, kind: 'tempo', microseconds: (bytes[0] << 16) | (bytes[1] << 8) | bytes[2] });
+                } else if (type === 0x58 && length >= 2) {
+                    rawEvents.push({ ...base, kind: 'timeSignature', beatsPerBar: bytes[0], beatUnit: Math.pow(2, bytes[1]) });
+                } else if (type === 0x03) {
+                    rawEvents.push({ ...base, kind: 'name', text: String.fromCharCode(...bytes).trim() });
+                } else if (type === 0x2F) {
+                    break;
+                }
+                continue;
+            }
+
+            if (status === 0xF0 || status === 0xF7) {
+                // System exclusive: skip it
+                runningStatus = null;
+                const length = MidiFile.readVarLength(reader);
+                reader.position += length;
+                continue;
+            }
+
+            runningStatus = status;
+            const type = status & 0xF0;
+            const channel = status & 0x0F;
+            const data1 = reader.data[reader.position++];
+            const data2 = type === 0xC0 || type === 0xD0 ? 0 : reader.data[reader.position++];
+
+            if (type === 0x90 && data2 > 0) {
+                rawEvents.push({ ...base, kind: 'noteOn', channel, midi: data1, velocity: data2 });
+            } else if (type === 0x80 || type === 0x90) {
+                // Note on with velocity 0 is a note off
+                rawEvents.push({ ...base, kind: 'noteOff', channel, midi: data1 });
+            } else if (type === 0xB0 && (data1 === PEDAL_CONTROLLERS.sustain || data1 === PEDAL_CONTROLLERS.sostenuto)) {
+                const kind = data1 === PEDAL_CONTROLLERS.sustain ? 'sustain' : 'sostenuto';
+                rawEvents.push({ ...base, kind, channel, value: data2 >= 64 });
+            }
+        }
+    }
+
+    // Tick to milliseconds through every tempo change (or SMPTE frames)
+    static createTempoMap(rawEvents, division) {
+        if (division & 0x8000) {
+            const framesPerSecond = 256 - (division >> 8);
+            const ticksPerFrame = division & 0xFF;
+            return (tick) => tick / (framesPerSecond * ticksPerFrame) * 1000;
+        }
+
+        // Segments: { tick, ms, msPerTick } from each tempo change on; 120 BPM until the first
+        const segments = [{ tick: 0, ms: 0, msPerTick: 500 / division }];
+        rawEvents.filter(raw => raw.kind === 'tempo').forEach(raw => {
+            const last = segments[segments.length - 1];
+            const ms = last.ms + (raw.tick - last.tick) * last.msPerTick;
+            segments.push({ tick: raw.tick, ms, msPerTick: raw.microseconds / 1000 / division });
+        });
+
+        return (tick) => {
+            let segment = segments[0];
+            for (let i = segments.length - 1; i >= 0; i--) {
+                if (segments[i].tick <= tick) {
+                    segment = segments[i];
+                    break;
+                }
+            }
+            return segment.ms + (tick - segment.tick) * segment.msPerTick;
+        };
+    }
+
+    // Byte helpers
+
+    static encodeVarLength(value) {
+        const bytes = [value & 0x7F];
+        value = Math.floor(value / 128);
+        while (value > 0) {
+            bytes.unshift((value & 0x7F) | 0x80);
+            value = Math.floor(value / 128);
+        }
+        return bytes;
+    }
+
+    static readVarLength(reader) {
+        let value = 0;
+        let byte;
+        do {
+            byte = reader.data[reader.position++];
+            value = value * 128 + (byte & 0x7F);
+        } while (byte & 0x80 && reader.position < reader.data.length);
+        return value;
+    }
+
+    static tempoBytes(quarterBpm) {
+        const microseconds = Math.round(60000000 / quarterBpm);
+        return [(microseconds >> 16) & 0xFF, (microseconds >> 8) & 0xFF, microseconds & 0xFF];
+    }
+
+    static textBytes(text) {
+        return Array.from(text, char => char.charCodeAt(0) & 0x7F);
+    }
+
+    static uint16(value) {
+        return [(value >> 8) & 0xFF, value & 0xFF];
+    }
+
+    static uint32(value) {
+        return [(value >>> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+    }
+
+    static readText(reader, length) {
+        const text = String.fromCharCode(...reader.data.subarray(reader.position, reader.position + length));
+        reader.position += length;
+        return text;
+    }
+
+    static readUint16(reader) {
+        const value = (reader.data[reader.position] << 8) | reader.data[reader.position + 1];
+        reader.position += 2;
+        return value;
+    }
+
+    static readUint32(reader) {
+        const d = reader.data;
+        const p = reader.position;
+        reader.position += 4;
+        return ((d[p] << 24) >>> 0) + (d[p + 1] << 16) + (d[p + 2] << 8) + d[p + 3];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MidiFile;
+} else {
+    window.MidiFile = MidiFile;
+}
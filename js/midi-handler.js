@@ -6,10 +6,27 @@ class MIDIHandler {
         this.connectedDevices = new Map();
         this.isEnabled = false;
         
+        // MIDI outputs: port id -> { port, name, manufacturer }, and the one messages go to
+        this.outputDevices = new Map();
+        this.activeOutputId = null;
+        this.outputChannel = 0;     // Channel prompts and playback are sent on (0-15)
+        this.outputLatencies = {};  // Latency offset in ms by output name
+        
+        // MIDI thru: forward incoming notes to the output, on another channel (null
+        // keeps the incoming one) and transposed by some semitones
+        this.thru = { enabled: false, channel: null, transpose: 0 };
+        this.thruNotes = new Map(); // Incoming channel:note -> [channel, note] sent, so a note off matches its note on
+        
+        // Audio time of each note on sent ahead of the clock (channel:note -> time), so a
+        // release sent before that time is held back and can't arrive before its note
+        this.scheduledNoteOns = new Map();
+        
         // MIDI event listeners
         this.onNoteOn = null;
         this.onNoteOff = null;
         this.onControlChange = null;
+        this.onProgramChange = null;
+        this.onOutputsChange = null;
         
         // Velocity curve settings
         this.velocityCurve = 'linear'; // linear, logarithmic, exponential
@@ -57,6 +74,15 @@ class MIDIHandler {
             } else if (port.state === 'disconnected') {
                 this.removeInputDevice(port);
             }
+        } else if (port.type === 'output') {
+            if (port.state === 'connected') {
+                this.addOutputDevice(port);
+            } else if (port.state === 'disconnected') {
+                this.removeOutputDevice(port);
+            }
+            if (this.onOutputsChange) {
+                this.onOutputsChange(this.getOutputDevices());
+            }
         }
         
         this.updateDeviceList();
@@ -87,12 +113,38 @@ class MIDIHandler {
         }
     }
     
+    // Add MIDI output device
+    addOutputDevice(port) {
+        if (this.outputDevices.has(port.id)) return;
+        
+        this.outputDevices.set(port.id, {
+            port: port,
+            name: port.name,
+            manufacturer: port.manufacturer || 'Unknown'
+        });
+        
+        console.log(`Added MIDI output: ${port.name}`);
+    }
+    
+    // Remove MIDI output device
+    removeOutputDevice(port) {
+        if (this.outputDevices.has(port.id)) {
+            this.outputDevices.delete(port.id);
+            this.thruNotes.clear();
+            console.log(`Removed MIDI output: ${port.name}`);
+        }
+    }
+    
     // Handle incoming MIDI messages
     onMIDIMessage(event) {
         const [status, note, velocity] = event.data;
         const command = status & 0xF0;
         const channel = status & 0x0F;
         
+        if (this.thru.enabled) {
+            this.forwardThru(event.data);
+        }
+        
         switch (command) {
             case 0x90: // Note On
                 if (velocity > 0) {
@@ -166,6 +218,10 @@ class MIDIHandler {
                 this.handleSustainPedal(value);
                 break;
                 
+            case 66: // Sostenuto pedal
+                this.handleSostenutoPedal(value);
+                break;
+                
             case 123: // All notes off
                 this.handleAllNotesOff();
                 break;
@@ -182,11 +238,9 @@ class MIDIHandler {
     handleProgramChange(program, channel) {
         console.log(`MIDI Program Change: ${program}, Channel ${channel}`);
         
-        // Could be used to switch instrument presets
-        if (this.audioEngine) {
-            const presets = ['piano', 'organ', 'strings', 'brass'];
-            const presetIndex = program % presets.length;
-            this.audioEngine.loadPreset(presets[presetIndex]);
+        // The app maps programs onto its preset list
+        if (this.onProgramChange) {
+            this.onProgramChange(program, channel);
         }
     }
     
@@ -195,16 +249,16 @@ class MIDIHandler {
         const pitchBend = (msb << 7) | lsb;
         const normalizedBend = (pitchBend - 8192) / 8192; // -1 to 1
         
-        console.log(`MIDI Pitch Bend: ${normalizedBend.toFixed(3)}, Channel ${channel}`);
-        
-        // Pitch bend could be implemented in the audio engine
-        // For now, just log it
+        if (this.audioEngine) {
+            this.audioEngine.setPitchBend(normalizedBend);
+        }
     }
     
     // Handle specific control change messages
     handleModulationWheel(value) {
-        // Could add vibrato or other modulation effects
-        console.log(`Modulation: ${value}`);
+        if (this.audioEngine) {
+            this.audioEngine.setModulation(value / 127);
+        }
     }
     
     handleVolumeControl(value) {
@@ -218,10 +272,17 @@ class MIDIHandler {
         const isPressed = value >= 64;
         console.log(`Sustain pedal: ${isPressed ? 'pressed' : 'released'}`);
         
-        // Could implement sustain functionality
-        if (!isPressed && this.audioEngine) {
-            // Release sustained notes when pedal is released
-            // This would require tracking sustained notes
+        if (this.audioEngine) {
+            this.audioEngine.setSustainPedal(isPressed);
+        }
+    }
+    
+    handleSostenutoPedal(value) {
+        const isPressed = value >= 64;
+        console.log(`Sostenuto pedal: ${isPressed ? 'pressed' : 'released'}`);
+        
+        if (this.audioEngine) {
+            this.audioEngine.setSostenutoPedal(isPressed);
         }
     }
     
@@ -308,6 +369,13 @@ class MIDIHandler {
             }
         }
         
+        // Scan outputs
+        for (const output of this.midiAccess.outputs.values()) {
+            if (output.state === 'connected') {
+                this.addOutputDevice(output);
+            }
+        }
+        
         console.log(`Found ${this.connectedDevices.size} connected MIDI devices`);
     }
 
@@ -367,29 +435,143 @@ class MIDIHandler {
         this.velocityScale = Math.max(0.1, Math.min(2.0, scale));
     }
     
+    // MIDI output
+    
+    getOutputDevices() {
+        return Array.from(this.outputDevices.values()).map(device => ({
+            id: device.port.id,
+            name: device.name,
+            manufacturer: device.manufacturer,
+            isActive: device.port.id === this.activeOutputId
+        }));
+    }
+    
+    // Choose the output messages go to (null for none); notes left on the old one are stopped
+    setOutput(deviceId) {
+        if (deviceId === this.activeOutputId) return;
+        
+        this.sendAllNotesOff();
+        this.activeOutputId = deviceId && this.outputDevices.has(deviceId) ? deviceId : null;
+        this.thruNotes.clear();
+    }
+    
+    getActiveOutput() {
+        return this.outputDevices.get(this.activeOutputId) || null;
+    }
+    
+    get hasOutput() {
+        return this.isEnabled && this.getActiveOutput() !== null;
+    }
+    
+    // Latency offset for the active output, in ms: positive sends later, negative earlier
+    getOutputLatency() {
+        const output = this.getActiveOutput();
+        return output ? this.outputLatencies[output.name] || 0 : 0;
+    }
+    
+    setOutputLatency(ms) {
+        const output = this.getActiveOutput();
+        if (output) {
+            this.outputLatencies[output.name] = Math.max(-500, Math.min(500, Number(ms) || 0));
+        }
+    }
+    
+    setOutputChannel(channel) {
+        this.sendAllNotesOff();
+        this.outputChannel = Math.max(0, Math.min(15, parseInt(channel) || 0));
+    }
+    
+    setThru(settings) {
+        // Release forwarded notes before the mapping changes under them
+        this.thruNotes.forEach(([channel, note]) => this.send([0x80 | channel, note, 0]));
+        this.thruNotes.clear();
+        this.thru = { ...this.thru, ...settings };
+    }
+    
+    // Send a message to the active output, now or at an audio clock time, shifted
+    // by the output's latency offset
+    send(message, time = null) {
+        const output = this.getActiveOutput();
+        if (!this.isEnabled || !output) return;
+        
+        const context = this.audioEngine ? this.audioEngine.audioContext : null;
+        const delay = (time !== null && context ? (time - context.currentTime) * 1000 : 0) + this.getOutputLatency();
+        
+        try {
+            if (delay > 0) {
+                output.port.send(message, performance.now() + delay);
+            } else {
+                output.port.send(message);
+            }
+        } catch (error) {
+            console.warn(`Failed to send MIDI to ${output.name}:`, error);
+        }
+    }
+    
     // Send MIDI messages (if supported)
-    sendNoteOn(note, velocity = 64, channel = 0) {
-        if (!this.isEnabled) return;
+    sendNoteOn(note, velocity = 64, channel = null, time = null) {
+        const outChannel = channel !== null ? channel : this.outputChannel;
+        if (time !== null) {
+            this.scheduledNoteOns.set(`${outChannel}:${note}`, time);
+        }
+        this.send([0x90 | outChannel, note, Math.max(1, Math.min(127, velocity))], time);
+    }
+    
+    sendNoteOff(note, channel = null, time = null) {
+        const outChannel = channel !== null ? channel : this.outputChannel;
+        const noteOnTime = this.scheduledNoteOns.get(`${outChannel}:${note}`);
+        const sendTime = noteOnTime !== undefined && (time === null || time < noteOnTime) ? noteOnTime : time;
+        this.send([0x80 | outChannel, note, 0], sendTime);
+    }
+    
+    sendControlChange(controller, value, channel = null, time = null) {
+        const outChannel = channel !== null ? channel : this.outputChannel;
+        this.send([0xB0 | outChannel, controller, value], time);
+    }
+    
+    // All notes off and sustain up on every channel of the active output, sent after
+    // the last note on already scheduled so none of those is left sounding
+    sendAllNotesOff() {
+        const context = this.audioEngine ? this.audioEngine.audioContext : null;
+        const times = [...this.scheduledNoteOns.values()].filter(time => context && time > context.currentTime);
+        this.scheduledNoteOns.clear();
+        if (!this.hasOutput) return;
         
-        const activeDevices = Array.from(this.connectedDevices.values())
-            .filter(device => device.isActive && device.port.type === 'output');
-            
-        activeDevices.forEach(device => {
-            const message = [0x90 | channel, note, velocity];
-            device.port.send(message);
-        });
+        const time = times.length > 0 ? Math.max(...times) : null;
+        for (let channel = 0; channel < 16; channel++) {
+            this.send([0xB0 | channel, 64, 0], time);
+            this.send([0xB0 | channel, 123, 0], time);
+        }
+        this.thruNotes.clear();
     }
     
-    sendNoteOff(note, channel = 0) {
-        if (!this.isEnabled) return;
+    // MIDI thru: pass an incoming channel message on to the output, remapped and transposed
+    forwardThru(data) {
+        if (!this.hasOutput || data.length < 2) return;
         
-        const activeDevices = Array.from(this.connectedDevices.values())
-            .filter(device => device.isActive && device.port.type === 'output');
-            
-        activeDevices.forEach(device => {
-            const message = [0x80 | channel, note, 0];
-            device.port.send(message);
-        });
+        const [status, data1, data2] = data;
+        if (status >= 0xF0) return;
+        
+        const command = status & 0xF0;
+        const inChannel = status & 0x0F;
+        const channel = this.thru.channel !== null ? this.thru.channel : inChannel;
+        
+        if (command === 0x90 || command === 0x80) {
+            const key = `${inChannel}:${data1}`;
+            if (command === 0x90 && data2 > 0) {
+                const note = data1 + this.thru.transpose;
+                if (note < 0 || note > 127) return;
+                
+                this.thruNotes.set(key, [channel, note]);
+                this.send([0x90 | channel, note, data2]);
+            } else if (this.thruNotes.has(key)) {
+                const [sentChannel, sentNote] = this.thruNotes.get(key);
+                this.thruNotes.delete(key);
+                this.send([0x80 | sentChannel, sentNote, data2 || 0]);
+            }
+        } else {
+            this.send([command | channel, ...Array.from(data).slice(1)]);
+        }
     }
     
     // Convert MIDI note number to note name
@@ -402,6 +584,7 @@ class MIDIHandler {
     
     // Cleanup
     destroy() {
+        this.sendAllNotesOff();
         if (this.midiAccess) {
             this.connectedDevices.forEach(device => {
                 device.port.onmidimessage = null;
@@ -2,77 +2,931 @@
 
 // Note names and their MIDI numbers (starting from C4 = 60)
 const NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-const NOTE_FREQUENCIES = {
-    'C': [65.41, 130.81, 261.63, 523.25, 1046.50, 2093.00, 4186.01],
-    'C#': [69.30, 138.59, 277.18, 554.37, 1108.73, 2217.46, 4434.92],
-    'D': [73.42, 146.83, 293.66, 587.33, 1174.66, 2349.32, 4698.63],
-    'D#': [77.78, 155.56, 311.13, 622.25, 1244.51, 2489.02, 4978.03],
-    'E': [82.41, 164.81, 329.63, 659.25, 1318.51, 2637.02, 5274.04],
-    'F': [87.31, 174.61, 349.23, 698.46, 1396.91, 2793.83, 5587.65],
-    'F#': [92.50, 185.00, 369.99, 739.99, 1479.98, 2959.96, 5919.91],
-    'G': [98.00, 196.00, 392.00, 783.99, 1567.98, 3135.96, 6271.93],
-    'G#': [103.83, 207.65, 415.30, 830.61, 1661.22, 3322.44, 6644.88],
-    'A': [110.00, 220.00, 440.00, 880.00, 1760.00, 3520.00, 7040.00],
-    'A#': [116.54, 233.08, 466.16, 932.33, 1864.66, 3729.31, 7458.62],
-    'B': [123.47, 246.94, 493.88, 987.77, 1975.53, 3951.07, 7902.13]
+const FLAT_NOTES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Letter names in order and the pitch class of each natural letter
+const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Default scale degree for each semitone above a root, used to pick letter
+// names when a scale or chord definition doesn't list its own degrees
+const DEFAULT_DEGREES = ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', 'b6', '6', 'b7', '7'];
+
+// Interval qualities by abbreviation (M3, d5, A4...)
+const INTERVAL_QUALITIES = {
+    dd: 'Doubly Diminished',
+    d: 'Diminished',
+    m: 'Minor',
+    P: 'Perfect',
+    M: 'Major',
+    A: 'Augmented',
+    AA: 'Doubly Augmented'
+};
+
+// Semitones in the perfect/major form of each simple interval (unison to 7th)
+const INTERVAL_BASE_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+
+// Scale categories, in the order they appear in the scale selector
+const SCALE_CATEGORIES = {
+    diatonic: 'Major Modes',
+    melodicMinor: 'Melodic Minor Modes',
+    harmonicMinor: 'Harmonic Minor Modes',
+    harmonicMajor: 'Harmonic Major Modes',
+    doubleHarmonic: 'Double Harmonic (Byzantine / Arabic)',
+    neapolitan: 'Neapolitan',
+    pentatonic: 'Pentatonic',
+    blues: 'Blues',
+    bebop: 'Bebop',
+    symmetric: 'Symmetric',
+    hexatonic: 'Hexatonic',
+    japanese: 'Japanese',
+    world: 'World'
 };
 
 // Scale definitions (intervals from root note)
+// parent/mode link a mode to the scale it is rotated from (e.g. Altered is mode 7 of Melodic Minor)
 const SCALES = {
     major: {
         name: 'Major',
         intervals: [0, 2, 4, 5, 7, 9, 11],
-        formula: 'W-W-H-W-W-W-H'
-    },
-    minor: {
-        name: 'Natural Minor',
-        intervals: [0, 2, 3, 5, 7, 8, 10],
-        formula: 'W-H-W-W-H-W-W'
-    },
-    pentatonic: {
-        name: 'Major Pentatonic',
-        intervals: [0, 2, 4, 7, 9],
-        formula: 'W-W-3H-W-3H'
-    },
-    blues: {
-        name: 'Blues Scale',
-        intervals: [0, 3, 5, 6, 7, 10],
-        formula: '3H-W-H-H-3H-W'
+        formula: 'W-W-H-W-W-W-H',
+        category: 'diatonic',
+        family: 'Diatonic',
+        parent: 'major',
+        mode: 1,
+        aliases: ['Ionian']
     },
     dorian: {
         name: 'Dorian',
         intervals: [0, 2, 3, 5, 7, 9, 10],
-        formula: 'W-H-W-W-W-H-W'
-    },
-    mixolydian: {
-        name: 'Mixolydian',
-        intervals: [0, 2, 4, 5, 7, 9, 10],
-        formula: 'W-W-H-W-W-H-W'
+        formula: 'W-H-W-W-W-H-W',
+        category: 'diatonic',
+        family: 'Diatonic',
+        parent: 'major',
+        mode: 2
     },
     phrygian: {
         name: 'Phrygian',
         intervals: [0, 1, 3, 5, 7, 8, 10],
-        formula: 'H-W-W-W-H-W-W'
+        formula: 'H-W-W-W-H-W-W',
+        category: 'diatonic',
+        family: 'Diatonic',
+        parent: 'major',
+        mode: 3
     },
     lydian: {
         name: 'Lydian',
         intervals: [0, 2, 4, 6, 7, 9, 11],
-        formula: 'W-W-W-H-W-W-H'
+        formula: 'W-W-W-H-W-W-H',
+        category: 'diatonic',
+        family: 'Diatonic',
+        parent: 'major',
+        mode: 4
+    },
+    mixolydian: {
+        name: 'Mixolydian',
+        intervals: [0, 2, 4, 5, 7, 9, 10],
+        formula: 'W-W-H-W-W-H-W',
+        category: 'diatonic',
+        family: 'Diatonic',
+        parent: 'major',
+        mode: 5
+    },
+    minor: {
+        name: 'Natural Minor',
+        intervals: [0, 2, 3, 5, 7, 8, 10],
+        formula: 'W-H-W-W-H-W-W',
+        category: 'diatonic',
+        family: 'Diatonic',
+        parent: 'major',
+        mode: 6,
+        aliases: ['Aeolian']
     },
     locrian: {
         name: 'Locrian',
         intervals: [0, 1, 3, 5, 6, 8, 10],
-        formula: 'H-W-W-H-W-W-W'
+        formula: 'H-W-W-H-W-W-W',
+        category: 'diatonic',
+        family: 'Diatonic',
+        parent: 'major',
+        mode: 7
+    },
+    melodicMinor: {
+        name: 'Melodic Minor',
+        intervals: [0, 2, 3, 5, 7, 9, 11],
+        formula: 'W-H-W-W-W-W-H',
+        category: 'melodicMinor',
+        family: 'Melodic Minor',
+        parent: 'melodicMinor',
+        mode: 1,
+        aliases: ['Jazz Minor']
+    },
+    dorianFlat2: {
+        name: 'Dorian b2',
+        intervals: [0, 1, 3, 5, 7, 9, 10],
+        formula: 'H-W-W-W-W-H-W',
+        category: 'melodicMinor',
+        family: 'Melodic Minor',
+        parent: 'melodicMinor',
+        mode: 2,
+        aliases: ['Phrygian #6']
+    },
+    lydianAugmented: {
+        name: 'Lydian Augmented',
+        intervals: [0, 2, 4, 6, 8, 9, 11],
+        formula: 'W-W-W-W-H-W-H',
+        category: 'melodicMinor',
+        family: 'Melodic Minor',
+        parent: 'melodicMinor',
+        mode: 3
+    },
+    lydianDominant: {
+        name: 'Lydian Dominant',
+        intervals: [0, 2, 4, 6, 7, 9, 10],
+        formula: 'W-W-W-H-W-H-W',
+        category: 'melodicMinor',
+        family: 'Melodic Minor',
+        parent: 'melodicMinor',
+        mode: 4,
+        aliases: ['Overtone', 'Acoustic']
+    },
+    mixolydianFlat6: {
+        name: 'Mixolydian b6',
+        intervals: [0, 2, 4, 5, 7, 8, 10],
+        formula: 'W-W-H-W-H-W-W',
+        category: 'melodicMinor',
+        family: 'Melodic Minor',
+        parent: 'melodicMinor',
+        mode: 5,
+        aliases: ['Aeolian Dominant', 'Hindu']
+    },
+    locrianNatural2: {
+        name: 'Locrian #2',
+        intervals: [0, 2, 3, 5, 6, 8, 10],
+        formula: 'W-H-W-H-W-W-W',
+        category: 'melodicMinor',
+        family: 'Melodic Minor',
+        parent: 'melodicMinor',
+        mode: 6,
+        aliases: ['Half-Diminished']
+    },
+    altered: {
+        name: 'Altered',
+        intervals: [0, 1, 3, 4, 6, 8, 10],
+        formula: 'H-W-H-W-W-W-W',
+        category: 'melodicMinor',
+        family: 'Melodic Minor',
+        parent: 'melodicMinor',
+        mode: 7,
+        aliases: ['Super Locrian']
     },
     harmonicMinor: {
         name: 'Harmonic Minor',
         intervals: [0, 2, 3, 5, 7, 8, 11],
-        formula: 'W-H-W-W-H-3H-H'
+        formula: 'W-H-W-W-H-3H-H',
+        category: 'harmonicMinor',
+        family: 'Harmonic Minor',
+        parent: 'harmonicMinor',
+        mode: 1
     },
-    melodicMinor: {
-        name: 'Melodic Minor',
-        intervals: [0, 2, 3, 5, 7, 9, 11],
-        formula: 'W-H-W-W-W-W-H'
+    locrianNatural6: {
+        name: 'Locrian #6',
+        intervals: [0, 1, 3, 5, 6, 9, 10],
+        formula: 'H-W-W-H-3H-H-W',
+        category: 'harmonicMinor',
+        family: 'Harmonic Minor',
+        parent: 'harmonicMinor',
+        mode: 2
+    },
+    ionianAugmented: {
+        name: 'Ionian #5',
+        intervals: [0, 2, 4, 5, 8, 9, 11],
+        formula: 'W-W-H-3H-H-W-H',
+        category: 'harmonicMinor',
+        family: 'Harmonic Minor',
+        parent: 'harmonicMinor',
+        mode: 3
+    },
+    dorianSharp4: {
+        name: 'Dorian #4',
+        intervals: [0, 2, 3, 6, 7, 9, 10],
+        formula: 'W-H-3H-H-W-H-W',
+        category: 'harmonicMinor',
+        family: 'Harmonic Minor',
+        parent: 'harmonicMinor',
+        mode: 4,
+        aliases: ['Ukrainian Dorian', 'Romanian Minor']
+    },
+    phrygianDominant: {
+        name: 'Phrygian Dominant',
+        intervals: [0, 1, 4, 5, 7, 8, 10],
+        formula: 'H-3H-H-W-H-W-W',
+        category: 'harmonicMinor',
+        family: 'Harmonic Minor',
+        parent: 'harmonicMinor',
+        mode: 5,
+        aliases: ['Spanish Gypsy', 'Freygish', 'Hijaz']
+    },
+    lydianSharp2: {
+        name: 'Lydian #2',
+        intervals: [0, 3, 4, 6, 7, 9, 11],
+        formula: '3H-H-W-H-W-W-H',
+        category: 'harmonicMinor',
+        family: 'Harmonic Minor',
+        parent: 'harmonicMinor',
+        mode: 6
+    },
+    ultralocrian: {
+        name: 'Altered bb7',
+        intervals: [0, 1, 3, 4, 6, 8, 9],
+        formula: 'H-W-H-W-W-H-3H',
+        category: 'harmonicMinor',
+        family: 'Harmonic Minor',
+        parent: 'harmonicMinor',
+        mode: 7,
+        aliases: ['Ultralocrian']
+    },
+    harmonicMajor: {
+        name: 'Harmonic Major',
+        intervals: [0, 2, 4, 5, 7, 8, 11],
+        formula: 'W-W-H-W-H-3H-H',
+        category: 'harmonicMajor',
+        family: 'Harmonic Major',
+        parent: 'harmonicMajor',
+        mode: 1
+    },
+    dorianFlat5: {
+        name: 'Dorian b5',
+        intervals: [0, 2, 3, 5, 6, 9, 10],
+        formula: 'W-H-W-H-3H-H-W',
+        category: 'harmonicMajor',
+        family: 'Harmonic Major',
+        parent: 'harmonicMajor',
+        mode: 2
+    },
+    phrygianFlat4: {
+        name: 'Phrygian b4',
+        intervals: [0, 1, 3, 4, 7, 8, 10],
+        formula: 'H-W-H-3H-H-W-W',
+        category: 'harmonicMajor',
+        family: 'Harmonic Major',
+        parent: 'harmonicMajor',
+        mode: 3
+    },
+    lydianFlat3: {
+        name: 'Lydian b3',
+        intervals: [0, 2, 3, 6, 7, 9, 11],
+        formula: 'W-H-3H-H-W-W-H',
+        category: 'harmonicMajor',
+        family: 'Harmonic Major',
+        parent: 'harmonicMajor',
+        mode: 4
+    },
+    mixolydianFlat2: {
+        name: 'Mixolydian b2',
+        intervals: [0, 1, 4, 5, 7, 9, 10],
+        formula: 'H-3H-H-W-W-H-W',
+        category: 'harmonicMajor',
+        family: 'Harmonic Major',
+        parent: 'harmonicMajor',
+        mode: 5
+    },
+    lydianAugmentedSharp2: {
+        name: 'Lydian Augmented #2',
+        intervals: [0, 3, 4, 6, 8, 9, 11],
+        formula: '3H-H-W-W-H-W-H',
+        category: 'harmonicMajor',
+        family: 'Harmonic Major',
+        parent: 'harmonicMajor',
+        mode: 6
+    },
+    locrianDoubleFlat7: {
+        name: 'Locrian bb7',
+        intervals: [0, 1, 3, 5, 6, 8, 9],
+        formula: 'H-W-W-H-W-H-3H',
+        category: 'harmonicMajor',
+        family: 'Harmonic Major',
+        parent: 'harmonicMajor',
+        mode: 7
+    },
+    doubleHarmonic: {
+        name: 'Double Harmonic Major',
+        intervals: [0, 1, 4, 5, 7, 8, 11],
+        formula: 'H-3H-H-W-H-3H-H',
+        category: 'doubleHarmonic',
+        family: 'Double Harmonic',
+        parent: 'doubleHarmonic',
+        mode: 1,
+        aliases: ['Byzantine', 'Arabic', 'Bhairav']
+    },
+    lydianSharp2Sharp6: {
+        name: 'Lydian #2 #6',
+        intervals: [0, 3, 4, 6, 7, 10, 11],
+        formula: '3H-H-W-H-3H-H-H',
+        category: 'doubleHarmonic',
+        family: 'Double Harmonic',
+        parent: 'doubleHarmonic',
+        mode: 2
+    },
+    ultraphrygian: {
+        name: 'Ultraphrygian',
+        intervals: [0, 1, 3, 4, 7, 8, 9],
+        formula: 'H-W-H-3H-H-H-3H',
+        category: 'doubleHarmonic',
+        family: 'Double Harmonic',
+        parent: 'doubleHarmonic',
+        mode: 3
+    },
+    hungarianMinor: {
+        name: 'Hungarian Minor',
+        intervals: [0, 2, 3, 6, 7, 8, 11],
+        formula: 'W-H-3H-H-H-3H-H',
+        category: 'doubleHarmonic',
+        family: 'Double Harmonic',
+        parent: 'doubleHarmonic',
+        mode: 4,
+        aliases: ['Gypsy Minor', 'Algerian']
+    },
+    oriental: {
+        name: 'Oriental',
+        intervals: [0, 1, 4, 5, 6, 9, 10],
+        formula: 'H-3H-H-H-3H-H-W',
+        category: 'doubleHarmonic',
+        family: 'Double Harmonic',
+        parent: 'doubleHarmonic',
+        mode: 5
+    },
+    ionianAugmentedSharp2: {
+        name: 'Ionian #2 #5',
+        intervals: [0, 3, 4, 5, 8, 9, 11],
+        formula: '3H-H-H-3H-H-W-H',
+        category: 'doubleHarmonic',
+        family: 'Double Harmonic',
+        parent: 'doubleHarmonic',
+        mode: 6
+    },
+    locrianDoubleFlat3DoubleFlat7: {
+        name: 'Locrian bb3 bb7',
+        intervals: [0, 1, 2, 5, 6, 8, 9],
+        formula: 'H-H-3H-H-W-H-3H',
+        category: 'doubleHarmonic',
+        family: 'Double Harmonic',
+        parent: 'doubleHarmonic',
+        mode: 7
+    },
+    neapolitanMajor: {
+        name: 'Neapolitan Major',
+        intervals: [0, 1, 3, 5, 7, 9, 11],
+        formula: 'H-W-W-W-W-W-H',
+        category: 'neapolitan',
+        family: 'Neapolitan Major',
+        parent: 'neapolitanMajor',
+        mode: 1
+    },
+    leadingWholeTone: {
+        name: 'Leading Whole Tone',
+        intervals: [0, 2, 4, 6, 8, 10, 11],
+        formula: 'W-W-W-W-W-H-H',
+        category: 'neapolitan',
+        family: 'Neapolitan Major',
+        parent: 'neapolitanMajor',
+        mode: 2
+    },
+    lydianAugmentedDominant: {
+        name: 'Lydian Augmented Dominant',
+        intervals: [0, 2, 4, 6, 8, 9, 10],
+        formula: 'W-W-W-W-H-H-W',
+        category: 'neapolitan',
+        family: 'Neapolitan Major',
+        parent: 'neapolitanMajor',
+        mode: 3
+    },
+    lydianDominantFlat6: {
+        name: 'Lydian Dominant b6',
+        intervals: [0, 2, 4, 6, 7, 8, 10],
+        formula: 'W-W-W-H-H-W-W',
+        category: 'neapolitan',
+        family: 'Neapolitan Major',
+        parent: 'neapolitanMajor',
+        mode: 4
+    },
+    majorLocrian: {
+        name: 'Major Locrian',
+        intervals: [0, 2, 4, 5, 6, 8, 10],
+        formula: 'W-W-H-H-W-W-W',
+        category: 'neapolitan',
+        family: 'Neapolitan Major',
+        parent: 'neapolitanMajor',
+        mode: 5,
+        aliases: ['Arabian']
+    },
+    halfDiminishedFlat4: {
+        name: 'Half-Diminished b4',
+        intervals: [0, 2, 3, 4, 6, 8, 10],
+        formula: 'W-H-H-W-W-W-W',
+        category: 'neapolitan',
+        family: 'Neapolitan Major',
+        parent: 'neapolitanMajor',
+        mode: 6
+    },
+    alteredDominantDoubleFlat3: {
+        name: 'Altered Dominant bb3',
+        intervals: [0, 1, 2, 4, 6, 8, 10],
+        formula: 'H-H-W-W-W-W-W',
+        category: 'neapolitan',
+        family: 'Neapolitan Major',
+        parent: 'neapolitanMajor',
+        mode: 7
+    },
+    neapolitanMinor: {
+        name: 'Neapolitan Minor',
+        intervals: [0, 1, 3, 5, 7, 8, 11],
+        formula: 'H-W-W-W-H-3H-H',
+        category: 'neapolitan',
+        family: 'Neapolitan Minor',
+        parent: null,
+        mode: null
+    },
+    pentatonic: {
+        name: 'Major Pentatonic',
+        intervals: [0, 2, 4, 7, 9],
+        formula: 'W-W-3H-W-3H',
+        category: 'pentatonic',
+        family: 'Pentatonic',
+        parent: 'pentatonic',
+        mode: 1
+    },
+    egyptian: {
+        name: 'Suspended Pentatonic',
+        intervals: [0, 2, 5, 7, 10],
+        formula: 'W-3H-W-3H-W',
+        category: 'pentatonic',
+        family: 'Pentatonic',
+        parent: 'pentatonic',
+        mode: 2,
+        aliases: ['Egyptian']
+    },
+    manGong: {
+        name: 'Man Gong',
+        intervals: [0, 3, 5, 8, 10],
+        formula: '3H-W-3H-W-W',
+        category: 'pentatonic',
+        family: 'Pentatonic',
+        parent: 'pentatonic',
+        mode: 3,
+        aliases: ['Blues Minor Pentatonic']
+    },
+    ritusen: {
+        name: 'Ritusen',
+        intervals: [0, 2, 5, 7, 9],
+        formula: 'W-3H-W-W-3H',
+        category: 'pentatonic',
+        family: 'Pentatonic',
+        parent: 'pentatonic',
+        mode: 4,
+        aliases: ['Yo', 'Blues Major Pentatonic']
+    },
+    minorPentatonic: {
+        name: 'Minor Pentatonic',
+        intervals: [0, 3, 5, 7, 10],
+        formula: '3H-W-W-3H-W',
+        category: 'pentatonic',
+        family: 'Pentatonic',
+        parent: 'pentatonic',
+        mode: 5
+    },
+    dominantPentatonic: {
+        name: 'Dominant Pentatonic',
+        intervals: [0, 2, 4, 7, 10],
+        formula: 'W-W-3H-3H-W',
+        category: 'pentatonic',
+        family: 'Pentatonic',
+        parent: null,
+        mode: null
+    },
+    minorSixthPentatonic: {
+        name: 'Minor 6th Pentatonic',
+        intervals: [0, 3, 5, 7, 9],
+        formula: '3H-W-W-W-3H',
+        category: 'pentatonic',
+        family: 'Pentatonic',
+        parent: null,
+        mode: null
+    },
+    majorFlat6Pentatonic: {
+        name: 'Major b6 Pentatonic',
+        intervals: [0, 2, 4, 7, 8],
+        formula: 'W-W-3H-H-4H',
+        category: 'pentatonic',
+        family: 'Pentatonic',
+        parent: null,
+        mode: null
+    },
+    blues: {
+        name: 'Blues Scale',
+        intervals: [0, 3, 5, 6, 7, 10],
+        formula: '3H-W-H-H-3H-W',
+        category: 'blues',
+        family: 'Blues',
+        parent: null,
+        mode: null,
+        aliases: ['Minor Blues']
+    },
+    majorBlues: {
+        name: 'Major Blues',
+        intervals: [0, 2, 3, 4, 7, 9],
+        formula: 'W-H-H-3H-W-3H',
+        category: 'blues',
+        family: 'Blues',
+        parent: null,
+        mode: null
+    },
+    nineNoteBlues: {
+        name: 'Nine-Note Blues',
+        intervals: [0, 2, 3, 4, 5, 6, 7, 9, 10],
+        formula: 'W-H-H-H-H-H-W-H-W',
+        degrees: ['1', '2', 'b3', '3', '4', 'b5', '5', '6', 'b7'],
+        category: 'blues',
+        family: 'Blues',
+        parent: null,
+        mode: null
+    },
+    bebopDominant: {
+        name: 'Bebop Dominant',
+        intervals: [0, 2, 4, 5, 7, 9, 10, 11],
+        formula: 'W-W-H-W-W-H-H-H',
+        degrees: ['1', '2', '3', '4', '5', '6', 'b7', '7'],
+        category: 'bebop',
+        family: 'Bebop',
+        parent: null,
+        mode: null
+    },
+    bebopMajor: {
+        name: 'Bebop Major',
+        intervals: [0, 2, 4, 5, 7, 8, 9, 11],
+        formula: 'W-W-H-W-H-H-W-H',
+        degrees: ['1', '2', '3', '4', '5', '#5', '6', '7'],
+        category: 'bebop',
+        family: 'Bebop',
+        parent: null,
+        mode: null
+    },
+    bebopDorian: {
+        name: 'Bebop Dorian',
+        intervals: [0, 2, 3, 4, 5, 7, 9, 10],
+        formula: 'W-H-H-H-W-W-H-W',
+        degrees: ['1', '2', 'b3', '3', '4', '5', '6', 'b7'],
+        category: 'bebop',
+        family: 'Bebop',
+        parent: null,
+        mode: null
+    },
+    bebopMelodicMinor: {
+        name: 'Bebop Melodic Minor',
+        intervals: [0, 2, 3, 5, 7, 8, 9, 11],
+        formula: 'W-H-W-W-H-H-W-H',
+        degrees: ['1', '2', 'b3', '4', '5', '#5', '6', '7'],
+        category: 'bebop',
+        family: 'Bebop',
+        parent: null,
+        mode: null
+    },
+    bebopHarmonicMinor: {
+        name: 'Bebop Harmonic Minor',
+        intervals: [0, 2, 3, 5, 7, 8, 10, 11],
+        formula: 'W-H-W-W-H-W-H-H',
+        degrees: ['1', '2', 'b3', '4', '5', 'b6', 'b7', '7'],
+        category: 'bebop',
+        family: 'Bebop',
+        parent: null,
+        mode: null
+    },
+    wholeTone: {
+        name: 'Whole Tone',
+        intervals: [0, 2, 4, 6, 8, 10],
+        formula: 'W-W-W-W-W-W',
+        degrees: ['1', '2', '3', '#4', '#5', 'b7'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null,
+        aliases: ['Messiaen Mode 1']
+    },
+    diminishedHalfWhole: {
+        name: 'Diminished (Half-Whole)',
+        intervals: [0, 1, 3, 4, 6, 7, 9, 10],
+        formula: 'H-W-H-W-H-W-H-W',
+        degrees: ['1', 'b2', '#2', '3', '#4', '5', '6', 'b7'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null,
+        aliases: ['Dominant Diminished', 'Octatonic', 'Messiaen Mode 2']
+    },
+    diminishedWholeHalf: {
+        name: 'Diminished (Whole-Half)',
+        intervals: [0, 2, 3, 5, 6, 8, 9, 11],
+        formula: 'W-H-W-H-W-H-W-H',
+        degrees: ['1', '2', 'b3', '4', 'b5', 'b6', '6', '7'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null
+    },
+    augmented: {
+        name: 'Augmented',
+        intervals: [0, 3, 4, 7, 8, 11],
+        formula: '3H-H-3H-H-3H-H',
+        degrees: ['1', '#2', '3', '5', '#5', '7'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null
+    },
+    sixToneSymmetric: {
+        name: 'Six-Tone Symmetrical',
+        intervals: [0, 1, 4, 5, 8, 9],
+        formula: 'H-3H-H-3H-H-3H',
+        degrees: ['1', 'b2', '3', '4', '#5', '6'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null
+    },
+    tritoneScale: {
+        name: 'Tritone Scale',
+        intervals: [0, 1, 4, 6, 7, 10],
+        formula: 'H-3H-W-H-3H-W',
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null
+    },
+    messiaen3: {
+        name: 'Messiaen Mode 3',
+        intervals: [0, 2, 3, 4, 6, 7, 8, 10, 11],
+        formula: 'W-H-H-W-H-H-W-H-H',
+        degrees: ['1', '2', 'b3', '3', '#4', '5', '#5', 'b7', '7'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null
+    },
+    messiaen4: {
+        name: 'Messiaen Mode 4',
+        intervals: [0, 1, 2, 5, 6, 7, 8, 11],
+        formula: 'H-H-3H-H-H-H-3H-H',
+        degrees: ['1', 'b2', '2', '4', 'b5', '5', 'b6', '7'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null
+    },
+    messiaen5: {
+        name: 'Messiaen Mode 5',
+        intervals: [0, 1, 5, 6, 7, 11],
+        formula: 'H-4H-H-H-4H-H',
+        degrees: ['1', 'b2', '4', 'b5', '5', '7'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null
+    },
+    messiaen6: {
+        name: 'Messiaen Mode 6',
+        intervals: [0, 2, 4, 5, 6, 8, 10, 11],
+        formula: 'W-W-H-H-W-W-H-H',
+        degrees: ['1', '2', '3', '4', 'b5', '#5', 'b7', '7'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null
+    },
+    messiaen7: {
+        name: 'Messiaen Mode 7',
+        intervals: [0, 1, 2, 3, 5, 6, 7, 8, 9, 11],
+        formula: 'H-H-H-W-H-H-H-H-W-H',
+        degrees: ['1', 'b2', '2', 'b3', '4', 'b5', '5', 'b6', '6', '7'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null
+    },
+    chromatic: {
+        name: 'Chromatic',
+        intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+        formula: 'H-H-H-H-H-H-H-H-H-H-H-H',
+        degrees: ['1', 'b2', '2', 'b3', '3', '4', '#4', '5', 'b6', '6', 'b7', '7'],
+        category: 'symmetric',
+        family: 'Symmetric',
+        parent: null,
+        mode: null
+    },
+    majorHexatonic: {
+        name: 'Major Hexatonic',
+        intervals: [0, 2, 4, 5, 7, 9],
+        formula: 'W-W-H-W-W-3H',
+        category: 'hexatonic',
+        family: 'Hexatonic',
+        parent: null,
+        mode: null
+    },
+    minorHexatonic: {
+        name: 'Minor Hexatonic',
+        intervals: [0, 2, 3, 5, 7, 10],
+        formula: 'W-H-W-W-3H-W',
+        category: 'hexatonic',
+        family: 'Hexatonic',
+        parent: null,
+        mode: null
+    },
+    prometheus: {
+        name: 'Prometheus',
+        intervals: [0, 2, 4, 6, 9, 10],
+        formula: 'W-W-W-3H-H-W',
+        degrees: ['1', '2', '3', '#4', '6', 'b7'],
+        category: 'hexatonic',
+        family: 'Hexatonic',
+        parent: null,
+        mode: null,
+        aliases: ['Mystic Chord Scale']
+    },
+    prometheusNeapolitan: {
+        name: 'Prometheus Neapolitan',
+        intervals: [0, 1, 4, 6, 9, 10],
+        formula: 'H-3H-W-3H-H-W',
+        degrees: ['1', 'b2', '3', '#4', '6', 'b7'],
+        category: 'hexatonic',
+        family: 'Hexatonic',
+        parent: null,
+        mode: null
+    },
+    hirajoshi: {
+        name: 'Hirajoshi',
+        intervals: [0, 2, 3, 7, 8],
+        formula: 'W-H-4H-H-4H',
+        category: 'japanese',
+        family: 'Japanese',
+        parent: null,
+        mode: null
+    },
+    kumoi: {
+        name: 'Kumoi',
+        intervals: [0, 2, 3, 7, 9],
+        formula: 'W-H-4H-W-3H',
+        category: 'japanese',
+        family: 'Japanese',
+        parent: null,
+        mode: null
+    },
+    inSen: {
+        name: 'In Sen',
+        intervals: [0, 1, 5, 7, 10],
+        formula: 'H-4H-W-3H-W',
+        category: 'japanese',
+        family: 'Japanese',
+        parent: null,
+        mode: null
+    },
+    iwato: {
+        name: 'Iwato',
+        intervals: [0, 1, 5, 6, 10],
+        formula: 'H-4H-H-4H-W',
+        category: 'japanese',
+        family: 'Japanese',
+        parent: null,
+        mode: null
+    },
+    miyakoBushi: {
+        name: 'Miyako-bushi',
+        intervals: [0, 1, 5, 7, 8],
+        formula: 'H-4H-W-H-4H',
+        category: 'japanese',
+        family: 'Japanese',
+        parent: null,
+        mode: null,
+        aliases: ['In']
+    },
+    ritsu: {
+        name: 'Ritsu',
+        intervals: [0, 1, 3, 5, 8, 10],
+        formula: 'H-W-W-3H-W-W',
+        category: 'japanese',
+        family: 'Japanese',
+        parent: null,
+        mode: null
+    },
+    ryukyu: {
+        name: 'Ryukyu',
+        intervals: [0, 4, 5, 7, 11],
+        formula: '4H-H-W-4H-H',
+        category: 'japanese',
+        family: 'Japanese',
+        parent: null,
+        mode: null
+    },
+    hungarianMajor: {
+        name: 'Hungarian Major',
+        intervals: [0, 3, 4, 6, 7, 9, 10],
+        formula: '3H-H-W-H-W-H-W',
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null
+    },
+    hungarianGypsy: {
+        name: 'Hungarian Gypsy',
+        intervals: [0, 2, 3, 6, 7, 8, 10],
+        formula: 'W-H-3H-H-H-W-W',
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null
+    },
+    romanianMajor: {
+        name: 'Romanian Major',
+        intervals: [0, 1, 4, 6, 7, 9, 10],
+        formula: 'H-3H-W-H-W-H-W',
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null
+    },
+    persian: {
+        name: 'Persian',
+        intervals: [0, 1, 4, 5, 6, 8, 11],
+        formula: 'H-3H-H-H-W-3H-H',
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null
+    },
+    enigmatic: {
+        name: 'Enigmatic',
+        intervals: [0, 1, 4, 6, 8, 10, 11],
+        formula: 'H-3H-W-W-W-H-H',
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null
+    },
+    spanishEightTone: {
+        name: 'Spanish 8-Tone',
+        intervals: [0, 1, 3, 4, 5, 6, 8, 10],
+        formula: 'H-W-H-H-H-W-W-W',
+        degrees: ['1', 'b2', '#2', '3', '4', 'b5', 'b6', 'b7'],
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null,
+        aliases: ['Flamenco']
+    },
+    chinese: {
+        name: 'Chinese',
+        intervals: [0, 4, 6, 7, 11],
+        formula: '4H-W-H-4H-H',
+        degrees: ['1', '3', '#4', '5', '7'],
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null
+    },
+    pelog: {
+        name: 'Pelog',
+        intervals: [0, 1, 3, 7, 8],
+        formula: 'H-W-4H-H-4H',
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null,
+        aliases: ['Balinese']
+    },
+    todi: {
+        name: 'Todi (Thaat)',
+        intervals: [0, 1, 3, 6, 7, 8, 11],
+        formula: 'H-W-3H-H-H-3H-H',
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null
+    },
+    marwa: {
+        name: 'Marwa (Thaat)',
+        intervals: [0, 1, 4, 6, 7, 9, 11],
+        formula: 'H-3H-W-H-W-W-H',
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null
+    },
+    purvi: {
+        name: 'Purvi (Thaat)',
+        intervals: [0, 1, 4, 6, 7, 8, 11],
+        formula: 'H-3H-W-H-H-3H-H',
+        category: 'world',
+        family: 'World',
+        parent: null,
+        mode: null
     }
 };
 
@@ -83,7 +937,7 @@ const CHORD_TYPES = {
         '': { name: 'Major', intervals: [0, 4, 7], symbol: '' },
         'm': { name: 'Minor', intervals: [0, 3, 7], symbol: 'm' },
         'dim': { name: 'Diminished', intervals: [0, 3, 6], symbol: '°' },
-        'aug': { name: 'Augmented', intervals: [0, 4, 8], symbol: '+' },
+        'aug': { name: 'Augmented', intervals: [0, 4, 8], symbol: '+', degrees: ['1', '3', '#5'] },
         'sus2': { name: 'Suspended 2nd', intervals: [0, 2, 7], symbol: 'sus2' },
         'sus4': { name: 'Suspended 4th', intervals: [0, 5, 7], symbol: 'sus4' }
     },
@@ -93,10 +947,10 @@ const CHORD_TYPES = {
         'maj7': { name: 'Major 7th', intervals: [0, 4, 7, 11], symbol: 'maj7' },
         'm7': { name: 'Minor 7th', intervals: [0, 3, 7, 10], symbol: 'm7' },
         '7': { name: 'Dominant 7th', intervals: [0, 4, 7, 10], symbol: '7' },
-        'dim7': { name: 'Diminished 7th', intervals: [0, 3, 6, 9], symbol: '°7' },
+        'dim7': { name: 'Diminished 7th', intervals: [0, 3, 6, 9], symbol: '°7', degrees: ['1', 'b3', 'b5', 'bb7'] },
         'm7b5': { name: 'Half Diminished', intervals: [0, 3, 6, 10], symbol: 'ø7' },
         'mMaj7': { name: 'Minor Major 7th', intervals: [0, 3, 7, 11], symbol: 'm(maj7)' },
-        'aug7': { name: 'Augmented 7th', intervals: [0, 4, 8, 10], symbol: '+7' }
+        'aug7': { name: 'Augmented 7th', intervals: [0, 4, 8, 10], symbol: '+7', degrees: ['1', '3', '#5', 'b7'] }
     },
     
     // Extended chords
@@ -107,7 +961,37 @@ const CHORD_TYPES = {
         '11': { name: 'Dominant 11th', intervals: [0, 4, 7, 10, 14, 17], symbol: '11' },
         '13': { name: 'Dominant 13th', intervals: [0, 4, 7, 10, 14, 21], symbol: '13' },
         '6': { name: 'Major 6th', intervals: [0, 4, 7, 9], symbol: '6' },
-        'm6': { name: 'Minor 6th', intervals: [0, 3, 7, 9], symbol: 'm6' }
+        'm6': { name: 'Minor 6th', intervals: [0, 3, 7, 9], symbol: 'm6' },
+        'm11': { name: 'Minor 11th', intervals: [0, 3, 7, 10, 14, 17], symbol: 'm11' },
+        'maj13': { name: 'Major 13th', intervals: [0, 4, 7, 11, 14, 21], symbol: 'maj13' },
+        'm13': { name: 'Minor 13th', intervals: [0, 3, 7, 10, 14, 17, 21], symbol: 'm13' },
+        'maj7#11': { name: 'Major 7th Sharp 11', intervals: [0, 4, 7, 11, 18], symbol: 'maj7#11', degrees: ['1', '3', '5', '7', '#11'] },
+        'maj9#11': { name: 'Major 9th Sharp 11', intervals: [0, 4, 7, 11, 14, 18], symbol: 'maj9#11', degrees: ['1', '3', '5', '7', '9', '#11'] },
+        'mMaj9': { name: 'Minor Major 9th', intervals: [0, 3, 7, 11, 14], symbol: 'm(maj9)' }
+    },
+    
+    // Altered dominants
+    altered: {
+        '7b9': { name: 'Dominant 7th Flat 9', intervals: [0, 4, 7, 10, 13], symbol: '7b9', degrees: ['1', '3', '5', 'b7', 'b9'] },
+        '7#9': { name: 'Dominant 7th Sharp 9', intervals: [0, 4, 7, 10, 15], symbol: '7#9', degrees: ['1', '3', '5', 'b7', '#9'] },
+        '7b5': { name: 'Dominant 7th Flat 5', intervals: [0, 4, 6, 10], symbol: '7b5', degrees: ['1', '3', 'b5', 'b7'] },
+        '7#11': { name: 'Dominant 7th Sharp 11', intervals: [0, 4, 7, 10, 18], symbol: '7#11', degrees: ['1', '3', '5', 'b7', '#11'] },
+        '7b13': { name: 'Dominant 7th Flat 13', intervals: [0, 4, 7, 10, 20], symbol: '7b13', degrees: ['1', '3', '5', 'b7', 'b13'] },
+        '7b9#9': { name: 'Dominant 7th Flat 9 Sharp 9', intervals: [0, 4, 7, 10, 13, 15], symbol: '7(b9,#9)', degrees: ['1', '3', '5', 'b7', 'b9', '#9'] },
+        '7b9b13': { name: 'Dominant 7th Flat 9 Flat 13', intervals: [0, 4, 7, 10, 13, 20], symbol: '7(b9,b13)', degrees: ['1', '3', '5', 'b7', 'b9', 'b13'] },
+        '7alt': { name: 'Altered Dominant', intervals: [0, 4, 10, 13, 15, 20], symbol: '7alt', degrees: ['1', '3', 'b7', 'b9', '#9', 'b13'] },
+        '9#11': { name: 'Dominant 9th Sharp 11', intervals: [0, 4, 7, 10, 14, 18], symbol: '9#11', degrees: ['1', '3', '5', 'b7', '9', '#11'] },
+        '13b9': { name: 'Dominant 13th Flat 9', intervals: [0, 4, 7, 10, 13, 21], symbol: '13b9', degrees: ['1', '3', '5', 'b7', 'b9', '13'] },
+        '13#11': { name: 'Dominant 13th Sharp 11', intervals: [0, 4, 7, 10, 14, 18, 21], symbol: '13#11', degrees: ['1', '3', '5', 'b7', '9', '#11', '13'] }
+    },
+    
+    // Added-tone chords
+    added: {
+        'add9': { name: 'Added 9th', intervals: [0, 4, 7, 14], symbol: 'add9' },
+        'madd9': { name: 'Minor Added 9th', intervals: [0, 3, 7, 14], symbol: 'madd9' },
+        'add11': { name: 'Added 11th', intervals: [0, 4, 7, 17], symbol: 'add11' },
+        '6/9': { name: 'Six Nine', intervals: [0, 4, 7, 9, 14], symbol: '6/9' },
+        'm6/9': { name: 'Minor Six Nine', intervals: [0, 3, 7, 9, 14], symbol: 'm6/9' }
     },
     
     // Sus chords (extended)
@@ -116,7 +1000,9 @@ const CHORD_TYPES = {
         'sus4': { name: 'Suspended 4th', intervals: [0, 5, 7], symbol: 'sus4' },
         '7sus2': { name: '7th Suspended 2nd', intervals: [0, 2, 7, 10], symbol: '7sus2' },
         '7sus4': { name: '7th Suspended 4th', intervals: [0, 5, 7, 10], symbol: '7sus4' },
-        '9sus4': { name: '9th Suspended 4th', intervals: [0, 5, 7, 10, 14], symbol: '9sus4' }
+        '9sus4': { name: '9th Suspended 4th', intervals: [0, 5, 7, 10, 14], symbol: '9sus4' },
+        '13sus4': { name: '13th Suspended 4th', intervals: [0, 5, 7, 10, 14, 21], symbol: '13sus4' },
+        '7sus4b9': { name: '7th Suspended 4th Flat 9', intervals: [0, 5, 7, 10, 13], symbol: '7sus4b9', degrees: ['1', '4', '5', 'b7', 'b9'] }
     }
 };
 
@@ -124,9 +1010,10 @@ const CHORD_TYPES = {
 class MusicTheory {
     // Convert note name to MIDI number
     static noteToMidi(note, octave = 4) {
-        const noteIndex = NOTES.indexOf(note);
-        if (noteIndex === -1) return null;
-        return (octave + 1) * 12 + noteIndex;
+        const parsed = this.parseNoteName(note);
+        if (!parsed) return null;
+        // Use the letter's own octave so that Cb4 is B3 and B#3 is C4
+        return (octave + 1) * 12 + LETTER_PITCH_CLASSES[parsed.letter] + parsed.alter;
     }
     
     // Convert MIDI number to note name and octave
@@ -140,37 +1027,58 @@ class MusicTheory {
         };
     }
     
-    // Get frequency for a MIDI note
-    static midiToFrequency(midiNumber) {
-        return 440 * Math.pow(2, (midiNumber - 69) / 12);
+    // Spell a MIDI number with a given note name, adjusting the octave to the
+    // letter (e.g. 60 spelled as B# gives B#3)
+    static spellMidiNote(midiNumber, noteName) {
+        const parsed = this.parseNoteName(noteName);
+        if (!parsed || (midiNumber - parsed.pitchClass) % 12 !== 0) {
+            return this.midiToNote(midiNumber).fullName;
+        }
+        const octave = (midiNumber - LETTER_PITCH_CLASSES[parsed.letter] - parsed.alter) / 12 - 1;
+        return parsed.name + octave;
+    }
+    
+    // Get the 12-TET frequency for a MIDI note (other tunings live in the Tuning module)
+    static midiToFrequency(midiNumber, referencePitch = 440) {
+        return referencePitch * Math.pow(2, (midiNumber - 69) / 12);
     }
     
     // Get notes in a scale
+    // Spelled from the root's letter, so F major gives Bb rather than A#
     static getScaleNotes(rootNote, scaleType) {
         if (!SCALES[scaleType]) return [];
-        
-        const rootIndex = NOTES.indexOf(rootNote);
-        if (rootIndex === -1) return [];
+        if (!this.parseNoteName(rootNote)) return [];
         
         const scale = SCALES[scaleType];
-        return scale.intervals.map(interval => {
-            const noteIndex = (rootIndex + interval) % 12;
-            return NOTES[noteIndex];
-        });
+        const degrees = this.getScaleDegrees(scaleType);
+        return scale.intervals.map((interval, index) => 
+            this.spellFromRoot(rootNote, interval, this.degreeToLetterSteps(degrees[index]))
+        );
     }
     
-    // Get chord notes
+    // Get the degree labels of a scale ('1', 'b3', '#4'...)
+    static getScaleDegrees(scaleType) {
+        const scale = SCALES[scaleType];
+        if (!scale) return [];
+        if (scale.degrees) return scale.degrees;
+        
+        // Seven-note scales use each letter once
+        if (scale.intervals.length === 7) {
+            return scale.intervals.map((interval, index) => String(index + 1));
+        }
+        return scale.intervals.map(interval => this.getDefaultDegree(interval));
+    }
+    
+    // Get chord notes, spelled by chord function (e.g. Cdim7 gives Bbb, not A)
     static getChordNotes(rootNote, chordType, category = 'triads') {
         const chordCategory = CHORD_TYPES[category];
         if (!chordCategory || !chordCategory[chordType]) return [];
-        
-        const rootIndex = NOTES.indexOf(rootNote);
-        if (rootIndex === -1) return [];
+        if (!this.parseNoteName(rootNote)) return [];
         
         const chord = chordCategory[chordType];
-        return chord.intervals.map(interval => {
-            const noteIndex = (rootIndex + interval) % 12;
-            return NOTES[noteIndex];
+        return chord.intervals.map((interval, index) => {
+            const degree = chord.degrees ? chord.degrees[index] : this.getDefaultDegree(interval);
+            return this.spellFromRoot(rootNote, interval, this.degreeToLetterSteps(degree));
         });
     }
     
@@ -247,27 +1155,403 @@ class MusicTheory {
             if (chordType === '7') return 'dominant';
         }
         
+        if (category === 'altered') return 'dominant';
+        if (category === 'added') return chordType.startsWith('m') ? 'minor' : 'major';
+        
         return 'extended';
     }
     
-    // Get interval name
-    static getIntervalName(semitones) {
-        const intervals = {
-            0: 'Unison',
-            1: 'Minor 2nd',
-            2: 'Major 2nd',
-            3: 'Minor 3rd',
-            4: 'Major 3rd',
-            5: 'Perfect 4th',
-            6: 'Tritone',
-            7: 'Perfect 5th',
-            8: 'Minor 6th',
-            9: 'Major 6th',
-            10: 'Minor 7th',
-            11: 'Major 7th',
-            12: 'Octave'
+    // Get interval name from a semitone count. Pass the interval number (e.g. 4
+    // or 5 for 6 semitones) to get the exact quality; without it the default
+    // reading is used and 6 semitones stays a 'Tritone'.
+    static getIntervalName(semitones, number = null) {
+        if (number === null) {
+            if (semitones % 12 === 6) {
+                return semitones < 12 ? 'Tritone' : 'Compound Tritone';
+            }
+            number = this.getDefaultIntervalNumber(semitones);
+        }
+        
+        const interval = this.buildInterval(number, semitones);
+        return interval ? interval.name : 'Unknown';
+    }
+    
+    // Interval number for a semitone count using the default degree table (14 -> 9)
+    static getDefaultIntervalNumber(semitones) {
+        return parseInt(this.getDefaultDegree(semitones).replace(/^[#b]+/, ''));
+    }
+    
+    // Build an interval from its number (1 = unison, 9 = ninth...) and size in
+    // semitones. Quality comes from comparing the two, so 6 semitones is an
+    // Augmented 4th as a 4th and a Diminished 5th as a 5th.
+    static buildInterval(number, semitones) {
+        if (!Number.isInteger(number) || number < 1) return null;
+        
+        const simpleNumber = ((number - 1) % 7) + 1;
+        const octaves = Math.floor((number - 1) / 7);
+        const baseSemitones = INTERVAL_BASE_SEMITONES[simpleNumber - 1] + octaves * 12;
+        const difference = semitones - baseSemitones;
+        const isPerfectType = [1, 4, 5].includes(simpleNumber);
+        
+        const qualities = isPerfectType
+            ? { '-2': 'dd', '-1': 'd', '0': 'P', '1': 'A', '2': 'AA' }
+            : { '-3': 'dd', '-2': 'd', '-1': 'm', '0': 'M', '1': 'A', '2': 'AA' };
+        const quality = qualities[difference];
+        if (!quality) return null;
+        
+        return {
+            number: number,
+            simpleNumber: simpleNumber,
+            semitones: semitones,
+            quality: quality,
+            qualityName: INTERVAL_QUALITIES[quality],
+            shortName: quality + number,
+            name: INTERVAL_QUALITIES[quality] + ' ' + this.getIntervalNumberName(number),
+            isCompound: number > 8,
+            letterSteps: number - 1
         };
-        return intervals[semitones % 12] || 'Unknown';
+    }
+    
+    // Ordinal name for an interval number ('Unison', '3rd', 'Octave', '11th')
+    static getIntervalNumberName(number) {
+        if (number === 1) return 'Unison';
+        if (number === 8) return 'Octave';
+        
+        const lastTwo = number % 100;
+        const suffix = (lastTwo >= 11 && lastTwo <= 13) ? 'th'
+            : ({ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th');
+        return number + suffix;
+    }
+    
+    // Parse an interval name: 'M3', 'd5', 'm9', 'P11', 'Major 3rd',
+    // 'Augmented 4th', 'Perfect Octave' or 'Tritone' (read as A4)
+    static parseInterval(name) {
+        if (typeof name !== 'string') return null;
+        const text = name.trim();
+        if (/^tritone$/i.test(text)) return this.buildInterval(4, 6);
+        
+        let quality = null;
+        let number = null;
+        
+        const shortMatch = text.match(/^(dd|d|m|P|M|A|AA)(\d+)$/);
+        if (shortMatch) {
+            quality = shortMatch[1];
+            number = parseInt(shortMatch[2]);
+        } else {
+            const longMatch = text.match(/^(doubly diminished|diminished|minor|perfect|major|doubly augmented|augmented)\s+(unison|octave|\d+)(?:st|nd|rd|th)?$/i);
+            if (!longMatch) return null;
+            
+            quality = Object.keys(INTERVAL_QUALITIES)
+                .find(key => INTERVAL_QUALITIES[key].toLowerCase() === longMatch[1].toLowerCase());
+            const numberText = longMatch[2].toLowerCase();
+            number = numberText === 'unison' ? 1 : numberText === 'octave' ? 8 : parseInt(numberText);
+        }
+        
+        if (!number || number < 1) return null;
+        
+        // Find the semitone count that gives this quality for this number
+        const simpleNumber = ((number - 1) % 7) + 1;
+        const baseSemitones = INTERVAL_BASE_SEMITONES[simpleNumber - 1] + Math.floor((number - 1) / 7) * 12;
+        for (let offset = -3; offset <= 2; offset++) {
+            const interval = this.buildInterval(number, baseSemitones + offset);
+            if (interval && interval.quality === quality) return interval;
+        }
+        return null;
+    }
+    
+    // Get the interval between two notes. With octaves ('E4', 'C6') the result
+    // can be compound; without them the ascending simple interval is returned.
+    static getInterval(fromNote, toNote) {
+        const from = this.parseNoteName(fromNote);
+        const to = this.parseNoteName(toNote);
+        if (!from || !to) return null;
+        
+        let letterDistance = NOTE_LETTERS.indexOf(to.letter) - NOTE_LETTERS.indexOf(from.letter);
+        let semitones;
+        
+        if (from.octave !== null && to.octave !== null) {
+            letterDistance += (to.octave - from.octave) * 7;
+            semitones = this.noteToMidi(to.name, to.octave) - this.noteToMidi(from.name, from.octave);
+            
+            // Describe descending intervals by their size
+            if (letterDistance < 0 || (letterDistance === 0 && semitones < 0)) {
+                const interval = this.getInterval(toNote, fromNote);
+                return interval ? { ...interval, direction: 'descending' } : null;
+            }
+        } else {
+            letterDistance = (letterDistance + 7) % 7;
+            semitones = ((to.pitchClass - from.pitchClass) % 12 + 12) % 12;
+            
+            // Keep the semitone count next to the letter distance (B# above C is A7, not d1)
+            const expected = INTERVAL_BASE_SEMITONES[letterDistance];
+            if (semitones - expected > 6) semitones -= 12;
+            if (expected - semitones > 6) semitones += 12;
+        }
+        
+        const interval = this.buildInterval(letterDistance + 1, semitones);
+        return interval ? { ...interval, direction: 'ascending' } : null;
+    }
+    
+    // Transpose a note by a named interval, keeping the spelling correct
+    // (Bb up a M3 is D, E up an A4 is A#). Octaves are carried if present.
+    static transposeByInterval(note, intervalName, direction = 'up') {
+        const interval = typeof intervalName === 'string' ? this.parseInterval(intervalName) : intervalName;
+        const parsed = this.parseNoteName(note);
+        if (!interval || !parsed) return null;
+        
+        const sign = direction === 'down' ? -1 : 1;
+        const spelled = this.spellFromRoot(parsed.name, sign * interval.semitones, sign * interval.letterSteps);
+        if (parsed.octave === null) return spelled;
+        
+        const targetMidi = this.noteToMidi(parsed.name, parsed.octave) + sign * interval.semitones;
+        return this.spellMidiNote(targetMidi, spelled);
+    }
+    
+    // Interval names for each chord tone, read from the chord's degrees
+    // (e.g. the 9 semitones in a dim7 chord is a Diminished 7th, not a Major 6th)
+    static getChordIntervalNames(chordDef) {
+        return chordDef.intervals.map((semitones, index) => {
+            const degree = chordDef.degrees ? chordDef.degrees[index] : this.getDefaultDegree(semitones);
+            return this.getIntervalName(semitones, parseInt(String(degree).replace(/^[#b]+/, '')));
+        });
+    }
+    
+    // Parse a chord symbol such as 'Bb7(b9,#11)/D', 'F#m7b5', 'Ebmaj9', 'Gsus4' or 'Ab6/9'
+    // Returns { symbol, root, bass, quality, degrees, intervals, notes, chordType } or null
+    static parseChordSymbol(symbol) {
+        if (typeof symbol !== 'string') return null;
+        
+        let text = symbol.trim().replace(/♭/g, 'b').replace(/♯/g, '#').replace(/\s+/g, '');
+        
+        // Slash bass, e.g. C/E (6/9 has a number after the slash, so it is left alone)
+        let bass = null;
+        const slashMatch = text.match(/^(.+)\/([A-G](?:##|#|bb|b)?)$/);
+        if (slashMatch) {
+            text = slashMatch[1];
+            bass = slashMatch[2];
+        }
+        
+        const rootMatch = text.match(/^([A-G](?:##|#|bb|b)?)(.*)$/);
+        if (!rootMatch) return null;
+        
+        const root = rootMatch[1];
+        const degrees = this.parseChordDescriptor(rootMatch[2]);
+        if (!degrees) return null;
+        
+        const intervals = degrees.map(degree => this.degreeToSemitones(degree));
+        const notes = degrees.map((degree, index) => 
+            this.spellFromRoot(root, intervals[index], this.degreeToLetterSteps(degree))
+        );
+        
+        return {
+            symbol: symbol.trim(),
+            root: root,
+            bass: bass,
+            quality: this.getDegreesQuality(degrees),
+            degrees: degrees,
+            intervals: intervals,
+            notes: notes,
+            chordType: this.findChordType(intervals)
+        };
+    }
+    
+    // Turn the part of a chord symbol after the root ('m7b5', 'maj9#11', '7(b9,#11)')
+    // into degree labels sorted by pitch, or null if it isn't a chord we can read
+    static parseChordDescriptor(descriptor) {
+        let rest = descriptor.replace(/[(),]/g, '');
+        let match;
+        
+        let third = '3';
+        let fifth = '5';
+        let seventh = 'b7';
+        let extension = null;
+        let diminished = false;
+        const changes = [];
+        
+        // Quality
+        if ((match = rest.match(/^(maj|Maj|MAJ|ma|Ma|M|Δ|\^|j)(?=[79]|1[13]|$)/))) {
+            seventh = '7';
+        } else if ((match = rest.match(/^(min|mi|m|-)(?!aj)/))) {
+            third = 'b3';
+        } else if ((match = rest.match(/^(dim|°|o)/))) {
+            third = 'b3';
+            fifth = 'b5';
+            seventh = 'bb7';
+            diminished = true;
+        } else if ((match = rest.match(/^(aug|\+)/))) {
+            fifth = '#5';
+        } else if ((match = rest.match(/^(ø|Ø)/))) {
+            third = 'b3';
+            fifth = 'b5';
+            extension = 7;
+        }
+        if (match) rest = rest.slice(match[0].length);
+        
+        // Minor-major chords: m(maj7), mM9
+        if (third === 'b3' && !diminished && (match = rest.match(/^(maj|Maj|ma|M|Δ|\^|j)(?=[79]|1[13])/))) {
+            seventh = '7';
+            rest = rest.slice(match[0].length);
+        }
+        
+        // Extension
+        if ((match = rest.match(/^(6\/9|69|13|11|9|7|6|5)/))) {
+            extension = match[1] === '69' ? '6/9' : (match[1].includes('/') ? match[1] : parseInt(match[1]));
+            rest = rest.slice(match[0].length);
+        }
+        
+        // Suspensions, added and omitted tones, alterations
+        while (rest.length > 0) {
+            if ((match = rest.match(/^sus(2|4)?/))) {
+                changes.push({ type: 'sus', degree: match[1] || '4' });
+            } else if ((match = rest.match(/^add([#b]?)(2|4|6|9|11|13)/))) {
+                changes.push({ type: 'add', degree: match[1] + match[2] });
+            } else if ((match = rest.match(/^(no|omit)(1|3|5)/))) {
+                changes.push({ type: 'omit', number: parseInt(match[2]) });
+            } else if ((match = rest.match(/^alt/))) {
+                changes.push({ type: 'alt' });
+            } else if ((match = rest.match(/^([#b+-])(5|9|11|13)/))) {
+                const accidental = match[1] === '+' ? '#' : (match[1] === '-' ? 'b' : match[1]);
+                changes.push({ type: 'alter', degree: accidental + match[2] });
+            } else if ((match = rest.match(/^(maj|Maj|M|Δ|\^|j)(7|9|11|13)/))) {
+                seventh = '7';
+                extension = Math.max(parseInt(match[2]), extension || 0);
+            } else {
+                return null;
+            }
+            rest = rest.slice(match[0].length);
+        }
+        
+        let degrees = ['1', third, fifth];
+        
+        if (extension === 5) {
+            degrees = ['1', '5'];
+        } else if (extension === 6) {
+            degrees.push('6');
+        } else if (extension === '6/9') {
+            degrees.push('6', '9');
+        } else if (extension >= 7) {
+            degrees.push(seventh);
+            if (extension >= 9) degrees.push('9');
+            // 11 is usually left out of major and dominant 13th chords
+            if (extension === 11 || (extension === 13 && third === 'b3')) degrees.push('11');
+            if (extension === 13) degrees.push('13');
+        }
+        
+        changes.forEach(change => {
+            if (change.type === 'sus') {
+                degrees = degrees.filter(degree => degree !== '3' && degree !== 'b3');
+                degrees.push(change.degree);
+            } else if (change.type === 'add') {
+                degrees.push(change.degree);
+            } else if (change.type === 'omit') {
+                degrees = degrees.filter(degree => parseInt(degree.replace(/^[#b]+/, '')) !== change.number);
+            } else if (change.type === 'alt') {
+                // Altered dominant, voiced as in CHORD_TYPES: b9, #9 and b13 over a 7th chord with no 5th
+                degrees = degrees.filter(degree => !['5', '9', '11', '13'].includes(degree));
+                if (!degrees.includes('b7')) degrees.push('b7');
+                degrees.push('b9', '#9', 'b13');
+            } else if (change.type === 'alter') {
+                const number = change.degree.replace(/^[#b]+/, '');
+                degrees = degrees.filter(degree => degree !== number);
+                degrees.push(change.degree);
+            }
+        });
+        
+        // Drop duplicates and stack from the root up
+        return [...new Set(degrees)].sort((a, b) => this.degreeToSemitones(a) - this.degreeToSemitones(b));
+    }
+    
+    // Semitones above the root for a degree label ('b3' -> 3, '#11' -> 18, 'bb7' -> 9)
+    static degreeToSemitones(degree) {
+        const match = String(degree).match(/^([#b]*)(\d+)$/);
+        if (!match) return null;
+        
+        const number = parseInt(match[2]);
+        const alter = [...match[1]].reduce((sum, accidental) => sum + (accidental === '#' ? 1 : -1), 0);
+        return INTERVAL_BASE_SEMITONES[(number - 1) % 7] + Math.floor((number - 1) / 7) * 12 + alter;
+    }
+    
+    // Broad chord quality from degree labels, using the same names as getChordQuality
+    static getDegreesQuality(degrees) {
+        const has = degree => degrees.includes(degree);
+        
+        if (!has('3') && !has('b3')) return has('2') || has('4') ? 'suspended' : 'extended';
+        if (has('b3') && has('b5') && !has('5')) return 'diminished';
+        if (has('3') && has('#5') && !has('5')) return 'augmented';
+        if (has('3') && has('b7')) return 'dominant';
+        return has('b3') ? 'minor' : 'major';
+    }
+    
+    // Find the CHORD_TYPES entry with exactly these intervals, e.g. { category: 'sevenths', type: 'm7b5' }
+    static findChordType(intervals) {
+        for (const [category, chords] of Object.entries(CHORD_TYPES)) {
+            for (const [chordType, chordDef] of Object.entries(chords)) {
+                if (chordDef.intervals.length === intervals.length &&
+                    chordDef.intervals.every((interval, index) => interval === intervals[index])) {
+                    return { category: category, type: chordType };
+                }
+            }
+        }
+        return null;
+    }
+    
+    // Spelled full note names for a parsed chord, root at the given octave and
+    // any slash bass in the octave below (e.g. C/E -> E3, C4, E4, G4)
+    static getChordSymbolVoicing(chord, octave = 4) {
+        if (!chord) return [];
+        
+        const rootMidi = this.noteToMidi(chord.root, octave);
+        const voicing = chord.intervals.map((interval, index) => 
+            this.spellMidiNote(rootMidi + interval, chord.notes[index])
+        );
+        
+        if (chord.bass) {
+            let bassMidi = this.noteToMidi(chord.bass, octave - 1);
+            if (bassMidi >= rootMidi) bassMidi -= 12;
+            voicing.unshift(this.spellMidiNote(bassMidi, chord.bass));
+        }
+        return voicing;
+    }
+    
+    // Check whether two chord symbols name the same chord ('CΔ7' and 'Cmaj7', 'C#m' and 'Dbm')
+    static chordSymbolsMatch(symbolA, symbolB) {
+        const a = this.parseChordSymbol(symbolA);
+        const b = this.parseChordSymbol(symbolB);
+        if (!a || !b) return false;
+        
+        const pitchClasses = chord => [...new Set(chord.intervals.map(interval => interval % 12))].sort((x, y) => x - y);
+        return this.getPitchClass(a.root) === this.getPitchClass(b.root) &&
+            this.getPitchClass(a.bass || a.root) === this.getPitchClass(b.bass || b.root) &&
+            pitchClasses(a).join(',') === pitchClasses(b).join(',');
+    }
+    
+    // Read a lead sheet such as '| Dm7 | G7 | Cmaj7 | % |' into bars of chords.
+    // '%' repeats the previous bar, N.C. marks no chord; unreadable symbols come back with chord: null
+    static parseLeadSheet(text) {
+        if (typeof text !== 'string') return [];
+        
+        const bars = [];
+        text.split(/\r?\n/).forEach(line => {
+            line.split('|').forEach(barText => {
+                const tokens = barText.trim().split(/\s+/).filter(token => token && !/^[:/.\-]+$/.test(token));
+                if (tokens.length === 0) return;
+                
+                if (tokens.length === 1 && tokens[0] === '%' && bars.length > 0) {
+                    bars.push(bars[bars.length - 1].map(entry => ({ ...entry })));
+                    return;
+                }
+                
+                bars.push(tokens.map(token => {
+                    const noChord = /^N\.?C\.?$/i.test(token);
+                    return {
+                        symbol: token,
+                        chord: noChord ? null : this.parseChordSymbol(token),
+                        noChord: noChord
+                    };
+                }));
+            });
+        });
+        return bars;
     }
     
     // Get all chords for a category
@@ -280,13 +1564,50 @@ class MusicTheory {
         return SCALES[scaleType]?.formula || '';
     }
     
-    // Transpose a note by semitones
-    static transposeNote(note, semitones) {
-        const noteIndex = NOTES.indexOf(note);
-        if (noteIndex === -1) return note;
+    // Get scales grouped by category, in selector order
+    static getScalesByCategory() {
+        return Object.entries(SCALE_CATEGORIES).map(([category, label]) => ({
+            category,
+            label,
+            scales: Object.entries(SCALES)
+                .filter(([, scale]) => scale.category === category)
+                .map(([key, scale]) => ({ key, ...scale }))
+        })).filter(group => group.scales.length > 0);
+    }
+    
+    // Get the modes derived from a parent scale, ordered by mode number
+    static getScaleModes(parentScale) {
+        return Object.entries(SCALES)
+            .filter(([, scale]) => scale.parent === parentScale)
+            .map(([key, scale]) => ({ key, ...scale }))
+            .sort((a, b) => a.mode - b.mode);
+    }
+    
+    // Find a scale key by name or alias ('Aeolian' -> 'minor', 'Super Locrian' -> 'altered')
+    static findScale(name) {
+        if (!name) return null;
+        if (SCALES[name]) return name;
         
-        const newIndex = (noteIndex + semitones + 12) % 12;
-        return NOTES[newIndex];
+        const target = name.trim().toLowerCase();
+        const match = Object.entries(SCALES).find(([, scale]) => 
+            scale.name.toLowerCase() === target ||
+            (scale.aliases || []).some(alias => alias.toLowerCase() === target)
+        );
+        return match ? match[0] : null;
+    }
+    
+    // Transpose a note by semitones. Pass letterSteps to control the spelling
+    // (e.g. Bb up 4 semitones and 2 letters is D); otherwise flat notes stay flat
+    static transposeNote(note, semitones, letterSteps = null) {
+        const parsed = this.parseNoteName(note);
+        if (!parsed) return note;
+        
+        if (letterSteps !== null) {
+            return this.spellFromRoot(parsed.name, semitones, letterSteps);
+        }
+        
+        const newIndex = ((parsed.pitchClass + semitones) % 12 + 12) % 12;
+        return parsed.alter < 0 ? FLAT_NOTES[newIndex] : NOTES[newIndex];
     }
     
     // Get enharmonic equivalent
@@ -301,10 +1622,134 @@ class MusicTheory {
         return enharmonics[note] || note;
     }
     
-    // Check if note is in scale
+    // Check if note is in scale (enharmonic notes count as the same pitch)
     static isNoteInScale(note, rootNote, scaleType) {
+        const pitchClass = this.getPitchClass(note);
         const scaleNotes = this.getScaleNotes(rootNote, scaleType);
-        return scaleNotes.includes(note);
+        return scaleNotes.some(scaleNote => this.getPitchClass(scaleNote) === pitchClass);
+    }
+    
+    // Parse a note name like 'Bb', 'F##' or 'C#4' into its parts
+    static parseNoteName(note) {
+        if (typeof note !== 'string') return null;
+        
+        const match = note.trim().match(/^([A-Ga-g])(#{1,2}|b{1,2}|x)?(-?\d+)?$/);
+        if (!match) return null;
+        
+        const letter = match[1].toUpperCase();
+        const accidental = match[2] === 'x' ? '##' : (match[2] || '');
+        const alter = accidental.startsWith('#') ? accidental.length : -accidental.length;
+        return {
+            letter: letter,
+            accidental: accidental,
+            alter: alter,
+            name: letter + accidental,
+            pitchClass: (LETTER_PITCH_CLASSES[letter] + alter + 12) % 12,
+            octave: match[3] !== undefined ? parseInt(match[3]) : null
+        };
+    }
+    
+    // Get the pitch class (0-11) of a note name, or null if it can't be parsed
+    static getPitchClass(note) {
+        const parsed = this.parseNoteName(note);
+        return parsed ? parsed.pitchClass : null;
+    }
+    
+    // Convert any spelling to the sharp name used for keys and audio ('Bb' -> 'A#')
+    static normalizeNote(note) {
+        const pitchClass = this.getPitchClass(note);
+        return pitchClass === null ? note : NOTES[pitchClass];
+    }
+    
+    // Spell a pitch class using the given letter, e.g. (10, 'B') -> 'Bb', (0, 'B') -> 'B#'
+    static spellPitchClass(pitchClass, letter) {
+        const alter = (((pitchClass - LETTER_PITCH_CLASSES[letter]) % 12) + 18) % 12 - 6;
+        
+        // Beyond double sharps/flats, fall back to the plain sharp name
+        if (Math.abs(alter) > 2) return NOTES[((pitchClass % 12) + 12) % 12];
+        
+        return letter + (alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter));
+    }
+    
+    // Spell the note a number of semitones and letters above a root
+    static spellFromRoot(rootNote, semitones, letterSteps) {
+        const root = this.parseNoteName(rootNote);
+        if (!root) return null;
+        
+        const letterIndex = ((NOTE_LETTERS.indexOf(root.letter) + letterSteps) % 7 + 7) % 7;
+        return this.spellPitchClass(root.pitchClass + semitones, NOTE_LETTERS[letterIndex]);
+    }
+    
+    // Number of letter names a degree label spans above the root ('b3' -> 2, '9' -> 1)
+    static degreeToLetterSteps(degree) {
+        const number = parseInt(String(degree).replace(/^[#b]+/, ''));
+        return isNaN(number) ? 0 : (number - 1) % 7;
+    }
+    
+    // Default degree label for a semitone distance (compound intervals add 7)
+    static getDefaultDegree(semitones) {
+        const simple = DEFAULT_DEGREES[((semitones % 12) + 12) % 12];
+        if (semitones < 12) return simple;
+        
+        const accidental = simple.replace(/\d+$/, '');
+        return accidental + (parseInt(simple.replace(/^[#b]+/, '')) + 7);
+    }
+    
+    // Pick the conventional tonic spelling for a key: the enharmonic root whose
+    // scale needs the fewest accidentals (A# major -> Bb major). Ties keep the given name.
+    static getKeySpelling(rootNote, scaleType = 'major') {
+        const root = this.parseNoteName(rootNote);
+        if (!root || !SCALES[scaleType]) return rootNote;
+        
+        const candidates = NOTE_LETTERS
+            .map(letter => this.spellPitchClass(root.pitchClass, letter))
+            .filter(name => this.parseNoteName(name) && Math.abs(this.parseNoteName(name).alter) <= 1);
+        
+        let best = root.name;
+        let bestScore = this.countAccidentals(this.getScaleNotes(root.name, scaleType));
+        candidates.forEach(candidate => {
+            const score = this.countAccidentals(this.getScaleNotes(candidate, scaleType));
+            if (score < bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+    
+    // Total number of sharps and flats in a list of note names
+    static countAccidentals(notes) {
+        return notes.reduce((total, note) => {
+            const parsed = this.parseNoteName(note);
+            return total + (parsed ? Math.abs(parsed.alter) : 0);
+        }, 0);
+    }
+    
+    // Whether a key reads with flats or sharps for notes outside the scale
+    static getKeyAccidentalPreference(rootNote, scaleType = 'major') {
+        const notes = this.getScaleNotes(rootNote, scaleType);
+        if (notes.some(note => note.length > 1 && note[1] === 'b')) return 'flat';
+        return 'sharp';
+    }
+    
+    // Spelling for all 12 pitch classes in a key: scale notes as spelled in the
+    // scale, everything else with the key's preferred accidental
+    static getChromaticSpelling(rootNote, scaleType = 'major') {
+        const spelling = this.getKeyAccidentalPreference(rootNote, scaleType) === 'flat'
+            ? [...FLAT_NOTES]
+            : [...NOTES];
+        
+        this.getScaleNotes(rootNote, scaleType).forEach(note => {
+            spelling[this.getPitchClass(note)] = note;
+        });
+        return spelling;
+    }
+    
+    // Spell any note the way it reads in a key (A# in F major -> Bb)
+    static spellInKey(note, keyRoot, scaleType = 'major') {
+        const pitchClass = this.getPitchClass(note);
+        if (pitchClass === null) return note;
+        return this.getChromaticSpelling(keyRoot, scaleType)[pitchClass];
     }
     
     // Get chord progressions in a key
@@ -340,10 +1785,13 @@ class MusicTheory {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { MusicTheory, NOTES, SCALES, CHORD_TYPES };
+    module.exports = { MusicTheory, NOTES, FLAT_NOTES, SCALES, SCALE_CATEGORIES, CHORD_TYPES, INTERVAL_QUALITIES };
 } else {
     window.MusicTheory = MusicTheory;
     window.NOTES = NOTES;
+    window.FLAT_NOTES = FLAT_NOTES;
     window.SCALES = SCALES;
+    window.SCALE_CATEGORIES = SCALE_CATEGORIES;
     window.CHORD_TYPES = CHORD_TYPES;
+    window.INTERVAL_QUALITIES = INTERVAL_QUALITIES;
 }
@@ -32,6 +32,9 @@ class PianoKeyboard {
         this.scaleNotes = new Set();
         this.lockedNotes = new Set();
         
+        // Key-aware label spelling, indexed by pitch class (null = sharps)
+        this.noteSpelling = null;
+        
         // Computer keyboard mapping
         this.computerKeyMapping = {
             // Row 1: Numbers (C4-B4)
@@ -175,7 +178,7 @@ class PianoKeyboard {
         if (this.config.showLabels) {
             const label = document.createElement('span');
             label.className = 'key-label';
-            label.textContent = note;
+            label.textContent = this.getKeyLabel(note);
             keyElement.appendChild(label);
         }
         
@@ -188,6 +191,24 @@ class PianoKeyboard {
         this.keys[fullNote] = keyElement; // Populate the keys map
     }
     
+    // Label text for a key, using the current key's spelling if one is set
+    getKeyLabel(noteClass) {
+        if (!this.noteSpelling) return noteClass;
+        return this.noteSpelling[MusicTheory.getPitchClass(noteClass)] || noteClass;
+    }
+    
+    // Set how key labels are spelled (12 names indexed by pitch class, or null)
+    setNoteSpelling(spelling) {
+        this.noteSpelling = spelling;
+        
+        Object.values(this.keys).forEach(keyElement => {
+            const label = keyElement.querySelector('.key-label');
+            if (label) {
+                label.textContent = this.getKeyLabel(keyElement.dataset.noteClass);
+            }
+        });
+    }
+    
     // Calculate position for black keys
     getBlackKeyPosition(note, octave) {
         const whiteKeyWidth = 49; // 48px + 1px margin
@@ -451,15 +472,15 @@ class PianoKeyboard {
         });
         
         if (this.config.scaleType && this.config.rootNote) {
-            const scaleNotes = MusicTheory.getScaleNotes(this.config.rootNote, this.config.scaleType);
+            const rootPitchClass = MusicTheory.getPitchClass(this.config.rootNote);
             
             allKeys.forEach(key => {
-                const note = key.dataset.note;
-                if (scaleNotes.includes(note)) {
+                const noteClass = key.dataset.noteClass;
+                if (MusicTheory.isNoteInScale(noteClass, this.config.rootNote, this.config.scaleType)) {
                     key.classList.add('scale-note');
                     
                     // Highlight root note
-                    if (note === this.config.rootNote) {
+                    if (MusicTheory.getPitchClass(noteClass) === rootPitchClass) {
                         key.classList.add('chord-root');
                     }
                 }
@@ -476,10 +497,13 @@ class PianoKeyboard {
         });
         
         if (chordNotes && chordNotes.length > 0) {
+            const chordPitchClasses = chordNotes.map(note => MusicTheory.getPitchClass(note));
+            const rootPitchClass = MusicTheory.getPitchClass(rootNote);
+            
             allKeys.forEach(key => {
-                const note = key.dataset.note;
-                if (chordNotes.includes(note)) {
-                    if (note === rootNote) {
+                const pitchClass = MusicTheory.getPitchClass(key.dataset.noteClass);
+                if (chordPitchClasses.includes(pitchClass)) {
+                    if (pitchClass === rootPitchClass) {
                         key.classList.add('chord-root');
                     } else {
                         key.classList.add('chord-note');
@@ -515,8 +539,7 @@ class PianoKeyboard {
     isNoteInCurrentScale(note) {
         if (!this.config.scaleType || !this.config.rootNote) return true;
         
-        const scaleNotes = MusicTheory.getScaleNotes(this.config.rootNote, this.config.scaleType);
-        return scaleNotes.includes(note);
+        return MusicTheory.isNoteInScale(note, this.config.rootNote, this.config.scaleType);
     }
     
     getCurrentlyPressedNotes() {
@@ -590,6 +613,20 @@ class PianoKeyboard {
         }
     }
     
+    // Mark keys that are up but still sounding because of a pedal
+    setSustainedKeys(notes) {
+        this.sustainedKeys.forEach(note => {
+            const keyElement = this.findKeyElement(note);
+            if (keyElement) keyElement.classList.remove('sustained');
+        });
+        
+        this.sustainedKeys = new Set(notes);
+        this.sustainedKeys.forEach(note => {
+            const keyElement = this.findKeyElement(note);
+            if (keyElement) keyElement.classList.add('sustained');
+        });
+    }
+    
     // Find key element by note name
     findKeyElement(note) {
         return this.container.querySelector(`[data-note="${note}"]`);
@@ -600,11 +637,11 @@ class PianoKeyboard {
         // Clear previous highlights
         this.clearHighlight();
         
-        // Store scale notes
-        this.scaleNotes = new Set(scaleNotes);
+        // Store scale notes under the sharp names the keys use
+        this.scaleNotes = new Set(scaleNotes.map(note => MusicTheory.normalizeNote(note)));
         
         // Apply highlights
-        scaleNotes.forEach(noteClass => {
+        this.scaleNotes.forEach(noteClass => {
             const keys = this.container.querySelectorAll(`[data-note-class="${noteClass}"]`);
             keys.forEach(key => key.classList.add('scale-highlight'));
         });
@@ -617,17 +654,32 @@ class PianoKeyboard {
         this.scaleNotes.clear();
     }
     
+    // Outline keys to play next (e.g. a suggested chord voicing) without pressing them
+    showGhostNotes(notes) {
+        this.clearGhostNotes();
+        notes.forEach(note => {
+            const keyElement = this.findKeyElement(note);
+            if (keyElement) keyElement.classList.add('ghost-note');
+        });
+    }
+    
+    // Clear ghost notes
+    clearGhostNotes() {
+        const ghostKeys = this.container.querySelectorAll('.ghost-note');
+        ghostKeys.forEach(key => key.classList.remove('ghost-note'));
+    }
+    
     // Set scale lock (restrict playable notes)
     setScaleLock(notes) {
         if (notes) {
-            this.lockedNotes = new Set(notes);
+            this.lockedNotes = new Set(notes.map(note => MusicTheory.normalizeNote(note)));
             this.config.scaleLock = true;
             
             // Add visual indication
             const allKeys = this.container.querySelectorAll('.piano-key');
             allKeys.forEach(key => {
                 const noteClass = key.dataset.noteClass;
-                if (!notes.includes(noteClass)) {
+                if (!this.lockedNotes.has(noteClass)) {
                     key.classList.add('locked');
                 } else {
                     key.classList.remove('locked');
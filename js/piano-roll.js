@@ -0,0 +1,637 @@
+// Piano Roll Module
+// Canvas editor for recorded takes: pitch runs up, time runs right, with a velocity lane below.
+// Notes can be selected, moved, resized, deleted, velocity-edited and quantized to the tempo grid.
+
+const PIANO_ROLL_LAYOUT = {
+    rowHeight: 10,          // Pixels per semitone
+    pixelsPerSecond: 120,
+    gutter: 36,             // Pitch labels on the left
+    velocityHeight: 60,     // Velocity lane under the notes
+    edgeWidth: 6,           // Grab zone at a note's right end for resizing
+    minRows: 24
+};
+
+const PIANO_ROLL_HISTORY_LIMIT = 50;
+
+class PianoRoll {
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+
+        // Notes: { id, midi, start, duration (ms), velocity (0-1), extra: other noteOn fields }
+        this.notes = [];
+        this.otherEvents = []; // Pedal events, kept as recorded
+        this.selected = new Set();
+        this.history = [];
+        this.nextId = 1;
+
+        // Visible pitch range; grows to fit notes but never shrinks while editing
+        this.lowNote = 60;
+        this.highNote = 72;
+
+        // Tempo grid from the metronome: beat length and subdivisions per beat
+        this.grid = { bpm: 120, beatsPerBar: 4, division: 4 };
+        this.snap = true;
+
+        this.drag = null;
+        this.loop = null; // { start, end } in ms, shaded when set
+        this.playhead = null;
+        this.playheadFrame = null;
+
+        // Callbacks
+        this.onChange = options.onChange || (() => {});
+        this.onSelectionChange = options.onSelectionChange || (() => {});
+
+        if (this.container) {
+            this.createCanvas();
+        }
+    }
+
+    createCanvas() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'piano-roll-canvas';
+        this.canvas.tabIndex = 0;
+        this.context = this.canvas.getContext ? this.canvas.getContext('2d') : null;
+        this.container.appendChild(this.canvas);
+
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.updateCursor(e));
+        this.canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        // Keys typed here edit notes rather than playing the keyboard
+        this.canvas.addEventListener('keyup', (e) => e.stopPropagation());
+
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+    }
+
+    // Loading and saving
+
+    // Pair each note off with the earliest open note on of the same key; notes
+    // never released run to the end of the take
+    load(events) {
+        const sorted = events
+            .map((event, index) => ({ event, index }))
+            .sort((a, b) => a.event.time - b.event.time || a.index - b.index)
+            .map(({ event }) => event);
+        const end = sorted.reduce((max, event) => Math.max(max, event.time), 0);
+
+        this.notes = [];
+        this.otherEvents = [];
+        this.selected.clear();
+        this.history = [];
+
+        const open = new Map();
+        sorted.forEach(event => {
+            if (event.type === 'noteOn') {
+                const { type, note, octave, time, velocity, ...extra } = event;
+                const entry = {
+                    id: this.nextId++,
+                    midi: MusicTheory.noteToMidi(note, octave),
+                    start: time,
+                    duration: null,
+                    velocity: velocity !== undefined ? velocity : 0.8,
+                    extra
+                };
+                if (!open.has(entry.midi)) open.set(entry.midi, []);
+                open.get(entry.midi).push(entry);
+                this.notes.push(entry);
+            } else if (event.type === 'noteOff') {
+                const waiting = open.get(MusicTheory.noteToMidi(event.note, event.octave));
+                if (waiting && waiting.length > 0) {
+                    const entry = waiting.shift();
+                    entry.duration = Math.max(1, event.time - entry.start);
+                }
+            } else {
+                this.otherEvents.push({ ...event });
+            }
+        });
+
+        this.notes.forEach(note => {
+            if (note.duration === null) note.duration = Math.max(100, end - note.start);
+        });
+
+        this.fitRange(true);
+        this.resize();
+        this.onSelectionChange(this.getSelectedNotes());
+    }
+
+    // Recording events for the edited notes, in time order (note offs first at a tie,
+    // so a repeated note isn't cut off by the one before it)
+    getEvents() {
+        const events = [...this.otherEvents.map(event => ({ ...event }))];
+        this.notes.forEach(note => {
+            const { note: name, octave } = MusicTheory.midiToNote(note.midi);
+            events.push({ ...note.extra, type: 'noteOn', note: name, octave, velocity: note.velocity, time: note.start });
+            events.push({ ...note.extra, type: 'noteOff', note: name, octave, time: note.start + note.duration });
+        });
+
+        return events
+            .map(event => ({ ...event, time: Math.round(event.time * 1000) / 1000 }))
+            .sort((a, b) => a.time - b.time || (a.type === 'noteOff' ? 0 : 1) - (b.type === 'noteOff' ? 0 : 1));
+    }
+
+    // Milliseconds from the start to the last note's end
+    getDuration() {
+        const noteEnd = this.notes.reduce((end, note) => Math.max(end, note.start + note.duration), 0);
+        return this.otherEvents.reduce((end, event) => Math.max(end, event.time), noteEnd);
+    }
+
+    // Grid and range
+
+    setGrid(grid) {
+        this.grid = { ...this.grid, ...grid };
+        this.draw();
+    }
+
+    // Milliseconds per grid step
+    getGridLength() {
+        return 60000 / this.grid.bpm / this.grid.division;
+    }
+
+    snapTime(time) {
+        const step = this.getGridLength();
+        return Math.round(time / step) * step;
+    }
+
+    // Widen the pitch range to the notes (plus a margin); a reset fits it to them exactly
+    fitRange(reset = false) {
+        if (this.notes.length === 0) {
+            if (reset) {
+                this.lowNote = 60;
+                this.highNote = 60 + PIANO_ROLL_LAYOUT.minRows - 1;
+            }
+            return;
+        }
+
+        const pitches = this.notes.map(note => note.midi);
+        let low = Math.max(0, Math.min(...pitches) - 4);
+        let high = Math.min(127, Math.max(...pitches) + 4);
+        if (!reset) {
+            low = Math.min(low, this.lowNote);
+            high = Math.max(high, this.highNote);
+        }
+        while (high - low + 1 < PIANO_ROLL_LAYOUT.minRows) {
+            if (high < 127) high++;
+            if (high - low + 1 < PIANO_ROLL_LAYOUT.minRows && low > 0) low--;
+        }
+        this.lowNote = low;
+        this.highNote = high;
+    }
+
+    resize() {
+        if (!this.canvas) return;
+
+        const { rowHeight, pixelsPerSecond, gutter, velocityHeight } = PIANO_ROLL_LAYOUT;
+        const contentWidth = gutter + (this.getDuration() / 1000 + 2) * pixelsPerSecond;
+        this.canvas.width = Math.max(this.container.clientWidth || 0, Math.ceil(contentWidth));
+        this.canvas.height = (this.highNote - this.lowNote + 1) * rowHeight + velocityHeight;
+        this.draw();
+    }
+
+    // Geometry
+
+    timeToX(time) {
+        return PIANO_ROLL_LAYOUT.gutter + time / 1000 * PIANO_ROLL_LAYOUT.pixelsPerSecond;
+    }
+
+    xToTime(x) {
+        return (x - PIANO_ROLL_LAYOUT.gutter) / PIANO_ROLL_LAYOUT.pixelsPerSecond * 1000;
+    }
+
+    midiToY(midi) {
+        return (this.highNote - midi) * PIANO_ROLL_LAYOUT.rowHeight;
+    }
+
+    yToMidi(y) {
+        return this.highNote - Math.floor(y / PIANO_ROLL_LAYOUT.rowHeight);
+    }
+
+    getVelocityTop() {
+        return (this.highNote - this.lowNote + 1) * PIANO_ROLL_LAYOUT.rowHeight;
+    }
+
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    // Topmost note under a point, and whether the point is on its resize edge
+    hitTest(point) {
+        if (point.y >= this.getVelocityTop()) return null;
+
+        const midi = this.yToMidi(point.y);
+        for (let i = this.notes.length - 1; i >= 0; i--) {
+            const note = this.notes[i];
+            if (note.midi !== midi) continue;
+
+            const left = this.timeToX(note.start);
+            const right = Math.max(left + 3, this.timeToX(note.start + note.duration));
+            if (point.x >= left && point.x <= right) {
+                return { note, edge: right - point.x <= PIANO_ROLL_LAYOUT.edgeWidth };
+            }
+        }
+        return null;
+    }
+
+    // Note whose bar in the velocity lane sits under x, preferring selected notes
+    hitVelocity(point) {
+        const time = this.xToTime(point.x);
+        const tolerance = 3 / PIANO_ROLL_LAYOUT.pixelsPerSecond * 1000;
+        const candidates = this.notes.filter(note => Math.abs(note.start - time) <= tolerance);
+        return candidates.find(note => this.selected.has(note.id)) || candidates[0] || null;
+    }
+
+    // Selection
+
+    getSelectedNotes() {
+        return this.notes.filter(note => this.selected.has(note.id));
+    }
+
+    setSelection(ids) {
+        this.selected = new Set(ids);
+        this.draw();
+        this.onSelectionChange(this.getSelectedNotes());
+    }
+
+    selectAll() {
+        this.setSelection(this.notes.map(note => note.id));
+    }
+
+    // Selected notes, or every note when nothing is selected
+    getTargetNotes() {
+        return this.selected.size > 0 ? this.getSelectedNotes() : this.notes;
+    }
+
+    // Editing
+
+    // Snapshot the notes before an edit so it can be undone
+    remember() {
+        this.history.push(JSON.stringify(this.notes));
+        if (this.history.length > PIANO_ROLL_HISTORY_LIMIT) this.history.shift();
+    }
+
+    undo() {
+        if (this.history.length === 0) return false;
+
+        this.notes = JSON.parse(this.history.pop());
+        const ids = new Set(this.notes.map(note => note.id));
+        this.selected = new Set([...this.selected].filter(id => ids.has(id)));
+        this.changed();
+        this.onSelectionChange(this.getSelectedNotes());
+        return true;
+    }
+
+    changed() {
+        this.fitRange();
+        this.resize();
+        this.onChange();
+    }
+
+    deleteSelected() {
+        if (this.selected.size === 0) return;
+
+        this.remember();
+        this.notes = this.notes.filter(note => !this.selected.has(note.id));
+        this.selected.clear();
+        this.changed();
+        this.onSelectionChange([]);
+    }
+
+    // Shift notes by a time (ms) and a number of semitones, kept on the keyboard and after zero
+    moveNotes(notes, timeDelta, pitchDelta) {
+        const earliest = Math.min(...notes.map(note => note.start));
+        const lowest = Math.min(...notes.map(note => note.midi));
+        const highest = Math.max(...notes.map(note => note.midi));
+        timeDelta = Math.max(timeDelta, -earliest);
+        pitchDelta = Math.max(-lowest, Math.min(127 - highest, pitchDelta));
+
+        notes.forEach(note => {
+            note.start += timeDelta;
+            note.midi += pitchDelta;
+        });
+    }
+
+    // Set notes' velocity (0-1)
+    setVelocity(notes, velocity) {
+        const value = Math.max(1 / 127, Math.min(1, velocity));
+        notes.forEach(note => { note.velocity = value; });
+    }
+
+    // Edit velocity from the toolbar: applies to the selection
+    setSelectedVelocity(velocity) {
+        const notes = this.getSelectedNotes();
+        if (notes.length === 0) return;
+
+        this.remember();
+        this.setVelocity(notes, velocity);
+        this.changed();
+    }
+
+    // Snap starts and ends of the selection (or every note) to the grid; no note
+    // ends up shorter than one grid step
+    quantize() {
+        const notes = this.getTargetNotes();
+        if (notes.length === 0) return;
+
+        const step = this.getGridLength();
+        this.remember();
+        notes.forEach(note => {
+            const start = this.snapTime(note.start);
+            const end = this.snapTime(note.start + note.duration);
+            note.start = start;
+            note.duration = Math.max(step, end - start);
+        });
+        this.changed();
+    }
+
+    // Mouse editing: drag a note to move it, its right edge to resize it, a bar in the
+    // velocity lane to change velocity, or empty space to select a region
+
+    handleMouseDown(e) {
+        if (e.button !== undefined && e.button !== 0) return;
+        e.preventDefault();
+        this.canvas.focus();
+
+        const point = this.getPoint(e);
+        const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+
+        if (point.y >= this.getVelocityTop()) {
+            const note = this.hitVelocity(point);
+            if (!note) return;
+            if (!this.selected.has(note.id)) this.setSelection([note.id]);
+
+            this.remember();
+            this.drag = { mode: 'velocity', notes: this.getSelectedNotes() };
+            this.applyDrag(point);
+        } else {
+            const hit = this.hitTest(point);
+            if (hit) {
+                if (additive && this.selected.has(hit.note.id)) {
+                    this.selected.delete(hit.note.id);
+                    this.setSelection([...this.selected]);
+                    return;
+                }
+                if (!this.selected.has(hit.note.id)) {
+                    this.setSelection(additive ? [...this.selected, hit.note.id] : [hit.note.id]);
+                }
+
+                this.remember();
+                const notes = this.getSelectedNotes();
+                this.drag = {
+                    mode: hit.edge ? 'resize' : 'move',
+                    anchor: hit.note,
+                    notes,
+                    origin: point,
+                    original: notes.map(note => ({ note, start: note.start, midi: note.midi, duration: note.duration })),
+                    moved: false
+                };
+            } else {
+                this.drag = { mode: 'select', origin: point, current: point, base: additive ? [...this.selected] : [] };
+                if (!additive) this.setSelection([]);
+            }
+        }
+
+        document.addEventListener('mousemove', this.handleMouseMove);
+        document.addEventListener('mouseup', this.handleMouseUp);
+    }
+
+    handleMouseMove(e) {
+        if (this.drag) this.applyDrag(this.getPoint(e));
+    }
+
+    handleMouseUp() {
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('mouseup', this.handleMouseUp);
+
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag) return;
+
+        if (drag.mode === 'select') {
+            this.draw();
+        } else if ((drag.mode === 'move' || drag.mode === 'resize') && !drag.moved) {
+            // A click without a drag changed nothing
+            this.history.pop();
+        } else {
+            this.changed();
+        }
+    }
+
+    applyDrag(point) {
+        const drag = this.drag;
+
+        if (drag.mode === 'velocity') {
+            const top = this.getVelocityTop();
+            this.setVelocity(drag.notes, 1 - (point.y - top) / PIANO_ROLL_LAYOUT.velocityHeight);
+        } else if (drag.mode === 'select') {
+            drag.current = point;
+            const left = this.xToTime(Math.min(drag.origin.x, point.x));
+            const right = this.xToTime(Math.max(drag.origin.x, point.x));
+            const top = this.yToMidi(Math.min(drag.origin.y, point.y));
+            const bottom = this.yToMidi(Math.max(drag.origin.y, point.y));
+            const inside = this.notes
+                .filter(note => note.midi <= top && note.midi >= bottom)
+                .filter(note => note.start <= right && note.start + note.duration >= left)
+                .map(note => note.id);
+            this.setSelection([...drag.base, ...inside]);
+            return;
+        } else {
+            // Work from the positions at mouse down so snapping doesn't drift
+            drag.original.forEach(({ note, start, midi, duration }) => {
+                note.start = start;
+                note.midi = midi;
+                note.duration = duration;
+            });
+
+            const anchor = drag.original.find(item => item.note === drag.anchor);
+            let timeDelta = (point.x - drag.origin.x) / PIANO_ROLL_LAYOUT.pixelsPerSecond * 1000;
+            const pitchDelta = Math.round((drag.origin.y - point.y) / PIANO_ROLL_LAYOUT.rowHeight);
+            if (Math.abs(point.x - drag.origin.x) > 2 || pitchDelta !== 0) drag.moved = true;
+
+            if (drag.mode === 'move') {
+                if (this.snap) timeDelta = this.snapTime(anchor.start + timeDelta) - anchor.start;
+                const clampedPitch = Math.max(this.lowNote - anchor.midi, Math.min(this.highNote - anchor.midi, pitchDelta));
+                this.moveNotes(drag.notes, timeDelta, clampedPitch);
+            } else {
+                const step = this.snap ? this.getGridLength() : 10;
+                let end = anchor.start + anchor.duration + timeDelta;
+                if (this.snap) end = this.snapTime(end);
+                const durationDelta = Math.max(step, end - anchor.start) - anchor.duration;
+                drag.original.forEach(({ note, duration }) => {
+                    note.duration = Math.max(step, duration + durationDelta);
+                });
+            }
+        }
+        this.draw();
+    }
+
+    updateCursor(e) {
+        if (this.drag) return;
+
+        const hit = this.hitTest(this.getPoint(e));
+        this.canvas.style.cursor = hit ? (hit.edge ? 'ew-resize' : 'move') : 'default';
+    }
+
+    // Delete/Backspace delete, arrows nudge (up/down a semitone, left/right a grid
+    // step), Ctrl+A selects all, Ctrl+Z undoes
+    handleKeyDown(e) {
+        e.stopPropagation();
+
+        const command = e.ctrlKey || e.metaKey;
+        if (command && e.key.toLowerCase() === 'a') {
+            e.preventDefault();
+            this.selectAll();
+        } else if (command && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            this.undo();
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.deleteSelected();
+        } else if (e.key.startsWith('Arrow') && this.selected.size > 0) {
+            e.preventDefault();
+            const step = this.getGridLength();
+            const moves = { ArrowUp: [0, 1], ArrowDown: [0, -1], ArrowLeft: [-step, 0], ArrowRight: [step, 0] };
+            const [timeDelta, pitchDelta] = moves[e.key] || [0, 0];
+
+            this.remember();
+            this.moveNotes(this.getSelectedNotes(), timeDelta, pitchDelta);
+            this.changed();
+        } else if (e.key === 'Escape') {
+            this.setSelection([]);
+        }
+    }
+
+    // Playhead
+
+    // Follow playback: getTime returns the playback position in ms, or null once it stops
+    startPlayhead(getTime) {
+        this.stopPlayhead();
+
+        const step = () => {
+            this.playhead = getTime();
+            if (this.playhead === null) {
+                this.stopPlayhead();
+                return;
+            }
+            this.draw();
+            this.playheadFrame = requestAnimationFrame(step);
+        };
+        step();
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        this.draw();
+    }
+
+    stopPlayhead() {
+        if (this.playheadFrame) cancelAnimationFrame(this.playheadFrame);
+        this.playheadFrame = null;
+        this.playhead = null;
+        this.draw();
+    }
+
+    // Drawing
+
+    draw() {
+        if (!this.context) return;
+
+        const ctx = this.context;
+        const { rowHeight, gutter, velocityHeight } = PIANO_ROLL_LAYOUT;
+        const style = getComputedStyle(this.container);
+        const color = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+        const colors = {
+            background: color('--bg-primary', '#ffffff'),
+            blackRow: color('--bg-secondary', '#f8f9fa'),
+            line: color('--border-color', '#dee2e6'),
+            bar: color('--text-tertiary', '#adb5bd'),
+            text: color('--text-secondary', '#6c757d'),
+            note: color('--accent-primary', '#007bff'),
+            selected: color('--chord-augmented', '#ff9800')
+        };
+
+        const width = this.canvas.width;
+        const velocityTop = this.getVelocityTop();
+
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(0, 0, width, this.canvas.height);
+
+        // Pitch rows: black keys shaded, C labelled
+        ctx.font = '9px sans-serif';
+        ctx.textBaseline = 'middle';
+        for (let midi = this.lowNote; midi <= this.highNote; midi++) {
+            const y = this.midiToY(midi);
+            const { note, fullName } = MusicTheory.midiToNote(midi);
+            if (note.includes('#')) {
+                ctx.fillStyle = colors.blackRow;
+                ctx.fillRect(0, y, width, rowHeight);
+            }
+            if (note === 'C') {
+                ctx.fillStyle = colors.text;
+                ctx.fillText(fullName, 4, y + rowHeight / 2);
+                ctx.fillStyle = colors.line;
+                ctx.fillRect(0, y + rowHeight - 1, width, 1);
+            }
+        }
+
+        // Grid: subdivisions, beats and bars from the tempo
+        const step = this.getGridLength();
+        const stepsPerBar = this.grid.division * this.grid.beatsPerBar;
+        for (let i = 0, time = 0; this.timeToX(time) < width; i++, time = i * step) {
+            const x = Math.round(this.timeToX(time));
+            if (i % stepsPerBar === 0) {
+                ctx.fillStyle = colors.bar;
+            } else if (i % this.grid.division === 0) {
+                ctx.fillStyle = colors.line;
+            } else {
+                continue;
+            }
+            ctx.fillRect(x, 0, 1, velocityTop);
+        }
+
+        if (this.loop) {
+            ctx.fillStyle = colors.selected;
+            ctx.globalAlpha = 0.12;
+            ctx.fillRect(this.timeToX(this.loop.start), 0, this.timeToX(this.loop.end) - this.timeToX(this.loop.start), velocityTop);
+            ctx.globalAlpha = 1;
+        }
+
+        ctx.fillStyle = colors.line;
+        ctx.fillRect(gutter - 1, 0, 1, this.canvas.height);
+        ctx.fillRect(0, velocityTop, width, 1);
+
+        // Notes, with opacity following velocity, and their velocity bars
+        this.notes.forEach(note => {
+            const selected = this.selected.has(note.id);
+            const x = this.timeToX(note.start);
+            const noteWidth = Math.max(3, this.timeToX(note.start + note.duration) - x);
+
+            ctx.fillStyle = selected ? colors.selected : colors.note;
+            ctx.globalAlpha = 0.35 + note.velocity * 0.65;
+            ctx.fillRect(x, this.midiToY(note.midi) + 1, noteWidth, rowHeight - 2);
+            ctx.globalAlpha = 1;
+
+            const barHeight = note.velocity * (velocityHeight - 4);
+            ctx.fillRect(x, velocityTop + velocityHeight - barHeight, 3, barHeight);
+        });
+
+        // Selection rectangle
+        if (this.drag && this.drag.mode === 'select') {
+            const { origin, current } = this.drag;
+            ctx.strokeStyle = colors.selected;
+            ctx.strokeRect(Math.min(origin.x, current.x), Math.min(origin.y, current.y),
+                Math.abs(current.x - origin.x), Math.abs(current.y - origin.y));
+        }
+
+        if (this.playhead !== null && this.playhead >= 0) {
+            ctx.fillStyle = colors.selected;
+            ctx.fillRect(Math.round(this.timeToX(this.playhead)), 0, 2, this.canvas.height);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PianoRoll;
+} else {
+    window.PianoRoll = PianoRoll;
+}
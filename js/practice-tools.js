@@ -176,7 +176,7 @@ class PracticeTools {
         
         // Play the chord
         if (mode.currentChord && this.audioEngine) {
-            this.audioEngine.playChord(mode.currentChord.notes, 4, 0.6, 2);
+            this.audioEngine.playChord(mode.currentChord.notes, 4, 0.6, 2, true);
         }
         
         this.updateUI();
@@ -222,7 +222,7 @@ class PracticeTools {
         const mode = this.modes.scaleExercises;
         const scales = Object.keys(SCALES);
         const randomScale = scales[Math.floor(Math.random() * scales.length)];
-        const randomRoot = NOTES[Math.floor(Math.random() * NOTES.length)];
+        const randomRoot = MusicTheory.getKeySpelling(NOTES[Math.floor(Math.random() * NOTES.length)], randomScale);
         
         mode.currentScale = {
             root: randomRoot,
@@ -256,10 +256,10 @@ class PracticeTools {
         
         // Play the interval
         if (this.audioEngine) {
-            this.audioEngine.playNote(rootNote, 4, 0.6, 1);
-            setTimeout(() => {
-                this.audioEngine.playNote(mode.currentInterval.targetNote, 4, 0.6, 1);
-            }, 1000);
+            this.audioEngine.playSequence([
+                { note: rootNote, octave: 4, velocity: 0.6, duration: 1, offset: 0 },
+                { note: mode.currentInterval.targetNote, octave: 4, velocity: 0.6, duration: 1, offset: 1 }
+            ], null, true);
         }
         
         this.updateUI();
@@ -271,7 +271,7 @@ class PracticeTools {
         const randomCategory = categories[Math.floor(Math.random() * categories.length)];
         const chords = Object.keys(CHORD_TYPES[randomCategory]);
         const randomChordType = chords[Math.floor(Math.random() * chords.length)];
-        const randomRoot = NOTES[Math.floor(Math.random() * NOTES.length)];
+        const randomRoot = MusicTheory.getKeySpelling(NOTES[Math.floor(Math.random() * NOTES.length)]);
         
         const chordNotes = MusicTheory.getChordNotes(randomRoot, randomChordType, randomCategory);
         const chordDef = CHORD_TYPES[randomCategory][randomChordType];
@@ -295,7 +295,7 @@ class PracticeTools {
         
         // Play the chord
         if (this.audioEngine) {
-            this.audioEngine.playChord(chordNotes, 4, 0.6, 3);
+            this.audioEngine.playChord(chordNotes, 4, 0.6, 3, true);
         }
         
         return chord;
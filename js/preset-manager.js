@@ -0,0 +1,248 @@
+// Preset Manager Module
+// User synth presets (waveform, ADSR, filter, effects, tuning): create, rename, duplicate,
+// delete, JSON import/export, saved in localStorage after the built-in presets
+
+const PRESET_STORAGE_KEY = 'tunelearn-presets';
+const PRESET_FILE_FORMAT = 'tunelearn-presets';
+
+// Voice parameters shown in the preset editor
+const SYNTH_PARAMETERS = {
+    waveform: { label: 'Waveform', options: ['sine', 'triangle', 'square', 'sawtooth'] },
+    attack: { label: 'Attack', min: 0.001, max: 2, step: 0.001, unit: 's' },
+    decay: { label: 'Decay', min: 0.001, max: 2, step: 0.001, unit: 's' },
+    sustain: { label: 'Sustain', min: 0, max: 1, step: 0.01 },
+    release: { label: 'Release', min: 0.001, max: 4, step: 0.001, unit: 's' },
+    filterType: { label: 'Filter', options: ['off', 'lowpass', 'highpass', 'bandpass'] },
+    filterFrequency: { label: 'Cutoff', min: 20, max: 20000, step: 10, unit: 'Hz' },
+    filterQ: { label: 'Resonance', min: 0.1, max: 20, step: 0.1 }
+};
+
+class PresetManager {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+
+        // User presets: { id, name, settings, created, modified }
+        this.presets = [];
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = this.storage.getItem(PRESET_STORAGE_KEY);
+            this.presets = stored ? JSON.parse(stored).filter(preset => preset && preset.id && preset.settings) : [];
+        } catch (error) {
+            console.warn('Failed to load presets:', error);
+            this.presets = [];
+        }
+    }
+
+    // Throws if the browser's storage is full, so a preset is never silently lost
+    save() {
+        try {
+            this.storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(this.presets));
+        } catch (error) {
+            throw new Error('Preset storage is full; export and delete some presets first');
+        }
+    }
+
+    // Built-in presets then the user's, in the order MIDI program changes count them:
+    // [{ value, name, factory }] where value is what the instrument selector uses
+    getPresetList() {
+        const factory = Object.entries(AudioEngine.getFactoryPresets())
+            .map(([key, preset]) => ({ value: key, name: preset.name, factory: true }));
+        const user = this.presets
+            .map(preset => ({ value: `preset:${preset.id}`, name: preset.name, factory: false }));
+        return [...factory, ...user];
+    }
+
+    // Selector value for a MIDI program number; wraps around the preset list
+    getProgramValue(program) {
+        const list = this.getPresetList();
+        return list[program % list.length].value;
+    }
+
+    get(id) {
+        return this.presets.find(preset => preset.id === id) || null;
+    }
+
+    create(name, settings) {
+        const now = Date.now();
+        const preset = {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: this.getUniqueName(name),
+            settings: PresetManager.cleanSettings(settings),
+            created: now,
+            modified: now
+        };
+        this.presets.push(preset);
+        this.commit(() => this.presets.pop());
+        return preset;
+    }
+
+    // Overwrite a preset's sound with new settings
+    update(id, settings) {
+        const preset = this.get(id);
+        if (!preset) return null;
+
+        const previous = { settings: preset.settings, modified: preset.modified };
+        preset.settings = PresetManager.cleanSettings(settings);
+        preset.modified = Date.now();
+        this.commit(() => Object.assign(preset, previous));
+        return preset;
+    }
+
+    rename(id, name) {
+        const preset = this.get(id);
+        const trimmed = (name || '').trim();
+        if (!preset || !trimmed || trimmed === preset.name) return preset;
+
+        const previous = preset.name;
+        preset.name = this.getUniqueName(trimmed);
+        this.commit(() => { preset.name = previous; });
+        return preset;
+    }
+
+    duplicate(id) {
+        const preset = this.get(id);
+        return preset ? this.create(`${preset.name} Copy`, preset.settings) : null;
+    }
+
+    delete(id) {
+        const index = this.presets.findIndex(preset => preset.id === id);
+        if (index === -1) return false;
+
+        const [removed] = this.presets.splice(index, 1);
+        this.commit(() => this.presets.splice(index, 0, removed));
+        return true;
+    }
+
+    // Save, undoing the change in memory if storage refuses it
+    commit(undo) {
+        try {
+            this.save();
+        } catch (error) {
+            undo();
+            throw error;
+        }
+    }
+
+    // Append a number if the name is taken ('Pad', 'Pad 2', ...)
+    getUniqueName(name) {
+        const base = (name || '').trim() || 'New Preset';
+        const taken = new Set(this.getPresetList().map(preset => preset.name.toLowerCase()));
+        if (!taken.has(base.toLowerCase())) return base;
+
+        let count = 2;
+        while (taken.has(`${base} ${count}`.toLowerCase())) count++;
+        return `${base} ${count}`;
+    }
+
+    // JSON file with the given presets (all user presets by default)
+    exportJson(ids = null) {
+        const presets = this.presets
+            .filter(preset => !ids || ids.includes(preset.id))
+            .map(({ name, settings }) => ({ name, settings }));
+        return JSON.stringify({ format: PRESET_FILE_FORMAT, version: 1, presets }, null, 2);
+    }
+
+    // Add the presets from an exported file (or a single { name, settings }); returns them
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Preset file is not valid JSON');
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('No presets found in file');
+        }
+
+        const entries = Array.isArray(data.presets) ? data.presets : [data];
+        const valid = entries.filter(entry => entry && typeof entry.settings === 'object' && entry.settings !== null);
+        if (valid.length === 0) {
+            throw new Error('No presets found in file');
+        }
+
+        const count = this.presets.length;
+        try {
+            return valid.map(entry => this.create(String(entry.name || 'Imported Preset'), entry.settings));
+        } catch (error) {
+            // All or nothing: drop whatever made it in before storage filled up
+            this.presets.splice(count);
+            this.save();
+            throw error;
+        }
+    }
+
+    // Keep only the settings a preset covers, with numbers where numbers belong
+    static cleanSettings(settings) {
+        const clean = PresetManager.cleanParameters(settings, SYNTH_PARAMETERS);
+
+        if (settings.effects && typeof settings.effects === 'object') {
+            clean.effects = PresetManager.cleanEffects(settings.effects);
+        }
+        if (settings.tuning && typeof settings.tuning === 'object') {
+            clean.tuning = PresetManager.cleanTuning(settings.tuning);
+        }
+        return clean;
+    }
+
+    // Values that fit their spec: one of the options, or a number clamped to the range
+    static cleanParameters(values, specs) {
+        const clean = {};
+        Object.entries(specs).forEach(([key, spec]) => {
+            const value = values[key];
+            if (value === undefined) return;
+
+            if (spec.options) {
+                if (spec.options.includes(value)) clean[key] = value;
+            } else if (!isNaN(parseFloat(value))) {
+                clean[key] = Math.max(spec.min, Math.min(spec.max, parseFloat(value)));
+            }
+        });
+        return clean;
+    }
+
+    // Effect settings checked against EFFECT_PARAMETERS; a bad value would make every
+    // later update of the effects chain throw
+    static cleanEffects(effects) {
+        const clean = {};
+        Object.entries(EFFECT_PARAMETERS).forEach(([name, effect]) => {
+            const values = effects[name];
+            if (!values || typeof values !== 'object') return;
+
+            clean[name] = PresetManager.cleanParameters(values, effect.params);
+            if (typeof values.enabled === 'boolean') clean[name].enabled = values.enabled;
+            if (name === 'reverb' && typeof values.impulse === 'string') clean[name].impulse = values.impulse;
+        });
+        return clean;
+    }
+
+    // Tuning settings, with Scala files only when they are text
+    static cleanTuning(tuning) {
+        const clean = {};
+        ['referencePitch', 'tonic'].forEach(key => {
+            if (!isNaN(parseFloat(tuning[key]))) clean[key] = parseFloat(tuning[key]);
+        });
+        if (typeof tuning.temperament === 'string') clean.temperament = tuning.temperament;
+
+        ['scl', 'kbm'].forEach(key => {
+            const file = tuning[key];
+            if (file === null) {
+                clean[key] = null;
+            } else if (file && typeof file.text === 'string') {
+                clean[key] = { text: file.text, fileName: typeof file.fileName === 'string' ? file.fileName : '' };
+            }
+        });
+        return clean;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetManager;
+} else {
+    window.PresetManager = PresetManager;
+}
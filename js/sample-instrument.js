@@ -0,0 +1,529 @@
+// Sample Instrument Module
+// Sampled voices for the AudioEngine, loaded from SoundFont 2 (.sf2) files, SFZ
+// instruments with their WAV samples, or a single sample stretched across the keyboard
+
+// SoundFont generator numbers we use (SF2 spec section 8.1.2)
+const SF2_GENERATORS = {
+    startAddrsOffset: 0,
+    endAddrsOffset: 1,
+    startloopAddrsOffset: 2,
+    endloopAddrsOffset: 3,
+    startAddrsCoarseOffset: 4,
+    endAddrsCoarseOffset: 12,
+    pan: 17,
+    releaseVolEnv: 38,
+    instrument: 41,
+    keyRange: 43,
+    velRange: 44,
+    startloopAddrsCoarseOffset: 45,
+    initialAttenuation: 48,
+    endloopAddrsCoarseOffset: 50,
+    coarseTune: 51,
+    fineTune: 52,
+    sampleID: 53,
+    sampleModes: 54,
+    overridingRootKey: 58
+};
+
+// Generators that hold signed amounts rather than unsigned values or ranges
+const SF2_SIGNED_GENERATORS = [0, 1, 2, 3, 4, 12, 17, 38, 45, 50, 51, 52, 58];
+
+class SampleInstrument {
+    constructor(name, zones = []) {
+        this.name = name;
+
+        // Each zone maps a key and velocity range to a sample:
+        // { buffer, lowKey, highKey, lowVelocity, highVelocity, rootKey, tune (cents),
+        //   gain, pan (-1..1), loopMode, loopStart, loopEnd (seconds), release (seconds or null) }
+        this.zones = zones;
+    }
+
+    // Zone for a MIDI note at a velocity (0-1): an exact key and velocity match,
+    // otherwise the zone whose range is nearest so every key still sounds
+    findZone(midi, velocity = 0.8) {
+        const velocity127 = Math.round(Math.max(0, Math.min(1, velocity)) * 127);
+
+        const exact = this.zones.find(zone =>
+            midi >= zone.lowKey && midi <= zone.highKey &&
+            velocity127 >= zone.lowVelocity && velocity127 <= zone.highVelocity
+        );
+        if (exact) return exact;
+
+        let best = null;
+        let bestDistance = Infinity;
+        this.zones.forEach(zone => {
+            const keyDistance = midi < zone.lowKey ? zone.lowKey - midi : Math.max(0, midi - zone.highKey);
+            const velocityDistance = velocity127 < zone.lowVelocity
+                ? zone.lowVelocity - velocity127
+                : Math.max(0, velocity127 - zone.highVelocity);
+            const distance = keyDistance * 128 + velocityDistance;
+            if (distance < bestDistance) {
+                best = zone;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    // Buffer source for a note, pitch-shifted from the zone's root key and looped if the zone loops
+    createSource(audioContext, midi, velocity = 0.8, tuneCents = 0) {
+        const zone = this.findZone(midi, velocity);
+        if (!zone) return null;
+
+        const source = audioContext.createBufferSource();
+        source.buffer = zone.buffer;
+        source.playbackRate.value = Math.pow(2, ((midi - zone.rootKey) * 100 + zone.tune + tuneCents) / 1200);
+
+        if (zone.loopMode !== 'no_loop' && zone.loopEnd > zone.loopStart) {
+            source.loop = true;
+            source.loopStart = zone.loopStart;
+            source.loopEnd = zone.loopEnd;
+        }
+
+        return { source: source, zone: zone };
+    }
+
+    // Load from a list of local files: an .sf2, an .sfz plus its samples, or one audio sample
+    static async fromFiles(files, audioContext) {
+        const fileList = Array.from(files);
+        const soundFont = fileList.find(file => /\.sf2$/i.test(file.name));
+        const sfz = fileList.find(file => /\.sfz$/i.test(file.name));
+
+        if (soundFont) {
+            return this.fromSf2(await soundFont.arrayBuffer(), audioContext, { name: soundFont.name });
+        }
+
+        if (sfz) {
+            // SFZ sample paths are relative; match them to the chosen files by name
+            const loadFile = async (path) => {
+                const fileName = path.split('/').pop().toLowerCase();
+                const file = fileList.find(f => (f.webkitRelativePath || f.name).toLowerCase().endsWith(path.toLowerCase())) ||
+                    fileList.find(f => f.name.toLowerCase() === fileName);
+                if (!file) throw new Error(`Sample "${path}" was not among the selected files`);
+                return file.arrayBuffer();
+            };
+            return this.fromSfz(await sfz.text(), loadFile, audioContext, { name: sfz.name });
+        }
+
+        const sample = fileList.find(file => /\.(wav|flac|ogg|mp3)$/i.test(file.name));
+        if (sample) {
+            return this.fromSample(await sample.arrayBuffer(), audioContext, { name: sample.name });
+        }
+
+        throw new Error('Choose an .sf2 file, an .sfz file with its samples, or an audio sample');
+    }
+
+    // Load a bundled instrument by URL; SFZ sample paths resolve against the .sfz location
+    static async fromUrl(url, audioContext, options = {}) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+
+        const name = options.name || url.split('/').pop();
+        if (/\.sf2$/i.test(url)) {
+            return this.fromSf2(await response.arrayBuffer(), audioContext, { ...options, name });
+        }
+        if (/\.sfz$/i.test(url)) {
+            const baseUrl = new URL(url, window.location.href);
+            const loadFile = async (path) => {
+                const sampleResponse = await fetch(new URL(path, baseUrl));
+                if (!sampleResponse.ok) throw new Error(`Could not load sample ${path} (${sampleResponse.status})`);
+                return sampleResponse.arrayBuffer();
+            };
+            return this.fromSfz(await response.text(), loadFile, audioContext, { ...options, name });
+        }
+        return this.fromSample(await response.arrayBuffer(), audioContext, { ...options, name });
+    }
+
+    // One sample across the whole keyboard, pitched from its root key (read from
+    // the WAV 'smpl' chunk when present, otherwise middle C)
+    static async fromSample(arrayBuffer, audioContext, options = {}) {
+        const loop = this.readWavLoop(arrayBuffer);
+        const buffer = await audioContext.decodeAudioData(arrayBuffer.slice(0));
+        const rootKey = options.rootKey || (loop && loop.rootKey) || 60;
+
+        return new SampleInstrument(options.name || 'Sample', [{
+            buffer: buffer,
+            lowKey: 0,
+            highKey: 127,
+            lowVelocity: 0,
+            highVelocity: 127,
+            rootKey: rootKey,
+            tune: 0,
+            gain: 1,
+            pan: 0,
+            loopMode: loop && loop.end > loop.start ? 'loop_continuous' : 'no_loop',
+            loopStart: loop ? loop.start / buffer.sampleRate : 0,
+            loopEnd: loop ? loop.end / buffer.sampleRate : 0,
+            release: null
+        }]);
+    }
+
+    // Parse an SFZ instrument. loadFile(path) resolves a sample path to an ArrayBuffer
+    static async fromSfz(text, loadFile, audioContext, options = {}) {
+        const regions = this.parseSfz(text);
+        if (regions.length === 0) throw new Error('The SFZ file has no <region> with a sample');
+
+        // Decode each sample once, however many regions share it
+        const samples = new Map();
+        const loadSample = (path) => {
+            if (!samples.has(path)) {
+                samples.set(path, loadFile(path).then(async (arrayBuffer) => ({
+                    loop: this.readWavLoop(arrayBuffer),
+                    buffer: await audioContext.decodeAudioData(arrayBuffer.slice(0))
+                })));
+            }
+            return samples.get(path);
+        };
+
+        const zones = await Promise.all(regions.map(async (region) => {
+            const { buffer, loop } = await loadSample(region.sample);
+            const rate = buffer.sampleRate;
+
+            const loopStart = region.loop_start !== undefined ? region.loop_start : (loop ? loop.start : 0);
+            const loopEnd = region.loop_end !== undefined ? region.loop_end : (loop ? loop.end : 0);
+            const loopMode = region.loop_mode || (loop && loop.end > loop.start ? 'loop_continuous' : 'no_loop');
+            const keyCenter = region.pitch_keycenter !== undefined ? region.pitch_keycenter : (loop && loop.rootKey) || 60;
+
+            return {
+                buffer: buffer,
+                lowKey: region.lokey !== undefined ? region.lokey : 0,
+                highKey: region.hikey !== undefined ? region.hikey : 127,
+                lowVelocity: region.lovel !== undefined ? region.lovel : 0,
+                highVelocity: region.hivel !== undefined ? region.hivel : 127,
+                rootKey: keyCenter - (region.transpose || 0),
+                tune: region.tune || 0,
+                gain: Math.pow(10, (region.volume || 0) / 20),
+                pan: Math.max(-1, Math.min(1, (region.pan || 0) / 100)),
+                loopMode: loopMode === 'one_shot' ? 'no_loop' : loopMode,
+                loopStart: loopStart / rate,
+                loopEnd: loopEnd / rate,
+                release: region.ampeg_release !== undefined ? region.ampeg_release : null
+            };
+        }));
+
+        return new SampleInstrument(options.name || 'SFZ', zones);
+    }
+
+    // Flatten SFZ headers into regions, each with the opcodes it inherits from
+    // <control>, <global>, <master> and <group>
+    static parseSfz(text) {
+        const numeric = ['lokey', 'hikey', 'key', 'pitch_keycenter', 'lovel', 'hivel', 'loop_start', 'loop_end',
+            'loopstart', 'loopend', 'tune', 'transpose', 'volume', 'pan', 'ampeg_release'];
+        const noteOpcodes = ['lokey', 'hikey', 'key', 'pitch_keycenter'];
+
+        const scopes = { control: {}, global: {}, master: {}, group: {} };
+        const regions = [];
+        let current = null;
+        let currentHeader = null;
+
+        const defines = {};
+        const cleaned = text
+            .replace(/\/\*[\s\S]*?\*\//g, '')
+            .replace(/\/\/.*$/gm, '')
+            .replace(/^\s*#define\s+(\$\w+)\s+(.*)$/gm, (match, name, value) => {
+                defines[name] = value.trim();
+                return '';
+            })
+            .replace(/\$\w+/g, name => defines[name] !== undefined ? defines[name] : name);
+
+        const finishRegion = () => {
+            if (currentHeader === 'region' && current) {
+                const region = {
+                    ...scopes.global, ...scopes.master, ...scopes.group, ...current
+                };
+                if (region.sample) {
+                    const path = (scopes.control.default_path || '') + region.sample;
+                    region.sample = path.replace(/\\/g, '/');
+                    regions.push(region);
+                }
+            }
+        };
+
+        const tokenPattern = /<(\w+)>|([A-Za-z0-9_]+)=/g;
+        cleaned.split(/\r?\n/).forEach(line => {
+            const tokens = [];
+            let match;
+            while ((match = tokenPattern.exec(line)) !== null) {
+                tokens.push({ header: match[1], opcode: match[2], index: match.index, end: tokenPattern.lastIndex });
+            }
+
+            tokens.forEach((token, index) => {
+                if (token.header) {
+                    finishRegion();
+                    currentHeader = token.header;
+                    current = {};
+                    if (scopes[currentHeader]) {
+                        // A new header resets itself and everything below it
+                        const order = ['control', 'global', 'master', 'group'];
+                        order.slice(order.indexOf(currentHeader)).forEach(name => { scopes[name] = {}; });
+                        current = scopes[currentHeader];
+                    }
+                    return;
+                }
+                if (!current) return;
+
+                const next = tokens[index + 1];
+                let value = line.slice(token.end, next ? next.index : line.length).trim();
+                const opcode = token.opcode === 'loopstart' ? 'loop_start' : token.opcode === 'loopend' ? 'loop_end' : token.opcode;
+
+                if (noteOpcodes.includes(token.opcode)) {
+                    value = this.parseSfzKey(value);
+                } else if (numeric.includes(token.opcode)) {
+                    value = parseFloat(value);
+                }
+
+                if (opcode === 'key') {
+                    current.lokey = value;
+                    current.hikey = value;
+                    current.pitch_keycenter = value;
+                } else {
+                    current[opcode] = value;
+                }
+            });
+        });
+        finishRegion();
+
+        return regions;
+    }
+
+    // SFZ keys are MIDI numbers or note names with middle C as c4
+    static parseSfzKey(value) {
+        if (/^-?\d+$/.test(value)) return parseInt(value);
+        const match = value.match(/^([A-Ga-g](?:#|b)?)(-?\d+)$/);
+        if (!match) return parseInt(value);
+        return MusicTheory.noteToMidi(match[1].charAt(0).toUpperCase() + match[1].slice(1), parseInt(match[2]));
+    }
+
+    // Loop points and unity note from a WAV file's 'smpl' chunk, in sample frames
+    static readWavLoop(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        if (view.byteLength < 12 || this.readFourCC(view, 0) !== 'RIFF' || this.readFourCC(view, 8) !== 'WAVE') return null;
+
+        let offset = 12;
+        while (offset + 8 <= view.byteLength) {
+            const id = this.readFourCC(view, offset);
+            const size = view.getUint32(offset + 4, true);
+            if (id === 'smpl' && size >= 36) {
+                const rootKey = view.getUint32(offset + 8 + 12, true);
+                const loopCount = view.getUint32(offset + 8 + 28, true);
+                if (loopCount > 0 && size >= 60) {
+                    return {
+                        rootKey: rootKey,
+                        start: view.getUint32(offset + 8 + 36 + 8, true),
+                        end: view.getUint32(offset + 8 + 36 + 12, true) + 1
+                    };
+                }
+                return { rootKey: rootKey, start: 0, end: 0 };
+            }
+            offset += 8 + size + (size % 2);
+        }
+        return null;
+    }
+
+    // Parse a SoundFont 2 file into zones for one preset (the first by bank and
+    // program unless options.bank / options.program pick another)
+    static fromSf2(arrayBuffer, audioContext, options = {}) {
+        const view = new DataView(arrayBuffer);
+        if (this.readFourCC(view, 0) !== 'RIFF' || this.readFourCC(view, 8) !== 'sfbk') {
+            throw new Error('Not a SoundFont 2 file');
+        }
+
+        const chunks = this.readRiffChunks(view, 12, view.byteLength);
+        if (!chunks.smpl || !chunks.phdr || !chunks.shdr) {
+            throw new Error('The SoundFont is missing sample or preset data');
+        }
+
+        const presets = this.readRecords(view, chunks.phdr, 38, (o) => ({
+            name: this.readString(view, o, 20),
+            program: view.getUint16(o + 20, true),
+            bank: view.getUint16(o + 22, true),
+            bagIndex: view.getUint16(o + 24, true)
+        }));
+        const presetBags = this.readRecords(view, chunks.pbag, 4, (o) => view.getUint16(o, true));
+        const presetGens = this.readRecords(view, chunks.pgen, 4, (o) => this.readGenerator(view, o));
+        const instruments = this.readRecords(view, chunks.inst, 22, (o) => ({
+            name: this.readString(view, o, 20),
+            bagIndex: view.getUint16(o + 20, true)
+        }));
+        const instrumentBags = this.readRecords(view, chunks.ibag, 4, (o) => view.getUint16(o, true));
+        const instrumentGens = this.readRecords(view, chunks.igen, 4, (o) => this.readGenerator(view, o));
+        const sampleHeaders = this.readRecords(view, chunks.shdr, 46, (o) => ({
+            name: this.readString(view, o, 20),
+            start: view.getUint32(o + 20, true),
+            end: view.getUint32(o + 24, true),
+            loopStart: view.getUint32(o + 28, true),
+            loopEnd: view.getUint32(o + 32, true),
+            sampleRate: view.getUint32(o + 36, true),
+            originalPitch: view.getUint8(o + 40),
+            pitchCorrection: view.getInt8(o + 41)
+        }));
+
+        // The last record of each list is a terminator
+        const choices = presets.slice(0, -1)
+            .map((preset, index) => ({ ...preset, index }))
+            .sort((a, b) => a.bank - b.bank || a.program - b.program);
+        const preset = choices.find(p =>
+            (options.bank === undefined || p.bank === options.bank) &&
+            (options.program === undefined || p.program === options.program)
+        ) || choices[0];
+        if (!preset) throw new Error('The SoundFont has no presets');
+
+        const presetZones = this.readZones(presets, preset.index, presetBags, presetGens, SF2_GENERATORS.instrument);
+        const samples = new Int16Array(arrayBuffer, chunks.smpl.offset, Math.floor(chunks.smpl.size / 2));
+        const buffers = new Map();
+        const zones = [];
+
+        presetZones.zones.forEach(presetZone => {
+            const presetGenerators = { ...presetZones.global, ...presetZone };
+            const instrumentZones = this.readZones(instruments, presetGenerators[SF2_GENERATORS.instrument],
+                instrumentBags, instrumentGens, SF2_GENERATORS.sampleID);
+
+            instrumentZones.zones.forEach(instrumentZone => {
+                const generators = { ...instrumentZones.global, ...instrumentZone };
+                const header = sampleHeaders[generators[SF2_GENERATORS.sampleID]];
+                if (!header || header.sampleRate === 0) return;
+
+                const keyRange = this.intersectRanges(generators[SF2_GENERATORS.keyRange], presetGenerators[SF2_GENERATORS.keyRange]);
+                const velocityRange = this.intersectRanges(generators[SF2_GENERATORS.velRange], presetGenerators[SF2_GENERATORS.velRange]);
+                if (!keyRange || !velocityRange) return;
+
+                // Instrument generators set values; preset generators add to them
+                const value = (generator) => (generators[generator] || 0);
+                const added = (generator) => value(generator) + (presetGenerators[generator] || 0);
+
+                const start = header.start + value(SF2_GENERATORS.startAddrsOffset) + value(SF2_GENERATORS.startAddrsCoarseOffset) * 32768;
+                const end = header.end + value(SF2_GENERATORS.endAddrsOffset) + value(SF2_GENERATORS.endAddrsCoarseOffset) * 32768;
+                const loopStart = header.loopStart + value(SF2_GENERATORS.startloopAddrsOffset) + value(SF2_GENERATORS.startloopAddrsCoarseOffset) * 32768;
+                const loopEnd = header.loopEnd + value(SF2_GENERATORS.endloopAddrsOffset) + value(SF2_GENERATORS.endloopAddrsCoarseOffset) * 32768;
+                if (end <= start || end > samples.length) return;
+
+                const bufferKey = `${start}:${end}:${header.sampleRate}`;
+                if (!buffers.has(bufferKey)) {
+                    const buffer = audioContext.createBuffer(1, end - start, header.sampleRate);
+                    const channel = buffer.getChannelData(0);
+                    for (let i = 0; i < end - start; i++) {
+                        channel[i] = samples[start + i] / 32768;
+                    }
+                    buffers.set(bufferKey, buffer);
+                }
+
+                const overridingRootKey = generators[SF2_GENERATORS.overridingRootKey];
+                const rootKey = overridingRootKey !== undefined && overridingRootKey >= 0
+                    ? overridingRootKey
+                    : (header.originalPitch <= 127 ? header.originalPitch : 60);
+                const sampleModes = value(SF2_GENERATORS.sampleModes);
+                const releaseTimecents = generators[SF2_GENERATORS.releaseVolEnv] !== undefined ? added(SF2_GENERATORS.releaseVolEnv) : null;
+
+                zones.push({
+                    buffer: buffers.get(bufferKey),
+                    lowKey: keyRange[0],
+                    highKey: keyRange[1],
+                    lowVelocity: velocityRange[0],
+                    highVelocity: velocityRange[1],
+                    rootKey: rootKey,
+                    tune: added(SF2_GENERATORS.coarseTune) * 100 + added(SF2_GENERATORS.fineTune) + header.pitchCorrection,
+                    gain: Math.pow(10, -added(SF2_GENERATORS.initialAttenuation) / 200),
+                    pan: Math.max(-1, Math.min(1, added(SF2_GENERATORS.pan) / 500)),
+                    loopMode: sampleModes === 1 ? 'loop_continuous' : sampleModes === 3 ? 'loop_sustain' : 'no_loop',
+                    loopStart: (loopStart - start) / header.sampleRate,
+                    loopEnd: (loopEnd - start) / header.sampleRate,
+                    release: releaseTimecents !== null ? Math.pow(2, releaseTimecents / 1200) : null
+                });
+            });
+        });
+
+        if (zones.length === 0) throw new Error(`The preset "${preset.name}" has no playable samples`);
+        return new SampleInstrument(options.name ? `${options.name} (${preset.name})` : preset.name, zones);
+    }
+
+    // Zones of a preset or instrument as generator maps; a first zone without the
+    // terminal generator (instrument or sampleID) is the global zone
+    static readZones(items, index, bags, generators, terminalGenerator) {
+        const item = items[index];
+        const nextItem = items[index + 1];
+        if (!item || !nextItem) return { global: {}, zones: [] };
+
+        let global = {};
+        const zones = [];
+        for (let bag = item.bagIndex; bag < nextItem.bagIndex; bag++) {
+            const zone = {};
+            for (let gen = bags[bag]; gen < bags[bag + 1]; gen++) {
+                zone[generators[gen].operator] = generators[gen].amount;
+            }
+
+            if (zone[terminalGenerator] !== undefined) {
+                zones.push(zone);
+            } else if (bag === item.bagIndex) {
+                global = zone;
+            }
+        }
+        return { global, zones };
+    }
+
+    static readGenerator(view, offset) {
+        const operator = view.getUint16(offset, true);
+        let amount;
+        if (operator === SF2_GENERATORS.keyRange || operator === SF2_GENERATORS.velRange) {
+            amount = [view.getUint8(offset + 2), view.getUint8(offset + 3)];
+        } else if (SF2_SIGNED_GENERATORS.includes(operator)) {
+            amount = view.getInt16(offset + 2, true);
+        } else {
+            amount = view.getUint16(offset + 2, true);
+        }
+        return { operator, amount };
+    }
+
+    static intersectRanges(a = [0, 127], b = [0, 127]) {
+        const low = Math.max(a[0], b[0]);
+        const high = Math.min(a[1], b[1]);
+        return low <= high ? [low, high] : null;
+    }
+
+    // Offsets and sizes of every sub-chunk, descending into LIST chunks
+    static readRiffChunks(view, start, end, chunks = {}) {
+        let offset = start;
+        while (offset + 8 <= end) {
+            const id = this.readFourCC(view, offset);
+            const size = view.getUint32(offset + 4, true);
+            if (id === 'LIST') {
+                this.readRiffChunks(view, offset + 12, Math.min(end, offset + 8 + size), chunks);
+            } else {
+                chunks[id] = { offset: offset + 8, size: size };
+            }
+            offset += 8 + size + (size % 2);
+        }
+        return chunks;
+    }
+
+    static readRecords(view, chunk, recordSize, read) {
+        if (!chunk) return [];
+        const records = [];
+        for (let offset = chunk.offset; offset + recordSize <= chunk.offset + chunk.size; offset += recordSize) {
+            records.push(read(offset));
+        }
+        return records;
+    }
+
+    static readFourCC(view, offset) {
+        return String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+        );
+    }
+
+    static readString(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            const code = view.getUint8(offset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text.trim();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SampleInstrument;
+} else {
+    window.SampleInstrument = SampleInstrument;
+}
@@ -0,0 +1,239 @@
+// Take Library Module
+// Recordings saved in IndexedDB with their name, date, tempo, preset and duration
+
+const TAKE_DB_NAME = 'tunelearn-takes';
+const TAKE_DB_VERSION = 1;
+const TAKE_STORE = 'takes';
+
+// Share of the browser's storage quota past which the library warns
+const TAKE_QUOTA_WARNING = 0.9;
+
+class TakeLibrary {
+    constructor(indexedDb = window.indexedDB) {
+        this.indexedDb = indexedDb || null;
+        this.db = null;
+        this.opening = null;
+        this.persistenceRequested = false;
+    }
+
+    get isAvailable() {
+        return !!this.indexedDb;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!this.indexedDb) {
+            return Promise.reject(new Error('Takes cannot be saved in this browser (no IndexedDB)'));
+        }
+
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = this.indexedDb.open(TAKE_DB_NAME, TAKE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(TAKE_STORE, { keyPath: 'id' });
+                    store.createIndex('date', 'date');
+                    store.createIndex('name', 'name'); // Names alone, for picking the next default name
+                };
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    resolve(this.db);
+                };
+                request.onerror = () => {
+                    this.opening = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.opening;
+    }
+
+    // Run one store request; resolves with its result once the transaction commits
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(TAKE_STORE, mode);
+            const request = operation(transaction.objectStore(TAKE_STORE));
+            const fail = () => reject(TakeLibrary.describeError(transaction.error || request.error));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+        });
+    }
+
+    // Save a recording: details { name, tempo, beatsPerBar, beatUnit, preset }
+    async saveTake(events, details = {}) {
+        const name = details.name || TakeLibrary.getNextName(await this.getTakeNames());
+        const now = Date.now();
+        const take = {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name,
+            date: now,
+            tempo: details.tempo || null,
+            beatsPerBar: details.beatsPerBar || null,
+            beatUnit: details.beatUnit || null,
+            preset: details.preset || null,
+            duration: TakeLibrary.getDuration(events),
+            events: events
+        };
+
+        await this.checkQuota(take);
+        await this.run('readwrite', store => store.put(take));
+        this.requestPersistence();
+        return take;
+    }
+
+    // Every take, newest first
+    async getTakes() {
+        const takes = await this.run('readonly', store => store.getAll());
+        return takes.sort((a, b) => b.date - a.date);
+    }
+
+    // Every take's name, read from the name index without loading any events
+    async getTakeNames() {
+        const names = [];
+        await this.run('readonly', store => {
+            const request = store.index('name').openKeyCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                names.push(cursor.key);
+                cursor.continue();
+            };
+            return request;
+        });
+        return names;
+    }
+
+    async getTake(id) {
+        return (await this.run('readonly', store => store.get(id))) || null;
+    }
+
+    async renameTake(id, name) {
+        const take = await this.getTake(id);
+        const trimmed = (name || '').trim();
+        if (!take || !trimmed) return take;
+
+        take.name = trimmed;
+        await this.run('readwrite', store => store.put(take));
+        return take;
+    }
+
+    // Replace a take's events after editing; its duration follows them
+    async updateTake(id, events) {
+        const take = await this.getTake(id);
+        if (!take) return null;
+
+        take.events = events;
+        take.duration = TakeLibrary.getDuration(events);
+        await this.checkQuota(take);
+        await this.run('readwrite', store => store.put(take));
+        return take;
+    }
+
+    async duplicateTake(id) {
+        const take = await this.getTake(id);
+        if (!take) return null;
+
+        const { id: originalId, date, events, name, ...details } = take;
+        return this.saveTake(events, { ...details, name: `${name} Copy` });
+    }
+
+    async deleteTake(id) {
+        await this.run('readwrite', store => store.delete(id));
+    }
+
+    // Refuse a take the quota can't hold instead of letting the write fail halfway
+    async checkQuota(take) {
+        const storage = await this.getStorageInfo();
+        if (!storage) return;
+
+        const size = JSON.stringify(take).length * 2;
+        if (storage.usage + size > storage.quota) {
+            throw TakeLibrary.describeError({ name: 'QuotaExceededError' });
+        }
+    }
+
+    // { usage, quota, nearlyFull } in bytes, or null where the browser can't tell
+    async getStorageInfo() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            if (!quota) return null;
+            return { usage, quota, nearlyFull: usage / quota > TAKE_QUOTA_WARNING };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Ask once for persistent storage so the browser doesn't evict takes when space runs low
+    requestPersistence() {
+        if (this.persistenceRequested || typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) return;
+
+        this.persistenceRequested = true;
+        navigator.storage.persist().catch(() => {});
+    }
+
+    // First 'Take N' not already used, counting on from the number of takes
+    static getNextName(names) {
+        const taken = new Set(names);
+        let count = names.length + 1;
+        while (taken.has(`Take ${count}`)) count++;
+        return `Take ${count}`;
+    }
+
+    // Milliseconds from the start of a recording to its last event
+    static getDuration(events) {
+        return events.reduce((end, event) => Math.max(end, event.time), 0);
+    }
+
+    // Figures for comparing takes: note count, velocity, note lengths, range and pace
+    static getStats(take) {
+        const noteOns = take.events.filter(event => event.type === 'noteOn');
+        const velocities = noteOns.map(event => event.velocity !== undefined ? event.velocity : 0.8);
+        const pitches = noteOns.map(event => MusicTheory.noteToMidi(event.note, event.octave));
+
+        // Pair each note off with the earliest unmatched note on of the same key
+        const open = new Map();
+        const lengths = [];
+        [...take.events].sort((a, b) => a.time - b.time).forEach(event => {
+            const key = `${event.note}${event.octave}`;
+            if (event.type === 'noteOn') {
+                if (!open.has(key)) open.set(key, []);
+                open.get(key).push(event.time);
+            } else if (event.type === 'noteOff' && open.has(key) && open.get(key).length > 0) {
+                lengths.push(event.time - open.get(key).shift());
+            }
+        });
+
+        const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+        const minutes = take.duration / 60000;
+
+        return {
+            notes: noteOns.length,
+            duration: take.duration,
+            notesPerMinute: minutes > 0 ? noteOns.length / minutes : 0,
+            averageVelocity: average(velocities),
+            velocityRange: velocities.length > 0 ? Math.max(...velocities) - Math.min(...velocities) : 0,
+            averageNoteLength: average(lengths),
+            lowestNote: pitches.length > 0 ? MusicTheory.midiToNote(Math.min(...pitches)).fullName : null,
+            highestNote: pitches.length > 0 ? MusicTheory.midiToNote(Math.max(...pitches)).fullName : null
+        };
+    }
+
+    // Readable errors, quota errors in particular
+    static describeError(error) {
+        if (error && error.name === 'QuotaExceededError') {
+            return new Error('Storage is full: delete or export some takes to save new ones');
+        }
+        return error instanceof Error ? error : new Error((error && error.message) || 'Take storage failed');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TakeLibrary;
+} else {
+    window.TakeLibrary = TakeLibrary;
+}
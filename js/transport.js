@@ -0,0 +1,185 @@
+// Transport Module
+// Lookahead scheduler on the audio clock: callbacks run a little early and are handed
+// the exact audioContext time to schedule their sound at, so timer jitter never reaches the audio
+
+class Transport {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+
+        // Pending events: { id, time } for clock times or { id, beat, every } for beat positions
+        this.events = [];
+        this.nextEventId = 1;
+        this.timerId = null;
+
+        // Beat clock: the beat at anchorTime, counting at bpm from there
+        this.bpm = 120;
+        this.isRunning = false;
+        this.anchorTime = 0;
+        this.anchorBeat = 0;
+
+        // Scheduler settings
+        this.settings = {
+            lookahead: 0.1,   // Seconds of audio scheduled ahead of the clock
+            tickMs: 25,       // How often the scheduler wakes up
+            startDelay: 0.05  // Lead time before the first beat so it isn't late
+        };
+    }
+
+    // Start the beat clock at beat 0
+    start(bpm = this.bpm) {
+        this.bpm = bpm;
+        this.anchorTime = this.audioContext.currentTime + this.settings.startDelay;
+        this.anchorBeat = 0;
+        this.isRunning = true;
+        this.ensureTimer();
+    }
+
+    // Stop the beat clock and drop its events; clock-time events still play
+    stop() {
+        this.isRunning = false;
+        this.events = this.events.filter(event => event.time !== undefined);
+    }
+
+    // Change tempo from now on; beats already counted keep their place
+    setTempo(bpm) {
+        if (this.isRunning) {
+            const now = Math.max(this.audioContext.currentTime, this.anchorTime);
+            this.anchorBeat = this.getBeatAt(now);
+            this.anchorTime = now;
+        }
+        this.bpm = bpm;
+    }
+
+    // Beat position at an audio time
+    getBeatAt(time) {
+        return this.anchorBeat + (time - this.anchorTime) * this.bpm / 60;
+    }
+
+    // Audio time of a beat position
+    getTimeAtBeat(beat) {
+        return this.anchorTime + (beat - this.anchorBeat) * 60 / this.bpm;
+    }
+
+    getCurrentBeat() {
+        return this.isRunning ? this.getBeatAt(this.audioContext.currentTime) : 0;
+    }
+
+    // Run callback(time) for an audio clock time
+    scheduleAt(time, callback) {
+        return this.addEvent({ time, callback });
+    }
+
+    // Schedule many [{ time, callback }] at once, scanning the queue once rather than
+    // once per event. Returns their ids in order
+    scheduleAll(items) {
+        const ids = items.map(item => {
+            const event = { time: item.time, callback: item.callback, id: this.nextEventId++ };
+            this.events.push(event);
+            return event.id;
+        });
+        if (ids.length > 0) {
+            this.ensureTimer();
+            this.tick();
+        }
+        return ids;
+    }
+
+    // Run callback(time) a number of seconds from now
+    scheduleIn(seconds, callback) {
+        return this.scheduleAt(this.audioContext.currentTime + seconds, callback);
+    }
+
+    // Run callback(time) at a beat position of the running clock
+    scheduleBeat(beat, callback) {
+        return this.addEvent({ beat, callback });
+    }
+
+    // Run callback(time, count) every few beats, from startBeat on
+    repeat(everyBeats, callback, startBeat = 0) {
+        return this.addEvent({ beat: startBeat, every: everyBeats, count: 0, callback });
+    }
+
+    addEvent(event) {
+        event.id = this.nextEventId++;
+        this.events.push(event);
+        this.ensureTimer();
+        this.tick();
+        return event.id;
+    }
+
+    // Drop one event, or a list of them in a single pass
+    cancel(ids) {
+        const cancelled = new Set(Array.isArray(ids) ? ids : [ids]);
+        if (cancelled.size === 0) return;
+        this.events = this.events.filter(event => !cancelled.has(event.id));
+    }
+
+    cancelAll() {
+        this.events = [];
+    }
+
+    // Run a main-thread callback (display updates) when the clock reaches a time
+    runAt(time, callback) {
+        const delay = Math.max(0, (time - this.audioContext.currentTime) * 1000);
+        return setTimeout(callback, delay);
+    }
+
+    ensureTimer() {
+        if (this.timerId === null) {
+            this.timerId = setInterval(() => this.tick(), this.settings.tickMs);
+        }
+    }
+
+    // Hand every event inside the lookahead window to its callback
+    tick() {
+        const horizon = this.audioContext.currentTime + this.settings.lookahead;
+        const due = [];
+
+        this.events.forEach(event => {
+            if (event.time !== undefined) {
+                if (event.time < horizon) due.push({ event, time: event.time });
+                return;
+            }
+            if (!this.isRunning) return;
+
+            let time = this.getTimeAtBeat(event.beat);
+            while (time < horizon) {
+                due.push({ event, time, count: event.count });
+                if (!event.every) break;
+
+                event.beat += event.every;
+                event.count++;
+                time = this.getTimeAtBeat(event.beat);
+            }
+        });
+
+        // One-shot events are done once they are handed out
+        const dueIds = new Set(due.filter(item => !item.event.every).map(item => item.event.id));
+        this.events = this.events.filter(event => !dueIds.has(event.id));
+
+        due.sort((a, b) => a.time - b.time)
+            .forEach(item => item.event.callback(Math.max(item.time, this.audioContext.currentTime), item.count));
+
+        if (this.events.length === 0 && !this.isRunning) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    // Cleanup
+    destroy() {
+        this.stop();
+        this.cancelAll();
+        if (this.timerId !== null) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Transport;
+} else {
+    window.Transport = Transport;
+}
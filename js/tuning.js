@@ -0,0 +1,255 @@
+// Tuning Module
+// Reference pitch, historical temperaments and Scala (.scl/.kbm) tunings for voice frequencies
+
+// Cents above the tonic for each semitone of the octave, for a temperament built on C
+const TEMPERAMENTS = {
+    equal: {
+        name: 'Equal Temperament',
+        cents: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100]
+    },
+    pythagorean: {
+        name: 'Pythagorean',
+        cents: [0, 113.69, 203.91, 294.13, 407.82, 498.04, 611.73, 701.96, 815.64, 905.87, 996.09, 1109.78]
+    },
+    meantone: {
+        name: 'Quarter-Comma Meantone',
+        cents: [0, 76.05, 193.16, 310.26, 386.31, 503.42, 579.47, 696.58, 772.63, 889.74, 1006.84, 1082.89]
+    },
+    werckmeister3: {
+        name: 'Werckmeister III',
+        cents: [0, 90.22, 192.18, 294.13, 390.22, 498.04, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18]
+    },
+    kirnberger3: {
+        name: 'Kirnberger III',
+        cents: [0, 90.22, 193.16, 294.13, 386.31, 498.04, 590.22, 696.58, 792.18, 889.74, 996.09, 1088.27]
+    },
+    just: {
+        name: 'Just Intonation',
+        cents: [0, 111.73, 203.91, 315.64, 386.31, 498.04, 590.22, 701.96, 813.69, 884.36, 1017.60, 1088.27]
+    }
+};
+
+class Tuning {
+    constructor(settings = {}) {
+        // Parsed Scala files; a scale replaces the temperament while it is loaded
+        this.scale = null;   // { description, cents: [...], source, fileName }
+        this.mapping = null; // { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, map, source, fileName }
+
+        // Tuning settings
+        this.settings = {
+            referencePitch: 440,   // A4 in Hz
+            temperament: 'equal',  // Key of TEMPERAMENTS
+            tonic: 0               // Pitch class the temperament is built on (0 = C)
+        };
+
+        this.updateSettings(settings);
+    }
+
+    // Frequency of a MIDI note, or null if a keyboard mapping leaves it unmapped
+    getFrequency(midi) {
+        if (this.scale) {
+            return this.getScalaFrequency(midi);
+        }
+
+        const { referencePitch, temperament, tonic } = this.settings;
+        const cents = (TEMPERAMENTS[temperament] || TEMPERAMENTS.equal).cents;
+
+        // Deviation from equal temperament, rotated onto the tonic; A stays on the reference
+        const deviation = (pitchClass) => {
+            const degree = ((pitchClass - tonic) % 12 + 12) % 12;
+            return cents[degree] - degree * 100;
+        };
+        const offset = deviation(((midi % 12) + 12) % 12) - deviation(9);
+
+        return referencePitch * Math.pow(2, ((midi - 69) * 100 + offset) / 1200);
+    }
+
+    // Cents away from 12-TET at A4 = 440, for detuning sampled voices
+    getCentsOffset(midi) {
+        const frequency = this.getFrequency(midi);
+        if (frequency === null) return null;
+        return 1200 * Math.log2(frequency / MusicTheory.midiToFrequency(midi));
+    }
+
+    // Scala frequency: the note's scale degree relative to the mapping's reference note
+    getScalaFrequency(midi) {
+        const mapping = this.mapping || this.getDefaultMapping();
+        if (midi < mapping.firstNote || midi > mapping.lastNote) return null;
+
+        const degree = this.getScaleDegree(midi, mapping);
+        const referenceDegree = this.getScaleDegree(mapping.referenceNote, mapping);
+        if (degree === null) return null;
+
+        // A reference note the mapping leaves out is treated as the middle note
+        const referenceCents = referenceDegree !== null ? this.getDegreeCents(referenceDegree) : 0;
+        return mapping.referenceFrequency * Math.pow(2, (this.getDegreeCents(degree) - referenceCents) / 1200);
+    }
+
+    // Scale degree a key plays (counting whole periods), or null for an unmapped key
+    getScaleDegree(midi, mapping) {
+        const steps = midi - mapping.middleNote;
+        if (mapping.size === 0) return steps;
+
+        const octaves = Math.floor(steps / mapping.size);
+        const mapped = mapping.map[steps - octaves * mapping.size];
+        if (mapped === null || mapped === undefined) return null;
+
+        const octaveDegree = mapping.octaveDegree || this.scale.cents.length;
+        return mapped + octaves * octaveDegree;
+    }
+
+    // Cents of a scale degree above degree 0; the scale's last entry is its period
+    getDegreeCents(degree) {
+        const cents = this.scale.cents;
+        const size = cents.length;
+        const period = cents[size - 1];
+        const periods = Math.floor(degree / size);
+        const index = degree - periods * size;
+        return periods * period + (index === 0 ? 0 : cents[index - 1]);
+    }
+
+    // Without a .kbm: scale degree 0 on middle C, A4 at the reference pitch
+    getDefaultMapping() {
+        return {
+            size: 0,
+            firstNote: 0,
+            lastNote: 127,
+            middleNote: 60,
+            referenceNote: 69,
+            referenceFrequency: this.settings.referencePitch,
+            octaveDegree: 0,
+            map: []
+        };
+    }
+
+    // Load a Scala scale (.scl text); it starts out on the default keyboard mapping
+    loadScale(text, fileName = '') {
+        this.scale = { ...Tuning.parseScl(text), source: text, fileName };
+        this.mapping = null;
+        return this.scale;
+    }
+
+    // Load a Scala keyboard mapping (.kbm text)
+    loadMapping(text, fileName = '') {
+        this.mapping = { ...Tuning.parseKbm(text), source: text, fileName };
+        return this.mapping;
+    }
+
+    // Drop the Scala tuning and go back to the temperament
+    clearScala() {
+        this.scale = null;
+        this.mapping = null;
+    }
+
+    // Parse a .scl file: description, note count, then one pitch per line in cents
+    // (contains a '.') or as a ratio ('3/2', '2')
+    static parseScl(text) {
+        const lines = text.split(/\r?\n/).filter(line => !line.trim().startsWith('!'));
+        if (lines.length < 2) {
+            throw new Error('Not a Scala scale file');
+        }
+
+        const description = lines[0].trim();
+        const count = parseInt(lines[1].trim(), 10);
+        if (isNaN(count) || count < 1) {
+            throw new Error('Scala file has no notes');
+        }
+
+        const cents = lines.slice(2)
+            .map(line => line.trim().split(/\s+/)[0])
+            .filter(value => value)
+            .slice(0, count)
+            .map(value => Tuning.parsePitch(value));
+
+        if (cents.length !== count) {
+            throw new Error(`Scala file lists ${cents.length} of its ${count} notes`);
+        }
+        return { description, cents };
+    }
+
+    static parsePitch(value) {
+        if (value.includes('.')) {
+            const cents = parseFloat(value);
+            if (isNaN(cents)) throw new Error(`Invalid pitch "${value}"`);
+            return cents;
+        }
+
+        const [numerator, denominator = '1'] = value.split('/');
+        const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+        if (!(ratio > 0)) throw new Error(`Invalid pitch "${value}"`);
+        return 1200 * Math.log2(ratio);
+    }
+
+    // Parse a .kbm file: map size, first and last note, middle note, reference note and
+    // frequency, octave degree, then the scale degree for each key ('x' leaves it unmapped)
+    static parseKbm(text) {
+        const values = text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('!'))
+            .map(line => line.split(/\s+/)[0]);
+
+        if (values.length < 7) {
+            throw new Error('Not a Scala keyboard mapping file');
+        }
+
+        const [size, firstNote, lastNote, middleNote, referenceNote] = values.slice(0, 5).map(value => parseInt(value, 10));
+        const referenceFrequency = parseFloat(values[5]);
+        const octaveDegree = parseInt(values[6], 10);
+        if ([size, firstNote, lastNote, middleNote, referenceNote, octaveDegree].some(isNaN) || !(referenceFrequency > 0)) {
+            throw new Error('Invalid keyboard mapping header');
+        }
+
+        const map = [];
+        for (let i = 0; i < size; i++) {
+            const value = values[7 + i];
+            map.push(value === undefined || value.toLowerCase() === 'x' ? null : parseInt(value, 10));
+        }
+
+        return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, map };
+    }
+
+    // Display name of the current tuning
+    getName() {
+        if (this.scale) {
+            return this.scale.description || this.scale.fileName || 'Scala tuning';
+        }
+        const temperament = TEMPERAMENTS[this.settings.temperament] || TEMPERAMENTS.equal;
+        return temperament.name;
+    }
+
+    // Plain copy for saving, Scala files included as text
+    getSettings() {
+        return {
+            ...this.settings,
+            scl: this.scale ? { text: this.scale.source, fileName: this.scale.fileName } : null,
+            kbm: this.mapping ? { text: this.mapping.source, fileName: this.mapping.fileName } : null
+        };
+    }
+
+    // Settings
+    updateSettings(newSettings) {
+        const { scl, kbm, ...settings } = newSettings;
+        this.settings = { ...this.settings, ...settings };
+        this.settings.referencePitch = Math.max(100, Math.min(1000, Number(this.settings.referencePitch) || 440));
+        this.settings.tonic = ((parseInt(this.settings.tonic, 10) || 0) % 12 + 12) % 12;
+        if (!TEMPERAMENTS[this.settings.temperament]) {
+            this.settings.temperament = 'equal';
+        }
+
+        if (scl !== undefined) {
+            this.clearScala();
+            if (scl) this.loadScale(scl.text, scl.fileName);
+        }
+        if (kbm && this.scale) {
+            this.loadMapping(kbm.text, kbm.fileName);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Tuning, TEMPERAMENTS };
+} else {
+    window.Tuning = Tuning;
+    window.TEMPERAMENTS = TEMPERAMENTS;
+}
@@ -0,0 +1,237 @@
+// Voice Allocator Module
+// Tracks every sounding voice through its envelope and keeps polyphony within limits
+
+const VOICE_STATES = ['attack', 'decay', 'sustain', 'release'];
+
+class VoiceAllocator {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+
+        // Sounding voices, oldest first
+        this.voices = [];
+        this.nextVoiceId = 1;
+        this.stolenCount = 0;
+
+        // Called with getVoiceCounts() whenever voices start, release or end
+        this.onVoiceCountChange = null;
+
+        // Allocation settings
+        this.settings = {
+            maxPolyphony: 32,      // Voices allowed at once, release tails included
+            stealMode: 'oldest',   // oldest, quietest
+            stealFadeSeconds: 0.01 // Fade for a stolen voice, short enough to free it quickly
+        };
+    }
+
+    // Register a started voice. The envelope describes the gain ramps already scheduled
+    // from startTime: { peakGain, sustainGain, attack, decay, release, loopMode }
+    addVoice(noteKey, source, gainNode, envelope, velocity = 0.8, startTime = null) {
+        this.makeRoom();
+
+        const now = startTime !== null ? startTime : this.audioContext.currentTime;
+        const voice = {
+            id: this.nextVoiceId++,
+            noteKey: noteKey,
+            source: source,
+            gainNode: gainNode,
+            velocity: velocity,
+            peakGain: envelope.peakGain,
+            sustainGain: envelope.sustainGain,
+            attackEnd: now + envelope.attack,
+            decayEnd: now + envelope.attack + envelope.decay,
+            release: envelope.release,
+            loopMode: envelope.loopMode || null,
+            startTime: now,
+            releaseTime: null,
+            releaseGain: null,
+            endTime: null,
+            onRemove: null // Cleanup when the voice is dropped
+        };
+
+        source.onended = () => this.removeVoice(voice);
+        this.voices.push(voice);
+        this.notifyChange();
+        return voice;
+    }
+
+    // Steal voices until there is room for one more
+    makeRoom() {
+        this.pruneEnded();
+
+        while (this.voices.length >= this.settings.maxPolyphony) {
+            const victim = this.chooseVictim();
+            if (!victim) break;
+
+            this.stealVoice(victim);
+            this.stolenCount++;
+        }
+    }
+
+    // Released voices go first since they are already fading; then oldest or quietest
+    chooseVictim() {
+        const now = this.audioContext.currentTime;
+        const releasing = this.voices.filter(voice => voice.releaseTime !== null && voice.releaseTime <= now);
+        const candidates = releasing.length > 0 ? releasing : this.voices;
+
+        if (this.settings.stealMode === 'quietest') {
+            return candidates.reduce((quietest, voice) =>
+                this.getVoiceGain(voice, now) < this.getVoiceGain(quietest, now) ? voice : quietest
+            );
+        }
+        return candidates[0];
+    }
+
+    // Cut a voice off with a short fade and forget it straight away
+    stealVoice(voice) {
+        const now = this.audioContext.currentTime;
+        const fade = this.settings.stealFadeSeconds;
+
+        voice.gainNode.gain.cancelScheduledValues(now);
+        voice.gainNode.gain.setValueAtTime(this.getVoiceGain(voice, now), now);
+        voice.gainNode.gain.linearRampToValueAtTime(0, now + fade);
+        voice.source.stop(now + fade);
+
+        this.removeVoice(voice);
+    }
+
+    // Start the release phase of a voice, now or at a scheduled time
+    releaseVoice(voice, time = null) {
+        if (voice.releaseTime !== null) return;
+
+        const now = Math.max(time !== null ? time : 0, this.audioContext.currentTime, voice.startTime);
+        voice.releaseGain = this.getVoiceGain(voice, now);
+        voice.releaseTime = now;
+        voice.endTime = now + voice.release;
+
+        // Samples that loop until release play on through their tail. Looping can't be
+        // switched off on the audio clock, so a release scheduled ahead keeps the loop
+        // running under its fade; ending it early could silence the note before then
+        if (voice.loopMode === 'loop_sustain' && now <= this.audioContext.currentTime) {
+            voice.source.loop = false;
+        }
+
+        voice.gainNode.gain.cancelScheduledValues(now);
+        voice.gainNode.gain.setValueAtTime(voice.releaseGain, now);
+        voice.gainNode.gain.linearRampToValueAtTime(0, voice.endTime);
+        voice.source.stop(voice.endTime);
+
+        this.notifyChange();
+    }
+
+    // Release every held voice for a note; returns how many were released
+    releaseNote(noteKey, time = null) {
+        const held = this.getHeldVoices(noteKey);
+        held.forEach(voice => this.releaseVoice(voice, time));
+        return held.length;
+    }
+
+    // Release everything that is still held
+    releaseAll() {
+        this.voices.filter(voice => voice.releaseTime === null)
+            .forEach(voice => this.releaseVoice(voice));
+    }
+
+    // Voices for a note that have not been released yet
+    getHeldVoices(noteKey) {
+        return this.voices.filter(voice => voice.noteKey === noteKey && voice.releaseTime === null);
+    }
+
+    // Is any voice for this note still held?
+    isNoteHeld(noteKey) {
+        return this.getHeldVoices(noteKey).length > 0;
+    }
+
+    removeVoice(voice) {
+        const index = this.voices.indexOf(voice);
+        if (index === -1) return;
+
+        this.voices.splice(index, 1);
+        if (voice.onRemove) voice.onRemove();
+        this.notifyChange();
+    }
+
+    // Drop voices whose release has finished (in case 'ended' never fired)
+    pruneEnded() {
+        const now = this.audioContext.currentTime;
+        const remaining = this.voices.filter(voice => voice.endTime === null || voice.endTime > now);
+        if (remaining.length !== this.voices.length) {
+            this.voices.filter(voice => !remaining.includes(voice) && voice.onRemove)
+                .forEach(voice => voice.onRemove());
+            this.voices = remaining;
+            this.notifyChange();
+        }
+    }
+
+    // Envelope phase of a voice at the given time
+    getVoiceState(voice, now = this.audioContext.currentTime) {
+        if (voice.releaseTime !== null && now >= voice.releaseTime) return 'release';
+        if (now < voice.attackEnd) return 'attack';
+        if (now < voice.decayEnd) return 'decay';
+        return 'sustain';
+    }
+
+    // Envelope level of a voice at the given time, following the scheduled linear ramps
+    getVoiceGain(voice, now = this.audioContext.currentTime) {
+        if (now < voice.startTime) return 0;
+        if (voice.releaseTime !== null && now >= voice.releaseTime) {
+            const progress = voice.release > 0 ? (now - voice.releaseTime) / voice.release : 1;
+            return voice.releaseGain * Math.max(0, 1 - progress);
+        }
+        if (now < voice.attackEnd) {
+            const attack = voice.attackEnd - voice.startTime;
+            return attack > 0 ? voice.peakGain * (now - voice.startTime) / attack : voice.peakGain;
+        }
+        if (now < voice.decayEnd) {
+            const decay = voice.decayEnd - voice.attackEnd;
+            const progress = (now - voice.attackEnd) / decay;
+            return voice.peakGain + (voice.sustainGain - voice.peakGain) * progress;
+        }
+        return voice.sustainGain;
+    }
+
+    // Active voice counts by envelope phase, for spotting audio overload
+    getVoiceCounts() {
+        this.pruneEnded();
+
+        const now = this.audioContext.currentTime;
+        const counts = {
+            total: this.voices.length,
+            held: 0,
+            max: this.settings.maxPolyphony,
+            stolen: this.stolenCount
+        };
+        VOICE_STATES.forEach(state => { counts[state] = 0; });
+
+        this.voices.forEach(voice => {
+            counts[this.getVoiceState(voice, now)]++;
+            if (voice.releaseTime === null || voice.releaseTime > now) counts.held++;
+        });
+        return counts;
+    }
+
+    notifyChange() {
+        if (this.onVoiceCountChange) {
+            this.onVoiceCountChange(this.getVoiceCounts());
+        }
+    }
+
+    // Settings
+    updateSettings(newSettings) {
+        this.settings = { ...this.settings, ...newSettings };
+        this.settings.maxPolyphony = Math.max(1, Math.round(this.settings.maxPolyphony));
+
+        // Lowering the limit takes effect straight away
+        this.pruneEnded();
+        while (this.voices.length > this.settings.maxPolyphony) {
+            this.stealVoice(this.chooseVictim());
+            this.stolenCount++;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VoiceAllocator;
+} else {
+    window.VoiceAllocator = VoiceAllocator;
+}
@@ -0,0 +1,81 @@
+// WAV Encoder Module
+// Encodes an AudioBuffer as a 16- or 24-bit PCM WAV file
+
+class WavEncoder {
+    // WAV Blob for an AudioBuffer
+    static encode(audioBuffer, bitDepth = 16) {
+        return new Blob([WavEncoder.encodeBuffer(audioBuffer, bitDepth)], { type: 'audio/wav' });
+    }
+
+    // Raw WAV bytes: RIFF header, fmt chunk, then interleaved little-endian samples
+    static encodeBuffer(audioBuffer, bitDepth = 16) {
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+        }
+
+        const channels = audioBuffer.numberOfChannels;
+        const sampleRate = audioBuffer.sampleRate;
+        const frames = audioBuffer.length;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = channels * bytesPerSample;
+        const dataSize = frames * blockAlign;
+
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+
+        WavEncoder.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        WavEncoder.writeString(view, 8, 'WAVE');
+
+        WavEncoder.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);             // fmt chunk size
+        view.setUint16(20, 1, true);              // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+
+        WavEncoder.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channelData = [];
+        for (let channel = 0; channel < channels; channel++) {
+            channelData.push(audioBuffer.getChannelData(channel));
+        }
+
+        // Clip to -1..1 and scale to the signed integer range
+        const maxValue = Math.pow(2, bitDepth - 1) - 1;
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+                const value = Math.round(sample * maxValue);
+
+                if (bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    view.setUint8(offset, value & 0xff);
+                    view.setUint8(offset + 1, (value >> 8) & 0xff);
+                    view.setUint8(offset + 2, (value >> 16) & 0xff);
+                }
+                offset += bytesPerSample;
+            }
+        }
+
+        return buffer;
+    }
+
+    static writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WavEncoder;
+} else {
+    window.WavEncoder = WavEncoder;
+}
@@ -0,0 +1,30 @@
+// Chord detection checks: run with `npm test`
+const assert = require('assert');
+
+Object.assign(global, require('../js/music-theory.js'));
+const ChordDetector = require('../js/chord-detection.js');
+
+const detector = new ChordDetector();
+
+// Voicing (low to high) and the name it should be read as
+const voicings = [
+    [['C4', 'E4', 'G4'], 'C'],
+    [['E4', 'G4', 'C5'], 'C/E'],
+    [['A3', 'C4', 'E4', 'G4'], 'Am7'],
+    [['C4', 'E4', 'A#4', 'D5'], 'C9'],
+    [['C4', 'E4', 'A4', 'D5'], 'C6/9'],        // No 5th, not an inverted D7sus2
+    [['C4', 'F4', 'A#4', 'D5'], 'C9sus4'],     // No 5th, not an inverted Bbadd9
+    [['F3', 'A3', 'E4', 'G4'], 'Fmaj9'],
+    [['D3', 'F3', 'C4', 'E4'], 'Dm9'],
+    [['E3', 'A#3', 'D4', 'A4'], 'C13'],        // Rootless 3-7-9-13 shell
+    [['C4', 'E4', 'G4', 'A#4', 'C#5'], 'C7b9'],
+    [['C4', 'E4', 'A#4', 'C#5', 'D#5', 'G#5'], 'C7alt'], // Not C+ with three tones left over
+    [['Bb3', 'D4', 'E4', 'A4'], 'Bbmaj7#11']            // Spelled as written, without a key
+];
+
+voicings.forEach(([notes, expected]) => {
+    const chord = detector.analyzeChord(notes);
+    assert.strictEqual(chord && chord.name, expected, `${notes.join(' ')} should read as ${expected}`);
+});
+
+console.log(`${voicings.length} chord voicings detected correctly`);
@@ -0,0 +1,52 @@
+// Preset import checks: run with `npm test`
+const assert = require('assert');
+
+Object.assign(global, require('../js/effects-chain.js'));
+// Preset names are kept clear of the built-in presets; none are needed here
+global.AudioEngine = { getFactoryPresets: () => ({}) };
+const PresetManager = require('../js/preset-manager.js');
+
+// In-memory stand-in for localStorage
+const storage = {
+    items: {},
+    getItem(key) { return this.items[key] || null; },
+    setItem(key, value) { this.items[key] = value; }
+};
+
+const manager = new PresetManager(storage);
+
+// Malformed values are dropped or clamped instead of reaching the effects chain and tuning
+const [preset] = manager.importJson(JSON.stringify({
+    presets: [{
+        name: 'Broken',
+        settings: {
+            attack: 'x',
+            release: 99,
+            waveform: 'noise',
+            effects: {
+                reverb: { enabled: 'yes', decay: 'x', mix: 0.5, impulse: 42 },
+                delay: { enabled: true, feedback: null, division: '1/3', mix: 2 },
+                chorus: 'on',
+                phaser: { enabled: true }
+            },
+            tuning: { referencePitch: 'high', temperament: 'just', scl: { text: 7 }, kbm: null }
+        }
+    }]
+}));
+
+assert.deepStrictEqual(preset.settings, {
+    release: 4,
+    effects: {
+        delay: { mix: 1, enabled: true },
+        reverb: { mix: 0.5 }
+    },
+    tuning: { temperament: 'just', kbm: null }
+});
+
+// Files that aren't preset objects get the friendly error
+['null', '5', '[]', '{"presets": [{ "name": "No settings" }]}'].forEach(text => {
+    assert.throws(() => manager.importJson(text), /No presets found in file/);
+});
+assert.throws(() => manager.importJson('{'), /not valid JSON/);
+
+console.log('Preset import checks passed');